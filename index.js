@@ -8,6 +8,14 @@ const { cloudinary } = require('./config/cloudinary');
 
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
+const Admin = require('./models/Admin');
+const CartItem = require('./models/Cart');
+const Wishlist = require('./models/Wishlist');
+const Product = require('./models/Product');
+const inventoryService = require('./services/inventoryService');
+const trackingService = require('./services/trackingService');
+// Subscribes to order events on load; its worker sends the email outbox
+const notificationService = require('./services/notificationService');
 
 // Routes
 const brandsRoutes = require('./routes/brands');
@@ -19,14 +27,16 @@ const wishlistRoutes = require('./routes/wishlist');
 const reviewsRoutes = require('./routes/reviews');
 const cartRoutes = require('./routes/cart');
 const ordersRoutes = require('./routes/orders');
+const returnsRoutes = require('./routes/returns');
 const webHookRoutes = require('./routes/webHook');
 const addressesRoutes = require('./routes/addresses');
 const usersRoutes = require('./routes/users');
 const geocodingRoutes = require('./routes/geocoding');
+const vendorRoutes = require('./routes/vendor');
 
 const app = express();
 
-// Razorpay webhook must use raw body for signature verification
+// Webhooks (Razorpay, Shipyaari) use the raw body; Razorpay verifies its signature over it
 app.use('/api/webhook', express.raw({ type: 'application/json' }));
 
 // Parse JSON for all other routes
@@ -49,7 +59,9 @@ app.use(
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token'],
+    // Guest carts: the server hands out the cart token in this header
+    exposedHeaders: ['X-Cart-Token'],
   })
 );
 
@@ -75,6 +87,7 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(openapi));
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/vendor', vendorRoutes);
 app.use('/api/brands', brandsRoutes);
 app.use('/api/catalog', catalogRoutes);
 app.use('/api/products', productsRoutes);
@@ -82,6 +95,7 @@ app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/reviews', reviewsRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', ordersRoutes);
+app.use('/api/returns', returnsRoutes);
 app.use('/api/webhook', webHookRoutes);
 app.use('/api/addresses', addressesRoutes);
 app.use('/api/users', usersRoutes);
@@ -110,11 +124,24 @@ const PORT = process.env.PORT || 4000;
 
 (async () => {
   await connectDB();
+  // Someone has to be able to grant admin permissions
+  await Admin.ensureSuperAdmin();
+  // Unique indexes whose keys changed must be dropped before the new ones can build
+  await CartItem.migrateIndexes();
+  await Wishlist.migrateIndexes();
+  // Products saved before they carried the brand tax setting
+  await Product.syncBrandTaxSettings();
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     // Log Cloudinary connectivity once at startup
     cloudinary.api.ping()
       .then(() => console.log('Cloudinary connected'))
       .catch((err) => console.warn('Cloudinary connection error:', err?.message));
+    // Return stock held by abandoned checkouts
+    inventoryService.startReservationSweeper();
+    // Pull courier status for in-flight shipments (complements the Shipyaari webhook)
+    trackingService.startTrackingSync();
+    // Send queued order emails, retrying failures with backoff
+    notificationService.startOutboxWorker();
   });
 })();
\ No newline at end of file
@@ -0,0 +1,54 @@
+const auditService = require('../services/auditService');
+
+/**
+ * Audit trail for an admin write route. Snapshots the target before the handler
+ * runs and again once a 2xx response has gone out, then appends an AuditLog row.
+ * Logging never fails the request.
+ *
+ * @param {string} action - e.g. 'brand.update'
+ * @param {import('mongoose').Model} Model - model of the target document
+ * @param {object} [options]
+ * @param {string} [options.idParam='id'] - route param holding the target id; a create
+ *   (no such param) takes the id from the response's `data._id`
+ * @param {function(import('express').Request, object): object} [options.meta] - summary
+ *   of a bulk operation from the request and response body
+ * @param {function(import('express').Request): boolean} [options.when] - only audit
+ *   matching requests, e.g. the admin calls of a route customers use too
+ */
+const audit = (action, Model, { idParam = 'id', meta, when } = {}) => async (req, res, next) => {
+  if (when && !when(req)) return next();
+  let before = null;
+  let body;
+  try {
+    const id = req.params[idParam];
+    if (id) before = auditService.snapshot(await Model.findById(id).catch(() => null));
+  } catch (err) { return next(err); }
+
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) return;
+    try {
+      const targetId = req.params[idParam] || body?.data?._id;
+      const after = targetId ? auditService.snapshot(await Model.findById(targetId)) : null;
+      await auditService.record(req, {
+        action,
+        targetModel: Model.modelName,
+        targetId,
+        before,
+        after,
+        meta: meta ? meta(req, body || {}) : undefined,
+        statusCode: res.statusCode
+      });
+    } catch (err) {
+      console.error(`❌ Audit log failed for ${action}:`, err.message);
+    }
+  });
+  next();
+};
+
+module.exports = { audit };
@@ -1,17 +1,36 @@
 const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
-const authRequired = (req, res, next) => {
-  try {
-    const header = req.headers.authorization || '';
-    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
-    if (!token) return res.status(401).json({ message: 'Unauthorized' });
+// Access tokens are only honoured while their session is live and the account active
+const authRequired = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ message: 'Unauthorized' });
 
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload; // { sub, role, email, name }
-    next();
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
+  try {
+    await sessionService.assertAccessAllowed(payload);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    return next(err);
+  }
+  req.user = payload; // { sub, sid, role, email, name }
+  next();
+};
+
+// Like authRequired, but lets anonymous requests through (req.user stays undefined).
+// A token that is present but invalid is still rejected so clients notice expiry.
+const optionalAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return next();
+  return authRequired(req, res, next);
 };
 
 const requireRoles = (...roles) => (req, res, next) => {
@@ -20,4 +39,50 @@ const requireRoles = (...roles) => (req, res, next) => {
   next();
 };
 
-module.exports = { authRequired, requireRoles };
+// Admin profile of the signed in admin, loaded once per request
+const loadAdmin = async (req) => {
+  if (req.admin === undefined) req.admin = await Admin.findOne({ userId: req.user.sub });
+  return req.admin;
+};
+
+// While a super admin enforces 2FA, admins without it only get as far as enrolling
+const twoFactorSetupRequired = (res) =>
+  res.status(403).json({ message: 'Two-factor authentication is required; set it up at /api/auth/2fa/setup', twoFactorSetupRequired: true });
+
+/**
+ * Admin route guard: the signed in admin needs every listed permission
+ * (super admins have all of them). Use after authRequired.
+ * @param {...string} permissions - Admin.PERMISSIONS entries, e.g. 'brands:write'
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' });
+  try {
+    const admin = await loadAdmin(req);
+    if (!admin) return res.status(403).json({ message: 'No admin profile for this account' });
+    if (await twoFactorService.missingForAdmin(req.user.sub)) return twoFactorSetupRequired(res);
+    const missing = permissions.filter((p) => !admin.can(p));
+    if (missing.length) return res.status(403).json({ message: `Missing permission: ${missing.join(', ')}` });
+    next();
+  } catch (err) { next(err); }
+};
+
+// For routes shared by owners and admins: customers and vendors pass (the route
+// checks ownership), admins need the permissions like on any admin route
+const requirePermissionIfAdmin = (...permissions) => {
+  const guard = requirePermission(...permissions);
+  return (req, res, next) => (req.user?.role === 'admin' ? guard(req, res, next) : next());
+};
+
+const requireSuperAdmin = async (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' });
+  try {
+    const admin = await loadAdmin(req);
+    if (!admin?.isSuperAdmin) return res.status(403).json({ message: 'Super admin only' });
+    if (await twoFactorService.missingForAdmin(req.user.sub)) return twoFactorSetupRequired(res);
+    next();
+  } catch (err) { next(err); }
+};
+
+module.exports = { authRequired, optionalAuth, requireRoles, requirePermission, requirePermissionIfAdmin, requireSuperAdmin };
@@ -1,5 +1,34 @@
 const { Schema, model, Types } = require('mongoose');
 
+// Fine-grained permissions checked by middleware/auth requirePermission.
+// `:read` covers listing and viewing, `:write` every change in that area.
+const PERMISSIONS = [
+  'brands:read',
+  'brands:write',
+  'categories:read',
+  'categories:write',
+  'products:read',
+  'products:write',
+  'users:read',
+  'users:write',
+  'orders:read',
+  'orders:write',
+  'refunds:write',
+  'returns:read',
+  'returns:write',
+  'vendors:read',
+  'vendors:write',
+  'payouts:read',
+  'payouts:write',
+  'coupons:read',
+  'coupons:write',
+  'reviews:read',
+  'reviews:write',
+  'notifications:read',
+  'notifications:write',
+  'audit:read'
+];
+
 // Admin profile model (supplements the User with role: 'admin')
 // Use this to store admin-specific metadata without duplicating the User document.
 const AdminSchema = new Schema(
@@ -7,28 +36,36 @@ const AdminSchema = new Schema(
     userId: { type: Types.ObjectId, ref: 'User', required: true, unique: true, index: true },
     displayName: { type: String, trim: true },
     phone: { type: String, trim: true },
-    // Optional: fine-grained permissions to gate features in the admin panel
     permissions: {
-      type: [
-        {
-          type: String,
-          enum: [
-            'brands:read',
-            'brands:write',
-            'categories:read',
-            'categories:write',
-            'products:read',
-            'products:write',
-            'users:read',
-            'users:write'
-          ],
-        },
-      ],
+      type: [{ type: String, enum: PERMISSIONS }],
       default: [],
     },
+    // Has every permission and is the only one who can change other admins' permissions
     isSuperAdmin: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
 
+AdminSchema.statics.PERMISSIONS = PERMISSIONS;
+
+AdminSchema.methods.can = function(permission) {
+  return this.isSuperAdmin || this.permissions.includes(permission);
+};
+
+/**
+ * Make sure someone can manage permissions: with no super admin yet (fresh
+ * install, or data from before permissions were enforced) the oldest admin
+ * profile is promoted.
+ * @returns {Promise<import('mongoose').Document|null>} the promoted admin, null when nothing changed
+ */
+AdminSchema.statics.ensureSuperAdmin = async function() {
+  if (await this.exists({ isSuperAdmin: true })) return null;
+  const oldest = await this.findOne().sort({ createdAt: 1 });
+  if (!oldest) return null;
+  oldest.isSuperAdmin = true;
+  await oldest.save();
+  console.warn(`⚠️ No super admin found, promoted admin ${oldest.userId}`);
+  return oldest;
+};
+
 module.exports = model('Admin', AdminSchema);
@@ -0,0 +1,49 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One row per successful back-office write (middleware/audit). Rows are never
+// changed or removed: updates and deletes through the model are refused.
+const AuditLogSchema = new Schema(
+  {
+    actor: {
+      user: { type: Types.ObjectId, ref: 'User', index: true },
+      email: { type: String },
+      role: { type: String }
+    },
+    // '<area>.<verb>', e.g. 'brand.delete', 'order.status'
+    action: { type: String, required: true, index: true },
+    targetModel: { type: String, required: true },
+    targetId: { type: Types.ObjectId },
+    // Field level diff for updates; the whole document for creates (after) and deletes (before)
+    changes: [{ _id: false, path: String, from: Schema.Types.Mixed, to: Schema.Types.Mixed }],
+    before: { type: Schema.Types.Mixed },
+    after: { type: Schema.Types.Mixed },
+    // Summary of bulk operations that touch many documents
+    meta: { type: Schema.Types.Mixed },
+    request: {
+      method: { type: String },
+      path: { type: String },
+      ip: { type: String },
+      userAgent: { type: String }
+    },
+    statusCode: { type: Number }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Per-entity history, newest first
+AuditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+
+module.exports = model('AuditLog', AuditLogSchema);
@@ -6,6 +6,9 @@ const BrandSchema = new Schema(
     slug: { type: String, required: true, unique: true, index: true },
     description: { type: String },
     active: { type: Boolean, default: true },
+    // Default for the brand's products: true when prices are tax-inclusive (MRP),
+    // false when GST is added on top; null follows PRICES_INCLUDE_TAX
+    pricesIncludeTax: { type: Boolean, default: null },
   },
   { timestamps: true }
 );
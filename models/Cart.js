@@ -1,22 +1,58 @@
 const mongoose = require('mongoose');
 
+// Guest carts are abandoned after this many days without changes
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS || 30);
+
 const cartItemSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Exactly one of user / cartToken identifies the cart owner
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    cartToken: { type: String, index: true },
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+    // Product.variants entry; required by the routes for products that have variants
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
     quantity: { type: Number, default: 1, min: 1 },
   },
   { timestamps: true }
 );
 
-// a product should appear only once per user in the cart
-cartItemSchema.index({ user: 1, product: 1 }, { unique: true });
+cartItemSchema.pre('validate', function(next) {
+  if (!this.user === !this.cartToken) {
+    this.invalidate('user', 'A cart item belongs to either a user or a guest cart token');
+  }
+  next();
+});
+
+// a product variant should appear only once per user (or guest cart) in the cart
+// (replaces the old user_1_product_1 and variant-less indexes, dropped by CartItem.migrateIndexes at startup)
+cartItemSchema.index(
+  { user: 1, product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } }
+);
+cartItemSchema.index(
+  { cartToken: 1, product: 1, variant: 1 },
+  { unique: true, partialFilterExpression: { cartToken: { $type: 'string' } } }
+);
+cartItemSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { cartToken: { $type: 'string' } } }
+);
 
 cartItemSchema.pre(/^find/, function(next) {
-  this.populate({ path: 'product', select: 'title price images slug brandId categoryId subcategoryId gstRate hsnCode' });
+  this.populate({ path: 'product', select: 'title price images slug brandId categoryId subcategoryId gstRate hsnCode pricesIncludeTax variants' });
   next();
 });
 
-module.exports = mongoose.model('CartItem', cartItemSchema);
-
+/**
+ * Bring the collection's indexes in line with the schema: drops indexes whose
+ * keys changed (e.g. the old unique user_1_product_1) and builds the current
+ * ones. Called once at startup; a no-op when nothing changed.
+ * @returns {Promise<string[]>} names of the dropped indexes
+ */
+cartItemSchema.statics.migrateIndexes = async function() {
+  const dropped = await this.syncIndexes();
+  if (dropped.length) console.log(`🗂️ Dropped stale cart indexes: ${dropped.join(', ')}`);
+  return dropped;
+};
 
+module.exports = mongoose.model('CartItem', cartItemSchema);
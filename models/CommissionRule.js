@@ -0,0 +1,37 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Marketplace commission on vendor sales. The most specific active rule wins:
+// vendor, then category, then global (see services/ledgerService). Rates are
+// snapshotted onto ledger entries, so editing a rule never changes past sales.
+const CommissionRuleSchema = new Schema(
+  {
+    scope: { type: String, enum: ['global', 'category', 'vendor'], required: true },
+    categoryId: { type: Types.ObjectId, ref: 'Category' },
+    vendorId: { type: Types.ObjectId, ref: 'Vendor' },
+
+    // Percent of the line's taxable value (excl. GST)
+    rate: { type: Number, min: 0, max: 100, required: true },
+    // Flat commission per unit sold, on top of rate
+    fixedFee: { type: Number, min: 0, default: 0 },
+    // Shipping recovered from the vendor per unit delivered
+    shippingFee: { type: Number, min: 0, default: 0 },
+
+    isActive: { type: Boolean, default: true },
+    notes: { type: String, trim: true }
+  },
+  { timestamps: true }
+);
+
+CommissionRuleSchema.pre('validate', function (next) {
+  if (this.scope === 'category' && !this.categoryId) this.invalidate('categoryId', 'categoryId is required for a category rule');
+  if (this.scope === 'vendor' && !this.vendorId) this.invalidate('vendorId', 'vendorId is required for a vendor rule');
+  // Ids outside the rule's scope would never be matched
+  if (this.scope !== 'category') this.categoryId = undefined;
+  if (this.scope !== 'vendor') this.vendorId = undefined;
+  next();
+});
+
+// One rule per scope target
+CommissionRuleSchema.index({ scope: 1, categoryId: 1, vendorId: 1 }, { unique: true });
+
+module.exports = model('CommissionRule', CommissionRuleSchema);
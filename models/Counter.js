@@ -0,0 +1,13 @@
+const { Schema, model } = require('mongoose');
+
+// Named sequences, e.g. 'invoice:2026-27'. Incremented atomically with
+// findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { upsert: true, new: true }).
+const CounterSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+module.exports = model('Counter', CounterSchema);
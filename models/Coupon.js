@@ -0,0 +1,57 @@
+const { Schema, model, Types } = require('mongoose');
+
+const CouponSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true, index: true },
+    description: { type: String, trim: true },
+
+    // percentage: value% off eligible items (capped by maxDiscount)
+    // flat: value off eligible items
+    // free_shipping: waives shippingPrice
+    // buy_x_get_y: for every buyQuantity eligible units, getQuantity cheapest units get getDiscountPercent off
+    type: {
+      type: String,
+      enum: ['percentage', 'flat', 'free_shipping', 'buy_x_get_y'],
+      required: true
+    },
+    value: { type: Number, min: 0, default: 0 },
+    maxDiscount: { type: Number, min: 0 },
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+
+    // Scope: empty arrays mean the coupon applies to every brand/category
+    brandIds: [{ type: Types.ObjectId, ref: 'Brand' }],
+    categoryIds: [{ type: Types.ObjectId, ref: 'Category' }],
+
+    // Eligibility
+    minCartValue: { type: Number, min: 0, default: 0 },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    isActive: { type: Boolean, default: true },
+
+    // Usage limits (null = unlimited)
+    usageLimit: { type: Number, min: 1, default: null },
+    perUserLimit: { type: Number, min: 1, default: null },
+    usedCount: { type: Number, min: 0, default: 0 }
+  },
+  { timestamps: true }
+);
+
+CouponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage coupons need a value between 0 and 100');
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    this.invalidate('value', 'Flat coupons need a positive value');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y coupons need buyQuantity and getQuantity');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  next();
+});
+
+module.exports = model('Coupon', CouponSchema);
@@ -0,0 +1,27 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One row per order that used a coupon; 'released' rows no longer count
+// towards usage limits (payment failed or order cancelled)
+const CouponRedemptionSchema = new Schema(
+  {
+    coupon: { type: Types.ObjectId, ref: 'Coupon', required: true, index: true },
+    user: { type: Types.ObjectId, ref: 'User', required: true, index: true },
+    order: { type: Types.ObjectId, ref: 'Order', required: true, unique: true },
+    code: { type: String, required: true },
+    discount: { type: Number, min: 0, default: 0 },
+    // 1..perUserLimit for coupons with a per-user limit; the unique index below
+    // lets only one applied redemption hold each slot
+    slot: { type: Number, min: 1 },
+    status: { type: String, enum: ['applied', 'released'], default: 'applied' },
+    releasedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+CouponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+CouponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied', slot: { $exists: true } } }
+);
+
+module.exports = model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,40 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One row per transactional email. Requests only insert the rendered message;
+// the outbox worker (services/notificationService) sends it and retries with
+// backoff until maxAttempts, then leaves it 'failed' for an admin to retry.
+const EmailOutboxSchema = new Schema(
+  {
+    template: { type: String, required: true, index: true },
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    text: { type: String },
+
+    order: { type: Types.ObjectId, ref: 'Order', index: true },
+    user: { type: Types.ObjectId, ref: 'User' },
+    // Same key = same email; stops e.g. a replayed webhook from mailing twice
+    dedupeKey: { type: String, unique: true, sparse: true },
+
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed'],
+      default: 'pending',
+      index: true
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    // Set while a worker holds the row; stale locks are picked up again
+    lockedAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date },
+    messageId: { type: String }
+  },
+  { timestamps: true }
+);
+
+// Worker lookup: due pending rows
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = model('EmailOutbox', EmailOutboxSchema);
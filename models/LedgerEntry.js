@@ -0,0 +1,47 @@
+const { Schema, model, Types } = require('mongoose');
+
+// What the marketplace owes a vendor, one signed entry per money movement:
+// sale (+), commission (-), shipping_deduction (-) per delivered order line,
+// refund_reversal (-) when a returned or delivered line is refunded and payout (-) when a
+// payout cycle is paid. A vendor's balance is the sum of their entries.
+const LEDGER_ENTRY_TYPES = ['sale', 'commission', 'shipping_deduction', 'refund_reversal', 'payout'];
+
+const LedgerEntrySchema = new Schema(
+  {
+    vendor: { type: Types.ObjectId, ref: 'Vendor', required: true, index: true },
+    type: { type: String, enum: LEDGER_ENTRY_TYPES, required: true },
+    amount: { type: Number, required: true },
+    description: { type: String },
+
+    // Source order line (all but payout entries)
+    order: { type: Types.ObjectId, ref: 'Order' },
+    orderNumber: { type: String },
+    subOrderId: { type: String },
+    item: {
+      product: { type: Types.ObjectId, ref: 'Product' },
+      variant: { type: Types.ObjectId },
+      title: { type: String },
+      quantity: { type: Number }
+    },
+    // Commission entries: the rule and rate applied
+    commissionRule: { type: Types.ObjectId, ref: 'CommissionRule' },
+    rate: { type: Number },
+    returnRequest: { type: Types.ObjectId, ref: 'ReturnRequest' },
+
+    // Payable from this date (sales wait out the return window)
+    availableAt: { type: Date, required: true },
+    // Set once the entry is settled in a payout cycle
+    payoutCycle: { type: Types.ObjectId, ref: 'PayoutCycle', index: true },
+
+    // Makes recording idempotent, e.g. `${orderId}:0:sale`
+    key: { type: String, required: true, unique: true }
+  },
+  { timestamps: true }
+);
+
+LedgerEntrySchema.index({ vendor: 1, payoutCycle: 1, availableAt: 1 });
+LedgerEntrySchema.index({ vendor: 1, createdAt: -1 });
+
+LedgerEntrySchema.statics.TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = model('LedgerEntry', LedgerEntrySchema);
@@ -7,10 +7,21 @@ const geocodingService = require('../services/geocodingService');
 const OrderItemSchema = new Schema(
   {
     product: { type: Types.ObjectId, ref: 'Product', required: true },
+    // Selected Product.variants entry and a snapshot of its option values
+    variant: { type: Types.ObjectId },
+    variantOptions: { type: Map, of: String },
     title: { type: String, required: true },
     image: { type: String },
     price: { type: Number, required: true, min: 0 },
     quantity: { type: Number, required: true, min: 1 },
+    // Coupon discount pro-rated onto this line (total for the line, not per unit)
+    discount: { type: Number, min: 0, default: 0 },
+    // GST on the line after discount (services/taxService). With pricesIncludeTax
+    // the tax is inside price; otherwise it is charged on top.
+    gstRate: { type: Number, min: 0 },
+    pricesIncludeTax: { type: Boolean, default: false },
+    taxableValue: { type: Number, min: 0 },
+    taxAmount: { type: Number, min: 0 },
     
     // Additional fields for Shipyaari
     sku: { type: String },
@@ -21,7 +32,14 @@ const OrderItemSchema = new Schema(
       breadth: { type: Number, default: 10 },
       height: { type: Number, default: 10 }
     },
-    hsnCode: { type: String, default: '1234' }
+    hsnCode: { type: String, default: '1234' },
+    // Marketplace seller of the product; empty for our own stock
+    vendor: { type: Types.ObjectId, ref: 'Vendor' },
+    // Units received back through returns (see ReturnRequest)
+    returnedQuantity: { type: Number, min: 0, default: 0 },
+    // Units held by return requests that still count (requested up to refunded);
+    // reserved by services/returnService before a request is created
+    returnRequestedQuantity: { type: Number, min: 0 }
   },
   { _id: false }
 );
@@ -50,6 +68,49 @@ const AddressSchema = new Schema(
   { _id: false }
 );
 
+// Tax invoice snapshot, frozen when the invoice number is issued (see services/invoiceService)
+const InvoiceLineSchema = new Schema(
+  {
+    description: { type: String, required: true },
+    hsnCode: { type: String },
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    gstRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
+const InvoiceSchema = new Schema(
+  {
+    // e.g. INV/26-27/000042, sequential per financial year (April-March)
+    number: { type: String, required: true },
+    financialYear: { type: String, required: true },
+    issuedAt: { type: Date, required: true },
+    // CGST + SGST when seller and shipping state match, IGST otherwise
+    supplyType: { type: String, enum: ['intra_state', 'inter_state'], required: true },
+    placeOfSupply: { type: String },
+    // The supplier: a vendor invoices under its own name and GSTIN
+    sellerName: { type: String },
+    sellerGstin: { type: String },
+    lines: [InvoiceLineSchema],
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    shippingCharges: { type: Number, default: 0 },
+    codFee: { type: Number, default: 0 },
+    grandTotal: { type: Number, required: true }
+  },
+  { _id: false }
+);
+
 // Razorpay Payment Result Schema
 const RazorpayPaymentSchema = new Schema(
   {
@@ -59,7 +120,7 @@ const RazorpayPaymentSchema = new Schema(
     paymentMethod: { type: String }, // card, netbanking, upi, etc.
     paymentStatus: { 
       type: String, 
-      enum: ['pending', 'authorized', 'captured', 'failed'],
+      enum: ['pending', 'authorized', 'captured', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending'
     }
   },
@@ -83,7 +144,9 @@ const ShipmentSchema = new Schema(
         'out_for_delivery',
         'delivered',
         'failed',
-        'cancelled'
+        'cancelled',
+        'rto', // undelivered, on its way back to the warehouse
+        'rto_delivered'
       ],
       default: 'pending'
     },
@@ -124,7 +187,9 @@ const ShipmentSchema = new Schema(
       location: String,
       timestamp: Date,
       description: String
-    }
+    },
+    // Last time the tracking poller asked Shipyaari about this AWB
+    lastTrackingSyncAt: { type: Date }
   },
   { _id: false }
 );
@@ -152,6 +217,74 @@ const SellerDetailsSchema = new Schema(
   { _id: false }
 );
 
+// Marketplace orders with items from several sellers ship as one sub-order per
+// seller (a vendor, or our own warehouse when vendor is empty), each from its own
+// pickup address with its own AWB. The parent keeps payment, totals and the
+// customer facing status; see services/subOrderService.
+const SubOrderSchema = new Schema(
+  {
+    // `${orderId}-1`, `${orderId}-2`, ... set on first save; also the Shipyaari order id
+    subOrderId: { type: String },
+    vendor: { type: Types.ObjectId, ref: 'Vendor' },
+    sellerDetails: { type: SellerDetailsSchema, required: true },
+    // What the customer pays for this parcel: its lines plus, on the first
+    // sub-order, shipping and the COD fee. Sums to the parent's totalPrice.
+    amount: { type: Number, min: 0, required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'shipped', 'in_transit', 'delivered', 'cancelled'],
+      default: 'pending'
+    },
+    shipmentDetails: { type: ShipmentSchema },
+    // The seller's own tax invoice for this parcel (see services/invoiceService)
+    invoice: { type: InvoiceSchema },
+    invoiceClaimedAt: { type: Date },
+    shippedAt: { type: Date },
+    deliveredAt: { type: Date },
+    cancelledAt: { type: Date },
+    statusHistory: [{
+      status: { type: String },
+      timestamp: { type: Date, default: Date.now },
+      updatedBy: { type: String },
+      notes: { type: String }
+    }]
+  },
+  { _id: false }
+);
+
+// Coupon snapshot at the time the order was priced
+const AppliedCouponSchema = new Schema(
+  {
+    couponId: { type: Types.ObjectId, ref: 'Coupon' },
+    code: { type: String },
+    type: { type: String },
+    discount: { type: Number, min: 0, default: 0 },
+    shippingDiscount: { type: Number, min: 0, default: 0 }
+  },
+  { _id: false }
+);
+
+// Cash on delivery: what the courier collects and whether Shipyaari has paid it out
+// pending -> collected (delivered) -> remitted | short_remitted;  pending -> rto (returned undelivered)
+const CodDetailsSchema = new Schema(
+  {
+    fee: { type: Number, min: 0, default: 0 },
+    collectableAmount: { type: Number, min: 0, required: true },
+    remittanceStatus: {
+      type: String,
+      enum: ['pending', 'collected', 'remitted', 'short_remitted', 'rto'],
+      default: 'pending'
+    },
+    collectedAt: { type: Date },
+    remittedAmount: { type: Number, min: 0 },
+    remittedAt: { type: Date },
+    remittanceReference: { type: String }, // UTR / Shipyaari remittance id
+    rtoAt: { type: Date },
+    notes: { type: String }
+  },
+  { _id: false }
+);
+
 // Main Order Schema - Updated
 const OrderSchema = new Schema(
   {
@@ -201,6 +334,8 @@ const OrderSchema = new Schema(
       type: SellerDetailsSchema,
       required: true
     },
+    // Per-seller split of a multi-vendor order; empty when one seller ships everything
+    subOrders: { type: [SubOrderSchema], default: [] },
 
     // Payment Information
     paymentMethod: { 
@@ -213,6 +348,9 @@ const OrderSchema = new Schema(
     razorpayDetails: {
       type: RazorpayPaymentSchema
     },
+    codDetails: {
+      type: CodDetailsSchema
+    },
 
     // Shipment Integration
     shipmentDetails: {
@@ -221,15 +359,31 @@ const OrderSchema = new Schema(
 
     // Order Calculations
     itemsPrice: { type: Number, required: true, min: 0 },
+    discountPrice: { type: Number, min: 0, default: 0 },
+    coupon: { type: AppliedCouponSchema },
     shippingPrice: { type: Number, required: true, min: 0, default: 0 },
     taxPrice: { type: Number, required: true, min: 0, default: 0 },
+    // Part of taxPrice already inside item prices (tax-inclusive lines), not added to the total
+    includedTaxPrice: { type: Number, min: 0, default: 0 },
     totalPrice: { type: Number, required: true, min: 0 },
     currency: { type: String, default: 'INR' },
 
     // Order Status Management
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'paid', 'processing', 'shipped', 'in_transit', 'delivered', 'cancelled'],
+      enum: [
+        'pending',
+        'confirmed',
+        'paid',
+        'processing',
+        'shipped',
+        'in_transit',
+        'delivered',
+        'cancelled',
+        'return_requested',
+        'partially_returned',
+        'returned'
+      ],
       default: 'pending',
       index: true,
     },
@@ -241,17 +395,43 @@ const OrderSchema = new Schema(
     cancelledAt: { type: Date },
     cancellationReason: { type: String },
 
+    // Total refunded (cancellations and returns), see Refund
+    refundedAmount: { type: Number, min: 0, default: 0 },
+
+    // Orders placed through POST /api/cart/checkout empty the cart once paid
+    checkoutSource: { type: String, enum: ['direct', 'cart'], default: 'direct' },
+    cartClearedAt: { type: Date },
+
+    // GST tax invoice, issued on shipment or first download
+    invoice: { type: InvoiceSchema },
+    // Set while a request is issuing the invoice, so only that one takes a number
+    invoiceClaimedAt: { type: Date },
+
+    // Inventory: units are held until reservationExpiresAt, then deducted on capture
+    reservationExpiresAt: { type: Date },
+    stockCommittedAt: { type: Date },
+    // Set once a cancelled order's deducted units have been put back on sale
+    stockRestoredAt: { type: Date },
+
     // Additional Order Info
     orderNotes: { type: String },
     specialInstructions: { type: String },
     insurance: { type: Boolean, default: false },
 
-    // Status History for Tracking
+    // Status History for Tracking: Order.status changes only, written by services/orderStateMachine
     statusHistory: [{
       status: { type: String },
       timestamp: { type: Date, default: Date.now },
       updatedBy: { type: String },
       notes: { type: String }
+    }],
+
+    // Timeline entries that don't change Order.status (payment authorized, refunds, COD, shipment issues)
+    events: [{
+      type: { type: String, required: true },
+      timestamp: { type: Date, default: Date.now },
+      updatedBy: { type: String },
+      notes: { type: String }
     }]
   },
   { timestamps: true }
@@ -322,6 +502,9 @@ OrderSchema.pre('save', async function(next) {
     const random = Math.random().toString(36).substring(2, 6).toUpperCase();
     this.orderId = `ORD-${timestamp}-${random}`;
   }
+  this.subOrders.forEach((subOrder, i) => {
+    if (!subOrder.subOrderId) subOrder.subOrderId = `${this.orderId}-${i + 1}`;
+  });
 
   if (!this.orderNumber) {
     const count = await model('Order').countDocuments();
@@ -339,5 +522,10 @@ OrderSchema.index({ 'razorpayDetails.razorpayOrderId': 1 });
 // Indexes for shipment lookups
 OrderSchema.index({ 'shipmentDetails.awbNumber': 1 });
 OrderSchema.index({ 'shipmentDetails.shipmentStatus': 1 });
+OrderSchema.index({ 'subOrders.shipmentDetails.awbNumber': 1 });
+OrderSchema.index({ 'items.vendor': 1, createdAt: -1 });
+OrderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+// COD reconciliation and RTO history lookups
+OrderSchema.index({ paymentMethod: 1, 'codDetails.remittanceStatus': 1 });
 
 module.exports = model('Order', OrderSchema);
@@ -0,0 +1,33 @@
+const { Schema, model } = require('mongoose');
+
+const PURPOSES = ['register', 'reset_password', 'email_change', 'login', 'phone_verify', 'set_password'];
+const CHANNELS = ['email', 'sms'];
+
+// The live one-time code for a purpose and destination (services/otpService).
+// Sending again replaces the code; too many wrong guesses burn it and lock the
+// destination for that purpose until `expiresAt`.
+const OtpSchema = new Schema(
+  {
+    purpose: { type: String, enum: PURPOSES, required: true },
+    channel: { type: String, enum: CHANNELS, default: 'email' },
+    // Lowercased email or E.164 phone the code was sent to
+    destination: { type: String, required: true },
+    codeHash: { type: String },
+    codeExpiresAt: { type: Date },
+    attempts: { type: Number, default: 0 },
+    lastSentAt: { type: Date },
+    lockedUntil: { type: Date },
+    ip: { type: String },
+    // Row lifetime: code expiry, or the end of the lockout; removed by the TTL index
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+OtpSchema.index({ purpose: 1, channel: 1, destination: 1 }, { unique: true });
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+OtpSchema.statics.PURPOSES = PURPOSES;
+OtpSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = model('Otp', OtpSchema);
@@ -0,0 +1,36 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One vendor's settlement: the ledger entries payable up to periodEnd, frozen
+// into a statement. pending -> paid (a payout ledger entry is written) or
+// pending -> cancelled (entries go back to the vendor's open balance).
+const PayoutCycleSchema = new Schema(
+  {
+    // e.g. PO-000042, see services/payoutService
+    number: { type: String, required: true, unique: true },
+    vendor: { type: Types.ObjectId, ref: 'Vendor', required: true, index: true },
+    periodStart: { type: Date },
+    periodEnd: { type: Date, required: true },
+
+    totals: {
+      sales: { type: Number, default: 0 },
+      commission: { type: Number, default: 0 },
+      shippingDeductions: { type: Number, default: 0 },
+      refundReversals: { type: Number, default: 0 },
+      net: { type: Number, default: 0 }
+    },
+    entryCount: { type: Number, default: 0 },
+
+    status: { type: String, enum: ['pending', 'paid', 'cancelled'], default: 'pending', index: true },
+    paidAt: { type: Date },
+    paidBy: { type: Types.ObjectId, ref: 'User' },
+    // Bank transfer UTR or other payment reference
+    paymentReference: { type: String, trim: true },
+    cancelledAt: { type: Date },
+    notes: { type: String, trim: true }
+  },
+  { timestamps: true }
+);
+
+PayoutCycleSchema.index({ vendor: 1, periodEnd: -1 });
+
+module.exports = model('PayoutCycle', PayoutCycleSchema);
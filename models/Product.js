@@ -1,4 +1,31 @@
 const { Schema, model, Types } = require('mongoose');
+const Brand = require('./Brand');
+const taxService = require('../services/taxService');
+
+// One sellable combination of option values (e.g. size M / color Red)
+const VariantSchema = new Schema(
+  {
+    sku: { type: String, required: true, trim: true },
+    optionValues: { type: Map, of: String, default: {} },
+    price: { type: Number, required: true, min: 0 },
+    compareAtPrice: { type: Number, min: 0 },
+    stock: { type: Number, default: 0, min: 0 },
+    reservedStock: { type: Number, default: 0, min: 0 },
+    images: [{ type: String }],
+    weightKg: { type: Number, min: 0 },
+    isActive: { type: Boolean, default: true },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+VariantSchema.virtual('availableStock').get(function() {
+  return Math.max(0, (this.stock || 0) - (this.reservedStock || 0));
+});
+
+// Human readable label, e.g. "M / Red"
+VariantSchema.virtual('label').get(function() {
+  return this.optionValues ? [...this.optionValues.values()].join(' / ') : '';
+});
 
 const ProductSchema = new Schema(
   {
@@ -57,6 +84,12 @@ const ProductSchema = new Schema(
         return this.getGSTRate();
       }
     },
+    // true: price is tax-inclusive (MRP), false: GST is added on top,
+    // null: follow the brand (then PRICES_INCLUDE_TAX)
+    pricesIncludeTax: { type: Boolean, default: null },
+    // Copy of the brand's pricesIncludeTax, set on save and by syncBrandTaxSettings
+    // when the brand changes, so reads don't need the brand
+    brandPricesIncludeTax: { type: Boolean, default: null },
     
     // Product Classification
     productType: {
@@ -111,6 +144,17 @@ const ProductSchema = new Schema(
       }
     },
     
+    // Variant axes (e.g. [{ name: 'size', values: ['S', 'M'] }]) and the variant matrix.
+    // When variants exist, stock/reservedStock/price on the product are derived from them.
+    variantOptions: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }],
+      }
+    ],
+    variants: { type: [VariantSchema], default: [] },
+
     // Inventory Management
     stock: { type: Number, default: 0 },
     reservedStock: { type: Number, default: 0 },
@@ -125,6 +169,13 @@ const ProductSchema = new Schema(
     
     // Business fields
     vendorId: { type: Types.ObjectId, ref: 'Vendor' },
+    // Vendor listings: draft -> pending_approval -> active, or back to draft when rejected
+    approval: {
+      submittedAt: { type: Date },
+      reviewedAt: { type: Date },
+      reviewedBy: { type: Types.ObjectId, ref: 'User' },
+      rejectionReason: { type: String },
+    },
     tags: [{ type: String }],
     featured: { type: Boolean, default: false },
     bestseller: { type: Boolean, default: false },
@@ -149,14 +200,40 @@ const ProductSchema = new Schema(
   }
 );
 
+// Brand setting, from a populated brandId or the copy stored on the product
+function brandTaxSetting(product) {
+  const brand = product.populated('brandId') ? product.brandId : null;
+  return brand?.pricesIncludeTax ?? product.brandPricesIncludeTax;
+}
+
+// Whether `price` already contains GST, after product -> brand -> default resolution
+ProductSchema.virtual('taxInclusive').get(function() {
+  return taxService.resolvePricesIncludeTax(this.pricesIncludeTax, brandTaxSetting(this));
+});
+
+// GST on one unit at the listed price (no discount)
+ProductSchema.methods.listPriceTax = function() {
+  return taxService.lineTax({
+    price: this.price,
+    hsnCode: this.hsnCode,
+    gstRate: this.gstRate,
+    pricesIncludeTax: this.taxInclusive
+  });
+};
+
 // Virtual for calculating tax amount
 ProductSchema.virtual('taxAmount').get(function() {
-  return Math.round((this.price * this.gstRate) / 100);
+  return this.listPriceTax().taxAmount;
 });
 
 // Virtual for price including tax
 ProductSchema.virtual('priceIncludingTax').get(function() {
-  return this.price + this.taxAmount;
+  return this.listPriceTax().total;
+});
+
+// Virtual for price before tax
+ProductSchema.virtual('priceExcludingTax').get(function() {
+  return this.listPriceTax().taxableValue;
 });
 
 // Virtual for checking if product is in stock
@@ -164,11 +241,26 @@ ProductSchema.virtual('inStock').get(function() {
   return this.stock > 0;
 });
 
+// Virtual for stock not held by pending checkouts
+ProductSchema.virtual('availableStock').get(function() {
+  return Math.max(0, (this.stock || 0) - (this.reservedStock || 0));
+});
+
 // Virtual for checking low stock
 ProductSchema.virtual('isLowStock').get(function() {
   return this.stock <= this.lowStockThreshold && this.stock > 0;
 });
 
+ProductSchema.virtual('hasVariants').get(function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Variant by id, or null (also for products without variants)
+ProductSchema.methods.findVariant = function(variantId) {
+  if (!variantId || !this.hasVariants) return null;
+  return this.variants.id(variantId) || null;
+};
+
 // Method to get HSN code based on product category
 ProductSchema.methods.getHSNCode = function() {
   const hsnMap = {
@@ -191,34 +283,73 @@ ProductSchema.methods.getHSNCode = function() {
 };
 
 // Method to get GST rate based on HSN code and price
+// Clothes (61/62/63) are slabbed on the value per piece: this is the rate at the
+// listed price; orders re-evaluate it on the discounted value (services/taxService)
 ProductSchema.methods.getGSTRate = function() {
   const hsnCode = this.hsnCode || this.getHSNCode();
   
-  // GST rates based on HSN codes and price
-  if (hsnCode === '7117') {
-    return 12; // Artificial jewellery - 12%
-  }
-  
-  if (['61', '62', '63'].includes(hsnCode)) {
-    return this.price <= 1000 ? 5 : 12; // Clothes - 5% if ≤₹1000, 12% if >₹1000
+  if (taxService.isSlabbed(hsnCode)) {
+    return taxService.rateFor({ hsnCode, unitValue: this.price, pricesIncludeTax: this.taxInclusive });
   }
   
-  if (hsnCode === '6217') {
-    return 12; // Accessories - 12%
-  }
-  
-  return 12; // Default GST rate
+  // Artificial jewellery (7117), accessories (6217) and anything else - 12%
+  return 12;
 };
 
+// Variant matrix checks: unique SKUs and option combinations, values within the axes.
+// Axes are extended with any value a variant introduces.
+ProductSchema.pre('validate', function(next) {
+  if (!this.hasVariants) return next();
+
+  const skus = new Set();
+  const combos = new Set();
+  this.variants.forEach((variant, i) => {
+    if (skus.has(variant.sku)) this.invalidate(`variants.${i}.sku`, `Duplicate variant SKU ${variant.sku}`);
+    skus.add(variant.sku);
+
+    const entries = [...(variant.optionValues || new Map()).entries()];
+    if (entries.length === 0) this.invalidate(`variants.${i}.optionValues`, 'Variant needs at least one option value');
+
+    const combo = entries.map(([k, v]) => `${k}=${v}`).sort().join('|');
+    if (combos.has(combo)) this.invalidate(`variants.${i}.optionValues`, `Duplicate variant combination ${combo}`);
+    combos.add(combo);
+
+    for (const [name, value] of entries) {
+      let axis = this.variantOptions.find((o) => o.name === name);
+      if (!axis) {
+        this.variantOptions.push({ name, values: [] });
+        axis = this.variantOptions[this.variantOptions.length - 1];
+      }
+      if (!axis.values.includes(value)) axis.values.push(value);
+    }
+  });
+
+  next();
+});
+
 // Pre-save middleware to auto-calculate HSN code and GST rate
-ProductSchema.pre('save', function(next) {
+ProductSchema.pre('save', async function() {
+  // Product level inventory and "from" price mirror the variants
+  if (this.hasVariants) {
+    this.stock = this.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    this.reservedStock = this.variants.reduce((sum, v) => sum + (v.reservedStock || 0), 0);
+    const prices = this.variants.filter((v) => v.isActive).map((v) => v.price);
+    if (prices.length) this.price = Math.min(...prices);
+  }
+
   // Auto-set HSN code if not provided
   if (!this.hsnCode) {
     this.hsnCode = this.getHSNCode();
   }
   
-  // Auto-set GST rate if not provided or if price changed
-  if (!this.gstRate || this.isModified('price')) {
+  // Products inheriting the brand tax setting are rated with it
+  if (this.isNew || this.isModified('brandId')) {
+    const brand = this.brandId ? await Brand.findById(this.brandId).select('pricesIncludeTax').lean() : null;
+    this.brandPricesIncludeTax = brand?.pricesIncludeTax ?? null;
+  }
+
+  // Auto-set GST rate if not provided or if price or tax mode changed
+  if (!this.gstRate || this.isModified('price') || this.isModified('pricesIncludeTax') || this.isModified('brandPricesIncludeTax')) {
     this.gstRate = this.getGSTRate();
   }
   
@@ -238,10 +369,35 @@ ProductSchema.pre('save', function(next) {
   if (this.isModified('stock')) {
     this.lastStockUpdate = new Date();
   }
-  
-  next();
 });
 
+/**
+ * Copy each brand's pricesIncludeTax onto its products and re-rate the ones
+ * that inherit it. Called when a brand's setting changes, and at startup for
+ * products saved before the copy existed.
+ * @param {Array<object>|object} [brands] - Brand documents; all brands when omitted
+ * @returns {Promise<number>} products updated
+ */
+ProductSchema.statics.syncBrandTaxSettings = async function(brands) {
+  const list = brands ? [].concat(brands) : await Brand.find().select('pricesIncludeTax');
+  let updated = 0;
+  for (const brand of list) {
+    const value = typeof brand.pricesIncludeTax === 'boolean' ? brand.pricesIncludeTax : null;
+    const cursor = this.find({ brandId: brand._id, brandPricesIncludeTax: { $ne: value } }).cursor();
+    for await (const product of cursor) {
+      product.brandPricesIncludeTax = value;
+      try {
+        await product.save();
+        updated += 1;
+      } catch (err) {
+        console.error(`❌ Re-rating product ${product._id} failed:`, err.message);
+      }
+    }
+  }
+  if (updated) console.log(`🧮 Re-rated ${updated} product(s) for the brand tax setting`);
+  return updated;
+};
+
 // Static method to get products by category with tax info
 ProductSchema.statics.findWithTaxInfo = function(filter = {}) {
   return this.find(filter).select('+gstRate +hsnCode +taxAmount +priceIncludingTax');
@@ -270,6 +426,9 @@ ProductSchema.index({ featured: 1, bestseller: 1, newArrival: 1 });
 ProductSchema.index({ 'attributes.material': 1 });
 ProductSchema.index({ tags: 1 });
 ProductSchema.index({ stock: 1, status: 1 });
+ProductSchema.index({ vendorId: 1, status: 1 });
+ProductSchema.index({ status: 1, 'approval.submittedAt': 1 });
+ProductSchema.index({ 'variants.sku': 1 });
 
 // Text index for search
 ProductSchema.index({ 
@@ -278,4 +437,6 @@ ProductSchema.index({
   tags: 'text' 
 });
 
-module.exports = model('Product', ProductSchema);
+const Product = model('Product', ProductSchema);
+
+module.exports = Product;
@@ -0,0 +1,13 @@
+const { Schema, model } = require('mongoose');
+
+// Fixed-window counters shared by every instance, e.g. OTP sends per email per hour.
+// `key` includes the window start, so a new window starts a new row.
+const RateLimitSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('RateLimit', RateLimitSchema);
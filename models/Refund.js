@@ -0,0 +1,38 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One row per Razorpay refund against an order's payment. Created as 'pending'
+// before the API call; the refund.processed / refund.failed webhooks settle it.
+const RefundSchema = new Schema(
+  {
+    order: { type: Types.ObjectId, ref: 'Order', required: true, index: true },
+    user: { type: Types.ObjectId, ref: 'User', required: true, index: true },
+    // Set when the refund settles a return (RMA)
+    returnRequest: { type: Types.ObjectId, ref: 'ReturnRequest' },
+
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, default: 'INR' },
+    // Requested speed; Razorpay reports the speed actually used in speedProcessed
+    speed: { type: String, enum: ['normal', 'optimum'], default: 'normal' },
+    speedProcessed: { type: String },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending',
+      index: true
+    },
+
+    razorpayPaymentId: { type: String, required: true },
+    razorpayRefundId: { type: String, unique: true, sparse: true },
+
+    reason: { type: String },
+    initiatedBy: { type: String }, // customer, admin, system, razorpay_dashboard
+    processedAt: { type: Date },
+    failedAt: { type: Date },
+    failureReason: { type: String }
+  },
+  { timestamps: true }
+);
+
+RefundSchema.index({ order: 1, status: 1 });
+
+module.exports = model('Refund', RefundSchema);
@@ -0,0 +1,110 @@
+const { Schema, model, Types } = require('mongoose');
+
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'size_issue',
+  'not_as_described',
+  'quality_issue',
+  'changed_mind',
+  'other'
+];
+
+// requested -> approved -> pickup_scheduled -> received -> refunded
+//           \-> rejected            (customer may cancel while requested)
+const RETURN_STATUSES = [
+  'requested',
+  'approved',
+  'rejected',
+  'cancelled',
+  'pickup_scheduled',
+  'received',
+  'refunded'
+];
+
+const ReverseShipmentSchema = new Schema(
+  {
+    shipyaariOrderId: { type: String },
+    awbNumber: { type: String },
+    courierPartner: { type: String },
+    trackingUrl: { type: String },
+    bookedAt: { type: Date },
+    error: { type: String }
+  },
+  { _id: false }
+);
+
+const ReturnRefundSchema = new Schema(
+  {
+    amount: { type: Number, min: 0 },
+    razorpayRefundId: { type: String },
+    refundRecord: { type: Types.ObjectId, ref: 'Refund' },
+    // manual: order had no online payment (e.g. COD), settle outside Razorpay
+    status: { type: String, enum: ['pending', 'processed', 'failed', 'manual'] },
+    processedAt: { type: Date },
+    error: { type: String }
+  },
+  { _id: false }
+);
+
+// One return (RMA) per order line; quantity may be less than what was ordered
+const ReturnRequestSchema = new Schema(
+  {
+    rmaNumber: { type: String, unique: true },
+    order: { type: Types.ObjectId, ref: 'Order', required: true, index: true },
+    user: { type: Types.ObjectId, ref: 'User', required: true, index: true },
+
+    // Snapshot of the returned order line
+    item: {
+      product: { type: Types.ObjectId, ref: 'Product', required: true },
+      variant: { type: Types.ObjectId },
+      title: { type: String, required: true },
+      sku: { type: String },
+      image: { type: String },
+      price: { type: Number, required: true, min: 0 },
+      quantity: { type: Number, required: true, min: 1 }
+    },
+
+    reason: { type: String, enum: RETURN_REASONS, required: true },
+    comment: { type: String, trim: true },
+    photos: [{ type: String }],
+
+    status: { type: String, enum: RETURN_STATUSES, default: 'requested', index: true },
+    rejectionReason: { type: String },
+    adminNotes: { type: String },
+
+    reverseShipment: { type: ReverseShipmentSchema },
+    receivedAt: { type: Date },
+    restocked: { type: Boolean, default: false },
+    refund: { type: ReturnRefundSchema },
+
+    statusHistory: [{
+      status: { type: String },
+      timestamp: { type: Date, default: Date.now },
+      updatedBy: { type: String },
+      notes: { type: String }
+    }]
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.pre('save', function(next) {
+  if (!this.rmaNumber) {
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.rmaNumber = `RMA-${Date.now()}-${random}`;
+  }
+  next();
+});
+
+ReturnRequestSchema.methods.addHistory = function(status, updatedBy, notes) {
+  this.status = status;
+  this.statusHistory.push({ status, timestamp: new Date(), updatedBy, notes });
+};
+
+ReturnRequestSchema.index({ order: 1, 'item.product': 1, 'item.variant': 1 });
+
+ReturnRequestSchema.statics.REASONS = RETURN_REASONS;
+ReturnRequestSchema.statics.STATUSES = RETURN_STATUSES;
+
+module.exports = model('ReturnRequest', ReturnRequestSchema);
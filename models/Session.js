@@ -0,0 +1,31 @@
+const { Schema, model, Types } = require('mongoose');
+
+// One signed-in device. The refresh token is `<session id>.<secret>`; only a hash
+// of the current secret is kept and every refresh rotates it, so presenting an
+// older secret of a live session means the token was copied (services/sessionService).
+const SessionSchema = new Schema(
+  {
+    user: { type: Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true },
+    rotations: { type: Number, default: 0 },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    // Sliding: pushed out on every refresh. Expired rows are removed by the TTL index.
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'reuse_detected', 'deactivated', 'password_reset', 'revoked']
+    }
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = model('Session', SessionSchema);
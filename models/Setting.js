@@ -0,0 +1,30 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Runtime switches changed from the admin panel, one row per key
+// (e.g. 'admin_two_factor_required')
+const SettingSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: Schema.Types.Mixed },
+    updatedBy: { type: Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+/**
+ * @param {string} key
+ * @param {*} [fallback] - when the key was never set
+ */
+SettingSchema.statics.getValue = async function(key, fallback) {
+  const row = await this.findOne({ key }).lean();
+  return row ? row.value : fallback;
+};
+
+/**
+ * @returns {Promise<import('mongoose').Document>} the saved row
+ */
+SettingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate({ key }, { value, updatedBy }, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+module.exports = model('Setting', SettingSchema);
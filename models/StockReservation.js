@@ -0,0 +1,32 @@
+const { Schema, model, Types } = require('mongoose');
+
+// Units held against Product.stock while an order is awaiting payment.
+// Each active reservation is mirrored in Product.reservedStock; the inventory
+// service keeps both in sync when reservations are committed or released.
+const StockReservationSchema = new Schema(
+  {
+    product: { type: Types.ObjectId, ref: 'Product', required: true, index: true },
+    // Product.variants subdocument id, for products sold per variant
+    variant: { type: Types.ObjectId },
+    order: { type: Types.ObjectId, ref: 'Order', required: true, index: true },
+    user: { type: Types.ObjectId, ref: 'User' },
+    quantity: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: ['active', 'committed', 'released', 'expired'],
+      default: 'active',
+      index: true
+    },
+    expiresAt: { type: Date, required: true },
+    committedAt: { type: Date },
+    releasedAt: { type: Date },
+    releaseReason: { type: String }
+  },
+  { timestamps: true }
+);
+
+// Sweeper lookup: active reservations past their expiry
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+StockReservationSchema.index({ product: 1, status: 1 });
+
+module.exports = model('StockReservation', StockReservationSchema);
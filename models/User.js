@@ -45,10 +45,29 @@ const UserSchema = new Schema(
     role: { type: String, enum: ['customer', 'vendor', 'admin'], default: 'customer', index: true },
     isActive: { type: Boolean, default: true },
     phone: { type: String, trim: true },
+    // Set by the SMS check at /api/users/me/phone/verify (phone is then E.164);
+    // changing the number clears it
+    phoneVerified: { type: Boolean, default: false },
+    phoneVerifiedAt: { type: Date },
     addresses: { type: [AddressSchema], default: [] },
     googleId: { type: String, unique: true, sparse: true },
-    authProvider: { type: String, enum: ['local', 'google'], default: 'local' },
+    googleLinkedAt: { type: Date },
+    // How the account was created; linked sign-in methods are passwordHash and googleId.
+    // 'email': created by passwordless OTP login, no password yet
+    authProvider: { type: String, enum: ['local', 'google', 'email'], default: 'local' },
     avatar: { type: String, trim: true },
+    // TOTP second factor for admins and vendors (services/twoFactorService).
+    // Secrets are encrypted and never selected unless asked for.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // Secret shown at setup, kept here until the first code confirms it
+      pendingSecret: { type: String, select: false },
+      // Time step of the last accepted code, so a code can't be replayed
+      lastUsedStep: { type: Number, select: false },
+      backupCodes: { type: [{ _id: false, codeHash: String, usedAt: Date }], select: false },
+    },
   },
   { timestamps: true }
 );
@@ -99,4 +118,7 @@ UserSchema.pre('save', async function(next) {
   }
 });
 
+// A verified number signs in and resets passwords by SMS, so it belongs to one account
+UserSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
+
 module.exports = model('User', UserSchema);
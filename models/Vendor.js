@@ -1,5 +1,36 @@
 const { Schema, model, Types } = require('mongoose');
 
+// Geocoding service for the pickup address coordinates
+const geocodingService = require('../services/geocodingService');
+
+const DOCUMENT_TYPES = ['gst_certificate', 'pan_card', 'cancelled_cheque', 'address_proof', 'other'];
+const KYC_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+// What a reviewer ticks off before approving; see services/kycService
+const KYC_CHECKLIST = ['gstin', 'pan', 'bankAccount', 'pickupAddress', 'documents'];
+
+// KYC upload stored in Cloudinary
+const VendorDocumentSchema = new Schema(
+  {
+    type: { type: String, enum: DOCUMENT_TYPES, required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, required: true },
+    fileName: { type: String },
+    uploadedAt: { type: Date, default: Date.now }
+  }
+);
+
+const KycReviewSchema = new Schema(
+  {
+    decision: { type: String, enum: ['approved', 'rejected'], required: true },
+    checklist: KYC_CHECKLIST.reduce((acc, key) => ({ ...acc, [key]: { type: Boolean, default: false } }), {}),
+    reasons: [{ type: String, trim: true }],
+    notes: { type: String, trim: true },
+    reviewedBy: { type: Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const VendorSchema = new Schema(
   {
     userId: { type: Types.ObjectId, ref: 'User', required: true, unique: true, index: true },
@@ -7,10 +38,70 @@ const VendorSchema = new Schema(
     businessName: { type: String, trim: true },
     status: { type: String, enum: ['pending', 'approved', 'suspended'], default: 'pending' },
     phone: { type: String },
-    gstNumber: { type: String },
+    // GSTIN and PAN are checked by services/kycService before they are stored
+    gstNumber: { type: String, trim: true, uppercase: true },
+    pan: { type: String, trim: true, uppercase: true },
     address: { type: String },
+    // Payouts go to this account
+    bankAccount: {
+      accountHolderName: { type: String, trim: true },
+      accountNumber: { type: String, trim: true },
+      ifsc: { type: String, trim: true, uppercase: true },
+      bankName: { type: String, trim: true }
+    },
+    // Where couriers collect this vendor's parcels; required before their products can be ordered
+    pickupAddress: {
+      fullAddress: { type: String, trim: true },
+      pincode: { type: Number },
+      city: { type: String, trim: true },
+      state: { type: String, trim: true },
+      country: { type: String, default: 'India' },
+      contactName: { type: String, trim: true },
+      mobile: { type: Number },
+      latitude: { type: String },
+      longitude: { type: String },
+      geocodingStatus: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' }
+    },
+    documents: { type: [VendorDocumentSchema], default: [] },
+    // Onboarding review. A vendor fills in KYC while 'draft' (or 'rejected'), submits it,
+    // and an admin approves (vendor goes live) or rejects it with reasons
+    kyc: {
+      status: { type: String, enum: KYC_STATUSES, default: 'draft', index: true },
+      submittedAt: { type: Date },
+      lastReview: { type: KycReviewSchema },
+      reviews: { type: [KycReviewSchema], default: [] }
+    },
   },
   { timestamps: true }
 );
 
+VendorSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+VendorSchema.statics.KYC_STATUSES = KYC_STATUSES;
+VendorSchema.statics.KYC_CHECKLIST = KYC_CHECKLIST;
+
+// Geocode the pickup address whenever its location changes
+const PICKUP_LOCATION_FIELDS = ['fullAddress', 'pincode', 'city', 'state', 'country'];
+VendorSchema.pre('save', async function(next) {
+  try {
+    const pickup = this.pickupAddress;
+    const moved = PICKUP_LOCATION_FIELDS.some((field) => this.isModified(`pickupAddress.${field}`));
+    if (moved && pickup?.fullAddress && pickup.pincode) {
+      const coords = await geocodingService.getCoordinatesFromAddress({
+        addressLine1: pickup.fullAddress,
+        city: pickup.city,
+        state: pickup.state,
+        postalCode: pickup.pincode.toString(),
+        country: pickup.country
+      });
+      pickup.latitude = coords ? coords.latitude : undefined;
+      pickup.longitude = coords ? coords.longitude : undefined;
+      pickup.geocodingStatus = coords ? 'success' : 'failed';
+    }
+    next();
+  } catch (error) {
+    console.error('Vendor pickup geocoding error:', error);
+    next();
+  }
+});
+
 module.exports = model('Vendor', VendorSchema);
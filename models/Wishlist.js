@@ -4,16 +4,26 @@ const wishlistSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+    // Optional Product.variants entry (e.g. the size/color the shopper picked)
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
   },
   { timestamps: true }
 );
 
-// each user can wishlist a product only once
-wishlistSchema.index({ user: 1, product: 1 }, { unique: true });
+// each user can wishlist a product variant only once
+// (replaces the old user_1_product_1 index, dropped by Wishlist.migrateIndexes at startup)
+wishlistSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
 
 wishlistSchema.pre(/^find/, function(next) {
-  this.populate({ path: 'product', select: 'title price images slug brandId categoryId subcategoryId' });
+  this.populate({ path: 'product', select: 'title price images slug brandId categoryId subcategoryId variants' });
   next();
 });
 
+// Drop indexes whose keys changed and build the current ones (see CartItem.migrateIndexes)
+wishlistSchema.statics.migrateIndexes = async function() {
+  const dropped = await this.syncIndexes();
+  if (dropped.length) console.log(`🗂️ Dropped stale wishlist indexes: ${dropped.join(', ')}`);
+  return dropped;
+};
+
 module.exports = mongoose.model('Wishlist', wishlistSchema);
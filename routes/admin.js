@@ -1,4 +1,5 @@
 const express = require('express');
+const { Types: { ObjectId } } = require('mongoose');
 const Brand = require('../models/Brand');
 const Category = require('../models/Category');
 const Subcategory = require('../models/Subcategory');
@@ -6,7 +7,24 @@ const Product = require('../models/Product');
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
 const Admin = require('../models/Admin');
-const { authRequired, requireRoles } = require('../middleware/auth');
+const StockReservation = require('../models/StockReservation');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const EmailOutbox = require('../models/EmailOutbox');
+const notificationService = require('../services/notificationService');
+const vendorService = require('../services/vendorService');
+const CommissionRule = require('../models/CommissionRule');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutCycle = require('../models/PayoutCycle');
+const AuditLog = require('../models/AuditLog');
+const Setting = require('../models/Setting');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const kycService = require('../services/kycService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { authRequired, requireRoles, requirePermission, requireSuperAdmin } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
@@ -43,26 +61,26 @@ const slugify = (str) =>
     .replace(/-+/g, '-');
 
 // POST /api/admin/brands - create brand
-router.post('/brands', async (req, res, next) => {
+router.post('/brands', requirePermission('brands:write'), audit('brand.create', Brand), async (req, res, next) => {
   try {
-    const { name, slug, description, active } = req.body;
+    const { name, slug, description, active, pricesIncludeTax } = req.body;
     if (!name) return res.status(400).json({ message: 'Name is required' });
 
     const finalSlug = (slug && slug.trim()) ? slugify(slug) : slugify(name);
     const exists = await Brand.findOne({ slug: finalSlug });
     if (exists) return res.status(409).json({ message: 'Slug already exists' });
 
-    const brand = await Brand.create({ name, slug: finalSlug, description, active });
+    const brand = await Brand.create({ name, slug: finalSlug, description, active, pricesIncludeTax });
     res.status(201).json({ data: brand });
   } catch (err) { next(err); }
 });
 
 // PATCH /api/admin/brands/:id - update brand
-router.patch('/brands/:id', async (req, res, next) => {
+router.patch('/brands/:id', requirePermission('brands:write'), audit('brand.update', Brand), async (req, res, next) => {
   try {
     const { id } = req.params;
     const updates = {};
-    const allowed = ['name', 'slug', 'description', 'active'];
+    const allowed = ['name', 'slug', 'description', 'active', 'pricesIncludeTax'];
     for (const key of allowed) {
       if (key in req.body) updates[key] = key === 'slug' ? slugify(req.body[key]) : req.body[key];
     }
@@ -71,12 +89,14 @@ router.patch('/brands/:id', async (req, res, next) => {
 
     const brand = await Brand.findByIdAndUpdate(id, updates, { new: true });
     if (!brand) return res.status(404).json({ message: 'Brand not found' });
+    // Products following the brand are re-rated with the new tax mode
+    if ('pricesIncludeTax' in updates) await Product.syncBrandTaxSettings(brand);
     res.json({ data: brand });
   } catch (err) { next(err); }
 });
 
 // DELETE /api/admin/brands/:id - delete brand
-router.delete('/brands/:id', async (req, res, next) => {
+router.delete('/brands/:id', requirePermission('brands:write'), audit('brand.delete', Brand), async (req, res, next) => {
   try {
     const { id } = req.params;
     const brand = await Brand.findById(id);
@@ -91,7 +111,7 @@ module.exports = router;
  
 // DELETE /api/admin/users/:id - delete a user (admin)
 // Note: if the user is a vendor, also remove vendor profile
-router.delete('/users/:id', async (req, res, next) => {
+router.delete('/users/:id', requirePermission('users:write'), audit('user.delete', User), async (req, res, next) => {
   try {
     const { id } = req.params;
     const user = await User.findById(id);
@@ -101,6 +121,9 @@ router.delete('/users/:id', async (req, res, next) => {
       await Vendor.deleteOne({ userId: user._id });
     }
     if (user.role === 'admin') {
+      // req.admin was loaded by requirePermission
+      if (!req.admin.isSuperAdmin) return res.status(403).json({ message: 'Only a super admin can remove admins' });
+      if (user._id.toString() === req.user.sub) return res.status(409).json({ message: 'You cannot delete your own account' });
       await Admin.deleteOne({ userId: user._id });
     }
 
@@ -109,9 +132,141 @@ router.delete('/users/:id', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// PATCH /api/admin/users/:id/status - { isActive } deactivate or reactivate an account;
+// deactivation signs the user out of every device
+router.patch('/users/:id/status', requirePermission('users:write'), audit('user.status', User), async (req, res, next) => {
+  try {
+    const { isActive } = req.body || {};
+    if (typeof isActive !== 'boolean') return res.status(400).json({ message: 'isActive must be a boolean' });
+
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.role === 'admin' && !req.admin.isSuperAdmin) {
+      return res.status(403).json({ message: 'Only a super admin can deactivate admins' });
+    }
+    if (user._id.toString() === req.user.sub) return res.status(409).json({ message: 'You cannot deactivate your own account' });
+
+    user.isActive = isActive;
+    await user.save();
+    const revokedSessions = isActive ? 0 : await sessionService.revokeAllSessions(user._id, 'deactivated');
+    res.json({ data: { id: user._id, email: user.email, role: user.role, isActive: user.isActive }, revokedSessions });
+  } catch (err) { next(err); }
+});
+
+// DELETE /api/admin/users/:id/two-factor - remove 2FA from an account that lost its
+// authenticator and backup codes; the user enrolls again
+router.delete('/users/:id/two-factor', requirePermission('users:write'), audit('user.two_factor_reset', User), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.role === 'admin' && !req.admin.isSuperAdmin) {
+      return res.status(403).json({ message: 'Only a super admin can reset an admin\'s two-factor authentication' });
+    }
+    if (user._id.toString() === req.user.sub) {
+      return res.status(409).json({ message: 'Use /api/auth/2fa/disable for your own account' });
+    }
+
+    const wasEnabled = await twoFactorService.reset(user._id);
+    if (!wasEnabled) return res.status(404).json({ message: 'Two-factor authentication is not enabled for this user' });
+    res.json({ data: { id: user._id, email: user.email, role: user.role, twoFactorEnabled: false } });
+  } catch (err) { next(err); }
+});
+
+// ===== Admin accounts and permissions =====
+// GET /api/admin/me - own admin profile and effective permissions (any admin)
+router.get('/me', async (req, res, next) => {
+  try {
+    const admin = await Admin.findOne({ userId: req.user.sub }).select('-__v');
+    if (!admin) return res.status(403).json({ message: 'No admin profile for this account' });
+    const permissions = admin.isSuperAdmin ? Admin.PERMISSIONS : admin.permissions;
+    res.json({ data: { ...admin.toObject(), permissions } });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/permissions - the permission catalogue (any admin)
+router.get('/permissions', (req, res) => {
+  res.json({ data: Admin.PERMISSIONS });
+});
+
+// GET /api/admin/admins - all admin profiles (super admin)
+router.get('/admins', requireSuperAdmin, async (req, res, next) => {
+  try {
+    const admins = await Admin.find()
+      .populate('userId', 'name email isActive twoFactor.enabled')
+      .select('-__v')
+      .sort({ createdAt: 1 });
+    res.json({ data: admins });
+  } catch (err) { next(err); }
+});
+
+// PATCH /api/admin/admins/:id/permissions - { permissions: [...], isSuperAdmin } (super admin).
+// permissions replaces the list; a super admin can't demote themselves, so one always remains.
+router.patch('/admins/:id/permissions', requireSuperAdmin, audit('admin.permissions', Admin), async (req, res, next) => {
+  try {
+    const { permissions, isSuperAdmin } = req.body || {};
+    if (permissions === undefined && isSuperAdmin === undefined) {
+      return res.status(400).json({ message: 'No fields to update' });
+    }
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) return res.status(400).json({ message: 'permissions must be an array' });
+      const unknown = permissions.filter((p) => !Admin.PERMISSIONS.includes(p));
+      if (unknown.length) return res.status(400).json({ message: `Unknown permission: ${unknown.join(', ')}` });
+    }
+    if (isSuperAdmin !== undefined && typeof isSuperAdmin !== 'boolean') {
+      return res.status(400).json({ message: 'isSuperAdmin must be a boolean' });
+    }
+
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+    if (isSuperAdmin === false && admin.userId.toString() === req.user.sub) {
+      return res.status(409).json({ message: 'You cannot remove your own super admin access' });
+    }
+
+    if (permissions !== undefined) admin.permissions = [...new Set(permissions)];
+    if (isSuperAdmin !== undefined) admin.isSuperAdmin = isSuperAdmin;
+    await admin.save();
+    await admin.populate('userId', 'name email isActive');
+    res.json({ data: admin });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/security/two-factor - enforcement switch and which admins have 2FA (super admin)
+router.get('/security/two-factor', requireSuperAdmin, async (req, res, next) => {
+  try {
+    const [requiredForAdmins, admins] = await Promise.all([
+      twoFactorService.isRequiredForAdmins(),
+      Admin.find().populate('userId', 'name email isActive twoFactor.enabled').sort({ createdAt: 1 })
+    ]);
+    const data = admins.map((admin) => ({
+      id: admin._id,
+      userId: admin.userId?._id,
+      displayName: admin.displayName,
+      email: admin.userId?.email,
+      isSuperAdmin: admin.isSuperAdmin,
+      twoFactorEnabled: !!admin.userId?.twoFactor?.enabled
+    }));
+    res.json({ requiredForAdmins, data });
+  } catch (err) { next(err); }
+});
+
+// PUT /api/admin/security/two-factor - { requiredForAdmins } (super admin). While on, admins
+// without 2FA are refused by every admin route until they enroll at /api/auth/2fa/setup.
+router.put('/security/two-factor', requireSuperAdmin, audit('security.two_factor', Setting), async (req, res, next) => {
+  try {
+    const { requiredForAdmins } = req.body || {};
+    if (typeof requiredForAdmins !== 'boolean') return res.status(400).json({ message: 'requiredForAdmins must be a boolean' });
+    const setting = await twoFactorService.setRequiredForAdmins(requiredForAdmins, req.user.sub);
+    const missing = await User.countDocuments({ role: 'admin', isActive: true, 'twoFactor.enabled': { $ne: true } });
+    res.json({ data: setting, adminsWithoutTwoFactor: missing });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+});
+
 // ===== Categories (per brand) =====
 // POST /api/admin/brands/:brandId/categories - create category for a brand
-router.post('/brands/:brandId/categories', async (req, res, next) => {
+router.post('/brands/:brandId/categories', requirePermission('categories:write'), audit('category.create', Category), async (req, res, next) => {
   try {
     const { brandId } = req.params;
     const { name, slug, image } = req.body;
@@ -130,7 +285,7 @@ router.post('/brands/:brandId/categories', async (req, res, next) => {
 });
 
 // PATCH /api/admin/brands/:brandId/categories/:id - update category for a brand
-router.patch('/brands/:brandId/categories/:id', async (req, res, next) => {
+router.patch('/brands/:brandId/categories/:id', requirePermission('categories:write'), audit('category.update', Category), async (req, res, next) => {
   try {
     const { brandId, id } = req.params;
     const updates = {};
@@ -151,7 +306,7 @@ router.patch('/brands/:brandId/categories/:id', async (req, res, next) => {
 });
 
 // DELETE /api/admin/brands/:brandId/categories/:id - delete category for a brand
-router.delete('/brands/:brandId/categories/:id', async (req, res, next) => {
+router.delete('/brands/:brandId/categories/:id', requirePermission('categories:write'), audit('category.delete', Category), async (req, res, next) => {
   try {
     const { brandId, id } = req.params;
 
@@ -169,7 +324,7 @@ router.delete('/brands/:brandId/categories/:id', async (req, res, next) => {
 
 // ===== Subcategories (per brand & category) =====
 // POST /api/admin/brands/:brandId/categories/:categoryId/subcategories - create subcategory
-router.post('/brands/:brandId/categories/:categoryId/subcategories', async (req, res, next) => {
+router.post('/brands/:brandId/categories/:categoryId/subcategories', requirePermission('categories:write'), audit('subcategory.create', Subcategory), async (req, res, next) => {
   try {
     const { brandId, categoryId } = req.params;
     const { name, slug, image } = req.body;
@@ -190,7 +345,7 @@ router.post('/brands/:brandId/categories/:categoryId/subcategories', async (req,
 });
 
 // PATCH /api/admin/brands/:brandId/categories/:categoryId/subcategories/:id - update subcategory
-router.patch('/brands/:brandId/categories/:categoryId/subcategories/:id', async (req, res, next) => {
+router.patch('/brands/:brandId/categories/:categoryId/subcategories/:id', requirePermission('categories:write'), audit('subcategory.update', Subcategory), async (req, res, next) => {
   try {
     const { brandId, categoryId, id } = req.params;
     const updates = {};
@@ -213,7 +368,7 @@ router.patch('/brands/:brandId/categories/:categoryId/subcategories/:id', async
 });
 
 // DELETE /api/admin/brands/:brandId/categories/:categoryId/subcategories/:id - delete subcategory
-router.delete('/brands/:brandId/categories/:categoryId/subcategories/:id', async (req, res, next) => {
+router.delete('/brands/:brandId/categories/:categoryId/subcategories/:id', requirePermission('categories:write'), audit('subcategory.delete', Subcategory), async (req, res, next) => {
   try {
     const { brandId, categoryId, id } = req.params;
 
@@ -233,7 +388,7 @@ router.delete('/brands/:brandId/categories/:categoryId/subcategories/:id', async
 
 // ===== Products (per brand, category, subcategory) =====
 // POST /api/admin/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products - create product
-router.post('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products', async (req, res, next) => {
+router.post('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products', requirePermission('products:write'), audit('product.create', Product), async (req, res, next) => {
   try {
     const { brandId, categoryId, subcategoryId } = req.params;
     const {
@@ -250,9 +405,13 @@ router.post('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryI
       dimensionsCm,
       hsnCode,
       gstRate,
+      pricesIncludeTax,
       // classification & attributes
       productType,
       attributes,
+      // variants
+      variantOptions,
+      variants,
       // inventory & lifecycle
       stock,
       lowStockThreshold,
@@ -299,9 +458,13 @@ router.post('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryI
       dimensionsCm,
       hsnCode,
       gstRate,
+      pricesIncludeTax,
       // classification & attributes
       productType,
       attributes,
+      // variants
+      variantOptions,
+      variants,
       // inventory & lifecycle
       stock,
       lowStockThreshold,
@@ -319,11 +482,14 @@ router.post('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryI
       metaKeywords,
     });
     res.status(201).json({ data: product });
-  } catch (err) { next(err); }
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
 });
 
 // PATCH /api/admin/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products/:id - update product
-router.patch('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products/:id', async (req, res, next) => {
+router.patch('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products/:id', requirePermission('products:write'), audit('product.update', Product), async (req, res, next) => {
   try {
     const { brandId, categoryId, subcategoryId, id } = req.params;
 
@@ -353,6 +519,7 @@ router.patch('/brands/:brandId/categories/:categoryId/subcategories/:subcategory
       'dimensionsCm',
       'hsnCode',
       'gstRate',
+      'pricesIncludeTax',
       // classification & attributes
       'productType',
       'attributes',
@@ -439,7 +606,7 @@ router.patch('/brands/:brandId/categories/:categoryId/subcategories/:subcategory
 });
 
 // DELETE /api/admin/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products/:id - delete product
-router.delete('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products/:id', async (req, res, next) => {
+router.delete('/brands/:brandId/categories/:categoryId/subcategories/:subcategoryId/products/:id', requirePermission('products:write'), audit('product.delete', Product), async (req, res, next) => {
   try {
     const { brandId, categoryId, subcategoryId, id } = req.params;
 
@@ -459,9 +626,71 @@ router.delete('/brands/:brandId/categories/:categoryId/subcategories/:subcategor
   } catch (err) { next(err); }
 });
 
+// ===== Product variants =====
+// Variants are edited through the product document (not findOneAndUpdate) so the
+// matrix validation and the product level stock/price roll-up in Product hooks run.
+const variantFields = ['sku', 'optionValues', 'price', 'compareAtPrice', 'stock', 'images', 'weightKg', 'isActive'];
+
+const sendVariantError = (err, res, next) => {
+  if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+  return next(err);
+};
+
+// POST /api/admin/products/:id/variants - add a variant
+router.post('/products/:id/variants', requirePermission('products:write'), audit('product.variant_create', Product), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const data = {};
+    for (const key of variantFields) if (key in req.body) data[key] = req.body[key];
+    product.variants.push(data);
+    await product.save();
+
+    res.status(201).json({ data: product.variants[product.variants.length - 1], product });
+  } catch (err) { sendVariantError(err, res, next); }
+});
+
+// PATCH /api/admin/products/:id/variants/:variantId - update a variant
+// (reservedStock is owned by checkout and can't be edited here)
+router.patch('/products/:id/variants/:variantId', requirePermission('products:write'), audit('product.variant_update', Product), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant) return res.status(404).json({ message: 'Variant not found' });
+
+    for (const key of variantFields) if (key in req.body) variant.set(key, req.body[key]);
+    await product.save();
+
+    res.json({ data: variant, product });
+  } catch (err) { sendVariantError(err, res, next); }
+});
+
+// DELETE /api/admin/products/:id/variants/:variantId - remove a variant
+// Variants with units held by pending checkouts are deactivated instead.
+router.delete('/products/:id/variants/:variantId', requirePermission('products:write'), audit('product.variant_delete', Product), async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant) return res.status(404).json({ message: 'Variant not found' });
+
+    if (variant.reservedStock > 0) {
+      variant.isActive = false;
+      await product.save();
+      return res.json({ message: 'Variant has reserved stock; deactivated instead of deleted', data: variant });
+    }
+
+    variant.deleteOne();
+    await product.save();
+    res.status(204).send();
+  } catch (err) { sendVariantError(err, res, next); }
+});
+
 // ===== Admin Product Listing Endpoints =====
 // GET /api/admin/brands/:brandSlug/products - get products for a brand (admin)
-router.get('/brands/:brandSlug/products', async (req, res, next) => {
+router.get('/brands/:brandSlug/products', requirePermission('products:read'), async (req, res, next) => {
   try {
     const { brandSlug } = req.params;
     
@@ -482,7 +711,7 @@ router.get('/brands/:brandSlug/products', async (req, res, next) => {
 });
 
 // GET /api/admin/brands/:brandSlug/categories/:categorySlug/products - get products for a category (admin)
-router.get('/brands/:brandSlug/categories/:categorySlug/products', async (req, res, next) => {
+router.get('/brands/:brandSlug/categories/:categorySlug/products', requirePermission('products:read'), async (req, res, next) => {
   try {
     const { brandSlug, categorySlug } = req.params;
     
@@ -508,7 +737,7 @@ router.get('/brands/:brandSlug/categories/:categorySlug/products', async (req, r
 });
 
 // GET /api/admin/brands/:brandSlug/categories/:categorySlug/subcategories/:subcategorySlug/products - get products for a subcategory (admin)
-router.get('/brands/:brandSlug/categories/:categorySlug/subcategories/:subcategorySlug/products', async (req, res, next) => {
+router.get('/brands/:brandSlug/categories/:categorySlug/subcategories/:subcategorySlug/products', requirePermission('products:read'), async (req, res, next) => {
   try {
     const { brandSlug, categorySlug, subcategorySlug } = req.params;
     
@@ -540,7 +769,7 @@ router.get('/brands/:brandSlug/categories/:categorySlug/subcategories/:subcatego
 });
 
 // GET /api/admin/products - get all products across all brands (admin)
-router.get('/products', async (req, res, next) => {
+router.get('/products', requirePermission('products:read'), async (req, res, next) => {
   try {
     const { brand, category, subcategory } = req.query;
 
@@ -573,7 +802,238 @@ router.get('/products', async (req, res, next) => {
     });
   } catch (err) { next(err); }
 });
-router.get("/users/all",async(req,res,next)=>{
+
+// ===== Vendor product approval =====
+// GET /api/admin/products/approval-queue?page=&limit= - vendor products awaiting approval, oldest submission first
+router.get('/products/approval-queue', requirePermission('products:read'), async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { status: 'pending_approval' };
+
+    const [items, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ 'approval.submittedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('vendorId', 'displayName businessName status')
+        .populate('brandId', 'name slug')
+        .populate('categoryId', 'name slug')
+        .populate('subcategoryId', 'name slug')
+        .select('-__v'),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({ data: items, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+const reviewQueuedProduct = (approve) => async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    vendorService.reviewProduct(product, { approve, reviewedBy: req.user.sub, reason: req.body?.reason });
+    await product.save();
+    res.json({ data: product });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+};
+
+// POST /api/admin/products/:id/approve - put a queued product live
+router.post('/products/:id/approve', requirePermission('products:write'), audit('product.approve', Product), reviewQueuedProduct(true));
+
+// POST /api/admin/products/:id/reject - send it back to the vendor as a draft ({ reason } required)
+router.post('/products/:id/reject', requirePermission('products:write'), audit('product.reject', Product), reviewQueuedProduct(false));
+
+// ===== Stock Reservations =====
+// GET /api/admin/reservations - active checkout reservations grouped per product (admin)
+router.get('/reservations', requirePermission('products:read'), async (req, res, next) => {
+  try {
+    const summary = await StockReservation.aggregate([
+      { $match: { status: 'active' } },
+      {
+        $group: {
+          _id: '$product',
+          reservedQuantity: { $sum: '$quantity' },
+          reservations: { $sum: 1 },
+          nextExpiry: { $min: '$expiresAt' }
+        }
+      },
+      { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+      { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          title: '$product.title',
+          sku: '$product.sku',
+          stock: '$product.stock',
+          reservedStock: '$product.reservedStock',
+          reservedQuantity: 1,
+          reservations: 1,
+          nextExpiry: 1
+        }
+      },
+      { $sort: { reservedQuantity: -1 } }
+    ]);
+
+    res.json({ data: summary });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/products/:id/reservations - active reservations for one product (admin)
+router.get('/products/:id/reservations', requirePermission('products:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const product = await Product.findById(id).select('title sku stock reservedStock');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const reservations = await StockReservation.find({ product: id, status: 'active' })
+      .populate('order', 'orderId orderNumber status totalPrice')
+      .populate('user', 'name email')
+      .sort({ expiresAt: 1 })
+      .select('-__v');
+
+    res.json({
+      data: {
+        product,
+        availableStock: product.availableStock,
+        reservations
+      }
+    });
+  } catch (err) { next(err); }
+});
+
+// ===== Coupons =====
+const couponFields = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'brandIds',
+  'categoryIds',
+  'minCartValue',
+  'startsAt',
+  'endsAt',
+  'isActive',
+  'usageLimit',
+  'perUserLimit'
+];
+
+// GET /api/admin/coupons - list coupons (admin), optional ?active=true|false
+router.get('/coupons', requirePermission('coupons:read'), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).select('-__v');
+    res.json({ data: coupons });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/coupons/:id - coupon details with redemption stats (admin)
+router.get('/coupons/:id', requirePermission('coupons:read'), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).select('-__v');
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const [redemptions, totals] = await Promise.all([
+      CouponRedemption.find({ coupon: coupon._id })
+        .populate('user', 'name email')
+        .populate('order', 'orderNumber status totalPrice')
+        .sort({ createdAt: -1 })
+        .limit(50),
+      CouponRedemption.aggregate([
+        { $match: { coupon: coupon._id, status: 'applied' } },
+        { $group: { _id: null, count: { $sum: 1 }, totalDiscount: { $sum: '$discount' } } }
+      ])
+    ]);
+
+    res.json({
+      data: coupon,
+      stats: { redemptions: totals[0]?.count || 0, totalDiscount: totals[0]?.totalDiscount || 0 },
+      recentRedemptions: redemptions
+    });
+  } catch (err) { next(err); }
+});
+
+// POST /api/admin/coupons - create coupon (admin)
+router.post('/coupons', requirePermission('coupons:write'), audit('coupon.create', Coupon), async (req, res, next) => {
+  try {
+    if (!req.body.code || !req.body.type) return res.status(400).json({ message: 'Code and type are required' });
+
+    const exists = await Coupon.findOne({ code: String(req.body.code).trim().toUpperCase() });
+    if (exists) return res.status(409).json({ message: 'Coupon code already exists' });
+
+    const data = {};
+    for (const key of couponFields) {
+      if (key in req.body) data[key] = req.body[key];
+    }
+
+    const coupon = await Coupon.create(data);
+    res.status(201).json({ data: coupon });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+// PATCH /api/admin/coupons/:id - update coupon (admin)
+router.patch('/coupons/:id', requirePermission('coupons:write'), audit('coupon.update', Coupon), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    let changed = false;
+    for (const key of couponFields) {
+      if (key in req.body) {
+        coupon[key] = req.body[key];
+        changed = true;
+      }
+    }
+    if (!changed) return res.status(400).json({ message: 'No fields to update' });
+
+    if (coupon.isModified('code')) {
+      const exists = await Coupon.findOne({ code: coupon.code, _id: { $ne: coupon._id } });
+      if (exists) return res.status(409).json({ message: 'Coupon code already exists' });
+    }
+
+    await coupon.save();
+    res.json({ data: coupon });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+// DELETE /api/admin/coupons/:id - delete coupon (admin)
+// Coupons that were already redeemed are deactivated instead so order history keeps its reference
+router.delete('/coupons/:id', requirePermission('coupons:write'), audit('coupon.delete', Coupon), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const redeemed = await CouponRedemption.exists({ coupon: coupon._id });
+    if (redeemed) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has redemptions and was deactivated instead', data: coupon });
+    }
+
+    await Coupon.deleteOne({ _id: coupon._id });
+    res.status(204).send();
+  } catch (err) { next(err); }
+});
+
+router.get("/users/all", requirePermission('users:read'), async(req,res,next)=>{
   try{
     const users=await User.find()
     res.json({
@@ -584,9 +1044,107 @@ router.get("/users/all",async(req,res,next)=>{
   }
 })
 
+// ===== Email outbox =====
+// GET /api/admin/email-outbox - queued/sent/failed transactional emails (admin), ?status=&template=&order=&page=&limit=
+router.get('/email-outbox', requirePermission('notifications:read'), async (req, res, next) => {
+  try {
+    const { status, template, order, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status && ['pending', 'sending', 'sent', 'failed'].includes(status)) filter.status = status;
+    if (template) filter.template = template;
+    if (order) filter.order = order;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [emails, total] = await Promise.all([
+      EmailOutbox.find(filter).select('-html -text -__v').sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      EmailOutbox.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: emails,
+      pagination: { page: parseInt(page), pages: Math.ceil(total / parseInt(limit)), total, limit: parseInt(limit) }
+    });
+  } catch (err) { next(err); }
+});
+
+// POST /api/admin/email-outbox/:id/retry - queue a failed email again with fresh attempts (admin)
+router.post('/email-outbox/:id/retry', requirePermission('notifications:write'), audit('email.retry', EmailOutbox), async (req, res, next) => {
+  try {
+    const email = await notificationService.retryEmail(req.params.id);
+    if (!email) return res.status(404).json({ message: 'No failed or pending email with this id' });
+    res.json({ data: email });
+  } catch (err) { next(err); }
+});
+
+// ===== Audit log =====
+// GET /api/admin/audit-logs?actor=&action=&targetModel=&targetId=&from=&to=&page=&limit= - back-office writes, newest first
+router.get('/audit-logs', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const { actor, action, targetModel, targetId, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const filter = {};
+    for (const [key, value] of [['actor.user', actor], ['targetId', targetId]]) {
+      if (!value) continue;
+      if (!ObjectId.isValid(value)) return res.status(400).json({ message: `Invalid ${key.split('.')[0]} id` });
+      filter[key] = value;
+    }
+    // action=brand.delete matches exactly, action=brand matches every brand.* action
+    if (action) filter.action = action.includes('.') ? action : new RegExp(`^${action.replace(/[^\w]/g, '')}\\.`);
+    if (targetModel) filter.targetModel = targetModel;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((d) => isNaN(d))) return res.status(400).json({ message: 'Invalid from/to date' });
+    }
+
+    const [items, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-before -after'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ data: items, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/audit-logs/:id - one entry with its before/after snapshots
+router.get('/audit-logs/:id', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    const entry = await AuditLog.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: 'Audit log entry not found' });
+    res.json({ data: entry });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/history/:targetModel/:targetId?page=&limit= - every audited change to one document, newest first
+router.get('/history/:targetModel/:targetId', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const { targetModel, targetId } = req.params;
+    if (!ObjectId.isValid(targetId)) return res.status(400).json({ message: 'Invalid id' });
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const filter = { targetModel, targetId };
+
+    const [items, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ data: items, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
 // ===== Vendor Management Endpoints =====
 // GET /api/admin/vendors - get list of all vendors (admin) - simple version
-router.get('/vendors', async (req, res, next) => {
+router.get('/vendors', requirePermission('vendors:read'), async (req, res, next) => {
   try {
     const vendors = await Vendor.find()
       .populate('userId', 'name email')
@@ -600,7 +1158,7 @@ router.get('/vendors', async (req, res, next) => {
 });
 
 // GET /api/admin/vendors/detailed - get detailed list of all vendors (admin) - with pagination and filters
-router.get('/vendors/detailed', async (req, res, next) => {
+router.get('/vendors/detailed', requirePermission('vendors:read'), async (req, res, next) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
     
@@ -633,8 +1191,56 @@ router.get('/vendors/detailed', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// GET /api/admin/vendors/kyc?status=submitted&page=&limit= - KYC review queue, oldest submission first
+router.get('/vendors/kyc', requirePermission('vendors:read'), async (req, res, next) => {
+  try {
+    const status = Vendor.KYC_STATUSES.includes(req.query.status) ? req.query.status : 'submitted';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { 'kyc.status': status };
+
+    const [vendors, total] = await Promise.all([
+      Vendor.find(filter)
+        .sort({ 'kyc.submittedAt': 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'name email')
+        .select('-__v -kyc.reviews'),
+      Vendor.countDocuments(filter)
+    ]);
+
+    const data = vendors.map((vendor) => ({ ...vendor.toObject(), missing: kycService.missingItems(vendor) }));
+    res.json({ data, checklist: Vendor.KYC_CHECKLIST, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+const reviewVendorKyc = (approve) => async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) return res.status(404).json({ message: 'Vendor not found' });
+
+    const { checklist, notes } = req.body || {};
+    const reasons = [].concat(req.body?.reasons || req.body?.reason || []);
+    kycService.reviewKyc(vendor, { approve, checklist, reasons, notes, reviewedBy: req.user.sub });
+    await vendor.save();
+    kycService.notifyKycReview(vendor).catch((err) =>
+      console.error(`❌ Could not queue KYC email for vendor ${vendor._id}:`, err.message)
+    );
+    res.json({ data: vendor });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+};
+
+// POST /api/admin/vendors/:id/kyc/approve - every checklist item ticked; the vendor goes live
+router.post('/vendors/:id/kyc/approve', requirePermission('vendors:write'), audit('vendor.kyc_approve', Vendor), reviewVendorKyc(true));
+
+// POST /api/admin/vendors/:id/kyc/reject - { reasons: [...] } are emailed to the vendor
+router.post('/vendors/:id/kyc/reject', requirePermission('vendors:write'), audit('vendor.kyc_reject', Vendor), reviewVendorKyc(false));
+
 // GET /api/admin/vendors/:id - get vendor details by ID (admin)
-router.get('/vendors/:id', async (req, res, next) => {
+router.get('/vendors/:id', requirePermission('vendors:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -653,12 +1259,12 @@ router.get('/vendors/:id', async (req, res, next) => {
 });
 
 // PATCH /api/admin/vendors/:id - update vendor status (admin)
-router.patch('/vendors/:id', async (req, res, next) => {
+router.patch('/vendors/:id', requirePermission('vendors:write'), audit('vendor.update', Vendor), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, displayName, businessName, phone, gstNumber, address } = req.body;
     
-    const allowedUpdates = ['status', 'displayName', 'businessName', 'phone', 'gstNumber', 'address'];
+    const allowedUpdates = ['status', 'displayName', 'businessName', 'phone', 'gstNumber', 'address', 'pickupAddress'];
     const updates = {};
     
     for (const key of allowedUpdates) {
@@ -666,6 +1272,9 @@ router.patch('/vendors/:id', async (req, res, next) => {
         if (key === 'status' && !['pending', 'approved', 'suspended'].includes(req.body[key])) {
           return res.status(400).json({ message: 'Invalid status value' });
         }
+        if (key === 'gstNumber' && req.body[key] && !kycService.isValidGstin(req.body[key])) {
+          return res.status(400).json({ message: 'gstNumber is not a valid GSTIN' });
+        }
         updates[key] = req.body[key];
       }
     }
@@ -674,21 +1283,245 @@ router.patch('/vendors/:id', async (req, res, next) => {
       return res.status(400).json({ message: 'No fields to update' });
     }
 
-    const vendor = await Vendor.findByIdAndUpdate(id, updates, { new: true })
-      .populate('userId', 'name email role isActive')
-      .select('-__v');
+    // Loaded and saved (not findByIdAndUpdate) so a new pickup address gets geocoded
+    const vendor = await Vendor.findById(id);
 
     if (!vendor) {
       return res.status(404).json({ message: 'Vendor not found' });
     }
 
+    // Vendors go live through the KYC review; this only reinstates verified ones
+    if (updates.status === 'approved' && vendor.kyc.status !== 'approved') {
+      return res.status(409).json({ message: 'Vendor KYC is not approved; use /vendors/:id/kyc/approve' });
+    }
+
+    vendor.set(updates);
+    await vendor.save();
+    await vendor.populate('userId', 'name email role isActive');
+
     res.json({
       data: vendor
     });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+// GET /api/admin/vendors/:id/ledger?type=&page=&limit= - vendor balance and ledger entries, newest first
+router.get('/vendors/:id/ledger', requirePermission('payouts:read'), async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id).select('displayName businessName status');
+    if (!vendor) return res.status(404).json({ message: 'Vendor not found' });
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const filter = { vendor: vendor._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const [balance, entries, total] = await Promise.all([
+      ledgerService.vendorBalance(vendor._id),
+      LedgerEntry.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select('-__v'),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    res.json({ vendor, balance, data: entries, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
   } catch (err) { next(err); }
 });
+
+// ===== Commission rules =====
+const commissionRuleFields = ['scope', 'categoryId', 'vendorId', 'rate', 'fixedFee', 'shippingFee', 'isActive', 'notes'];
+
+// GET /api/admin/commission-rules?scope= - list rules (admin)
+router.get('/commission-rules', requirePermission('payouts:read'), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.scope) filter.scope = req.query.scope;
+    const rules = await CommissionRule.find(filter)
+      .sort({ scope: 1, createdAt: -1 })
+      .populate('categoryId', 'name slug')
+      .populate('vendorId', 'displayName businessName')
+      .select('-__v');
+    res.json({ data: rules });
+  } catch (err) { next(err); }
+});
+
+// POST /api/admin/commission-rules - create rule (admin); one per global / category / vendor
+router.post('/commission-rules', requirePermission('payouts:write'), audit('commission_rule.create', CommissionRule), async (req, res, next) => {
+  try {
+    const data = {};
+    for (const key of commissionRuleFields) if (key in req.body) data[key] = req.body[key];
+    const rule = await CommissionRule.create(data);
+    res.status(201).json({ data: rule });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: 'A rule for this scope already exists' });
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+// PATCH /api/admin/commission-rules/:id - update rule (admin); applies to deliveries from now on
+router.patch('/commission-rules/:id', requirePermission('payouts:write'), audit('commission_rule.update', CommissionRule), async (req, res, next) => {
+  try {
+    const rule = await CommissionRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Commission rule not found' });
+
+    let changed = false;
+    for (const key of commissionRuleFields) {
+      if (key in req.body) {
+        rule.set(key, req.body[key]);
+        changed = true;
+      }
+    }
+    if (!changed) return res.status(400).json({ message: 'No fields to update' });
+
+    await rule.save();
+    res.json({ data: rule });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ message: 'A rule for this scope already exists' });
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    next(err);
+  }
+});
+
+// DELETE /api/admin/commission-rules/:id - delete rule (admin); past ledger entries keep their rate
+router.delete('/commission-rules/:id', requirePermission('payouts:write'), audit('commission_rule.delete', CommissionRule), async (req, res, next) => {
+  try {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Commission rule not found' });
+    res.status(204).send();
+  } catch (err) { next(err); }
+});
+
+// ===== Vendor payouts =====
+// GET /api/admin/payouts?status=&vendor=&page=&limit= - payout cycles, newest first
+router.get('/payouts', requirePermission('payouts:read'), async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.vendor) filter.vendor = req.query.vendor;
+
+    const [items, total] = await Promise.all([
+      PayoutCycle.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('vendor', 'displayName businessName')
+        .select('-__v'),
+      PayoutCycle.countDocuments(filter)
+    ]);
+
+    res.json({ data: items, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+// POST /api/admin/payouts/generate - open payout cycles for entries payable by periodEnd (default now)
+router.post('/payouts/generate', requirePermission('payouts:write'), audit('payout.generate', PayoutCycle, { meta: (req, body) => ({ ...req.body, created: body.created, cycles: (body.data || []).map((c) => c._id) }) }), async (req, res, next) => {
+  try {
+    const periodEnd = req.body?.periodEnd ? new Date(req.body.periodEnd) : new Date();
+    if (Number.isNaN(periodEnd.getTime()) || periodEnd > new Date()) {
+      return res.status(400).json({ message: 'periodEnd must be a date in the past' });
+    }
+    const cycles = await payoutService.generateCycles({ periodEnd, vendorId: req.body?.vendorId });
+    res.status(201).json({ data: cycles, created: cycles.length });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/payouts/:id - payout cycle with its ledger entries
+router.get('/payouts/:id', requirePermission('payouts:read'), async (req, res, next) => {
+  try {
+    const cycle = await PayoutCycle.findById(req.params.id).populate('vendor', 'displayName businessName gstNumber').select('-__v');
+    if (!cycle) return res.status(404).json({ message: 'Payout not found' });
+    const entries = await LedgerEntry.find({ payoutCycle: cycle._id }).sort({ createdAt: 1 }).select('-__v');
+    res.json({ data: cycle, entries });
+  } catch (err) { next(err); }
+});
+
+// GET /api/admin/payouts/:id/statement?format=csv|xlsx - download the statement
+router.get('/payouts/:id/statement', requirePermission('payouts:read'), async (req, res, next) => {
+  try {
+    const cycle = await PayoutCycle.findById(req.params.id);
+    if (!cycle) return res.status(404).json({ message: 'Payout not found' });
+
+    const file = await payoutService.statementFile(cycle, req.query.format || 'csv');
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+});
+
+const settlePayout = (action) => async (req, res, next) => {
+  try {
+    const cycle = await PayoutCycle.findById(req.params.id);
+    if (!cycle) return res.status(404).json({ message: 'Payout not found' });
+
+    const updated = action === 'pay'
+      ? await payoutService.markPaid(cycle, { reference: req.body?.reference, paidBy: req.user.sub, notes: req.body?.notes })
+      : await payoutService.cancelCycle(cycle, { notes: req.body?.notes });
+    res.json({ data: updated });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    next(err);
+  }
+};
+
+// POST /api/admin/payouts/:id/pay - record the transfer ({ reference } required)
+router.post('/payouts/:id/pay', requirePermission('payouts:write'), audit('payout.pay', PayoutCycle), settlePayout('pay'));
+
+// POST /api/admin/payouts/:id/cancel - drop a pending cycle; its entries wait for the next one
+router.post('/payouts/:id/cancel', requirePermission('payouts:write'), audit('payout.cancel', PayoutCycle), settlePayout('cancel'));
+
+// Bulk upload variant row: brandSlug + parentSlug identify the product (created earlier in
+// the same file or already in the catalog), option_<name> columns hold the option values
+// and variantSku/variantPrice/variantCompareAtPrice/variantStock/variantImages/
+// variantWeightKg/variantIsActive describe the variant. Re-uploading a SKU updates it.
+async function upsertVariantFromRow(row) {
+  if (!row.brandSlug) throw new Error('Missing brandSlug');
+  if (!row.variantSku) throw new Error('Missing variantSku');
+
+  const brand = await Brand.findOne({ slug: row.brandSlug });
+  if (!brand) throw new Error(`Brand not found: ${row.brandSlug}`);
+  const product = await Product.findOne({ brandId: brand._id, slug: slugify(String(row.parentSlug).trim()) });
+  if (!product) throw new Error(`Parent product not found: ${row.parentSlug}`);
+
+  const optionValues = {};
+  Object.keys(row).forEach((key) => {
+    if (key.startsWith('option_') && String(row[key]).trim()) {
+      optionValues[key.replace('option_', '')] = String(row[key]).trim();
+    }
+  });
+  if (Object.keys(optionValues).length === 0) throw new Error('Variant row needs at least one option_<name> column');
+
+  const num = (v) => (v !== '' && v !== undefined && !isNaN(parseFloat(v)) ? Number(v) : undefined);
+  const data = {
+    sku: String(row.variantSku).trim(),
+    optionValues,
+    price: num(row.variantPrice) ?? product.price,
+  };
+  if (num(row.variantCompareAtPrice) !== undefined) data.compareAtPrice = num(row.variantCompareAtPrice);
+  if (num(row.variantStock) !== undefined) data.stock = parseInt(row.variantStock);
+  if (num(row.variantWeightKg) !== undefined) data.weightKg = num(row.variantWeightKg);
+  if (row.variantImages && String(row.variantImages).trim()) {
+    data.images = String(row.variantImages).split(',').map((img) => img.trim()).filter((img) => img.length > 0);
+  }
+  if (String(row.variantIsActive).trim().toLowerCase() === 'false') data.isActive = false;
+
+  const existing = product.variants.find((v) => v.sku === data.sku);
+  if (existing) existing.set(data);
+  else product.variants.push(data);
+  await product.save();
+
+  const variant = product.variants.find((v) => v.sku === data.sku);
+  return { productId: product._id, variantId: variant._id, variantSku: variant.sku, title: product.title, updated: !!existing };
+}
+
 // Complete bulk upload endpoint with ALL schema fields
-router.post('/products/bulk-upload', upload.single('productFile'), async (req, res) => {
+router.post('/products/bulk-upload', requirePermission('products:write'), audit('product.bulk_upload', Product, { meta: (req, body) => ({ filename: body.filename, summary: body.summary }) }), upload.single('productFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'No file uploaded. Use field name "productFile"' });
@@ -733,6 +1566,13 @@ router.post('/products/bulk-upload', upload.single('productFile'), async (req, r
           continue;
         }
 
+        // Variant rows attach to their parent product instead of creating one
+        if (productData.parentSlug) {
+          const variantResult = await upsertVariantFromRow(productData);
+          results.push({ row: rowNumber, success: true, ...variantResult });
+          continue;
+        }
+
         // Required field validation
         const validationErrors = [];
         if (!productData.brandSlug) validationErrors.push('Missing brandSlug');
@@ -830,6 +1670,10 @@ router.post('/products/bulk-upload', upload.single('productFile'), async (req, r
           transformedProduct.gstRate = Number(productData.gstRate);
         }
 
+        if (['true', 'false'].includes(String(productData.pricesIncludeTax).trim().toLowerCase())) {
+          transformedProduct.pricesIncludeTax = String(productData.pricesIncludeTax).trim().toLowerCase() === 'true';
+        }
+
         if (productData.productType) {
           transformedProduct.productType = String(productData.productType).trim();
         }
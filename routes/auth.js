@@ -1,31 +1,70 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
 const Admin = require('../models/Admin');
-const { sendOtpEmail, sendPasswordResetOtpEmail } = require('../services/emailService');
+const cartService = require('../services/cartService');
+const { authRequired, requireRoles, requireSuperAdmin } = require('../middleware/auth');
+const kycService = require('../services/kycService');
+const sessionService = require('../services/sessionService');
+const otpService = require('../services/otpService');
+const smsService = require('../services/smsService');
+const googleAuthService = require('../services/googleAuthService');
+const twoFactorService = require('../services/twoFactorService');
 
 const router = express.Router();
 
-// Initialize Google OAuth client
-const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-const signToken = (user) => {
-  const payload = { sub: user._id.toString(), role: user.role, email: user.email, name: user.name };
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+
+// Fold the guest cart (X-Cart-Token header or body.cartToken) into the user's cart.
+// A failed merge must never block sign-in, so errors are only logged.
+const mergeGuestCart = async (req, user) => {
+  const cartToken = cartService.readCartToken(req);
+  if (!cartToken) return undefined;
+  try {
+    return await cartService.mergeGuestCart(cartToken, user._id);
+  } catch (err) {
+    console.error('Guest cart merge error:', err);
+    return undefined;
+  }
 };
 
-// Simple in-memory OTP store: email -> { otpHash, expiresAt }
-// Note: For production, replace with persistent or cache store (e.g., Redis/DB)
-const otpStore = new Map();
+// OTP and 2FA failures carry a status; throttles and lockouts also say when to retry
+const otpFailure = (res, err, next) => {
+  if (!err.status) return next(err);
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status).json({ message: err.message, retryAfter: err.retryAfter });
+};
+
+// Who an OTP is for: the email by default, or a verified phone with { channel: 'sms', phone }.
+// Returns null when the identifier is missing or not a phone number.
+const otpRecipient = (body) => {
+  if (body.channel === 'sms') {
+    const phone = smsService.normalizePhone(body.phone);
+    return phone && { channel: 'sms', destination: phone, userQuery: { phone, phoneVerified: true } };
+  }
+  if (!body.email) return null;
+  const email = body.email.toLowerCase();
+  return { channel: 'email', destination: email, userQuery: { email } };
+};
 
-// Password reset OTP store: email -> { otpHash, expiresAt }
-const passwordResetOtpStore = new Map();
+const sentVia = (channel) => (channel === 'sms' ? 'by SMS' : 'to email');
+const missingRecipient = (body) => (body.channel === 'sms' ? 'Valid phone required' : 'Email required');
+
+// Registering with { channel: 'sms', phone } sends a second code to the phone on top of
+// the email code; the account is then created with that phone already verified.
+// The email code is always required so nobody can claim an address they don't own.
+// Resolves to { phone } (null for email registrations) or { error, status }.
+const registrationPhone = async (body) => {
+  if (body.channel !== 'sms') return { phone: null };
+  const phone = smsService.normalizePhone(body.phone);
+  if (!phone) return { error: 'Valid phone required', status: 400 };
+  if (await User.exists({ phone, phoneVerified: true })) return { error: 'Phone already verified on another account', status: 409 };
+  return { phone };
+};
 
 // POST /api/auth/register (customer)
-// Step 1: Send OTP to email
+// Step 1: Send OTP to email (and phone)
 router.post('/register/send-otp', async (req, res, next) => {
   try {
     const { email } = req.body;
@@ -37,51 +76,44 @@ router.post('/register/send-otp', async (req, res, next) => {
     const exists = await User.findOne({ email: lowerEmail });
     if (exists) return res.status(409).json({ message: 'Email already in use' });
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
-    const otpHash = await bcrypt.hash(otp, 10);
-    const expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
+    const { phone, error, status } = await registrationPhone(req.body);
+    if (error) return res.status(status).json({ message: error });
 
-    otpStore.set(lowerEmail, { otpHash, expiresAt });
-
-    await sendOtpEmail(lowerEmail, otp);
-    res.json({ message: 'OTP sent to email' });
+    const sent = await otpService.sendOtp({ purpose: 'register', destination: lowerEmail, ip: req.ip });
+    if (phone) await otpService.sendOtp({ purpose: 'register', channel: 'sms', destination: phone, ip: req.ip });
+    res.json({ message: phone ? 'OTP sent to email and by SMS' : `OTP sent ${sentVia('email')}`, ...sent });
   } catch (err) {
-    next(err);
+    otpFailure(res, err, next);
   }
 });
 
 // Step 2: Verify OTP and create user
 router.post('/register', async (req, res, next) => {
   try {
-    const { name, email, password, otp } = req.body;
+    const { name, email, password, otp, phoneOtp } = req.body;
     if (!name || !email || !password || !otp) return res.status(400).json({ message: 'Missing fields' });
+    if (req.body.channel === 'sms' && !phoneOtp) return res.status(400).json({ message: 'Missing fields' });
 
     const lowerEmail = email.toLowerCase();
 
-    // Check OTP presence
-    const record = otpStore.get(lowerEmail);
-    if (!record) return res.status(400).json({ message: 'OTP not requested or expired' });
-    if (Date.now() > record.expiresAt) {
-      otpStore.delete(lowerEmail);
-      return res.status(400).json({ message: 'OTP expired' });
-    }
-
-    const ok = await bcrypt.compare(otp, record.otpHash);
-    if (!ok) return res.status(400).json({ message: 'Invalid OTP' });
-
-    // Ensure email still not taken
+    // Ensure email still not taken (checked first so the code is not used up)
     const exists = await User.findOne({ email: lowerEmail });
     if (exists) return res.status(409).json({ message: 'Email already in use' });
 
-    const passwordHash = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email: lowerEmail, passwordHash, role: 'customer' });
+    const { phone, error, status } = await registrationPhone(req.body);
+    if (error) return res.status(status).json({ message: error });
 
-    // Clear OTP after successful registration
-    otpStore.delete(lowerEmail);
+    await otpService.verifyOtp({ purpose: 'register', destination: lowerEmail, code: otp });
+    if (phone) await otpService.verifyOtp({ purpose: 'register', channel: 'sms', destination: phone, code: phoneOtp });
 
-    const token = signToken(user);
-    res.status(201).json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
-  } catch (err) { next(err); }
+    const passwordHash = await bcrypt.hash(password, 10);
+    const verifiedPhone = phone ? { phone, phoneVerified: true, phoneVerifiedAt: new Date() } : {};
+    const user = await User.create({ name, email: lowerEmail, passwordHash, role: 'customer', ...verifiedPhone });
+
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    const cart = await mergeGuestCart(req, user);
+    res.status(201).json({ token, refreshToken, user: { id: user._id, name: user.name, email: user.email, role: user.role }, cart });
+  } catch (err) { otpFailure(res, err, next); }
 });
 
 // POST /api/auth/login (any role)
@@ -103,14 +135,92 @@ router.post('/login', async (req, res, next) => {
       return res.status(403).json({ message: 'Error' });
     }
 
+    // Google and passwordless OTP accounts have no password to check
+    if (!user.passwordHash) return res.status(401).json({ message: 'Invalid email or password' });
+
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ message: 'Invalid email or password' });
 
-    const token = signToken(user);
-    res.json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    const cart = await mergeGuestCart(req, user);
+    res.json({ token, refreshToken, user: { id: user._id, name: user.name, email: user.email, role: user.role }, cart });
   } catch (err) { next(err); }
 });
 
+// Passwordless (OTP and Google) login is for customers; the account must be usable before a code is sent or used
+const otpLoginBlock = (user) => {
+  if (user.role !== 'customer') return 'Use the vendor or admin login for this account';
+  if (!user.isActive) return 'Account is deactivated';
+  return null;
+};
+
+// An account can only be created from an email; a phone must already be verified on one
+const canCreateFromOtp = (recipient, body) => recipient.channel === 'email' && !!body.createAccount;
+
+// POST /api/auth/login/otp/send - { email, createAccount? } or { channel: 'sms', phone } -> sign-in code.
+// Unknown emails only get a code when the client asks to create the account.
+router.post('/login/otp/send', async (req, res, next) => {
+  try {
+    const recipient = otpRecipient(req.body);
+    if (!recipient) return res.status(400).json({ message: missingRecipient(req.body) });
+
+    const user = await User.findOne(recipient.userQuery);
+    if (user) {
+      const blocked = otpLoginBlock(user);
+      if (blocked) return res.status(403).json({ message: blocked });
+    } else if (!canCreateFromOtp(recipient, req.body)) {
+      return res.status(404).json({ message: 'No account found' });
+    }
+
+    const { channel, destination } = recipient;
+    const sent = await otpService.sendOtp({ purpose: 'login', channel, destination, ip: req.ip });
+    res.json({ message: `Sign-in code sent ${sentVia(channel)}`, ...sent });
+  } catch (err) {
+    otpFailure(res, err, next);
+  }
+});
+
+// POST /api/auth/login/otp/verify - { email | channel: 'sms' + phone, otp, createAccount?, name? } -> same response as /login.
+// With createAccount, an unknown email gets a passwordless customer account (201).
+router.post('/login/otp/verify', async (req, res, next) => {
+  try {
+    const { otp, name } = req.body;
+    const recipient = otpRecipient(req.body);
+    if (!recipient || !otp) return res.status(400).json({ message: 'Missing fields' });
+
+    let user = await User.findOne(recipient.userQuery);
+    if (user) {
+      const blocked = otpLoginBlock(user);
+      if (blocked) return res.status(403).json({ message: blocked });
+    } else if (!canCreateFromOtp(recipient, req.body)) {
+      return res.status(404).json({ message: 'No account found' });
+    }
+
+    const { channel, destination } = recipient;
+    await otpService.verifyOtp({ purpose: 'login', channel, destination, code: otp });
+
+    const created = !user;
+    if (created) {
+      try {
+        user = await User.create({
+          name: (name && String(name).trim()) || destination.split('@')[0],
+          email: destination,
+          authProvider: 'email',
+          passwordHash: null,
+          role: 'customer'
+        });
+      } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ message: 'Email already in use' });
+        throw err;
+      }
+    }
+
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    const cart = await mergeGuestCart(req, user);
+    res.status(created ? 201 : 200).json({ token, refreshToken, user: { id: user._id, name: user.name, email: user.email, role: user.role }, cart });
+  } catch (err) { otpFailure(res, err, next); }
+});
+
 // POST /api/auth/admin/login (admin-only, token-only response)
 router.post('/admin/login', async (req, res, next) => {
   try {
@@ -123,8 +233,11 @@ router.post('/admin/login', async (req, res, next) => {
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ message: 'Invalid email or password' });
 
-    const token = signToken(user);
-    res.json({ token });
+    // With 2FA on, the password only earns a pre-auth token for /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) return res.json(twoFactorService.challenge(user));
+
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    res.json({ token, refreshToken });
   } catch (err) { next(err); }
 });
 
@@ -140,35 +253,51 @@ router.post('/vendor/login', async (req, res, next) => {
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ message: 'Invalid email or password' });
 
-    const token = signToken(user);
-    res.json({ token });
+    // With 2FA on, the password only earns a pre-auth token for /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) return res.json(twoFactorService.challenge(user));
+
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    res.json({ token, refreshToken });
   } catch (err) { next(err); }
 });
 
-// POST /api/auth/vendor/register (creates vendor user + vendor profile with pending status)
+// POST /api/auth/vendor/register (creates vendor user + vendor profile with pending status;
+// the vendor then completes KYC under /api/vendor/kyc and submits it for review)
 router.post('/vendor/register', async (req, res, next) => {
   try {
-    const { name, email, password, displayName, businessName, phone } = req.body;
+    const { name, email, password, displayName, businessName, phone, gstNumber, pan } = req.body;
     if (!name || !email || !password || !displayName) return res.status(400).json({ message: 'Missing fields' });
+    if (gstNumber && !kycService.isValidGstin(gstNumber)) return res.status(400).json({ message: 'gstNumber is not a valid GSTIN' });
+    if (pan && !kycService.isValidPan(pan)) return res.status(400).json({ message: 'pan is not a valid PAN' });
 
     const exists = await User.findOne({ email: email.toLowerCase() });
     if (exists) return res.status(409).json({ message: 'Email already in use' });
 
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await User.create({ name, email: email.toLowerCase(), passwordHash, role: 'vendor' });
-    const vendor = await Vendor.create({ userId: user._id, displayName, businessName, phone, status: 'pending' });
+    const vendor = await Vendor.create({ userId: user._id, displayName, businessName, phone, gstNumber, pan, status: 'pending' });
 
-    const token = signToken(user);
+    const { token, refreshToken } = await sessionService.startSession(user, req);
     res.status(201).json({
       token,
+      refreshToken,
       user: { id: user._id, name: user.name, email: user.email, role: user.role },
-      vendor: { id: vendor._id, status: vendor.status, displayName: vendor.displayName }
+      vendor: { id: vendor._id, status: vendor.status, displayName: vendor.displayName, kycStatus: vendor.kyc.status }
     });
   } catch (err) { next(err); }
 });
 
-// POST /api/auth/admin/create
-router.post('/admin/create', async (req, res, next) => {
+// Anyone may create the very first admin; after that only a super admin
+const allowAdminCreation = async (req, res, next) => {
+  try {
+    if (!(await Admin.exists({}))) return next();
+  } catch (err) { return next(err); }
+  return authRequired(req, res, () => requireSuperAdmin(req, res, next));
+};
+
+// POST /api/auth/admin/create - open only while there is no admin yet (that first admin
+// becomes super admin); afterwards a super admin creates admins, who start without permissions
+router.post('/admin/create', allowAdminCreation, async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
     if (!name || !email || !password) return res.status(400).json({ message: 'Missing fields' });
@@ -179,9 +308,10 @@ router.post('/admin/create', async (req, res, next) => {
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await User.create({ name, email: email.toLowerCase(), passwordHash, role: 'admin' });
     // Create matching Admin profile
-    await Admin.create({ userId: user._id, displayName: name });
-    const token = signToken(user);
-    res.status(201).json({ token, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
+    const isSuperAdmin = !(await Admin.exists({}));
+    await Admin.create({ userId: user._id, displayName: name, isSuperAdmin });
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    res.status(201).json({ token, refreshToken, user: { id: user._id, name: user.name, email: user.email, role: user.role } });
   } catch (err) { next(err); }
 });
 
@@ -189,28 +319,18 @@ router.post('/admin/create', async (req, res, next) => {
 // Send OTP for password reset
 router.post('/forgot-password/send-otp', async (req, res, next) => {
   try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ message: 'Email required' });
-
-    const lowerEmail = email.toLowerCase();
+    const recipient = otpRecipient(req.body);
+    if (!recipient) return res.status(400).json({ message: missingRecipient(req.body) });
 
     // Check if user exists (for any role)
-    const user = await User.findOne({ email: lowerEmail, isActive: true });
-    if (!user) return res.status(404).json({ message: 'No account found with this email address' });
-
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
-    const otpHash = await bcrypt.hash(otp, 10);
-    const expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
+    const user = await User.findOne({ ...recipient.userQuery, isActive: true });
+    if (!user) return res.status(404).json({ message: 'No account found with this email address or phone' });
 
-    // Store OTP for password reset
-    passwordResetOtpStore.set(lowerEmail, { otpHash, expiresAt });
-
-    // Send password reset OTP email
-    await sendPasswordResetOtpEmail(lowerEmail, otp);
-    res.json({ message: 'Password reset OTP sent to email' });
+    const { channel, destination } = recipient;
+    const sent = await otpService.sendOtp({ purpose: 'reset_password', channel, destination, ip: req.ip });
+    res.json({ message: `Password reset OTP sent ${sentVia(channel)}`, ...sent });
   } catch (err) {
-    next(err);
+    otpFailure(res, err, next);
   }
 });
 
@@ -218,42 +338,138 @@ router.post('/forgot-password/send-otp', async (req, res, next) => {
 // Verify OTP and reset password
 router.post('/forgot-password/reset', async (req, res, next) => {
   try {
-    const { email, otp, newPassword } = req.body;
-    if (!email || !otp || !newPassword) return res.status(400).json({ message: 'Missing fields' });
-
-    const lowerEmail = email.toLowerCase();
-
-    // Check OTP presence
-    const record = passwordResetOtpStore.get(lowerEmail);
-    if (!record) return res.status(400).json({ message: 'OTP not requested or expired' });
-    if (Date.now() > record.expiresAt) {
-      passwordResetOtpStore.delete(lowerEmail);
-      return res.status(400).json({ message: 'OTP expired' });
-    }
-
-    // Verify OTP
-    const ok = await bcrypt.compare(otp, record.otpHash);
-    if (!ok) return res.status(400).json({ message: 'Invalid OTP' });
+    const { otp, newPassword } = req.body;
+    const recipient = otpRecipient(req.body);
+    if (!recipient || !otp || !newPassword) return res.status(400).json({ message: 'Missing fields' });
 
     // Check if user exists
-    const user = await User.findOne({ email: lowerEmail, isActive: true });
+    const user = await User.findOne({ ...recipient.userQuery, isActive: true });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
+    const { channel, destination } = recipient;
+    await otpService.verifyOtp({ purpose: 'reset_password', channel, destination, code: otp });
+
     // Hash new password
     const passwordHash = await bcrypt.hash(newPassword, 10);
 
-    // Update password
+    // Update password and sign out every device that used the old one
     await User.findByIdAndUpdate(user._id, { passwordHash });
-
-    // Clear OTP after successful reset
-    passwordResetOtpStore.delete(lowerEmail);
+    await sessionService.revokeAllSessions(user._id, 'password_reset');
 
     res.json({ message: 'Password reset successful' });
   } catch (err) {
+    otpFailure(res, err, next);
+  }
+});
+
+// POST /api/auth/refresh - { refreshToken } -> new access token and rotated refresh token
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ message: 'refreshToken required' });
+    res.json(await sessionService.refreshSession(refreshToken, req));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
     next(err);
   }
 });
 
+// POST /api/auth/logout - end this device's session
+router.post('/logout', authRequired, async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user.sid, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (err) { next(err); }
+});
+
+// POST /api/auth/logout-all - end every session of this account (?keepCurrent=true keeps this device)
+router.post('/logout-all', authRequired, async (req, res, next) => {
+  try {
+    const except = req.query.keepCurrent === 'true' ? req.user.sid : undefined;
+    const revoked = await sessionService.revokeAllSessions(req.user.sub, 'logout_all', { except });
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (err) { next(err); }
+});
+
+// GET /api/auth/sessions - signed-in devices
+router.get('/sessions', authRequired, async (req, res, next) => {
+  try {
+    const sessions = await sessionService.activeSessions(req.user.sub);
+    res.json({ data: sessions.map((s) => ({ ...s.toObject(), current: String(s._id) === req.user.sid })) });
+  } catch (err) { next(err); }
+});
+
+// DELETE /api/auth/sessions/:id - sign one device out
+router.delete('/sessions/:id', authRequired, async (req, res, next) => {
+  try {
+    if (!/^[a-f0-9]{24}$/.test(req.params.id)) return res.status(400).json({ message: 'Invalid session id' });
+    const revoked = await sessionService.revokeSession(req.params.id, 'revoked', req.user.sub);
+    if (!revoked) return res.status(404).json({ message: 'Session not found' });
+    res.status(204).send();
+  } catch (err) { next(err); }
+});
+
+// ===== Two-factor authentication (admins and vendors) =====
+// POST /api/auth/2fa/verify - { preAuthToken, code } -> tokens, second step of admin/vendor login.
+// code is the authenticator code or an unused backup code.
+router.post('/2fa/verify', async (req, res, next) => {
+  try {
+    const { preAuthToken, code } = req.body || {};
+    if (!preAuthToken || !code) return res.status(400).json({ message: 'Missing fields' });
+
+    const user = await twoFactorService.userForPreAuthToken(preAuthToken);
+    const { method, backupCodesLeft } = await twoFactorService.verifyCode(user, code);
+
+    const { token, refreshToken } = await sessionService.startSession(user, req);
+    res.json({ token, refreshToken, ...(method === 'backup_code' ? { backupCodesLeft } : {}) });
+  } catch (err) { otpFailure(res, err, next); }
+});
+
+const twoFactorRoles = [authRequired, requireRoles('admin', 'vendor')];
+
+// GET /api/auth/2fa - own 2FA status
+router.get('/2fa', twoFactorRoles, async (req, res, next) => {
+  try {
+    res.json(await twoFactorService.status(req.user.sub));
+  } catch (err) { otpFailure(res, err, next); }
+});
+
+// POST /api/auth/2fa/setup - new secret and otpauth:// URI to show as a QR code
+router.post('/2fa/setup', twoFactorRoles, async (req, res, next) => {
+  try {
+    res.json(await twoFactorService.startSetup(req.user.sub));
+  } catch (err) { otpFailure(res, err, next); }
+});
+
+// POST /api/auth/2fa/setup/confirm - { code } -> turns 2FA on and returns the backup codes once
+router.post('/2fa/setup/confirm', twoFactorRoles, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ message: 'code required' });
+    const backupCodes = await twoFactorService.confirmSetup(req.user.sub, code);
+    res.json({ message: 'Two-factor authentication enabled', backupCodes });
+  } catch (err) { otpFailure(res, err, next); }
+});
+
+// POST /api/auth/2fa/backup-codes - { code } -> fresh backup codes, the old ones stop working
+router.post('/2fa/backup-codes', twoFactorRoles, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ message: 'code required' });
+    res.json({ backupCodes: await twoFactorService.regenerateBackupCodes(req.user.sub, code) });
+  } catch (err) { otpFailure(res, err, next); }
+});
+
+// POST /api/auth/2fa/disable - { code } (not for admins while a super admin enforces 2FA)
+router.post('/2fa/disable', twoFactorRoles, async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ message: 'code required' });
+    await twoFactorService.disable(req.user.sub, code);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) { otpFailure(res, err, next); }
+});
+
 // POST /api/auth/google-login (customer only)
 router.post('/google-login', async (req, res, next) => {
   console.log('=== GOOGLE LOGIN ENDPOINT CALLED ===');
@@ -274,15 +490,9 @@ router.post('/google-login', async (req, res, next) => {
     // Verify Google token
     console.log('4. Verifying token with Google...');
     try {
-      const ticket = await googleClient.verifyIdToken({
-        idToken: token,
-        audience: process.env.GOOGLE_CLIENT_ID,
-      });
+      const { googleId, email, emailVerified, name, picture } = await googleAuthService.verifyIdToken(token);
       console.log('5. Token verification successful');
       
-      const payload = ticket.getPayload();
-      const { sub: googleId, email, name, picture } = payload;
-      
       console.log('6. Google user data:', { 
         googleId, 
         email, 
@@ -297,19 +507,29 @@ router.post('/google-login', async (req, res, next) => {
 
       // Check if user exists
       console.log('8. Checking if user exists...');
-      let user = await User.findOne({
-        $or: [{ email: email.toLowerCase() }, { googleId }]
-      });
+      // The linked Google identity wins over the email, which may have changed since
+      let user = (await User.findOne({ googleId })) || (await User.findOne({ email }));
       
       if (user) {
         console.log('9. Existing user found:', user.email);
+        // Customers only: admins and vendors sign in with password (and 2FA), never a Google token alone
+        const blocked = otpLoginBlock(user);
+        if (blocked) return res.status(403).json({ message: blocked });
         
-        // Update existing user logic
+        if (user.googleId && user.googleId !== googleId) {
+          return res.status(409).json({ message: 'This email is linked to a different Google account' });
+        }
+
+        // Link on sign-in only when Google has verified the email; otherwise the
+        // owner signs in and links from POST /api/users/me/providers/google
         if (!user.googleId) {
-          console.log('10. Updating existing user with Google info...');
+          if (!emailVerified) {
+            return res.status(409).json({ message: 'An account with this email already exists. Sign in and link Google from your profile.' });
+          }
+          console.log('10. Linking Google to existing user...');
           user.googleId = googleId;
-          user.authProvider = 'google';
-          user.avatar = picture;
+          user.googleLinkedAt = new Date();
+          if (!user.avatar) user.avatar = picture;
           await user.save();
           console.log('11. User updated successfully');
         }
@@ -318,8 +538,9 @@ router.post('/google-login', async (req, res, next) => {
         try {
           user = await User.create({
             name,
-            email: email.toLowerCase(),
+            email,
             googleId,
+            googleLinkedAt: new Date(),
             authProvider: 'google',
             avatar: picture,
             role: 'customer',
@@ -337,18 +558,22 @@ router.post('/google-login', async (req, res, next) => {
       
       // Generate JWT token
       console.log('15. Generating JWT token...');
-      const jwtToken = signToken(user);
+      const { token: jwtToken, refreshToken } = await sessionService.startSession(user, req);
       console.log('16. JWT token generated successfully');
+
+      const cart = await mergeGuestCart(req, user);
       
       const responseData = {
         token: jwtToken,
+        refreshToken,
         user: { 
           id: user._id, 
           name: user.name, 
           email: user.email, 
           role: user.role,
           avatar: user.avatar
-        }
+        },
+        cart
       };
       
       console.log('17. Sending success response');
@@ -3,6 +3,7 @@ const Brand = require('../models/Brand');
 const Category = require('../models/Category');
 const Subcategory = require('../models/Subcategory');
 const Product = require('../models/Product');
+const { catalogFilter } = require('../services/vendorService');
 
 const router = express.Router();
 
@@ -71,10 +72,11 @@ router.get('/:brandSlug/products', async (req, res, next) => {
     }
 
     const skip = (Number(page) - 1) * Number(limit);
+    const visible = await catalogFilter(filter);
 
     const [items, total] = await Promise.all([
-      Product.find(filter).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)).select('-__v').populate('categoryId', 'name slug').populate('subcategoryId', 'name slug'),
-      Product.countDocuments(filter),
+      Product.find(visible).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)).select('-__v').populate('categoryId', 'name slug').populate('subcategoryId', 'name slug'),
+      Product.countDocuments(visible),
     ]);
 
     res.json({
@@ -93,9 +95,10 @@ router.get('/:brandSlug/products/all', async (req, res, next) => {
     const brand = await Brand.findOne({ slug: brandSlug, active: true });
     if (!brand) return res.status(404).json({ message: 'Brand not found' });
 
-    const filter = { brandId: brand._id };
+    // Vendor listings not yet approved stay out of the storefront
+    const filter = { brandId: brand._id, status: { $nin: ['draft', 'pending_approval'] } };
 
-    const products = await Product.find(filter)
+    const products = await Product.find(await catalogFilter(filter))
       .populate('categoryId', 'name slug')
       .populate('subcategoryId', 'name slug')
       .select('-__v');
@@ -123,7 +126,7 @@ router.get('/:brandSlug/categories/:categorySlug/products', async (req, res, nex
       status: 'active' 
     };
 
-    const products = await Product.find(filter).select('-__v').populate('categoryId', 'name slug').populate('subcategoryId', 'name slug');
+    const products = await Product.find(await catalogFilter(filter)).select('-__v').populate('categoryId', 'name slug').populate('subcategoryId', 'name slug');
 
     res.json({
       data: products
@@ -156,7 +159,7 @@ router.get('/:brandSlug/categories/:categorySlug/subcategories/:subcategorySlug/
       status: 'active' 
     };
 
-    const products = await Product.find(filter).select('-__v').populate('categoryId', 'name slug').populate('subcategoryId', 'name slug');
+    const products = await Product.find(await catalogFilter(filter)).select('-__v').populate('categoryId', 'name slug').populate('subcategoryId', 'name slug');
 
     res.json({
       data: products
@@ -1,14 +1,53 @@
 const express = require('express');
 const router = express.Router();
-const { authRequired } = require('../middleware/auth');
+const { authRequired, optionalAuth } = require('../middleware/auth');
 const { check, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const CartItem = require('../models/Cart');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const couponService = require('../services/couponService');
+const cartService = require('../services/cartService');
+const inventoryService = require('../services/inventoryService');
+const codService = require('../services/codService');
+const subOrderService = require('../services/subOrderService');
+const { priceOrder } = require('../services/pricingService');
+const {
+  resolveVariant,
+  buildOrderItem,
+  toOrderAddress,
+  defaultSellerDetails,
+  createRazorpayOrder,
+  paymentInitiatedResponse,
+  codOrderResponse
+} = require('../services/checkoutService');
 
-// GET /api/cart - List cart items for authenticated user
-router.get('/', [authRequired], async (req, res) => {
+// Cart owner filter: the signed-in user, otherwise the guest cart from the X-Cart-Token header.
+// With `issue`, a guest without a token gets a new one (returned in the same header).
+function cartOwner(req, res, { issue = false } = {}) {
+  if (req.user) return { user: req.user.sub };
+
+  let cartToken = cartService.readCartToken(req);
+  if (!cartToken && issue) cartToken = cartService.generateCartToken();
+  if (!cartToken) return null;
+
+  res.set('X-Cart-Token', cartToken);
+  return { cartToken };
+}
+
+// Unit price of a cart line: the selected variant's price, else the product price
+const linePrice = (item) => {
+  const variant = item.product.findVariant(item.variant);
+  return variant ? variant.price : item.product.price;
+};
+
+// GET /api/cart - List cart items for the user or guest cart
+router.get('/', [optionalAuth], async (req, res) => {
   try {
-    const items = await CartItem.find({ user: req.user.sub }).sort({ createdAt: -1 });
+    const owner = cartOwner(req, res);
+    if (!owner) return res.json([]);
+
+    const items = await CartItem.find(owner).sort({ createdAt: -1 });
     return res.json(items);
   } catch (err) {
     console.error('Cart list error:', err);
@@ -20,9 +59,10 @@ router.get('/', [authRequired], async (req, res) => {
 router.post(
   '/',
   [
-    authRequired,
+    optionalAuth,
     [
       check('product', 'Product ID is required').isString().notEmpty(),
+      check('variant').optional().isMongoId(),
       check('quantity').optional().isInt({ min: 1 })
     ]
   ],
@@ -39,26 +79,292 @@ router.post(
       if (!prod) {
         return res.status(404).json({ message: 'Product not found' });
       }
+      const variant = resolveVariant(prod, req.body.variant);
 
       // Upsert: if exists, increase quantity, else create
+      const owner = cartOwner(req, res, { issue: true });
       const item = await CartItem.findOneAndUpdate(
-        { user: req.user.sub, product },
+        { ...owner, product, variant: variant ? variant._id : null },
         { $inc: { quantity } },
         { new: true, upsert: true, setDefaultsOnInsert: true }
       );
 
       return res.status(201).json(item);
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
       console.error('Cart add error:', err);
       return res.status(500).json({ message: 'Server Error' });
     }
   }
 );
 
+// POST /api/cart/apply-coupon - Preview a coupon against the current cart (nothing is redeemed)
+router.post(
+  '/apply-coupon',
+  [optionalAuth, [check('code', 'Coupon code is required').isString().trim().notEmpty()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const owner = cartOwner(req, res);
+      const cartItems = owner ? (await CartItem.find(owner)).filter((i) => i.product) : [];
+      if (cartItems.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
+      const lines = cartItems.map((i) => ({
+        product: i.product._id,
+        brandId: i.product.brandId,
+        categoryId: i.product.categoryId,
+        price: linePrice(i),
+        quantity: i.quantity
+      }));
+
+      const result = await couponService.evaluateCoupon({ code: req.body.code, userId: req.user?.sub, lines });
+      const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+
+      return res.json({
+        code: result.coupon.code,
+        type: result.coupon.type,
+        description: result.coupon.description,
+        subtotal,
+        discount: result.discount,
+        shippingDiscount: result.shippingDiscount,
+        subtotalAfterDiscount: Math.round((subtotal - result.discount) * 100) / 100,
+        items: cartItems.map((i, idx) => ({
+          product: i.product._id,
+          variant: i.variant,
+          title: i.product.title,
+          quantity: i.quantity,
+          price: linePrice(i),
+          discount: result.lineDiscounts[idx]
+        }))
+      });
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error('Cart apply coupon error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// Re-read the products of the user's cart lines so price, status and stock are
+// current; returns the order items plus the lines that can't be checked out.
+async function collectCheckoutItems(cartItems) {
+  const products = await Product.find({ _id: { $in: cartItems.map((i) => i.product?._id).filter(Boolean) } });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const problems = [];
+  const items = [];
+  for (const cartItem of cartItems) {
+    const prod = cartItem.product && productMap.get(cartItem.product._id.toString());
+    if (!prod) {
+      problems.push({ cartItem: cartItem._id, message: 'Product no longer exists' });
+      continue;
+    }
+    if (!prod.isActive || prod.status !== 'active') {
+      problems.push({ product: prod._id, title: prod.title, message: 'Product is not available' });
+      continue;
+    }
+
+    let variant;
+    try {
+      variant = resolveVariant(prod, cartItem.variant);
+    } catch (e) {
+      problems.push({ product: prod._id, variant: cartItem.variant, title: prod.title, message: e.message });
+      continue;
+    }
+
+    const available = variant ? variant.availableStock : prod.availableStock;
+    if (available < cartItem.quantity) {
+      problems.push({
+        product: prod._id,
+        variant: cartItem.variant,
+        title: prod.title,
+        requested: cartItem.quantity,
+        available,
+        message: 'Insufficient stock'
+      });
+      continue;
+    }
+    items.push(buildOrderItem(prod, cartItem.quantity, {}, variant));
+  }
+  return { items, productMap, problems };
+}
+
+// POST /api/cart/cod-eligibility - Can the cart be paid cash on delivery to this address?
+router.post(
+  '/cod-eligibility',
+  [
+    authRequired,
+    [
+      check('addressId', 'addressId is required').isString().notEmpty(),
+      check('couponCode').optional().isString().trim()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.sub).select('addresses');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      const shippingAddr = user.addresses.id(req.body.addressId);
+      if (!shippingAddr) return res.status(400).json({ message: 'Invalid addressId' });
+
+      const cartItems = await CartItem.find({ user: req.user.sub });
+      if (cartItems.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
+      const { items, productMap, problems } = await collectCheckoutItems(cartItems);
+      if (problems.length) {
+        return res.status(409).json({ message: 'Some cart items cannot be checked out', problems });
+      }
+      const pricing = await priceOrder({
+        items,
+        productMap,
+        userId: req.user.sub,
+        couponCode: req.body.couponCode,
+        shippingPrice: 0
+      });
+
+      const result = await codService.checkEligibility({
+        userId: req.user.sub,
+        amount: pricing.totalPrice,
+        postalCode: shippingAddr.postalCode,
+        items: pricing.items
+      });
+      return res.json(result);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error('Cart COD eligibility error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// POST /api/cart/checkout - Create an order from the cart and initiate Razorpay payment,
+// or place it cash on delivery. Online orders empty the cart on payment capture
+// (confirm route or webhook); COD orders right away.
+router.post(
+  '/checkout',
+  [
+    authRequired,
+    [
+      check('addressId', 'addressId is required').isString().notEmpty(),
+      check('billingAddressId').optional().isString(),
+      check('couponCode').optional().isString().trim(),
+      check('paymentMethod').optional().isIn(['online', 'cod'])
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { addressId, billingAddressId, couponCode, paymentMethod = 'online' } = req.body;
+
+    let order;
+    try {
+      const user = await User.findById(req.user.sub).select('name email phone addresses');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+
+      const shippingAddr = user.addresses.id(addressId);
+      if (!shippingAddr) return res.status(400).json({ message: 'Invalid addressId' });
+      const billingAddr = billingAddressId ? user.addresses.id(billingAddressId) : shippingAddr;
+      if (!billingAddr) return res.status(400).json({ message: 'Invalid billingAddressId' });
+
+      const cartItems = await CartItem.find({ user: req.user.sub });
+      if (cartItems.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
+      const { items, productMap, problems } = await collectCheckoutItems(cartItems);
+      if (problems.length) {
+        return res.status(409).json({ message: 'Some cart items cannot be checked out', problems });
+      }
+
+      const pricing = await priceOrder({
+        items,
+        productMap,
+        userId: req.user.sub,
+        couponCode,
+        shippingPrice: 0
+      });
+
+      const cod = paymentMethod === 'cod'
+        ? await codService.assertEligible({
+            userId: req.user.sub,
+            amount: pricing.totalPrice,
+            postalCode: shippingAddr.postalCode,
+            items: pricing.items
+          })
+        : null;
+
+      const shippingAddress = toOrderAddress(shippingAddr);
+      order = new Order({
+        user: req.user.sub,
+        items: pricing.items,
+        shippingAddress,
+        billingAddress: toOrderAddress(billingAddr),
+        customerDetails: {
+          name: user.name,
+          email: user.email,
+          mobile: user.phone || shippingAddress.phone
+        },
+        paymentMethod,
+        checkoutSource: 'cart',
+        itemsPrice: pricing.itemsPrice,
+        discountPrice: pricing.discountPrice,
+        coupon: pricing.coupon,
+        shippingPrice: pricing.shippingPrice,
+        taxPrice: pricing.taxPrice,
+        includedTaxPrice: pricing.includedTaxPrice,
+        totalPrice: cod ? cod.totalPrice : pricing.totalPrice,
+        currency: 'INR',
+        status: 'pending',
+        sellerDetails: defaultSellerDetails()
+      });
+      if (cod) order.codDetails = codService.buildCodDetails(order, cod.fee);
+      // Vendor items ship from the vendor; several sellers split into sub-orders
+      await subOrderService.assignSellers(order);
+
+      order.reservationExpiresAt = await inventoryService.reserveStock(order);
+      if (pricing.couponResult) {
+        await couponService.redeemCoupon({
+          coupon: pricing.couponResult.coupon,
+          userId: req.user.sub,
+          orderId: order._id,
+          discount: pricing.discountPrice
+        });
+      }
+      await order.save();
+
+      if (cod) {
+        const confirmed = await codService.confirmCodOrder(order);
+        return res.status(201).json(codOrderResponse(confirmed));
+      }
+
+      const razorpayOrder = await createRazorpayOrder(order);
+
+      return res.status(201).json(paymentInitiatedResponse(order, razorpayOrder));
+    } catch (err) {
+      if (order) {
+        await inventoryService.releaseReservations(order._id, 'payment_initiation_failed').catch(() => {});
+        await couponService.releaseRedemption(order._id).catch(() => {});
+      }
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error('Cart checkout error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
 // POST /api/cart/:productId - Add by path param (quantity optional in body)
 router.post(
   '/:productId',
-  [authRequired, [check('quantity').optional().isInt({ min: 1 })]],
+  [optionalAuth, [check('quantity').optional().isInt({ min: 1 }), check('variant').optional().isMongoId()]],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -69,15 +375,18 @@ router.post(
     try {
       const prod = await Product.findById(product);
       if (!prod) return res.status(404).json({ message: 'Product not found' });
+      const variant = resolveVariant(prod, req.body?.variant);
 
+      const owner = cartOwner(req, res, { issue: true });
       const item = await CartItem.findOneAndUpdate(
-        { user: req.user.sub, product },
+        { ...owner, product, variant: variant ? variant._id : null },
         { $inc: { quantity } },
         { new: true, upsert: true, setDefaultsOnInsert: true }
       );
 
       return res.status(201).json(item);
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
       console.error('Cart add (path) error:', err);
       return res.status(500).json({ message: 'Server Error' });
     }
@@ -85,11 +394,12 @@ router.post(
 );
 
 // DELETE /api/cart/:productId - Remove a product from cart (entirely or by quantity)
+// For products with variants, pass the variant id in the body or ?variant=
 router.delete(
   '/:productId',
   [
-    authRequired,
-    [check('quantity').optional().isInt({ min: 1 })]
+    optionalAuth,
+    [check('quantity').optional().isInt({ min: 1 }), check('variant').optional().isMongoId()]
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -98,11 +408,14 @@ router.delete(
     }
 
     const product = req.params.productId;
+    const variant = req.body?.variant || req.query.variant || null;
     const quantityToRemove = req.body?.quantity; // Optional quantity parameter
 
     try {
       // Find the cart item
-      const cartItem = await CartItem.findOne({ user: req.user.sub, product });
+      const owner = cartOwner(req, res);
+      const line = { ...owner, product, variant };
+      const cartItem = owner && (await CartItem.findOne(line));
       
       if (!cartItem) {
         return res.status(404).json({ message: 'Item not found in cart' });
@@ -110,7 +423,7 @@ router.delete(
 
       // If no quantity specified, remove the entire item
       if (!quantityToRemove) {
-        await CartItem.deleteOne({ user: req.user.sub, product });
+        await CartItem.deleteOne(line);
         return res.status(204).send();
       }
 
@@ -119,12 +432,12 @@ router.delete(
       
       if (quantityToRemove >= currentQuantity) {
         // Remove entire item if quantity to remove is >= current quantity
-        await CartItem.deleteOne({ user: req.user.sub, product });
+        await CartItem.deleteOne(line);
         return res.status(204).send();
       } else {
         // Reduce quantity by the specified amount
         const updatedItem = await CartItem.findOneAndUpdate(
-          { user: req.user.sub, product },
+          line,
           { $inc: { quantity: -quantityToRemove } },
           { new: true }
         );
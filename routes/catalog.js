@@ -3,6 +3,7 @@ const Brand = require('../models/Brand');
 const Category = require('../models/Category');
 const Subcategory = require('../models/Subcategory');
 const Product = require('../models/Product');
+const { catalogFilter } = require('../services/vendorService');
 const { Types: { ObjectId } } = require('mongoose');
 
 const router = express.Router();
@@ -117,10 +118,11 @@ router.get('/products', async (req, res, next) => {
     }
 
     const skip = (Number(page) - 1) * Number(limit);
+    const visible = await catalogFilter(filter);
 
     const [items, total] = await Promise.all([
-      Product.find(filter).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)).select('-__v'),
-      Product.countDocuments(filter),
+      Product.find(visible).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)).select('-__v'),
+      Product.countDocuments(visible),
     ]);
 
     res.json({
@@ -135,8 +137,13 @@ router.get('/product/:idOrSlug', async (req, res, next) => {
   try {
     const { idOrSlug } = req.params;
     const isObjectId = idOrSlug.match(/^[0-9a-fA-F]{24}$/);
+    // Drafts and listings awaiting approval stay hidden; sold out products still have a page
     const product = await Product.findOne(
-      isObjectId ? { _id: idOrSlug } : { slug: idOrSlug }
+      await catalogFilter({
+        ...(isObjectId ? { _id: idOrSlug } : { slug: idOrSlug }),
+        status: { $in: ['active', 'out_of_stock'] },
+        isActive: true
+      })
     );
     if (!product) return res.status(404).json({ message: 'Product not found' });
     res.json({ data: product });
@@ -161,10 +168,10 @@ router.get('/products/ids', async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Invalid product ID format' });
     }
 
-    const products = await Product.find({
+    const products = await Product.find(await catalogFilter({
       _id: { $in: productIds },
       status: 'active'
-    }).select('-__v');
+    })).select('-__v');
 
     res.json({
       success: true,
@@ -179,7 +186,7 @@ router.get('/products/ids', async (req, res, next) => {
 // GET /api/catalog/all-products - Get all active products
 router.get('/all-products', async (req, res, next) => {
   try {
-    const products = await Product.find({ status: 'active' })
+    const products = await Product.find(await catalogFilter({ status: 'active' }))
       .select('-__v')
       .sort({ createdAt: -1 });
     
@@ -205,10 +212,10 @@ router.get('/products/:id', async (req, res, next) => {
       });
     }
     
-    const product = await Product.findOne({
+    const product = await Product.findOne(await catalogFilter({
       _id: id,
       status: 'active'
-    }).select('-__v');
+    })).select('-__v');
     
     if (!product) {
       return res.status(404).json({
@@ -229,7 +236,7 @@ router.get('/products/:id', async (req, res, next) => {
 // GET /api/catalog/all - Get all active products (no filtering)
 router.get('/all', async (req, res, next) => {
   try {
-    const products = await Product.find({ status: 'active' })
+    const products = await Product.find(await catalogFilter({ status: 'active' }))
       .select('-__v')
       .sort({ createdAt: -1 });
     
@@ -1,117 +1,55 @@
 const express = require('express');
 const { check, validationResult } = require('express-validator');
-const crypto = require('crypto');
-const razorpay = require('../config/razorpay');
-const { authRequired, requireRoles } = require('../middleware/auth');
+const { authRequired, requirePermission, requirePermissionIfAdmin } = require('../middleware/auth');
+const { audit } = require('../middleware/audit');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
 // Match the actual file created by the user (services/shipyariServices.js)
 const shipyaariService = require('../services/shipyariServices');
+const inventoryService = require('../services/inventoryService');
+const couponService = require('../services/couponService');
+const orderStateMachine = require('../services/orderStateMachine');
+const shipmentService = require('../services/shipmentService');
+const codService = require('../services/codService');
+const trackingService = require('../services/trackingService');
+const refundService = require('../services/refundService');
+const invoiceService = require('../services/invoiceService');
+const subOrderService = require('../services/subOrderService');
+const Refund = require('../models/Refund');
+const { priceOrder } = require('../services/pricingService');
+const { catalogFilter } = require('../services/vendorService');
+const {
+  resolveVariant,
+  buildOrderItem,
+  toOrderAddress,
+  defaultSellerDetails,
+  createRazorpayOrder,
+  verifyPaymentSignature,
+  markOrderPaid,
+  paymentInitiatedResponse,
+  codOrderResponse,
+} = require('../services/checkoutService');
 
 const router = express.Router();
 
-// Helper function to process shipment creation (same as webhook logic)
-async function processShipmentForOrder(order) {
-  try {
-    console.log(`🚚 Processing shipment for order: ${order.orderId}`);
-
-    // Validate required data before proceeding
-    if (!order.sellerDetails || !order.sellerDetails.address || !order.sellerDetails.contact) {
-      throw new Error('Seller details are missing. Cannot create shipment without seller information.');
-    }
-
-    if (!order.shippingAddress) {
-      throw new Error('Shipping address is missing. Cannot create shipment without delivery address.');
-    }
-
-    // Check environment variables
-    const requiredEnvVars = ['SHIPYAARI_EMAIL', 'SHIPYAARI_PASSWORD'];
-    const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-    
-    if (missingEnvVars.length > 0) {
-      throw new Error(`Missing Shipyaari environment variables: ${missingEnvVars.join(', ')}`);
-    }
-
-    // Check if shipment already exists
-    if (order.shipmentDetails && order.shipmentDetails.shipyaariOrderId) {
-      console.log(`ℹ️ Shipment already exists for order: ${order.orderId}`);
-      return;
-    }
-
-    // Update order status to processing with status history
-    await Order.findByIdAndUpdate(order._id, {
-      status: 'processing',
-      $push: {
-        statusHistory: {
-          status: 'processing',
-          timestamp: new Date(),
-          updatedBy: 'payment_confirmation',
-          notes: 'Order processing for shipment creation'
-        }
-      }
-    });
-
-    console.log(`📦 Creating Shipyaari shipment for order: ${order.orderId}`);
-
-    // Create Shipyaari shipment
-    const shipmentResult = await shipyaariService.createShipment(order);
-
-    // Update order with shipment details + status history
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.shipmentStatus': 'processing',
-      'shipmentDetails.shipyaariOrderId': shipmentResult.shipyaariOrderId,
-      'shipmentDetails.awbNumber': shipmentResult.awbNumber,
-      'shipmentDetails.courierPartner': shipmentResult.courierPartner,
-      'shipmentDetails.trackingUrl': shipmentResult.trackingUrl,
-      'shipmentDetails.estimatedDeliveryDate': shipmentResult.estimatedDeliveryDate,
-      status: 'shipped',
-      shippedAt: new Date(),
-      $push: {
-        statusHistory: {
-          status: 'shipped',
-          timestamp: new Date(),
-          updatedBy: 'payment_confirmation',
-          notes: `Shipment created - AWB: ${shipmentResult.awbNumber}, Courier: ${shipmentResult.courierPartner}`
-        }
-      }
-    });
-
-    console.log('🎉 Automated shipment created successfully:', {
-      orderId: order.orderId,
-      awbNumber: shipmentResult.awbNumber,
-      courierPartner: shipmentResult.courierPartner,
-      trackingUrl: shipmentResult.trackingUrl
-    });
-
-  } catch (error) {
-    console.error('❌ Process shipment error:', error);
-    
-    // Update order with error status
-    await Order.findByIdAndUpdate(order._id, {
-      $push: {
-        statusHistory: {
-          status: 'shipment_failed',
-          timestamp: new Date(),
-          updatedBy: 'payment_confirmation',
-          notes: `Shipment creation failed: ${error.message}`
-        }
-      }
-    });
-    
-    // Update order with shipment error + status history
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.shipmentStatus': 'failed',
-      'shipmentDetails.shipmentError': error.message,
-    });
+// Helper function to process shipment creation (re-throws so callers can report it)
+const processShipmentForOrder = (order) => shipmentService.createForwardShipment(order, 'payment_confirmation');
 
-    // Optionally: Send notification to admin about shipment failure
-    console.error(`🚨 ALERT: Shipment failed for order ${order.orderId}:`, error.message);
-    throw error; // Re-throw to be handled by caller
-  }
+// Helpers
+// Audit summary of an admin bulk operation: these fields of the response body
+const pickBody = (...keys) => (req, body) => Object.fromEntries(keys.map((key) => [key, body[key]]));
+
+// Admins reach this only through requirePermissionIfAdmin
+// Products that can be bought right now, by id: live listings of vendors that
+// aren't suspended (the same rule as the storefront and cart checkout)
+async function loadOrderableProducts(ids) {
+  const products = await Product.find(await catalogFilter({ _id: { $in: ids } }));
+  return new Map(products.map((p) => [p._id.toString(), p]));
 }
 
-// Helpers
+const isUnavailable = (prod) => !prod.isActive || prod.status !== 'active';
+
 const isOwnerOrAdmin = (req, order) => {
   return order.user.toString() === req.user.sub || req.user.role === 'admin';
 };
@@ -132,6 +70,10 @@ router.post(
       check('shippingAddress.state').isString().notEmpty(),
       check('shippingAddress.postalCode').isString().notEmpty(),
       check('shippingAddress.phone').isString().notEmpty(),
+      check('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be >= 1'),
+      check('items.*.variant').optional().isMongoId().withMessage('Invalid variant id'),
+      check('couponCode').optional().isString().trim(),
+      check('paymentMethod').optional().isIn(['online', 'cod', 'wallet']),
     ],
   ],
   async (req, res) => {
@@ -139,123 +81,95 @@ router.post(
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
 // (advanced tracking, cancel-shipment, and generate-label routes are defined later in the file)
-    const { items, customerDetails, shippingAddress, billingAddress, paymentMethod = 'online' } = req.body;
+    const { items, customerDetails, shippingAddress, billingAddress, paymentMethod = 'online', couponCode } = req.body;
 
+    let order;
     try {
       // Fetch products and calculate totals
-      const productIds = items.map((i) => i.product);
-      const products = await Product.find({ _id: { $in: productIds } });
-      const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+      const productMap = await loadOrderableProducts(items.map((i) => i.product));
 
       const normItems = [];
       for (const i of items) {
         const prod = productMap.get(i.product);
         if (!prod) return res.status(404).json({ message: `Product not found: ${i.product}` });
-        const qty = Number(i.quantity || 1);
-        normItems.push({
-          product: prod._id,
-          title: prod.title,
-          image: Array.isArray(prod.images) && prod.images.length ? prod.images[0] : undefined,
-          price: prod.price,
-          quantity: qty,
-          sku: i.sku || prod.sku,
-          category: i.category || prod.shippingCategory || 'General',
-          weight: typeof i.weight !== 'undefined' ? i.weight : typeof prod.weightKg === 'number' ? prod.weightKg : 1,
-          dimensions:
-            i.dimensions ||
-            (prod.dimensionsCm
-              ? { length: prod.dimensionsCm.length, breadth: prod.dimensionsCm.breadth, height: prod.dimensionsCm.height }
-              : { length: 10, breadth: 10, height: 10 }),
-          hsnCode: i.hsnCode || prod.hsnCode || '1234',
-          gstRate: prod.gstRate || 12, // Add GST rate for Shipyaari
-        });
+        if (isUnavailable(prod)) return res.status(409).json({ message: `Product is not available: ${prod.title}` });
+        normItems.push(buildOrderItem(prod, Number(i.quantity || 1), i, resolveVariant(prod, i.variant)));
       }
 
-      const itemsPrice = normItems.reduce((sum, it) => sum + it.price * it.quantity, 0);
-      const shippingPrice = 0; // Free shipping for all orders
-      
-      // Calculate GST from products
-      let taxPrice = 0;
-      for (const item of normItems) {
-        const product = productMap.get(item.product.toString());
-        if (product && product.gstRate) {
-          const itemTax = Math.round((item.price * item.quantity * product.gstRate) / 100);
-          taxPrice += itemTax;
-        }
-      }
-      
-      const totalPrice = itemsPrice + shippingPrice + taxPrice;
+      // Free shipping for all orders; coupon discount and GST applied on top
+      const pricing = await priceOrder({
+        items: normItems,
+        productMap,
+        userId: req.user.sub,
+        couponCode,
+        shippingPrice: 0,
+      });
+
+      // COD: eligibility rules and the optional COD fee on top of the total
+      const cod = paymentMethod === 'cod'
+        ? await codService.assertEligible({
+            userId: req.user.sub,
+            amount: pricing.totalPrice,
+            postalCode: shippingAddress.postalCode,
+            items: pricing.items,
+          })
+        : null;
 
       // Create order in database
-      const order = new Order({
+      order = new Order({
         user: req.user.sub,
-        items: normItems,
+        items: pricing.items,
         shippingAddress,
         billingAddress: billingAddress || shippingAddress,
         customerDetails,
         paymentMethod,
-        itemsPrice,
-        shippingPrice,
-        taxPrice,
-        totalPrice,
+        itemsPrice: pricing.itemsPrice,
+        discountPrice: pricing.discountPrice,
+        coupon: pricing.coupon,
+        shippingPrice: pricing.shippingPrice,
+        taxPrice: pricing.taxPrice,
+        includedTaxPrice: pricing.includedTaxPrice,
+        totalPrice: cod ? cod.totalPrice : pricing.totalPrice,
         currency: 'INR',
         status: 'pending',
-        sellerDetails: {
-          address: {
-            fullAddress: process.env.SELLER_ADDRESS ,
-            pincode: parseInt(process.env.SELLER_PINCODE),
-            city: process.env.SELLER_CITY ,
-            state: process.env.SELLER_STATE ,
-            country: 'India',
-            latitude: process.env.SELLER_LATITUDE ,
-            longitude: process.env.SELLER_LONGITUDE,
-          },
-          contact: {
-            name: process.env.SELLER_CONTACT_NAME || 'Store Manager',
-            mobile: parseInt(process.env.SELLER_MOBILE) || 9876543210,
-            alternateMobile: parseInt(process.env.SELLER_ALTERNATE_MOBILE) || 9876543210,
-          },
-        },
+        sellerDetails: defaultSellerDetails(),
       });
-
+      if (cod) order.codDetails = codService.buildCodDetails(order, cod.fee);
+      // Vendor items ship from the vendor; several sellers split into sub-orders
+      await subOrderService.assignSellers(order);
+
+      // Hold the units before persisting so two checkouts can't both pay for the last one
+      order.reservationExpiresAt = await inventoryService.reserveStock(order);
+      if (pricing.couponResult) {
+        await couponService.redeemCoupon({
+          coupon: pricing.couponResult.coupon,
+          userId: req.user.sub,
+          orderId: order._id,
+          discount: pricing.discountPrice,
+        });
+      }
       await order.save();
 
-      // Create Razorpay order
-      const razorpayOrder = await razorpay.orders.create({
-        amount: Math.round(totalPrice * 100), // in paise
-        currency: 'INR',
-        receipt: order.orderId,
-        notes: {
-          orderId: order._id.toString(),
-          customerEmail: customerDetails.email,
-          customerMobile: customerDetails.mobile,
-        },
-      });
+      // COD needs no payment: deduct stock and book the shipment right away
+      if (cod) {
+        const confirmed = await codService.confirmCodOrder(order);
+        return res.status(201).json(codOrderResponse(confirmed));
+      }
 
-      // Update order with Razorpay details
-      order.razorpayDetails = {
-        razorpayOrderId: razorpayOrder.id,
-        paymentStatus: 'pending',
-      };
-      await order.save();
+      // Create Razorpay order and store its id on the order
+      const razorpayOrder = await createRazorpayOrder(order);
 
-      return res.json({
-        success: true,
-        message: 'Payment initiated successfully',
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        razorpayOrderId: razorpayOrder.id,
-        razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-        amount: razorpayOrder.amount,
-        currency: razorpayOrder.currency,
-        customerDetails: {
-          name: customerDetails.name,
-          email: customerDetails.email,
-          contact: customerDetails.mobile,
-        },
-      });
+      return res.json(paymentInitiatedResponse(order, razorpayOrder));
     } catch (error) {
       console.error('Payment initiation error:', error);
+      if (order) {
+        await inventoryService.releaseReservations(order._id, 'payment_initiation_failed').catch(() => {});
+        await couponService.releaseRedemption(order._id).catch(() => {});
+      }
+      // Stock shortfalls (409) and coupon rejections (400/404) carry their own status
+      if (error.status) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
       return res.status(500).json({ success: false, message: 'Failed to initiate payment', error: error.message });
     }
   }
@@ -266,33 +180,23 @@ router.post('/payment/confirm', [authRequired], async (req, res) => {
   try {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
-    const sign = `${razorpay_order_id}|${razorpay_payment_id}`;
-    const expectedSign = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(sign.toString()).digest('hex');
-    if (razorpay_signature !== expectedSign) {
+    if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
       return res.status(400).json({ success: false, message: 'Payment verification failed - Invalid signature' });
     }
 
-    const order = await Order.findOneAndUpdate(
-      { 'razorpayDetails.razorpayOrderId': razorpay_order_id, user: req.user.sub },
-      {
-        'razorpayDetails.razorpayPaymentId': razorpay_payment_id,
-        'razorpayDetails.razorpaySignature': razorpay_signature,
-        'razorpayDetails.paymentStatus': 'captured',
-        status: 'paid',
-        paidAt: new Date(),
-        $push: {
-          statusHistory: {
-            status: 'paid',
-            timestamp: new Date(),
-            updatedBy: 'payment_confirmation',
-            notes: `Payment confirmed: ₹${req.body.amount ? req.body.amount / 100 : 'Unknown'} via Razorpay`
-          }
-        }
-      },
-      { new: true }
-    );
+    const found = await Order.findOne({ 'razorpayDetails.razorpayOrderId': razorpay_order_id, user: req.user.sub });
+    if (!found) return res.status(404).json({ success: false, message: 'Order not found or access denied' });
 
-    if (!order) return res.status(404).json({ success: false, message: 'Order not found or access denied' });
+    const order = await markOrderPaid(found, {
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature,
+      updatedBy: 'payment_confirmation',
+      notes: `Payment confirmed: ₹${req.body.amount ? req.body.amount / 100 : 'Unknown'} via Razorpay`
+    });
+    // Cancelled while the customer was paying: the payment.captured webhook refunds it
+    if (order.status === 'cancelled') {
+      return res.status(409).json({ success: false, message: 'Order was cancelled, the payment will be refunded' });
+    }
 
     // Trigger Shipyaari shipment creation after payment confirmation
     console.log(`🚚 Triggering Shipyaari shipment creation for order: ${order.orderId}`);
@@ -319,13 +223,13 @@ router.post('/payment/confirm', [authRequired], async (req, res) => {
 });
 
 // POST /api/orders/fix-missing-shipments - Fix paid orders without Shipyaari shipments
-router.post('/fix-missing-shipments', [authRequired, requireRoles(['admin'])], async (req, res) => {
+router.post('/fix-missing-shipments', [authRequired, requirePermission('orders:write'), audit('order.fix_missing_shipments', Order, { meta: pickBody('processedCount', 'results') })], async (req, res) => {
   try {
     console.log('🔧 Checking for paid orders without Shipyaari shipments...');
     
-    // Find paid orders without Shipyaari shipments
+    // Find paid (or COD confirmed) orders without Shipyaari shipments
     const ordersWithoutShipments = await Order.find({
-      status: 'paid',
+      status: { $in: ['paid', 'confirmed', 'processing'] },
       $or: [
         { 'shipmentDetails.shipyaariOrderId': { $exists: false } },
         { 'shipmentDetails.shipyaariOrderId': null },
@@ -394,14 +298,27 @@ router.post('/fix-missing-shipments', [authRequired, requireRoles(['admin'])], a
   }
 });
 
+// ADMIN: POST /api/orders/tracking/sync - Run the tracking poller now instead of waiting for its interval
+router.post('/tracking/sync', [authRequired, requirePermission('orders:write'), audit('order.tracking_sync', Order, { meta: pickBody('checked', 'updated', 'failed') })], async (req, res) => {
+  try {
+    const result = await trackingService.syncInFlightShipments();
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Tracking sync error:', error);
+    return res.status(500).json({ success: false, message: 'Tracking sync failed', error: error.message });
+  }
+});
+
 // 1. ADVANCED TRACKING - GET /api/orders/:id/tracking
-router.get('/:id/tracking', [authRequired], async (req, res) => {
+router.get('/:id/tracking', [authRequired, requirePermissionIfAdmin('orders:read')], async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
     if (!isOwnerOrAdmin(req, order)) return res.status(403).json({ message: 'Forbidden' });
 
-    if (!order.shipmentDetails?.awbNumber) {
+    // Split orders are tracked per sub-order AWB
+    const booked = subOrderService.shipmentsOf(order).filter((s) => s.shipment?.awbNumber);
+    if (booked.length === 0) {
       return res.json({
         success: true,
         message: 'Shipment not yet created',
@@ -409,25 +326,38 @@ router.get('/:id/tracking', [authRequired], async (req, res) => {
       });
     }
 
-    const trackingData = await shipyaariService.trackShipment(order.shipmentDetails.awbNumber);
+    const shipments = [];
+    for (const { subOrderId, shipment } of booked) {
+      const trackingData = await shipyaariService.trackShipment(shipment.awbNumber);
+
+      if (trackingData.status !== 'not_found') {
+        const current = await Order.findById(order._id);
+        await trackingService.applyTrackingUpdate(
+          current,
+          {
+            status: trackingData.status,
+            location: trackingData.location,
+            timestamp: trackingData.lastUpdate,
+            trackingHistory: trackingData.trackingHistory
+          },
+          'tracking_request',
+          subOrderId ? current.subOrders.find((s) => s.subOrderId === subOrderId) : null
+        );
+      }
 
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.lastTrackingUpdate': {
-        status: trackingData.status,
-        location: trackingData.location,
-        timestamp: trackingData.lastUpdate
-      },
-      'shipmentDetails.trackingHistory': trackingData.trackingHistory
-    });
+      shipments.push({
+        ...(subOrderId && { subOrderId }),
+        awbNumber: shipment.awbNumber,
+        currentStatus: trackingData.status,
+        trackingHistory: trackingData.trackingHistory
+      });
+    }
 
     return res.json({
       success: true,
-      tracking: {
-        orderNumber: order.orderNumber,
-        awbNumber: order.shipmentDetails.awbNumber,
-        currentStatus: trackingData.status,
-        trackingHistory: trackingData.trackingHistory
-      }
+      tracking: order.subOrders.length
+        ? { orderNumber: order.orderNumber, shipments }
+        : { orderNumber: order.orderNumber, ...shipments[0] }
     });
   } catch (error) {
     return res.status(500).json({ success: false, message: 'Failed to get tracking' });
@@ -435,51 +365,57 @@ router.get('/:id/tracking', [authRequired], async (req, res) => {
 });
 
 // 2. CANCEL SHIPMENT - POST /api/orders/:id/cancel-shipment
-router.post('/:id/cancel-shipment', [authRequired], async (req, res) => {
+router.post('/:id/cancel-shipment', [authRequired, requirePermissionIfAdmin('orders:write'), audit('order.cancel_shipment', Order, { when: (req) => req.user.role === 'admin' })], async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
     if (!isOwnerOrAdmin(req, order)) return res.status(403).json({ message: 'Forbidden' });
 
-    if (!order.shipmentDetails?.awbNumber) {
+    if (!subOrderService.shipmentsOf(order).some((s) => s.shipment?.awbNumber)) {
       return res.status(400).json({ success: false, message: 'No shipment to cancel' });
     }
 
-    const cancellationResult = await shipyaariService.cancelShipment(
-      order.shipmentDetails.awbNumber,
-      req.body?.reason || 'Cancelled by customer'
-    );
-
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.cancellation': {
-        isCancelled: Boolean(cancellationResult.cancelled),
-        cancelledAt: cancellationResult.cancelledAt || new Date(),
-        cancelReason: req.body?.reason || 'Cancelled by customer',
-        cancelledBy: req.user?.role === 'admin' ? 'admin' : 'customer'
-      },
-      'shipmentDetails.shipmentStatus': 'cancelled',
-      status: 'cancelled'
+    // Cancelling the shipment cancels the order, with stock restored and payment refunded
+    const result = await orderStateMachine.transition(order, 'cancelled', {
+      reason: req.body?.reason,
+      actor: req.user?.role === 'admin' ? 'admin' : 'customer'
     });
 
-    return res.json({ success: true, message: 'Shipment cancelled successfully' });
+    return res.json({ success: true, message: 'Shipment cancelled successfully', refund: result.refund });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, message: error.message });
     return res.status(500).json({ success: false, message: 'Failed to cancel shipment' });
   }
 });
 
 // 3. GENERATE LABELS - POST /api/orders/:id/generate-label (admin)
-router.post('/:id/generate-label', [authRequired, requireRoles('admin')], async (req, res) => {
+router.post('/:id/generate-label', [authRequired, requirePermission('orders:write'), audit('order.generate_label', Order)], async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
-    if (!order || !order.shipmentDetails?.awbNumber) {
+    const awbNumbers = order
+      ? subOrderService.shipmentsOf(order).map((s) => s.shipment?.awbNumber).filter(Boolean)
+      : [];
+    if (awbNumbers.length === 0) {
       return res.status(400).json({ success: false, message: 'No AWB number found' });
     }
 
-    const labelData = await shipyaariService.generateShippingLabels([order.shipmentDetails.awbNumber]);
-
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.shippingLabel': labelData
-    });
+    const labelData = await shipyaariService.generateShippingLabels(awbNumbers);
+    // Our GST invoice takes precedence over the courier's
+    if (order.invoice?.number) labelData.invoiceUrl = order.shipmentDetails?.shippingLabel?.invoiceUrl;
+
+    // One label run covers every parcel of a split order, each with its seller's invoice
+    const update = {};
+    if (order.subOrders.length) {
+      order.subOrders.forEach((s, i) => {
+        if (!s.shipmentDetails?.awbNumber) return;
+        update[`subOrders.${i}.shipmentDetails.shippingLabel`] = s.invoice?.number
+          ? { ...labelData, invoiceUrl: s.shipmentDetails.shippingLabel?.invoiceUrl }
+          : labelData;
+      });
+    } else {
+      update['shipmentDetails.shippingLabel'] = labelData;
+    }
+    await Order.findByIdAndUpdate(order._id, update);
 
     return res.json({ success: true, labels: labelData });
   } catch (error) {
@@ -492,7 +428,7 @@ router.get('/track/:orderNumber', async (req, res) => {
   try {
     const { orderNumber } = req.params;
     const order = await Order.findOne({ orderNumber }).select(
-      'orderNumber orderId status razorpayDetails.paymentStatus shipmentDetails createdAt paidAt shippedAt deliveredAt'
+      'orderNumber orderId status razorpayDetails.paymentStatus shipmentDetails subOrders createdAt paidAt shippedAt deliveredAt'
     );
     if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
 
@@ -507,6 +443,19 @@ router.get('/track/:orderNumber', async (req, res) => {
         awbNumber: order.shipmentDetails?.awbNumber,
         courierPartner: order.shipmentDetails?.courierPartner,
         trackingUrl: order.shipmentDetails?.trackingUrl,
+        // Split orders arrive in several parcels, each with its own AWB
+        ...(order.subOrders.length && {
+          shipments: order.subOrders.map((s) => ({
+            subOrderId: s.subOrderId,
+            status: s.status,
+            shipmentStatus: s.shipmentDetails?.shipmentStatus || 'pending',
+            awbNumber: s.shipmentDetails?.awbNumber,
+            courierPartner: s.shipmentDetails?.courierPartner,
+            trackingUrl: s.shipmentDetails?.trackingUrl,
+            shippedAt: s.shippedAt,
+            deliveredAt: s.deliveredAt
+          }))
+        }),
         timestamps: {
           orderDate: order.createdAt,
           paidAt: order.paidAt,
@@ -530,6 +479,7 @@ router.post(
       check('items').isArray({ min: 1 }).withMessage('Items array is required'),
       check('items.*.product').isString().notEmpty().withMessage('Each item must have product id'),
       check('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be >= 1'),
+      check('items.*.variant').optional().isMongoId().withMessage('Invalid variant id'),
 
       // Customer details
       check('customerDetails.name').isString().notEmpty(),
@@ -561,41 +511,29 @@ router.post(
       check('sellerDetails.contact.name').isString().notEmpty(),
       check('sellerDetails.contact.mobile').isInt().toInt(),
 
-      check('paymentMethod').optional().isIn(['online', 'cod', 'wallet'])
+      check('paymentMethod').optional().isIn(['online', 'cod', 'wallet']),
+      check('couponCode').optional().isString().trim()
     ]
   ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { items, shippingAddress, billingAddress, addressId, billingAddressId, customerDetails, sellerDetails, paymentMethod = 'online', shippingPrice = 0, taxPrice = 0, orderNotes, specialInstructions, insurance } = req.body;
+    const { items, shippingAddress, billingAddress, addressId, billingAddressId, customerDetails, sellerDetails, paymentMethod = 'online', shippingPrice = 0, orderNotes, specialInstructions, insurance, couponCode } = req.body;
 
+    let order;
     try {
       // Fetch products to validate and get current price/title/image
-      const productIds = items.map(i => i.product);
-      const products = await Product.find({ _id: { $in: productIds } });
-      const productMap = new Map(products.map(p => [p._id.toString(), p]));
+      const productMap = await loadOrderableProducts(items.map((i) => i.product));
 
       // Build normalized order items and compute totals
       const normItems = [];
       for (const i of items) {
         const prod = productMap.get(i.product);
         if (!prod) return res.status(404).json({ message: `Product not found: ${i.product}` });
-        const qty = Number(i.quantity || 1);
-        normItems.push({
-          product: prod._id,
-          title: prod.title,
-          image: Array.isArray(prod.images) && prod.images.length ? prod.images[0] : undefined,
-          price: prod.price,
-          quantity: qty,
-          // Optional Shipyaari specific fields if provided by client, else defaults from schema
-          sku: i.sku || prod.sku,
-          category: i.category || prod.shippingCategory,
-          weight: typeof i.weight !== 'undefined' ? i.weight : (typeof prod.weightKg === 'number' ? prod.weightKg : undefined),
-          dimensions: i.dimensions || (prod.dimensionsCm ? { length: prod.dimensionsCm.length, breadth: prod.dimensionsCm.breadth, height: prod.dimensionsCm.height } : undefined),
-          hsnCode: i.hsnCode || prod.hsnCode,
-          gstRate: prod.gstRate || 12, // Add GST rate for Shipyaari
-        });
+        if (isUnavailable(prod)) return res.status(409).json({ message: `Product is not available: ${prod.title}` });
+        // Optional Shipyaari specific fields if provided by client, else product/variant values
+        normItems.push(buildOrderItem(prod, Number(i.quantity || 1), i, resolveVariant(prod, i.variant)));
       }
 
       // Resolve addresses: load from user's saved addresses if IDs provided
@@ -608,79 +546,64 @@ router.post(
         if (addressId) {
           const a = findAddr(addressId);
           if (!a) return res.status(400).json({ message: 'Invalid addressId' });
-          resolvedShipping = {
-            fullName: a.fullName,
-            addressLine1: a.addressLine1,
-            addressLine2: a.addressLine2,
-            city: a.city,
-            state: a.state,
-            postalCode: a.postalCode,
-            country: a.country,
-            phone: a.phone,
-            latitude: a.latitude,
-            longitude: a.longitude,
-            landmark: a.landmark,
-          };
+          resolvedShipping = toOrderAddress(a);
         }
         if (billingAddressId) {
           const b = findAddr(billingAddressId);
           if (!b) return res.status(400).json({ message: 'Invalid billingAddressId' });
-          resolvedBilling = {
-            fullName: b.fullName,
-            addressLine1: b.addressLine1,
-            addressLine2: b.addressLine2,
-            city: b.city,
-            state: b.state,
-            postalCode: b.postalCode,
-            country: b.country,
-            phone: b.phone,
-            latitude: b.latitude,
-            longitude: b.longitude,
-            landmark: b.landmark,
-          };
+          resolvedBilling = toOrderAddress(b);
         }
       }
 
       // If billing not provided, default to shipping
       if (!resolvedBilling && resolvedShipping) resolvedBilling = resolvedShipping;
 
-      const itemsPrice = normItems.reduce((sum, it) => sum + it.price * it.quantity, 0);
-      
-      // Calculate GST from products if not provided
-      let calculatedTaxPrice = Number(taxPrice || 0);
-      if (calculatedTaxPrice === 0) {
-        for (const item of normItems) {
-          const product = productMap.get(item.product.toString());
-          if (product && product.gstRate) {
-            const itemTax = Math.round((item.price * item.quantity * product.gstRate) / 100);
-            calculatedTaxPrice += itemTax;
-          }
-        }
-      }
-      
-      const totalPrice = itemsPrice + Number(shippingPrice || 0) + calculatedTaxPrice;
+      // Apply coupon and calculate GST on the discounted lines
+      const pricing = await priceOrder({
+        items: normItems,
+        productMap,
+        userId: req.user.sub,
+        couponCode,
+        shippingPrice,
+      });
 
-      const order = await Order.create({
+      order = new Order({
         user: req.user.sub,
-        items: normItems,
+        items: pricing.items,
         shippingAddress: resolvedShipping,
         billingAddress: resolvedBilling,
         customerDetails,
         sellerDetails,
         paymentMethod,
-        itemsPrice,
-        shippingPrice: Number(shippingPrice || 0),
-        taxPrice: calculatedTaxPrice,
-        totalPrice,
+        itemsPrice: pricing.itemsPrice,
+        discountPrice: pricing.discountPrice,
+        coupon: pricing.coupon,
+        shippingPrice: pricing.shippingPrice,
+        taxPrice: pricing.taxPrice,
+        includedTaxPrice: pricing.includedTaxPrice,
+        totalPrice: pricing.totalPrice,
         currency: 'INR',
         orderNotes,
         specialInstructions,
         insurance: Boolean(insurance),
       });
+      await subOrderService.assignSellers(order);
+
+      if (pricing.couponResult) {
+        await couponService.redeemCoupon({
+          coupon: pricing.couponResult.coupon,
+          userId: req.user.sub,
+          orderId: order._id,
+          discount: pricing.discountPrice,
+        });
+      }
+      await order.save();
 
       return res.status(201).json(order);
     } catch (err) {
       console.error('Create order error:', err);
+      if (order) await couponService.releaseRedemption(order._id).catch(() => {});
+      if (err.status) return res.status(err.status).json({ message: err.message });
       return res.status(500).json({ message: 'Server Error' });
     }
   }
@@ -698,7 +621,7 @@ router.get('/mine', [authRequired], async (req, res) => {
 });
 
 // GET /api/orders/:id - Get an order (owner or admin)
-router.get('/:id', [authRequired], async (req, res) => {
+router.get('/:id', [authRequired, requirePermissionIfAdmin('orders:read')], async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
@@ -710,17 +633,16 @@ router.get('/:id', [authRequired], async (req, res) => {
   }
 });
 
-// PATCH /api/orders/:id/pay - Mark as paid (owner) and save payment result
+// PATCH /api/orders/:id/pay - Save the payment result (owner) and mark as paid once the signature checks out
 router.patch(
   '/:id/pay',
   [
     authRequired,
+    requirePermissionIfAdmin('orders:write'),
     [
       check('razorpayOrderId').isString().notEmpty(),
       check('razorpayPaymentId').isString().notEmpty(),
-      check('razorpaySignature').isString().notEmpty(),
-      check('paymentMethod').optional().isIn(['online', 'cod', 'wallet']),
-      check('paymentStatus').optional().isIn(['pending', 'authorized', 'captured', 'failed'])
+      check('razorpaySignature').isString().notEmpty()
     ]
   ],
   async (req, res) => {
@@ -732,20 +654,25 @@ router.patch(
       if (!order) return res.status(404).json({ message: 'Order not found' });
       if (!isOwnerOrAdmin(req, order)) return res.status(403).json({ message: 'Forbidden' });
 
-      // Save Razorpay payment details
-      order.razorpayDetails = {
-        razorpayOrderId: req.body.razorpayOrderId,
-        razorpayPaymentId: req.body.razorpayPaymentId,
-        razorpaySignature: req.body.razorpaySignature,
-        paymentMethod: req.body.paymentMethod || 'online',
-        paymentStatus: req.body.paymentStatus || 'captured'
-      };
-
-      order.status = 'paid';
-      order.paidAt = new Date();
-      await order.save();
+      // Only a payment for this order's own Razorpay order, signed with our key, moves it to paid
+      const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+      if (razorpayOrderId !== order.razorpayDetails?.razorpayOrderId) {
+        return res.status(400).json({ message: 'Payment does not belong to this order' });
+      }
+      if (!verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+        return res.status(400).json({ message: 'Payment verification failed - Invalid signature' });
+      }
 
-      return res.json(order);
+      const paid = await markOrderPaid(order, {
+        razorpayPaymentId,
+        razorpaySignature,
+        updatedBy: 'payment_confirmation',
+        notes: 'Payment confirmed via Razorpay'
+      });
+      if (paid.status === 'cancelled') {
+        return res.status(409).json({ message: 'Order was cancelled, the payment will be refunded' });
+      }
+      return res.json(paid);
     } catch (err) {
       console.error('Pay order error:', err);
       return res.status(500).json({ message: 'Server Error' });
@@ -753,10 +680,10 @@ router.patch(
   }
 );
 
-// POST /api/orders/:id/cancel - Cancel order (owner) if not shipped/delivered
+// POST /api/orders/:id/cancel - Cancel order (owner) until it ships; paid orders are refunded
 router.post(
   '/:id/cancel',
-  [authRequired, [check('reason').optional().isString()]],
+  [authRequired, requirePermissionIfAdmin('orders:write'), [check('reason').optional().isString()]],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
@@ -764,23 +691,238 @@ router.post(
       const order = await Order.findById(req.params.id);
       if (!order) return res.status(404).json({ message: 'Order not found' });
       if (!isOwnerOrAdmin(req, order)) return res.status(403).json({ message: 'Forbidden' });
-      if (['processing', 'shipped', 'in_transit', 'delivered', 'cancelled'].includes(order.status)) {
-        return res.status(400).json({ message: `Cannot cancel order in status: ${order.status}` });
+      // Cancelling a paid order refunds it
+      const paidOnline = ['captured', 'partially_refunded'].includes(order.razorpayDetails?.paymentStatus);
+      if (req.admin && paidOnline && !req.admin.can('refunds:write')) {
+        return res.status(403).json({ message: 'Missing permission: refunds:write' });
       }
-      order.status = 'cancelled';
-      order.cancelledAt = new Date();
-      if (req.body.reason) order.cancellationReason = req.body.reason;
-      await order.save();
-      return res.json(order);
+
+      const result = await orderStateMachine.transition(order, 'cancelled', {
+        reason: req.body?.reason,
+        actor: req.user.role === 'admin' ? 'admin' : 'customer'
+      });
+      return res.json({ ...result.order.toJSON(), refund: result.refund });
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
       console.error('Cancel order error:', err);
       return res.status(500).json({ message: 'Server Error' });
     }
   }
 );
 
+// GET /api/orders/:id/refunds - Refunds issued against an order (owner or admin)
+router.get('/:id/refunds', [authRequired, requirePermissionIfAdmin('orders:read')], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!isOwnerOrAdmin(req, order)) return res.status(403).json({ message: 'Forbidden' });
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 });
+    return res.json(refunds);
+  } catch (err) {
+    console.error('List refunds error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// GET /api/orders/:id/invoice?subOrderId= - GST tax invoice PDF (owner or admin); issued on first download.
+// Split orders have one invoice per seller, picked by subOrderId
+router.get('/:id/invoice', [authRequired, requirePermissionIfAdmin('orders:read')], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!isOwnerOrAdmin(req, order)) return res.status(403).json({ message: 'Forbidden' });
+
+    const subOrderId = typeof req.query.subOrderId === 'string' ? req.query.subOrderId : undefined;
+    const invoiced = await invoiceService.issueInvoice(order, subOrderId);
+    const invoice = invoiceService.invoiceOf(invoiced, subOrderId);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.number.replace(/\//g, '-')}.pdf"`);
+    invoiceService.writeInvoicePdf(invoiced, res, subOrderId);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('Order invoice error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// ADMIN: POST /api/orders/:id/refunds - Manual (full or partial) refund of the captured payment
+router.post(
+  '/:id/refunds',
+  [authRequired, requirePermission('refunds:write'), audit('order.refund', Order), [
+    check('amount').optional().isFloat({ min: 0.01 }).toFloat(),
+    check('speed').optional().isIn(refundService.REFUND_SPEEDS),
+    check('reason').optional().isString().trim()
+  ]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const order = await Order.findById(req.params.id);
+      if (!order) return res.status(404).json({ message: 'Order not found' });
+
+      const refund = await refundService.issueRefund(order, {
+        amount: req.body?.amount,
+        speed: req.body?.speed,
+        reason: req.body?.reason || 'Manual refund',
+        initiatedBy: 'admin'
+      });
+      // A rejected API call is stored as a failed refund
+      return res.status(refund.status === 'failed' ? 502 : 201).json(refund);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error('Manual refund error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// POST /api/orders/cod/eligibility - Can these items be paid cash on delivery to this pincode?
+router.post(
+  '/cod/eligibility',
+  [authRequired, [
+    check('items').isArray({ min: 1 }).withMessage('Items array is required'),
+    check('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be >= 1'),
+    check('items.*.variant').optional().isMongoId().withMessage('Invalid variant id'),
+    check('postalCode', 'postalCode is required').isString().trim().notEmpty(),
+    check('couponCode').optional().isString().trim()
+  ]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const { items, postalCode, couponCode } = req.body;
+      const productMap = await loadOrderableProducts(items.map((i) => i.product));
+
+      const normItems = [];
+      for (const i of items) {
+        const prod = productMap.get(i.product);
+        if (!prod) return res.status(404).json({ message: `Product not found: ${i.product}` });
+        if (isUnavailable(prod)) return res.status(409).json({ message: `Product is not available: ${prod.title}` });
+        normItems.push(buildOrderItem(prod, Number(i.quantity || 1), i, resolveVariant(prod, i.variant)));
+      }
+      const pricing = await priceOrder({ items: normItems, productMap, userId: req.user.sub, couponCode, shippingPrice: 0 });
+
+      const result = await codService.checkEligibility({
+        userId: req.user.sub,
+        amount: pricing.totalPrice,
+        postalCode,
+        items: pricing.items
+      });
+      return res.json(result);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error('COD eligibility error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// ADMIN: GET /api/orders/cod/remittances?status=&page=&limit= - COD orders by remittance status, with totals
+router.get('/cod/remittances', [authRequired, requirePermission('orders:read')], async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { paymentMethod: 'cod', codDetails: { $exists: true } };
+    if (req.query.status) filter['codDetails.remittanceStatus'] = req.query.status;
+
+    const [data, total, summary] = await Promise.all([
+      Order.find(filter)
+        .select('orderNumber orderId status customerDetails totalPrice codDetails shipmentDetails.awbNumber deliveredAt createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+      Order.aggregate([
+        { $match: { paymentMethod: 'cod', codDetails: { $exists: true } } },
+        {
+          $group: {
+            _id: '$codDetails.remittanceStatus',
+            orders: { $sum: 1 },
+            collectable: { $sum: '$codDetails.collectableAmount' },
+            remitted: { $sum: { $ifNull: ['$codDetails.remittedAmount', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    return res.json({ data, summary, pagination: { page, pages: Math.ceil(total / limit), total } });
+  } catch (err) {
+    console.error('List COD remittances error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// ADMIN: POST /api/orders/cod/remittances - Reconcile a Shipyaari COD remittance report
+// Each row identifies the order by orderId (ours) or awbNumber; rows are applied independently.
+router.post(
+  '/cod/remittances',
+  [authRequired, requirePermission('orders:write'), audit('order.cod_remittance', Order, { meta: pickBody('reconciled', 'failed', 'results') }), [
+    check('remittances').isArray({ min: 1 }).withMessage('remittances array is required'),
+    check('remittances.*.orderId').optional().isString().trim(),
+    check('remittances.*.awbNumber').optional().isString().trim(),
+    check('remittances.*.amount').isFloat({ min: 0 }).toFloat(),
+    check('remittances.*.reference').optional().isString().trim(),
+    check('remittances.*.remittedAt').optional().isISO8601().toDate(),
+    check('remittances.*.notes').optional().isString().trim()
+  ]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const results = [];
+      for (const row of req.body.remittances) {
+        const key = row.orderId || row.awbNumber;
+        const order = row.orderId
+          ? await Order.findOne({ orderId: row.orderId })
+          : row.awbNumber ? (await subOrderService.findByAwb(row.awbNumber))?.order : null;
+        if (!order) {
+          results.push({ key, success: false, message: 'Order not found' });
+          continue;
+        }
+        try {
+          const updated = await codService.recordRemittance(order, row);
+          results.push({ key, success: true, orderId: updated.orderId, remittanceStatus: updated.codDetails.remittanceStatus });
+        } catch (e) {
+          if (!e.status) throw e;
+          results.push({ key, success: false, message: e.message });
+        }
+      }
+
+      const reconciled = results.filter((r) => r.success).length;
+      console.log(`💵 COD remittance reconciled: ${reconciled}/${results.length} rows`);
+      return res.json({ reconciled, failed: results.length - reconciled, results });
+    } catch (err) {
+      console.error('Reconcile COD remittances error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// ADMIN: POST /api/orders/:id/cod/rto - COD parcel returned undelivered (restocks unless restock=false)
+router.post(
+  '/:id/cod/rto',
+  [authRequired, requirePermission('orders:write'), audit('order.cod_rto', Order), [
+    check('restock').optional().isBoolean().toBoolean(),
+    check('notes').optional().isString().trim()
+  ]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const order = await Order.findById(req.params.id);
+      if (!order) return res.status(404).json({ message: 'Order not found' });
+      const updated = await codService.markRto(order, { notes: req.body?.notes, restock: req.body?.restock !== false });
+      return res.json(updated);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
+      console.error('Mark COD RTO error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
 // ADMIN: GET /api/orders - List all orders
-router.get('/', [authRequired, requireRoles('admin')], async (req, res) => {
+router.get('/', [authRequired, requirePermission('orders:read')], async (req, res) => {
   try {
     const orders = await Order.find().sort({ createdAt: -1 });
     return res.json(orders);
@@ -790,10 +932,14 @@ router.get('/', [authRequired, requireRoles('admin')], async (req, res) => {
   }
 });
 
-// ADMIN: PATCH /api/orders/:id/status - Update status (paid/shipped/delivered)
+// ADMIN: PATCH /api/orders/:id/status - Move the order along the state machine (409 on illegal moves)
 router.patch(
   '/:id/status',
-  [authRequired, requireRoles('admin'), [check('status').isIn(['pending', 'confirmed', 'paid', 'processing', 'shipped', 'in_transit', 'delivered', 'cancelled'])]],
+  [authRequired, requirePermission('orders:write'), audit('order.status', Order), [
+    check('status').isIn(Order.schema.path('status').enumValues),
+    check('reason').optional().isString(),
+    check('notes').optional().isString()
+  ]],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
@@ -801,13 +947,17 @@ router.patch(
       const order = await Order.findById(req.params.id);
       if (!order) return res.status(404).json({ message: 'Order not found' });
 
-      order.status = req.body.status;
-      if (req.body.status === 'shipped') order.shippedAt = new Date();
-      if (req.body.status === 'delivered') order.deliveredAt = new Date();
-      await order.save();
-
-      return res.json(order);
+      // Side effects come with the move: cancelling also cancels the shipment,
+      // restores stock and refunds the payment; delivering marks COD cash collected
+      const result = await orderStateMachine.transition(order, req.body.status, {
+        actor: 'admin',
+        reason: req.body.reason,
+        notes: req.body.notes
+      });
+      if (req.body.status === 'cancelled') return res.json({ ...result.order.toJSON(), refund: result.refund });
+      return res.json(result.order);
     } catch (err) {
+      if (err.status) return res.status(err.status).json({ message: err.message });
       console.error('Admin update status error:', err);
       return res.status(500).json({ message: 'Server Error' });
     }
@@ -817,12 +967,12 @@ router.patch(
 // ADMIN: POST /api/orders/:id/ship - Set shipment details (Shipyaari)
 router.post(
   '/:id/ship',
-  [authRequired, requireRoles('admin'), [
+  [authRequired, requirePermission('orders:write'), audit('order.ship', Order), [
     check('shipyaariOrderId').optional().isString(),
     check('awbNumber').optional().isString(),
     check('courierPartner').optional().isString(),
     check('trackingUrl').optional().isString(),
-    check('shipmentStatus').optional().isIn(['pending', 'processing', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'cancelled']),
+    check('shipmentStatus').optional().isIn(['pending', 'processing', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed', 'cancelled', 'rto', 'rto_delivered']),
     check('estimatedDeliveryDate').optional().isISO8601().toDate(),
     check('actualDeliveryDate').optional().isISO8601().toDate(),
     check('shipmentError').optional().isString()
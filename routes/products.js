@@ -1,5 +1,6 @@
 const express = require('express');
 const Product = require('../models/Product');
+const { catalogFilter } = require('../services/vendorService');
 const { Types: { ObjectId } } = require('mongoose');
 
 const router = express.Router();
@@ -7,7 +8,7 @@ const router = express.Router();
 // GET / - Get all active products
 router.get('/', async (req, res, next) => {
   try {
-    const products = await Product.find({ status: 'active' })
+    const products = await Product.find(await catalogFilter({ status: 'active' }))
       .select('-__v')
       .populate('brandId', 'name slug')
       .populate('categoryId', 'name slug')
@@ -37,10 +38,10 @@ router.get('/:id', async (req, res, next) => {
       });
     }
     
-    const product = await Product.findOne({
+    const product = await Product.findOne(await catalogFilter({
       _id: id,
       status: 'active'
-    }).select('-__v')
+    })).select('-__v')
       .populate('brandId', 'name slug')
       .populate('categoryId', 'name slug')
       .populate('subcategoryId', 'name slug')
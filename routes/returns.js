@@ -0,0 +1,253 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { authRequired, requirePermission, requirePermissionIfAdmin } = require('../middleware/auth');
+const ReturnRequest = require('../models/ReturnRequest');
+const { uploadImage } = require('../config/cloudinary');
+const returnService = require('../services/returnService');
+
+const router = express.Router();
+
+const MAX_PHOTOS = 5;
+
+// Return photos are staged on disk, pushed to Cloudinary and removed
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dest = path.join(process.cwd(), 'tmp_uploads');
+      if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true });
+      cb(null, dest);
+    },
+    filename: (req, file, cb) => {
+      const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+      cb(null, `return-${unique}${path.extname(file.originalname) || '.jpg'}`);
+    }
+  }),
+  limits: { files: MAX_PHOTOS, fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('image/'))
+});
+
+const removeTempFiles = (files = []) => {
+  for (const f of files) {
+    if (f.path && fs.existsSync(f.path)) fs.unlinkSync(f.path);
+  }
+};
+
+// Admins reach this only through requirePermissionIfAdmin
+const canView = (req, returnRequest) =>
+  req.user.role === 'admin' || returnRequest.user.toString() === req.user.sub;
+
+// Service errors carry a status (400/404/409); anything else is a 500
+const sendError = (res, err, label) => {
+  if (err.status) return res.status(err.status).json({ message: err.message });
+  console.error(`${label}:`, err);
+  return res.status(500).json({ message: 'Server Error' });
+};
+
+// POST /api/returns - Raise a return for one order item (multipart, up to 5 `photos`)
+router.post(
+  '/',
+  [
+    authRequired,
+    upload.array('photos', MAX_PHOTOS),
+    [
+      check('orderId', 'orderId is required').isMongoId(),
+      check('product', 'product is required').isMongoId(),
+      check('variant').optional({ values: 'falsy' }).isMongoId(),
+      check('quantity').optional().isInt({ min: 1 }).toInt(),
+      check('reason').isIn(ReturnRequest.REASONS),
+      check('comment').optional().isString().trim().isLength({ max: 1000 })
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeTempFiles(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const photos = [];
+      for (const file of req.files || []) {
+        const uploaded = await uploadImage(file.path, 'returns');
+        photos.push(uploaded.secure_url);
+      }
+
+      const returnRequest = await returnService.createReturnRequest({
+        userId: req.user.sub,
+        orderId: req.body.orderId,
+        product: req.body.product,
+        variant: req.body.variant || null,
+        quantity: req.body.quantity || 1,
+        reason: req.body.reason,
+        comment: req.body.comment,
+        photos
+      });
+
+      return res.status(201).json(returnRequest);
+    } catch (err) {
+      return sendError(res, err, 'Create return error');
+    } finally {
+      removeTempFiles(req.files);
+    }
+  }
+);
+
+// GET /api/returns/mine - Authenticated user's return requests
+router.get('/mine', [authRequired], async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user.sub })
+      .populate('order', 'orderNumber orderId status')
+      .sort({ createdAt: -1 });
+    return res.json(returns);
+  } catch (err) {
+    return sendError(res, err, 'List my returns error');
+  }
+});
+
+// ADMIN: GET /api/returns?status=&page=&limit= - All return requests
+router.get('/', [authRequired, requirePermission('returns:read')], async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.order) filter.order = req.query.order;
+
+    const [data, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('order', 'orderNumber orderId status totalPrice')
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReturnRequest.countDocuments(filter)
+    ]);
+
+    return res.json({ data, pagination: { page, pages: Math.ceil(total / limit), total } });
+  } catch (err) {
+    return sendError(res, err, 'Admin list returns error');
+  }
+});
+
+// GET /api/returns/:id - Owner or admin
+router.get('/:id', [authRequired, requirePermissionIfAdmin('returns:read')], async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id).populate('order', 'orderNumber orderId status');
+    if (!returnRequest || !canView(req, returnRequest)) return res.status(404).json({ message: 'Return not found' });
+    return res.json(returnRequest);
+  } catch (err) {
+    return sendError(res, err, 'Get return error');
+  }
+});
+
+// POST /api/returns/:id/cancel - Customer withdraws a pending request
+router.post('/:id/cancel', [authRequired], async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, user: req.user.sub });
+    if (!returnRequest) return res.status(404).json({ message: 'Return not found' });
+    return res.json(await returnService.cancelReturn(returnRequest));
+  } catch (err) {
+    return sendError(res, err, 'Cancel return error');
+  }
+});
+
+// ADMIN: POST /api/returns/:id/approve - Approve and book the Shipyaari reverse pickup
+router.post(
+  '/:id/approve',
+  [authRequired, requirePermission('returns:write'), [check('notes').optional().isString().trim()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const returnRequest = await ReturnRequest.findById(req.params.id);
+      if (!returnRequest) return res.status(404).json({ message: 'Return not found' });
+      return res.json(await returnService.approveReturn(returnRequest, 'admin', req.body?.notes));
+    } catch (err) {
+      return sendError(res, err, 'Approve return error');
+    }
+  }
+);
+
+// ADMIN: POST /api/returns/:id/reject
+router.post(
+  '/:id/reject',
+  [authRequired, requirePermission('returns:write'), [check('reason', 'Rejection reason is required').isString().trim().notEmpty()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const returnRequest = await ReturnRequest.findById(req.params.id);
+      if (!returnRequest) return res.status(404).json({ message: 'Return not found' });
+      return res.json(await returnService.rejectReturn(returnRequest, 'admin', req.body.reason));
+    } catch (err) {
+      return sendError(res, err, 'Reject return error');
+    }
+  }
+);
+
+// ADMIN: POST /api/returns/:id/pickup - Retry a failed reverse pickup booking
+router.post('/:id/pickup', [authRequired, requirePermission('returns:write')], async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) return res.status(404).json({ message: 'Return not found' });
+    if (returnRequest.status !== 'approved') {
+      return res.status(409).json({ message: `Pickup can only be booked for approved returns (is ${returnRequest.status})` });
+    }
+    return res.json(await returnService.bookReversePickup(returnRequest));
+  } catch (err) {
+    return sendError(res, err, 'Book reverse pickup error');
+  }
+});
+
+// ADMIN: POST /api/returns/:id/receive - Goods received: restock (optional) and refund (full or partial)
+router.post(
+  '/:id/receive',
+  [
+    authRequired,
+    requirePermission('returns:write', 'refunds:write'),
+    [
+      check('restock').optional().isBoolean().toBoolean(),
+      check('refundAmount').optional().isFloat({ min: 0.01 }).toFloat(),
+      check('notes').optional().isString().trim()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const returnRequest = await ReturnRequest.findById(req.params.id);
+      if (!returnRequest) return res.status(404).json({ message: 'Return not found' });
+      const updated = await returnService.receiveReturn(returnRequest, {
+        restock: req.body?.restock !== false,
+        refundAmount: req.body?.refundAmount,
+        notes: req.body?.notes,
+        actor: 'admin'
+      });
+      return res.json(updated);
+    } catch (err) {
+      return sendError(res, err, 'Receive return error');
+    }
+  }
+);
+
+// ADMIN: POST /api/returns/:id/refund - Retry a failed refund (optionally with a different amount)
+router.post(
+  '/:id/refund',
+  [authRequired, requirePermission('refunds:write'), [check('amount').optional().isFloat({ min: 0.01 }).toFloat()]],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const returnRequest = await ReturnRequest.findById(req.params.id);
+      if (!returnRequest) return res.status(404).json({ message: 'Return not found' });
+      return res.json(await returnService.refundReturn(returnRequest, { amount: req.body?.amount, actor: 'admin' }));
+    } catch (err) {
+      return sendError(res, err, 'Refund return error');
+    }
+  }
+);
+
+module.exports = router;
@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { authRequired } = require('../middleware/auth');
 const { check, validationResult } = require('express-validator');
+const bcrypt = require('bcrypt');
 const User = require('../models/User');
+const otpService = require('../services/otpService');
+const smsService = require('../services/smsService');
+const googleAuthService = require('../services/googleAuthService');
 
 // GET /api/users/me - Fetch authenticated user's full profile
 router.get('/me', [authRequired], async (req, res) => {
@@ -50,6 +54,12 @@ router.patch(
     }
 
     try {
+      // A new number has to be verified again
+      if (typeof updates.phone !== 'undefined') {
+        const current = await User.findById(req.user.sub).select('phone');
+        if (current && current.phone !== updates.phone) Object.assign(updates, { phoneVerified: false, phoneVerifiedAt: null });
+      }
+
       const user = await User.findByIdAndUpdate(req.user.sub, updates, { new: true, runValidators: true }).select('-passwordHash');
       if (!user) return res.status(404).json({ message: 'User not found' });
       return res.json({ user });
@@ -60,6 +70,256 @@ router.patch(
   }
 );
 
+// Email changes are confirmed with a code sent to the new address
+const emailChangeValidators = [check('email').trim().isEmail().withMessage('Valid email required')];
+
+const otpFailure = (res, err) => {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  return res.status(err.status).json({ message: err.message, retryAfter: err.retryAfter });
+};
+
+// POST /api/users/me/email/send-otp - { email } -> code to the new address
+router.post('/me/email/send-otp', [authRequired, emailChangeValidators], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const email = req.body.email.toLowerCase();
+    const taken = await User.exists({ email });
+    if (taken) return res.status(409).json({ message: 'Email already in use' });
+
+    const sent = await otpService.sendOtp({ purpose: 'email_change', destination: email, ip: req.ip });
+    return res.json({ message: 'OTP sent to new email', ...sent });
+  } catch (err) {
+    if (err.status) return otpFailure(res, err);
+    console.error('Email change OTP error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// POST /api/users/me/email - { email, otp } -> switch the account to the new address
+router.post(
+  '/me/email',
+  [authRequired, emailChangeValidators, check('otp').isString().notEmpty().withMessage('OTP required')],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const email = req.body.email.toLowerCase();
+      const taken = await User.exists({ email, _id: { $ne: req.user.sub } });
+      if (taken) return res.status(409).json({ message: 'Email already in use' });
+
+      await otpService.verifyOtp({ purpose: 'email_change', destination: email, code: req.body.otp });
+
+      const user = await User.findByIdAndUpdate(req.user.sub, { email }, { new: true, runValidators: true }).select('-passwordHash');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      return res.json({ user });
+    } catch (err) {
+      if (err.status) return otpFailure(res, err);
+      // Lost a race with another account claiming the address
+      if (err.code === 11000) return res.status(409).json({ message: 'Email already in use' });
+      console.error('Change email error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
+// GET /api/users/me/phone - current number and whether it is verified
+router.get('/me/phone', [authRequired], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.sub).select('phone phoneVerified phoneVerifiedAt');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ phone: user.phone || null, phoneVerified: !!user.phoneVerified, phoneVerifiedAt: user.phoneVerifiedAt || null });
+  } catch (err) {
+    console.error('Get phone error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Number from the body, else the one on the profile
+const phoneToVerify = async (req) => {
+  if (req.body.phone) return smsService.normalizePhone(req.body.phone);
+  const user = await User.findById(req.user.sub).select('phone');
+  return user && user.phone ? smsService.normalizePhone(user.phone) : null;
+};
+
+// POST /api/users/me/phone/send-otp - { phone? } -> code by SMS
+router.post('/me/phone/send-otp', [authRequired], async (req, res) => {
+  try {
+    const phone = await phoneToVerify(req);
+    if (!phone) return res.status(400).json({ message: 'Valid phone required' });
+
+    const taken = await User.exists({ phone, phoneVerified: true, _id: { $ne: req.user.sub } });
+    if (taken) return res.status(409).json({ message: 'Phone already verified on another account' });
+
+    const sent = await otpService.sendOtp({ purpose: 'phone_verify', channel: 'sms', destination: phone, ip: req.ip });
+    return res.json({ message: 'OTP sent by SMS', phone, ...sent });
+  } catch (err) {
+    if (err.status) return otpFailure(res, err);
+    console.error('Phone OTP error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// POST /api/users/me/phone/verify - { phone?, otp } -> saves the number as verified
+router.post('/me/phone/verify', [authRequired, check('otp').isString().notEmpty().withMessage('OTP required')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const phone = await phoneToVerify(req);
+    if (!phone) return res.status(400).json({ message: 'Valid phone required' });
+
+    await otpService.verifyOtp({ purpose: 'phone_verify', channel: 'sms', destination: phone, code: req.body.otp });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.sub,
+      { phone, phoneVerified: true, phoneVerifiedAt: new Date() },
+      { new: true, runValidators: true }
+    ).select('-passwordHash');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ user });
+  } catch (err) {
+    if (err.status) return otpFailure(res, err);
+    if (err.code === 11000) return res.status(409).json({ message: 'Phone already verified on another account' });
+    console.error('Verify phone error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Sign-in methods on the account. authProvider only records how it was created.
+const linkedProviders = (user) => ({
+  authProvider: user.authProvider,
+  providers: [
+    { provider: 'password', linked: !!user.passwordHash },
+    { provider: 'google', linked: !!user.googleId, linkedAt: user.googleLinkedAt || null }
+  ]
+});
+
+// GET /api/users/me/providers - password / Google linked to this account
+router.get('/me/providers', [authRequired], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.sub).select('authProvider passwordHash googleId googleLinkedAt');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json(linkedProviders(user));
+  } catch (err) {
+    console.error('Get providers error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// POST /api/users/me/providers/google - { token } (Google ID token) -> link that Google account.
+// The Google email may differ from the account email; google-login finds the user by Google id.
+router.post('/me/providers/google', [authRequired, check('token').isString().notEmpty().withMessage('Google token is required')], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { googleId, picture } = await googleAuthService.verifyIdToken(req.body.token);
+    const user = await User.findById(req.user.sub);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (user.googleId !== googleId) {
+      if (user.googleId) return res.status(409).json({ message: 'Unlink the current Google account first' });
+      const taken = await User.exists({ googleId });
+      if (taken) return res.status(409).json({ message: 'This Google account is linked to another user' });
+
+      user.googleId = googleId;
+      user.googleLinkedAt = new Date();
+      if (!user.avatar && picture) user.avatar = picture;
+      await user.save();
+    }
+    return res.json(linkedProviders(user));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    if (err.code === 11000) return res.status(409).json({ message: 'This Google account is linked to another user' });
+    console.error('Link Google error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// DELETE /api/users/me/providers/google - unlink Google; the account must keep a password
+router.delete('/me/providers/google', [authRequired], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.sub);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!user.googleId) return res.status(404).json({ message: 'Google is not linked' });
+    if (!user.passwordHash) return res.status(409).json({ message: 'Set a password before unlinking Google' });
+
+    await User.updateOne({ _id: user._id }, { $unset: { googleId: 1, googleLinkedAt: 1 } });
+    user.googleId = undefined;
+    user.googleLinkedAt = undefined;
+    return res.json(linkedProviders(user));
+  } catch (err) {
+    console.error('Unlink Google error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// Accounts without a password (Google or passwordless OTP) add one with a code sent
+// to the account email; existing passwords change through forgot-password
+const passwordAlreadySet = (res) => res.status(409).json({ message: 'Password already set; use forgot password to change it' });
+
+// POST /api/users/me/password/send-otp - code to the account email
+router.post('/me/password/send-otp', [authRequired], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.sub).select('email passwordHash');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.passwordHash) return passwordAlreadySet(res);
+
+    const sent = await otpService.sendOtp({ purpose: 'set_password', destination: user.email, ip: req.ip });
+    return res.json({ message: 'OTP sent to email', ...sent });
+  } catch (err) {
+    if (err.status) return otpFailure(res, err);
+    console.error('Set password OTP error:', err);
+    return res.status(500).json({ message: 'Server Error' });
+  }
+});
+
+// POST /api/users/me/password - { otp, password } -> add a password to the account
+router.post(
+  '/me/password',
+  [
+    authRequired,
+    check('otp').isString().notEmpty().withMessage('OTP required'),
+    check('password').isString().notEmpty().withMessage('Password required')
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findById(req.user.sub).select('email passwordHash authProvider googleId googleLinkedAt');
+      if (!user) return res.status(404).json({ message: 'User not found' });
+      if (user.passwordHash) return passwordAlreadySet(res);
+
+      await otpService.verifyOtp({ purpose: 'set_password', destination: user.email, code: req.body.otp });
+
+      const passwordHash = await bcrypt.hash(req.body.password, 10);
+      // Only fill a missing password; a concurrent request may have set one
+      const { modifiedCount } = await User.updateOne({ _id: user._id, passwordHash: null }, { passwordHash });
+      if (!modifiedCount) return passwordAlreadySet(res);
+      user.passwordHash = passwordHash;
+      return res.json(linkedProviders(user));
+    } catch (err) {
+      if (err.status) return otpFailure(res, err);
+      console.error('Set password error:', err);
+      return res.status(500).json({ message: 'Server Error' });
+    }
+  }
+);
+
 module.exports = router;
 
 
@@ -0,0 +1,504 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { authRequired, requireRoles } = require('../middleware/auth');
+const Product = require('../models/Product');
+const Vendor = require('../models/Vendor');
+const Order = require('../models/Order');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutCycle = require('../models/PayoutCycle');
+const vendorService = require('../services/vendorService');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const kycService = require('../services/kycService');
+const { uploadImage, deleteImage } = require('../config/cloudinary');
+
+const router = express.Router();
+
+const slugify = (str) =>
+  str
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+
+// KYC documents (images or PDF) are staged on disk, pushed to Cloudinary and removed
+const KYC_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dest = path.join(process.cwd(), 'tmp_uploads');
+      if (!fs.existsSync(dest)) fs.mkdirSync(dest, { recursive: true });
+      cb(null, dest);
+    },
+    filename: (req, file, cb) => {
+      const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+      cb(null, `kyc-${unique}${path.extname(file.originalname)}`);
+    }
+  }),
+  limits: { files: 1, fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, KYC_MIME_TYPES.includes(file.mimetype))
+});
+
+const removeTempFile = (file) => {
+  if (file?.path && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+};
+
+// Every route acts for the vendor profile of the signed in vendor user
+const loadVendor = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findOne({ userId: req.user.sub });
+    if (!vendor) return res.status(403).json({ message: 'No vendor profile for this account' });
+    req.vendor = vendor;
+    next();
+  } catch (err) { next(err); }
+};
+
+// Pending and suspended vendors can look at their products but not change them
+const requireApproved = (req, res, next) => {
+  if (req.vendor.status !== 'approved') {
+    return res.status(403).json({ message: `Vendor account is ${req.vendor.status}` });
+  }
+  next();
+};
+
+const sendError = (err, res, next) => {
+  if (err.status) return res.status(err.status).json({ message: err.message });
+  if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+  return next(err);
+};
+
+router.use(authRequired, requireRoles('vendor'), loadVendor);
+
+// Own product by id, or null
+const findOwnProduct = (req) => Product.findOne({ _id: req.params.id, vendorId: req.vendor._id });
+
+// GET /api/vendor/me - vendor profile
+router.get('/me', (req, res) => {
+  res.json({ data: req.vendor });
+});
+
+// PATCH /api/vendor/me - edit own profile; the addresses are part of KYC (PATCH /kyc)
+const profileFields = ['displayName', 'businessName', 'phone'];
+router.patch(
+  '/me',
+  [check('displayName').optional().isString().trim().notEmpty()],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      for (const key of profileFields) if (key in req.body) req.vendor.set(key, req.body[key]);
+      await req.vendor.save();
+      res.json({ data: req.vendor });
+    } catch (err) { sendError(err, res, next); }
+  }
+);
+
+// GET /api/vendor/kyc - onboarding state: KYC details, documents, last review and what is still missing
+router.get('/kyc', (req, res) => {
+  const v = req.vendor;
+  res.json({
+    data: {
+      status: v.kyc.status,
+      submittedAt: v.kyc.submittedAt,
+      lastReview: v.kyc.lastReview,
+      gstNumber: v.gstNumber,
+      pan: v.pan,
+      bankAccount: v.bankAccount,
+      pickupAddress: v.pickupAddress,
+      documents: v.documents,
+      requiredDocuments: kycService.REQUIRED_DOCUMENTS,
+      missing: kycService.missingItems(v)
+    }
+  });
+});
+
+// PATCH /api/vendor/kyc - GSTIN, PAN, bank account and addresses; only while KYC is draft or rejected.
+// Orders for vendor products ship from pickupAddress
+router.patch(
+  '/kyc',
+  [
+    check('gstNumber', 'gstNumber is not a valid GSTIN').optional().custom(kycService.isValidGstin),
+    check('pan', 'pan is not a valid PAN').optional().custom(kycService.isValidPan),
+    check('bankAccount.accountHolderName').optional().isString().trim().notEmpty(),
+    check('bankAccount.accountNumber', 'accountNumber must be 9-18 digits').optional().custom(kycService.isValidAccountNumber),
+    check('bankAccount.ifsc', 'ifsc is not a valid IFSC').optional().custom(kycService.isValidIfsc),
+    check('bankAccount.bankName').optional().isString().trim(),
+    check('address').optional().isString().trim(),
+    check('pickupAddress.fullAddress').optional().isString().trim().notEmpty(),
+    check('pickupAddress.pincode', 'pincode must be 6 digits').optional().matches(/^\d{6}$/),
+    check('pickupAddress.city').optional().isString().trim().notEmpty(),
+    check('pickupAddress.state').optional().isString().trim().notEmpty(),
+    check('pickupAddress.mobile', 'mobile must be 10 digits').optional().matches(/^\d{10}$/)
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      kycService.applyKycUpdate(req.vendor, req.body);
+      await req.vendor.save();
+      res.json({ data: req.vendor });
+    } catch (err) { sendError(err, res, next); }
+  }
+);
+
+// POST /api/vendor/kyc/documents - upload one KYC document (multipart `file`, `type`);
+// a new gst_certificate / pan_card / ... replaces the previous one
+router.post(
+  '/kyc/documents',
+  upload.single('file'),
+  [check('type').isIn(Vendor.DOCUMENT_TYPES)],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeTempFile(req.file);
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.file) return res.status(400).json({ message: 'Upload a PDF, JPEG, PNG or WebP as "file"' });
+    try {
+      const uploaded = await uploadImage(req.file.path, `vendor-kyc/${req.vendor._id}`, { resource_type: 'auto' });
+      let replaced;
+      try {
+        replaced = kycService.addDocument(req.vendor, {
+          type: req.body.type,
+          url: uploaded.secure_url,
+          publicId: uploaded.public_id,
+          fileName: req.file.originalname
+        });
+        await req.vendor.save();
+      } catch (err) {
+        await deleteImage(uploaded.public_id).catch(() => {});
+        throw err;
+      }
+      for (const doc of replaced) {
+        deleteImage(doc.publicId).catch((err) => console.error(`❌ Could not delete KYC file ${doc.publicId}:`, err.message));
+      }
+      res.status(201).json({ data: req.vendor.documents });
+    } catch (err) {
+      sendError(err, res, next);
+    } finally {
+      removeTempFile(req.file);
+    }
+  }
+);
+
+// DELETE /api/vendor/kyc/documents/:documentId
+router.delete('/kyc/documents/:documentId', [check('documentId').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const doc = kycService.removeDocument(req.vendor, req.params.documentId);
+    await req.vendor.save();
+    deleteImage(doc.publicId).catch((err) => console.error(`❌ Could not delete KYC file ${doc.publicId}:`, err.message));
+    res.json({ data: req.vendor.documents });
+  } catch (err) { sendError(err, res, next); }
+});
+
+// POST /api/vendor/kyc/submit - send complete KYC for admin review; 400 lists what is missing
+router.post('/kyc/submit', async (req, res, next) => {
+  try {
+    kycService.submitKyc(req.vendor);
+    await req.vendor.save();
+    res.json({ data: { status: req.vendor.kyc.status, submittedAt: req.vendor.kyc.submittedAt } });
+  } catch (err) {
+    if (err.missing) return res.status(err.status).json({ message: err.message, missing: err.missing });
+    sendError(err, res, next);
+  }
+});
+
+// GET /api/vendor/orders?page=&limit= - orders with own products, newest first. Shows
+// only this vendor's lines and the shipment they travel in (own sub-order on split orders).
+router.get('/orders', async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { 'items.vendor': req.vendor._id, status: { $ne: 'pending' } };
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('orderNumber orderId status paymentMethod items shippingAddress shipmentDetails subOrders createdAt'),
+      Order.countDocuments(filter)
+    ]);
+
+    const data = orders.map((order) => {
+      const subOrder = order.subOrders.find((s) => String(s.vendor) === String(req.vendor._id));
+      return {
+        orderNumber: order.orderNumber,
+        orderId: subOrder ? subOrder.subOrderId : order.orderId,
+        status: subOrder ? subOrder.status : order.status,
+        paymentMethod: order.paymentMethod,
+        createdAt: order.createdAt,
+        shippingAddress: { city: order.shippingAddress.city, state: order.shippingAddress.state, postalCode: order.shippingAddress.postalCode },
+        items: order.items.filter((i) => String(i.vendor) === String(req.vendor._id)),
+        shipment: subOrder ? subOrder.shipmentDetails : order.shipmentDetails
+      };
+    });
+
+    res.json({ data, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+// GET /api/vendor/products?status=&page=&limit= - own products, newest first
+router.get('/products', async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { vendorId: req.vendor._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [items, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('brandId', 'name slug')
+        .populate('categoryId', 'name slug')
+        .populate('subcategoryId', 'name slug')
+        .select('-__v'),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({ data: items, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+// GET /api/vendor/products/:id
+router.get('/products/:id', [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const product = await findOwnProduct(req);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    res.json({ data: product });
+  } catch (err) { next(err); }
+});
+
+// POST /api/vendor/products - create a draft product (submit: true queues it for approval right away)
+router.post(
+  '/products',
+  requireApproved,
+  [
+    check('brandId', 'brandId is required').isMongoId(),
+    check('categoryId', 'categoryId is required').isMongoId(),
+    check('subcategoryId', 'subcategoryId is required').isMongoId(),
+    check('title', 'title is required').isString().trim().notEmpty(),
+    check('price', 'price must be a positive number').isFloat({ min: 0 }),
+    check('submit').optional().isBoolean()
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const { brandId, categoryId, subcategoryId, slug, title, submit } = req.body;
+      await vendorService.assertHierarchy({ brandId, categoryId, subcategoryId });
+
+      const finalSlug = slug && slug.trim() ? slugify(slug) : slugify(title);
+      const exists = await Product.findOne({ brandId, slug: finalSlug });
+      if (exists) return res.status(409).json({ message: 'Slug already exists for this brand' });
+
+      const product = new Product({
+        ...vendorService.pickVendorFields(req.body),
+        brandId,
+        slug: finalSlug,
+        vendorId: req.vendor._id,
+        status: 'draft'
+      });
+      if (submit) vendorService.submitForApproval(product);
+      await product.save();
+
+      res.status(201).json({ data: product });
+    } catch (err) { sendError(err, res, next); }
+  }
+);
+
+// PATCH /api/vendor/products/:id - edit own product; content changes to a live product send it back for approval
+router.patch(
+  '/products/:id',
+  requireApproved,
+  [
+    check('id').isMongoId(),
+    check('categoryId').optional().isMongoId(),
+    check('subcategoryId').optional().isMongoId(),
+    check('price').optional().isFloat({ min: 0 })
+  ],
+  async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+    try {
+      const product = await findOwnProduct(req);
+      if (!product) return res.status(404).json({ message: 'Product not found' });
+      if (product.status === 'discontinued') return res.status(409).json({ message: 'Product is discontinued' });
+
+      if ('categoryId' in req.body || 'subcategoryId' in req.body) {
+        await vendorService.assertHierarchy({
+          brandId: product.brandId,
+          categoryId: req.body.categoryId || product.categoryId,
+          subcategoryId: req.body.subcategoryId || product.subcategoryId
+        });
+      }
+
+      const sentForReview = vendorService.applyVendorUpdate(product, req.body);
+      await product.save();
+
+      res.json({ data: product, ...(sentForReview && { message: 'Changes are live after approval' }) });
+    } catch (err) { sendError(err, res, next); }
+  }
+);
+
+// POST /api/vendor/products/:id/submit - queue a draft for admin approval
+router.post('/products/:id/submit', requireApproved, [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const product = await findOwnProduct(req);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    vendorService.submitForApproval(product);
+    await product.save();
+    res.json({ data: product });
+  } catch (err) { sendError(err, res, next); }
+});
+
+// ===== Variants of own products =====
+// Same fields as the admin variant routes; saved through the document so the
+// Product hooks validate the matrix and roll stock/price up
+const variantFields = ['sku', 'optionValues', 'price', 'compareAtPrice', 'stock', 'images', 'weightKg', 'isActive'];
+
+// POST /api/vendor/products/:id/variants - add a variant
+router.post('/products/:id/variants', requireApproved, [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const product = await findOwnProduct(req);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const data = {};
+    for (const key of variantFields) if (key in req.body) data[key] = req.body[key];
+    product.variants.push(data);
+    const variant = product.variants[product.variants.length - 1];
+    const sentForReview = vendorService.reviewVariantChange(product, variant);
+    await product.save();
+
+    res.status(201).json({ data: variant, product, ...(sentForReview && { message: 'Changes are live after approval' }) });
+  } catch (err) { sendError(err, res, next); }
+});
+
+// PATCH /api/vendor/products/:id/variants/:variantId - update a variant
+router.patch('/products/:id/variants/:variantId', requireApproved, [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const product = await findOwnProduct(req);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant) return res.status(404).json({ message: 'Variant not found' });
+
+    for (const key of variantFields) if (key in req.body) variant.set(key, req.body[key]);
+    const sentForReview = vendorService.reviewVariantChange(product, variant);
+    await product.save();
+
+    res.json({ data: variant, product, ...(sentForReview && { message: 'Changes are live after approval' }) });
+  } catch (err) { sendError(err, res, next); }
+});
+
+// DELETE /api/vendor/products/:id/variants/:variantId - remove a variant
+// Variants with units held by pending checkouts are deactivated instead.
+router.delete('/products/:id/variants/:variantId', requireApproved, [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const product = await findOwnProduct(req);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant) return res.status(404).json({ message: 'Variant not found' });
+
+    if (variant.reservedStock > 0) {
+      variant.isActive = false;
+      await product.save();
+      return res.json({ message: 'Variant has reserved stock; deactivated instead of deleted', data: variant });
+    }
+
+    variant.deleteOne();
+    await product.save();
+    res.status(204).send();
+  } catch (err) { sendError(err, res, next); }
+});
+
+// ===== Earnings =====
+// GET /api/vendor/balance - available / on hold (return window) / in payout / paid out
+router.get('/balance', async (req, res, next) => {
+  try {
+    res.json({ data: await ledgerService.vendorBalance(req.vendor._id) });
+  } catch (err) { next(err); }
+});
+
+// GET /api/vendor/ledger?type=&page=&limit= - own ledger entries, newest first
+router.get('/ledger', async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const filter = { vendor: req.vendor._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const [items, total] = await Promise.all([
+      LedgerEntry.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select('-__v -key'),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    res.json({ data: items, pagination: { page, pages: Math.ceil(total / limit), total, limit } });
+  } catch (err) { next(err); }
+});
+
+// GET /api/vendor/payouts?status= - own payout cycles, newest first
+router.get('/payouts', async (req, res, next) => {
+  try {
+    const filter = { vendor: req.vendor._id };
+    if (req.query.status) filter.status = req.query.status;
+    const cycles = await PayoutCycle.find(filter).sort({ createdAt: -1 }).select('-__v -paidBy');
+    res.json({ data: cycles });
+  } catch (err) { next(err); }
+});
+
+// GET /api/vendor/payouts/:id/statement?format=csv|xlsx - download own statement
+router.get('/payouts/:id/statement', [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const cycle = await PayoutCycle.findOne({ _id: req.params.id, vendor: req.vendor._id });
+    if (!cycle) return res.status(404).json({ message: 'Payout not found' });
+
+    const file = await payoutService.statementFile(cycle, req.query.format || 'csv');
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (err) { sendError(err, res, next); }
+});
+
+// DELETE /api/vendor/products/:id - remove own product
+// Products with units held by pending checkouts are discontinued instead.
+router.delete('/products/:id', requireApproved, [check('id').isMongoId()], async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  try {
+    const product = await findOwnProduct(req);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    if (product.reservedStock > 0) {
+      product.status = 'discontinued';
+      await product.save();
+      return res.json({ message: 'Product has reserved stock; discontinued instead of deleted', data: product });
+    }
+
+    await Product.deleteOne({ _id: product._id });
+    res.status(204).send();
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -2,8 +2,12 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const shipyaariService = require('../services/shipyariServices');
+const shipmentService = require('../services/shipmentService');
+const orderStateMachine = require('../services/orderStateMachine');
+const { markOrderPaid } = require('../services/checkoutService');
+const refundService = require('../services/refundService');
+const trackingService = require('../services/trackingService');
+const subOrderService = require('../services/subOrderService');
 
 // Razorpay webhook handler
 router.post('/razorpay', async (req, res) => {
@@ -30,7 +34,7 @@ router.post('/razorpay', async (req, res) => {
     // Parse JSON only AFTER verifying signature
     const parsed = JSON.parse(rawBody.toString('utf8'));
     const { event, payload } = parsed;
-    console.log(`🔔 Webhook received: ${event} - ${payload.payment?.entity?.id || 'Unknown'}`);
+    console.log(`🔔 Webhook received: ${event} - ${payload.refund?.entity?.id || payload.payment?.entity?.id || 'Unknown'}`);
 
     // Handle different payment events
     switch (event) {
@@ -45,6 +49,14 @@ router.post('/razorpay', async (req, res) => {
       case 'payment.authorized':
         await handlePaymentAuthorized(payload.payment.entity);
         break;
+
+      case 'refund.processed':
+        await refundService.handleRefundProcessed(payload.refund.entity);
+        break;
+
+      case 'refund.failed':
+        await refundService.handleRefundFailed(payload.refund.entity);
+        break;
         
       default:
         console.log(`ℹ️ Unhandled webhook event: ${event}`);
@@ -58,6 +70,64 @@ router.post('/razorpay', async (req, res) => {
   }
 });
 
+// Shipyaari pushes courier status updates here. Authenticated with the shared
+// secret configured on the Shipyaari webhook, sent as the X-Shipyaari-Secret
+// header (or ?secret= when the header can't be configured).
+router.post('/shipyaari', async (req, res) => {
+  try {
+    const expected = process.env.SHIPYAARI_WEBHOOK_SECRET;
+    if (!expected) {
+      console.error('❌ SHIPYAARI_WEBHOOK_SECRET is not configured');
+      return res.status(401).json({ error: 'Webhook not configured' });
+    }
+    const provided = String(req.headers['x-shipyaari-secret'] || req.query.secret || '');
+    if (!safeEqual(provided, expected)) {
+      console.error('❌ Invalid Shipyaari webhook secret');
+      return res.status(401).json({ error: 'Invalid secret' });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString('utf8') || '{}') : req.body || {};
+    const events = (Array.isArray(body) ? body : Array.isArray(body.data) ? body.data : [body.data || body])
+      .map(normalizeTrackingEvent)
+      .filter((e) => e.awbNumber && e.status);
+
+    let applied = 0;
+    for (const event of events) {
+      console.log(`🔔 Shipyaari tracking: ${event.awbNumber} - ${event.status}`);
+      // The AWB of a split order belongs to one of its sub-orders
+      const found = await subOrderService.findByAwb(event.awbNumber);
+      if (!found) {
+        console.log(`ℹ️ No order for AWB: ${event.awbNumber}`);
+        continue;
+      }
+      await trackingService.applyTrackingUpdate(found.order, event, 'shipyaari_webhook', found.subOrder);
+      applied += 1;
+    }
+
+    res.status(200).json({ status: 'ok', received: events.length, applied });
+  } catch (error) {
+    console.error('❌ Shipyaari webhook processing error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Shipyaari/courier payload field names vary; map them onto a tracking update
+function normalizeTrackingEvent(e = {}) {
+  return {
+    awbNumber: String(e.awb || e.awbNumber || e.awb_no || e.trackingNo || e.tracking_number || ''),
+    status: e.status || e.currentStatus || e.current_status || e.shipment_status,
+    location: e.location || e.current_location || e.city,
+    timestamp: e.timestamp || e.eventTime || e.event_time || e.updated_at,
+    description: e.description || e.remarks || e.message
+  };
+}
+
 // Handle successful payment
 async function handlePaymentSuccess(paymentData) {
   try {
@@ -72,67 +142,28 @@ async function handlePaymentSuccess(paymentData) {
       throw new Error(`Order not found for payment: ${paymentData.id}`);
     }
 
-    // Update order with payment details + status history
-    const updatedOrder = await Order.findByIdAndUpdate(
-      order._id,
-      {
-        'razorpayDetails.razorpayPaymentId': paymentData.id,
-        'razorpayDetails.paymentStatus': 'captured',
-        'razorpayDetails.paymentMethod': paymentData.method,
-        status: 'paid',
-        paidAt: new Date(),
-        $push: {
-          statusHistory: {
-            status: 'paid',
-            timestamp: new Date(),
-            updatedBy: 'razorpay_webhook',
-            notes: `Payment captured: ₹${paymentData.amount / 100} via ${paymentData.method}`
-          }
-        }
-      },
-      { new: true }
-    );
-
-    console.log(`✅ Payment completed for order: ${order.orderId} - ₹${paymentData.amount / 100}`);
-
-    // Automatic stock deduction for purchased items
-    console.log('📦 Deducting stock for purchased items...');
-    for (const item of updatedOrder.items) {
-      try {
-        // Prevent stock from going negative using conditional update
-        const stockUpdate = await Product.findOneAndUpdate(
-          { _id: item.product, stock: { $gte: item.quantity } },
-          {
-            $inc: {
-              stock: -item.quantity,
-              totalSales: item.quantity
-            },
-            $set: {
-              lastStockUpdate: new Date()
-            }
-          },
-          { new: true }
-        );
-
-        if (!stockUpdate) {
-          console.error(`❌ Failed to update stock for product: ${item.product} (insufficient stock?)`);
-          continue;
-        }
-
-        console.log(`✅ Stock updated: ${item.title} - Reduced by ${item.quantity}, Remaining: ${stockUpdate.stock}`);
+    // Record the payment; a pending order moves to paid and its reserved stock is committed
+    const updatedOrder = await markOrderPaid(order, {
+      razorpayPaymentId: paymentData.id,
+      paymentMethod: paymentData.method,
+      updatedBy: 'razorpay_webhook',
+      notes: `Payment captured: ₹${paymentData.amount / 100} via ${paymentData.method}`
+    });
 
-        // Auto-update product status if out of stock
-        if (stockUpdate.stock === 0 && stockUpdate.status !== 'out_of_stock') {
-          await Product.findByIdAndUpdate(item.product, { status: 'out_of_stock', lastStockUpdate: new Date() });
-          console.log(`⚠️ Product ${item.title} is now OUT OF STOCK`);
-        }
-      } catch (e) {
-        console.error(`❌ Error updating stock for product ${item.product}:`, e.message);
-      }
+    // Captured after the order was cancelled (e.g. payment completed late): give the money back
+    if (updatedOrder.status === 'cancelled') {
+      console.log(`↩️ Payment captured for cancelled order: ${order.orderId}, refunding`);
+      await refundService.issueRefund(updatedOrder, {
+        reason: 'Payment captured after order cancellation',
+        initiatedBy: 'razorpay_webhook'
+      });
+      return;
     }
 
-    // Automatically create Shipyaari shipment
-    await processShipment(updatedOrder);
+    console.log(`✅ Payment completed for order: ${order.orderId} - ₹${paymentData.amount / 100}`);
+
+    // Automatically create Shipyaari shipment (a replayed capture finds the order further along)
+    if (updatedOrder.status === 'paid') await processShipment(updatedOrder);
 
   } catch (error) {
     console.error('❌ Handle payment success error:', error);
@@ -149,22 +180,17 @@ async function handlePaymentFailure(paymentData) {
       'razorpayDetails.razorpayOrderId': paymentData.order_id
     });
 
-    if (order) {
-      await Order.findByIdAndUpdate(order._id, {
-        'razorpayDetails.paymentStatus': 'failed',
-        status: 'cancelled',
-        cancelledAt: new Date(),
-        cancellationReason: 'Payment failed',
-        $push: {
-          statusHistory: {
-            status: 'cancelled',
-            timestamp: new Date(),
-            updatedBy: 'razorpay_webhook',
-            notes: `Payment failed: ${paymentData.error_description || 'Payment processing failed'}`
-          }
-        }
+    // Only an unpaid order is cancelled: a failed retry must not cancel an order another attempt paid
+    if (order && order.status === 'pending') {
+      await Order.updateOne({ _id: order._id }, { 'razorpayDetails.paymentStatus': 'failed' });
+      // Cancelling releases the reserved stock and the coupon
+      await orderStateMachine.transition(order, 'cancelled', {
+        reason: 'Payment failed',
+        stockReason: 'payment_failed',
+        updatedBy: 'razorpay_webhook',
+        notes: `Payment failed: ${paymentData.error_description || 'Payment processing failed'}`
       });
-      
+
       console.log(`❌ Payment failed for order: ${order.orderId} - ${paymentData.error_description || 'Unknown error'}`);
     }
   } catch (error) {
@@ -182,20 +208,25 @@ async function handlePaymentAuthorized(paymentData) {
     });
 
     if (order) {
-      await Order.findByIdAndUpdate(order._id, {
-        'razorpayDetails.razorpayPaymentId': paymentData.id,
-        'razorpayDetails.paymentStatus': 'authorized',
-        'razorpayDetails.paymentMethod': paymentData.method,
-        $push: {
-          statusHistory: {
-            status: 'payment_authorized',
-            timestamp: new Date(),
-            updatedBy: 'razorpay_webhook',
-            notes: `Payment authorized: ₹${paymentData.amount / 100} - Awaiting capture`
+      // Not an order status change: the order stays pending until the capture.
+      // Webhooks can arrive out of order, so never downgrade a captured payment.
+      await Order.updateOne(
+        { _id: order._id, 'razorpayDetails.paymentStatus': { $in: ['pending', 'failed', null] } },
+        {
+          'razorpayDetails.razorpayPaymentId': paymentData.id,
+          'razorpayDetails.paymentStatus': 'authorized',
+          'razorpayDetails.paymentMethod': paymentData.method,
+          $push: {
+            events: {
+              type: 'payment_authorized',
+              timestamp: new Date(),
+              updatedBy: 'razorpay_webhook',
+              notes: `Payment authorized: ₹${paymentData.amount / 100} - Awaiting capture`
+            }
           }
         }
-      });
-      
+      );
+
       console.log(`🔐 Payment authorized for order: ${order.orderId}`);
     }
   } catch (error) {
@@ -203,102 +234,12 @@ async function handlePaymentAuthorized(paymentData) {
   }
 }
 
-// Process shipment creation (enhanced)
+// Process shipment creation; failures are recorded on the order, webhook still returns 200
 async function processShipment(order) {
   try {
-    console.log(`🚚 Processing shipment for order: ${order.orderId}`);
-
-    // Validate required data before proceeding
-    if (!order.sellerDetails || !order.sellerDetails.address || !order.sellerDetails.contact) {
-      throw new Error('Seller details are missing. Cannot create shipment without seller information.');
-    }
-
-    if (!order.shippingAddress) {
-      throw new Error('Shipping address is missing. Cannot create shipment without delivery address.');
-    }
-
-    // Check environment variables
-    const requiredEnvVars = ['SHIPYAARI_EMAIL', 'SHIPYAARI_PASSWORD'];
-    const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-    
-    if (missingEnvVars.length > 0) {
-      throw new Error(`Missing Shipyaari environment variables: ${missingEnvVars.join(', ')}`);
-    }
-
-    // Check if shipment already exists
-    if (order.shipmentDetails && order.shipmentDetails.shipyaariOrderId) {
-      console.log(`ℹ️ Shipment already exists for order: ${order.orderId}`);
-      return;
-    }
-
-    // Update order status to processing with status history
-    await Order.findByIdAndUpdate(order._id, {
-      status: 'processing',
-      $push: {
-        statusHistory: {
-          status: 'processing',
-          timestamp: new Date(),
-          updatedBy: 'system',
-          notes: 'Order processing for shipment creation'
-        }
-      }
-    });
-
-    console.log(`📦 Creating Shipyaari shipment for order: ${order.orderId}`);
-
-    // Create Shipyaari shipment
-    const shipmentResult = await shipyaariService.createShipment(order);
-
-    // Update order with shipment details + status history
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.shipmentStatus': 'processing',
-      'shipmentDetails.shipyaariOrderId': shipmentResult.shipyaariOrderId,
-      'shipmentDetails.awbNumber': shipmentResult.awbNumber,
-      'shipmentDetails.courierPartner': shipmentResult.courierPartner,
-      'shipmentDetails.trackingUrl': shipmentResult.trackingUrl,
-      'shipmentDetails.estimatedDeliveryDate': shipmentResult.estimatedDeliveryDate,
-      status: 'shipped',
-      shippedAt: new Date(),
-      $push: {
-        statusHistory: {
-          status: 'shipped',
-          timestamp: new Date(),
-          updatedBy: 'shipyaari_integration',
-          notes: `Shipment created - AWB: ${shipmentResult.awbNumber}, Courier: ${shipmentResult.courierPartner}`
-        }
-      }
-    });
-
-    console.log('🎉 Automated shipment created successfully:', {
-      orderId: order.orderId,
-      awbNumber: shipmentResult.awbNumber,
-      courierPartner: shipmentResult.courierPartner,
-      trackingUrl: shipmentResult.trackingUrl
-    });
-
+    await shipmentService.createForwardShipment(order, 'shipyaari_integration');
   } catch (error) {
-    console.error('❌ Process shipment error:', error);
-    
-    // Update order with error status
-    await Order.findByIdAndUpdate(order._id, {
-      $push: {
-        statusHistory: {
-          status: 'shipment_failed',
-          timestamp: new Date(),
-          updatedBy: 'shipyaari_integration',
-          notes: `Shipment creation failed: ${error.message}`
-        }
-      }
-    });
-    
-    // Update order with shipment error + status history
-    await Order.findByIdAndUpdate(order._id, {
-      'shipmentDetails.shipmentStatus': 'failed',
-      'shipmentDetails.shipmentError': error.message,
-    });
-
-    // Optionally: Send notification to admin about shipment failure
-    console.error(`🚨 ALERT: Shipment failed for order ${order.orderId}:`, error.message);
+    // Already logged and stored on the order by the shipment service
   }
 }
 
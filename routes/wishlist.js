@@ -5,6 +5,14 @@ const { check, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const Wishlist = require('../models/Wishlist');
 
+// Variant id from the request, validated against the product; null when not given.
+// Unlike the cart, a product with variants may be wishlisted without choosing one.
+const wishlistVariant = (prod, variantId) => {
+  if (!variantId) return null;
+  const variant = prod.findVariant(variantId);
+  return variant ? variant._id : undefined;
+};
+
 // GET /api/wishlist - List wishlist for authenticated user
 router.get('/', [authRequired], async (req, res) => {
   try {
@@ -21,7 +29,7 @@ router.post(
   '/',
   [
     authRequired,
-    [check('product', 'Product ID is required').isString().notEmpty()]
+    [check('product', 'Product ID is required').isString().notEmpty(), check('variant').optional().isMongoId()]
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -36,15 +44,17 @@ router.post(
       if (!prod) {
         return res.status(404).json({ message: 'Product not found' });
       }
+      const variant = wishlistVariant(prod, req.body.variant);
+      if (variant === undefined) return res.status(404).json({ message: 'Variant not found' });
 
       try {
-        const created = await Wishlist.create({ user: req.user.sub, product });
+        const created = await Wishlist.create({ user: req.user.sub, product, variant });
         const item = await Wishlist.findById(created._id);
         return res.status(201).json(item);
       } catch (err) {
         // Handle duplicate wishlist entries gracefully
         if (err && err.code === 11000) {
-          const existing = await Wishlist.findOne({ user: req.user.sub, product });
+          const existing = await Wishlist.findOne({ user: req.user.sub, product, variant });
           return res.status(200).json({ message: 'Already in wishlist', item: existing });
         }
         throw err;
@@ -66,14 +76,16 @@ router.post(
     try {
       const prod = await Product.findById(product);
       if (!prod) return res.status(404).json({ message: 'Product not found' });
+      const variant = wishlistVariant(prod, req.body?.variant);
+      if (variant === undefined) return res.status(404).json({ message: 'Variant not found' });
 
       try {
-        const created = await Wishlist.create({ user: req.user.sub, product });
+        const created = await Wishlist.create({ user: req.user.sub, product, variant });
         const item = await Wishlist.findById(created._id);
         return res.status(201).json(item);
       } catch (err) {
         if (err && err.code === 11000) {
-          const existing = await Wishlist.findOne({ user: req.user.sub, product });
+          const existing = await Wishlist.findOne({ user: req.user.sub, product, variant });
           return res.status(200).json({ message: 'Already in wishlist', item: existing });
         }
         throw err;
@@ -86,13 +98,15 @@ router.post(
 );
 
 // DELETE /api/wishlist/:productId - Remove a product from the authenticated user's wishlist
+// (?variant= removes only that variant's entry)
 router.delete(
   '/:productId',
   [authRequired],
   async (req, res) => {
     const product = req.params.productId;
+    const variant = req.query.variant || req.body?.variant || null;
     try {
-      const result = await Wishlist.deleteOne({ user: req.user.sub, product });
+      const result = await Wishlist.deleteOne({ user: req.user.sub, product, variant });
       if (result.deletedCount === 0) {
         return res.status(404).json({ message: 'Item not found in wishlist' });
       }
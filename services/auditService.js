@@ -0,0 +1,104 @@
+const { Types } = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const REDACTED_PATHS = ['passwordHash'];
+// Masked to their last 4 characters
+const MASKED_PATHS = ['bankAccount.accountNumber'];
+// Noise in every diff
+const IGNORED_PATHS = ['updatedAt', '__v'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof Types.ObjectId);
+
+// JSON safe copy of a document (ObjectIds and Dates as strings), sensitive paths removed
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc));
+  for (const path of REDACTED_PATHS) unsetPath(plain, path);
+  for (const path of MASKED_PATHS) {
+    const value = getPath(plain, path);
+    if (typeof value === 'string') setPath(plain, path, `****${value.slice(-4)}`);
+  }
+  return plain;
+}
+
+const getPath = (obj, path) => path.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((o, key) => (o == null ? undefined : o[key]), obj);
+  if (parent != null) parent[keys[keys.length - 1]] = value;
+}
+function unsetPath(obj, path) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((o, key) => (o == null ? undefined : o[key]), obj);
+  if (parent != null) delete parent[keys[keys.length - 1]];
+}
+
+// Leaf values keyed by dotted path; arrays are compared as a whole
+function flatten(value, prefix = '', out = {}) {
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, out);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Field level differences between two snapshots.
+ * @returns {Array<{path: string, from: *, to: *}>}
+ */
+function diff(before, after) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(
+    (path) => !IGNORED_PATHS.includes(path.split('.')[0])
+  );
+  return paths
+    .filter((path) => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+    .sort()
+    .map((path) => ({ path, from: a[path], to: b[path] }));
+}
+
+/**
+ * Append an entry for a write made by `req.user`. Updates keep only the diff;
+ * creates keep the new document and deletes the removed one.
+ * @param {import('express').Request} req
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'brand.update'
+ * @param {string} entry.targetModel
+ * @param {string} [entry.targetId]
+ * @param {object} [entry.before] - snapshot before the write, null on create
+ * @param {object} [entry.after] - snapshot after the write, null on delete
+ * @param {object} [entry.meta] - summary for bulk operations
+ * @param {number} [entry.statusCode]
+ * @returns {Promise<import('mongoose').Document>}
+ */
+function record(req, { action, targetModel, targetId, before = null, after = null, meta, statusCode }) {
+  const created = !before && after;
+  const deleted = before && !after;
+  return AuditLog.create({
+    actor: { user: req.user?.sub, email: req.user?.email, role: req.user?.role },
+    action,
+    targetModel,
+    targetId: targetId && Types.ObjectId.isValid(String(targetId)) ? targetId : undefined,
+    changes: before && after ? diff(before, after) : [],
+    before: deleted ? before : undefined,
+    after: created ? after : undefined,
+    meta,
+    request: {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    },
+    statusCode
+  });
+}
+
+module.exports = {
+  snapshot,
+  diff,
+  record
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const CartItem = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+const CART_TOKEN_HEADER = 'x-cart-token';
+const CART_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Opaque identifier for an anonymous shopper's cart
+const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+// Guest cart token sent by the client, or null when absent/malformed
+function readCartToken(req) {
+  const token = req.headers[CART_TOKEN_HEADER] || req.body?.cartToken;
+  return typeof token === 'string' && CART_TOKEN_PATTERN.test(token) ? token : null;
+}
+
+/**
+ * Move a guest cart into a user's cart. Quantities are summed with what the
+ * user already has, capped at the product's available stock (never below the
+ * quantity the user already had). Inactive or deleted products are dropped.
+ * @param {string} cartToken
+ * @param {string} userId
+ * @returns {Promise<{merged: number, adjusted: Array<object>, dropped: number}>}
+ */
+async function mergeGuestCart(cartToken, userId) {
+  const result = { merged: 0, adjusted: [], dropped: 0 };
+  if (!cartToken || !userId) return result;
+
+  const guestItems = await CartItem.find({ cartToken });
+  if (guestItems.length === 0) return result;
+
+  const productIds = guestItems.map((i) => i.product?._id).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  for (const guestItem of guestItems) {
+    const product = guestItem.product && productMap.get(guestItem.product._id.toString());
+    const variant = product && product.findVariant(guestItem.variant);
+    if (!product || (product.hasVariants && (!variant || !variant.isActive))) {
+      result.dropped += 1;
+      continue;
+    }
+
+    const line = { user: userId, product: product._id, variant: variant ? variant._id : null };
+    const existing = await CartItem.findOne(line);
+    const current = existing ? existing.quantity : 0;
+    const requested = current + guestItem.quantity;
+    const available = variant ? variant.availableStock : product.availableStock;
+    const quantity = Math.max(current, Math.min(requested, available));
+    if (quantity < 1) {
+      result.dropped += 1;
+      continue;
+    }
+    if (quantity < requested) {
+      result.adjusted.push({ product: product._id, variant: line.variant, title: product.title, requested, quantity });
+    }
+
+    // Upsert keeps the unique {user, product, variant} index intact if the user is adding concurrently
+    await CartItem.findOneAndUpdate(
+      line,
+      { $set: { quantity } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    result.merged += 1;
+  }
+
+  await CartItem.deleteMany({ cartToken });
+  console.log(`🛒 Merged guest cart into user ${userId}: ${result.merged} item(s), ${result.dropped} dropped`);
+  return result;
+}
+
+/**
+ * Remove the units of a paid cart checkout from the customer's cart.
+ * Only the quantities that were checked out are taken off, so items added to
+ * the cart while the payment was pending stay. Safe to call from both the
+ * payment confirm route and the Razorpay webhook: the first caller wins.
+ * @param {import('mongoose').Document} order - paid Order
+ */
+async function clearCheckedOutItems(order) {
+  if (!order || order.checkoutSource !== 'cart') return;
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, cartClearedAt: { $exists: false } },
+    { $set: { cartClearedAt: new Date() } }
+  );
+  if (!claimed) return;
+
+  for (const item of order.items) {
+    await CartItem.updateOne(
+      { user: order.user, product: item.product, variant: item.variant || null },
+      { $inc: { quantity: -item.quantity } }
+    );
+  }
+  await CartItem.deleteMany({ user: order.user, quantity: { $lte: 0 } });
+
+  console.log(`🛒 Cleared checked out items from cart for order ${order.orderId}`);
+}
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  generateCartToken,
+  readCartToken,
+  mergeGuestCart,
+  clearCheckedOutItems,
+};
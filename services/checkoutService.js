@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const razorpay = require('../config/razorpay');
+const Order = require('../models/Order');
+const orderStateMachine = require('./orderStateMachine');
+
+// Helpers shared by the order routes and the server-side cart checkout
+
+const checkoutError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Resolve the variant a line refers to. Products with variants must be bought
+ * per variant; products without variants must not be given one.
+ * @returns {import('mongoose').Document|null} variant subdocument
+ * @throws {Error} status 400 when the selection is missing, unknown or inactive
+ */
+function resolveVariant(prod, variantId) {
+  if (!prod.hasVariants) {
+    if (variantId) throw checkoutError(`${prod.title} has no variants`);
+    return null;
+  }
+  if (!variantId) throw checkoutError(`Select a variant for ${prod.title}`);
+
+  const variant = prod.findVariant(variantId);
+  if (!variant || !variant.isActive) throw checkoutError(`Variant not available for ${prod.title}`);
+  return variant;
+}
+
+/**
+ * Snapshot a product (and selected variant) into an order line.
+ * @param {import('mongoose').Document} prod - Product document
+ * @param {number} quantity
+ * @param {object} [overrides={}] - optional client supplied Shipyaari fields (sku, category, weight, dimensions, hsnCode)
+ * @param {import('mongoose').Document|null} [variant=null] - entry of prod.variants
+ */
+function buildOrderItem(prod, quantity, overrides = {}, variant = null) {
+  const images = variant && variant.images.length ? variant.images : prod.images;
+  const weightKg = variant && typeof variant.weightKg === 'number' ? variant.weightKg : prod.weightKg;
+  return {
+    product: prod._id,
+    variant: variant ? variant._id : undefined,
+    variantOptions: variant ? Object.fromEntries(variant.optionValues) : undefined,
+    title: variant ? `${prod.title} (${variant.label})` : prod.title,
+    image: Array.isArray(images) && images.length ? images[0] : undefined,
+    price: variant ? variant.price : prod.price,
+    quantity,
+    sku: variant ? variant.sku : overrides.sku || prod.sku,
+    category: overrides.category || prod.shippingCategory || 'General',
+    weight:
+      typeof overrides.weight !== 'undefined' ? overrides.weight : typeof weightKg === 'number' ? weightKg : 1,
+    dimensions:
+      overrides.dimensions ||
+      (prod.dimensionsCm
+        ? { length: prod.dimensionsCm.length, breadth: prod.dimensionsCm.breadth, height: prod.dimensionsCm.height }
+        : { length: 10, breadth: 10, height: 10 }),
+    hsnCode: overrides.hsnCode || prod.hsnCode || '1234',
+    // Rate at the listed price; pricingService re-evaluates it after discounts
+    gstRate: prod.gstRate,
+    pricesIncludeTax: prod.taxInclusive,
+    vendor: prod.vendorId || undefined,
+  };
+}
+
+// Copy a saved User address into the Order address shape
+function toOrderAddress(a) {
+  return {
+    fullName: a.fullName,
+    addressLine1: a.addressLine1,
+    addressLine2: a.addressLine2,
+    city: a.city,
+    state: a.state,
+    postalCode: a.postalCode,
+    country: a.country,
+    phone: a.phone,
+    latitude: a.latitude,
+    longitude: a.longitude,
+    landmark: a.landmark,
+  };
+}
+
+// Our own warehouse, configured through SELLER_* env vars
+function defaultSellerDetails() {
+  return {
+    address: {
+      fullAddress: process.env.SELLER_ADDRESS,
+      pincode: parseInt(process.env.SELLER_PINCODE),
+      city: process.env.SELLER_CITY,
+      state: process.env.SELLER_STATE,
+      country: 'India',
+      latitude: process.env.SELLER_LATITUDE,
+      longitude: process.env.SELLER_LONGITUDE,
+    },
+    contact: {
+      name: process.env.SELLER_CONTACT_NAME || 'Store Manager',
+      mobile: parseInt(process.env.SELLER_MOBILE) || 9876543210,
+      alternateMobile: parseInt(process.env.SELLER_ALTERNATE_MOBILE) || 9876543210,
+    },
+  };
+}
+
+/**
+ * Create the Razorpay order for a saved Order and store its id on the order.
+ * @returns {Promise<object>} Razorpay order entity
+ */
+async function createRazorpayOrder(order) {
+  const razorpayOrder = await razorpay.orders.create({
+    amount: Math.round(order.totalPrice * 100), // in paise
+    currency: 'INR',
+    receipt: order.orderId,
+    notes: {
+      orderId: order._id.toString(),
+      customerEmail: order.customerDetails.email,
+      customerMobile: order.customerDetails.mobile,
+    },
+  });
+
+  order.razorpayDetails = {
+    razorpayOrderId: razorpayOrder.id,
+    paymentStatus: 'pending',
+  };
+  await order.save();
+
+  return razorpayOrder;
+}
+
+// Razorpay checkout signature: HMAC-SHA256 of "<order_id>|<payment_id>" with the key secret
+function verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, signature) {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${razorpayOrderId}|${razorpayPaymentId}`)
+    .digest('hex');
+  return typeof signature === 'string' && signature === expected;
+}
+
+/**
+ * Record a captured Razorpay payment on an order and move it from 'pending' to
+ * 'paid' (which commits the reserved stock, see orderStateMachine). The client
+ * confirmation and the payment.captured webhook both call this; whichever
+ * comes second only fills in the payment details. A cancelled order stays
+ * cancelled, the caller decides about the refund.
+ * @param {import('mongoose').Document} order
+ * @param {object} payment
+ * @param {string} payment.razorpayPaymentId
+ * @param {string} [payment.razorpaySignature]
+ * @param {string} [payment.paymentMethod] - Razorpay method, e.g. 'upi'
+ * @param {string} payment.updatedBy - statusHistory actor
+ * @param {string} [payment.notes]
+ * @returns {Promise<import('mongoose').Document>} the updated order
+ */
+async function markOrderPaid(order, { razorpayPaymentId, razorpaySignature, paymentMethod, updatedBy, notes }) {
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'razorpayDetails.razorpayPaymentId': razorpayPaymentId,
+        ...(razorpaySignature && { 'razorpayDetails.razorpaySignature': razorpaySignature }),
+        ...(paymentMethod && { 'razorpayDetails.paymentMethod': paymentMethod })
+      }
+    }
+  );
+  // Don't undo what refunds already recorded on a replayed capture
+  await Order.updateOne(
+    { _id: order._id, 'razorpayDetails.paymentStatus': { $nin: ['captured', 'partially_refunded', 'refunded'] } },
+    { $set: { 'razorpayDetails.paymentStatus': 'captured' } }
+  );
+
+  if (order.status !== 'pending') return Order.findById(order._id);
+  try {
+    const { order: paid } = await orderStateMachine.transition(order, 'paid', { updatedBy, notes });
+    return paid;
+  } catch (error) {
+    // The other confirmation path (or a cancellation) got there first
+    if (error.status === 409) return Order.findById(order._id);
+    throw error;
+  }
+}
+
+// Response body handed to the client to open Razorpay checkout
+function paymentInitiatedResponse(order, razorpayOrder) {
+  return {
+    success: true,
+    message: 'Payment initiated successfully',
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    razorpayOrderId: razorpayOrder.id,
+    razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+    amount: razorpayOrder.amount,
+    currency: razorpayOrder.currency,
+    reservationExpiresAt: order.reservationExpiresAt,
+    customerDetails: {
+      name: order.customerDetails.name,
+      email: order.customerDetails.email,
+      contact: order.customerDetails.mobile,
+    },
+  };
+}
+
+// Response body for an order placed cash on delivery (nothing to pay now)
+function codOrderResponse(order) {
+  return {
+    success: true,
+    message: 'Order placed with cash on delivery',
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    paymentMethod: 'cod',
+    orderStatus: order.status,
+    codFee: order.codDetails.fee,
+    amountToPay: order.codDetails.collectableAmount,
+    currency: order.currency,
+  };
+}
+
+module.exports = {
+  resolveVariant,
+  buildOrderItem,
+  toOrderAddress,
+  defaultSellerDetails,
+  createRazorpayOrder,
+  verifyPaymentSignature,
+  markOrderPaid,
+  paymentInitiatedResponse,
+  codOrderResponse,
+};
@@ -0,0 +1,169 @@
+const Order = require('../models/Order');
+const shipyaariService = require('./shipyariServices');
+const inventoryService = require('./inventoryService');
+const shipmentService = require('./shipmentService');
+const orderStateMachine = require('./orderStateMachine');
+
+// COD rules, configured through COD_* env vars
+const COD_ENABLED = process.env.COD_ENABLED !== 'false';
+const COD_MIN_ORDER_VALUE = Number(process.env.COD_MIN_ORDER_VALUE) || 0;
+const COD_MAX_ORDER_VALUE = Number(process.env.COD_MAX_ORDER_VALUE) || 10000;
+const COD_FEE = Number(process.env.COD_FEE) || 0;
+// Orders at or above this value don't pay the COD fee (0 = always charged)
+const COD_FREE_ABOVE = Number(process.env.COD_FREE_ABOVE) || 0;
+// Customers with this many COD orders returned to origin lose COD
+const COD_MAX_RTO = Number(process.env.COD_MAX_RTO) || 2;
+const COD_BLOCKED_PINCODES = new Set(
+  (process.env.COD_BLOCKED_PINCODES || '').split(',').map((p) => p.trim()).filter(Boolean)
+);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const codError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const codFeeFor = (amount) => (COD_FREE_ABOVE && amount >= COD_FREE_ABOVE ? 0 : COD_FEE);
+
+/**
+ * Check whether an order can be paid cash on delivery.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.amount - order total before the COD fee
+ * @param {string} params.postalCode - delivery pincode
+ * @param {Array<object>} [params.items] - order items, used for the parcel weight
+ * @returns {Promise<{eligible: boolean, reasons: string[], fee: number, totalPrice: number}>}
+ */
+async function checkEligibility({ userId, amount, postalCode, items = [] }) {
+  const reasons = [];
+  const fee = codFeeFor(amount);
+
+  if (!COD_ENABLED) reasons.push('Cash on delivery is currently unavailable');
+  if (amount < COD_MIN_ORDER_VALUE) reasons.push(`Cash on delivery needs an order value of at least ₹${COD_MIN_ORDER_VALUE}`);
+  if (amount > COD_MAX_ORDER_VALUE) reasons.push(`Cash on delivery is available for orders up to ₹${COD_MAX_ORDER_VALUE}`);
+
+  const rtoCount = await Order.countDocuments({
+    user: userId,
+    paymentMethod: 'cod',
+    'codDetails.remittanceStatus': 'rto'
+  });
+  if (rtoCount >= COD_MAX_RTO) reasons.push('Cash on delivery is unavailable due to previously undelivered COD orders');
+
+  if (COD_BLOCKED_PINCODES.has(String(postalCode))) {
+    reasons.push(`Cash on delivery is not available for pincode ${postalCode}`);
+  } else if (reasons.length === 0) {
+    // Only ask Shipyaari once everything else passed
+    try {
+      const weight = items.reduce((sum, i) => sum + (i.weight || 1) * i.quantity, 0) || 1;
+      const result = await shipyaariService.checkServiceability(postalCode, {
+        paymentMode: 'COD',
+        invoiceValue: round2(amount + fee),
+        weight
+      });
+      if (!result.serviceable) reasons.push(`Cash on delivery is not available for pincode ${postalCode}`);
+    } catch (error) {
+      // Fail closed: a COD order we can't deliver costs two shipping legs
+      reasons.push('Could not verify cash on delivery for this pincode, please pay online');
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons, fee, totalPrice: round2(amount + fee) };
+}
+
+/**
+ * Same as checkEligibility, but throws.
+ * @throws {Error} with `status` 400 listing the reasons
+ */
+async function assertEligible(params) {
+  const result = await checkEligibility(params);
+  if (!result.eligible) throw codError(result.reasons.join('; '));
+  return result;
+}
+
+// codDetails for a new COD order whose totalPrice already includes the fee
+const buildCodDetails = (order, fee) => ({ fee, collectableAmount: order.totalPrice, remittanceStatus: 'pending' });
+
+/**
+ * Confirm a saved COD order: no payment to wait for, so it moves straight to
+ * 'confirmed' (which deducts the reserved units and removes the checked out
+ * cart lines) and the shipment is booked. A failed booking is recorded on the
+ * order (shipmentStatus 'failed') and doesn't fail the checkout.
+ * @param {import('mongoose').Document} order - saved order with reserved stock
+ * @returns {Promise<import('mongoose').Document>} the reloaded order
+ */
+async function confirmCodOrder(order) {
+  const { order: confirmed } = await orderStateMachine.transition(order, 'confirmed', {
+    updatedBy: 'cod_checkout',
+    notes: `Cash on delivery order, ₹${order.codDetails.collectableAmount} to collect`
+  });
+
+  try {
+    await shipmentService.createForwardShipment(confirmed, 'cod_checkout');
+  } catch (error) {
+    // Recorded on the order by the shipment service
+  }
+
+  console.log(`💵 COD order confirmed: ${order.orderId} - ₹${order.codDetails.collectableAmount}`);
+  return Order.findById(order._id);
+}
+
+/**
+ * Record a Shipyaari COD remittance against an order. Amounts below what was
+ * collectable are flagged 'short_remitted' for follow-up.
+ * @param {import('mongoose').Document} order
+ * @param {object} remittance
+ * @param {number} remittance.amount
+ * @param {string} [remittance.reference] - UTR / remittance id
+ * @param {Date} [remittance.remittedAt]
+ * @param {string} [remittance.notes]
+ * @throws {Error} status 409 when the order is not a COD order or was returned to origin
+ */
+async function recordRemittance(order, { amount, reference, remittedAt, notes }) {
+  if (order.paymentMethod !== 'cod' || !order.codDetails) throw codError(`${order.orderId} is not a COD order`, 409);
+  if (order.codDetails.remittanceStatus === 'rto') throw codError(`${order.orderId} was returned to origin`, 409);
+
+  const remittedAmount = round2(Number(amount));
+  const status = remittedAmount + 0.01 >= order.codDetails.collectableAmount ? 'remitted' : 'short_remitted';
+
+  order.codDetails.remittanceStatus = status;
+  order.codDetails.remittedAmount = remittedAmount;
+  order.codDetails.remittedAt = remittedAt || new Date();
+  if (reference) order.codDetails.remittanceReference = reference;
+  if (notes) order.codDetails.notes = notes;
+  if (!order.codDetails.collectedAt) order.codDetails.collectedAt = order.deliveredAt || order.codDetails.remittedAt;
+  order.events.push({
+    type: `cod_${status}`,
+    timestamp: new Date(),
+    updatedBy: 'admin',
+    notes: `₹${remittedAmount} of ₹${order.codDetails.collectableAmount} remitted${reference ? ` (${reference})` : ''}`
+  });
+  await order.save();
+  return order;
+}
+
+// COD order came back undelivered: counts against the customer's COD eligibility.
+// The returned units go back on sale unless `restock` is false (damaged in transit).
+async function markRto(order, { notes, restock = true, updatedBy = 'admin' } = {}) {
+  if (order.paymentMethod !== 'cod' || !order.codDetails) throw codError(`${order.orderId} is not a COD order`, 409);
+  if (['remitted', 'short_remitted'].includes(order.codDetails.remittanceStatus)) {
+    throw codError(`${order.orderId} has already been remitted`, 409);
+  }
+  order.codDetails.remittanceStatus = 'rto';
+  order.codDetails.rtoAt = new Date();
+  if (notes) order.codDetails.notes = notes;
+  order.events.push({ type: 'cod_rto', timestamp: new Date(), updatedBy, notes });
+  await order.save();
+  if (restock) await inventoryService.restoreOrderStock(order, 'rto');
+  return order;
+}
+
+module.exports = {
+  checkEligibility,
+  assertEligible,
+  buildCodDetails,
+  confirmCodOrder,
+  recordRemittance,
+  markRto
+};
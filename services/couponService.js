@@ -0,0 +1,177 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const couponError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const idIn = (list, id) => !list || list.length === 0 || list.some((x) => x.toString() === String(id));
+
+// Spread `amount` over lines proportionally to their value; rounding leftovers go to the last line
+function prorate(amount, lines, indexes) {
+  const discounts = new Array(lines.length).fill(0);
+  const base = indexes.reduce((sum, i) => sum + lines[i].price * lines[i].quantity, 0);
+  if (!base || amount <= 0) return discounts;
+
+  let allocated = 0;
+  indexes.forEach((i, pos) => {
+    const lineValue = lines[i].price * lines[i].quantity;
+    const share = pos === indexes.length - 1 ? round2(amount - allocated) : round2((amount * lineValue) / base);
+    discounts[i] = Math.min(share, lineValue);
+    allocated = round2(allocated + discounts[i]);
+  });
+  return discounts;
+}
+
+// Buy X get Y: walk eligible units from most to least expensive; in every
+// group of (X + Y) units the last Y (cheapest) units are discounted
+function buyXGetYDiscounts(coupon, lines, indexes) {
+  const units = [];
+  for (const i of indexes) {
+    for (let q = 0; q < lines[i].quantity; q++) units.push({ line: i, price: lines[i].price });
+  }
+  units.sort((a, b) => b.price - a.price);
+
+  const discounts = new Array(lines.length).fill(0);
+  const groupSize = coupon.buyQuantity + coupon.getQuantity;
+  const fullGroups = Math.floor(units.length / groupSize);
+  for (let g = 0; g < fullGroups; g++) {
+    for (let k = coupon.buyQuantity; k < groupSize; k++) {
+      const unit = units[g * groupSize + k];
+      discounts[unit.line] = round2(discounts[unit.line] + (unit.price * coupon.getDiscountPercent) / 100);
+    }
+  }
+  return discounts;
+}
+
+/**
+ * Check a coupon against a cart/order and compute its discount.
+ * @param {object} params
+ * @param {string} params.code - coupon code as typed by the customer
+ * @param {string} params.userId
+ * @param {Array<{product, brandId, categoryId, price: number, quantity: number}>} params.lines
+ * @param {number} [params.shippingPrice=0]
+ * @returns {Promise<{coupon, discount: number, shippingDiscount: number, lineDiscounts: number[]}>}
+ * @throws {Error} with `status` 404 for unknown codes and 400 for ineligible carts
+ */
+async function evaluateCoupon({ code, userId, lines, shippingPrice = 0 }) {
+  const coupon = await Coupon.findOne({ code: String(code || '').trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) throw couponError('Invalid coupon code', 404);
+
+  const now = new Date();
+  if (coupon.startsAt && now < coupon.startsAt) throw couponError('Coupon is not active yet');
+  if (coupon.endsAt && now > coupon.endsAt) throw couponError('Coupon has expired');
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('Coupon usage limit reached');
+  }
+
+  if (coupon.perUserLimit != null && userId) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId, status: 'applied' });
+    if (used >= coupon.perUserLimit) throw couponError('You have already used this coupon');
+  }
+
+  const eligible = lines
+    .map((line, i) => i)
+    .filter((i) => idIn(coupon.brandIds, lines[i].brandId) && idIn(coupon.categoryIds, lines[i].categoryId));
+  if (eligible.length === 0) throw couponError('Coupon does not apply to any item in your cart');
+
+  const cartValue = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+  if (cartValue < (coupon.minCartValue || 0)) {
+    throw couponError(`Minimum cart value of ₹${coupon.minCartValue} required for this coupon`);
+  }
+
+  const eligibleValue = eligible.reduce((sum, i) => sum + lines[i].price * lines[i].quantity, 0);
+  let lineDiscounts = new Array(lines.length).fill(0);
+  let shippingDiscount = 0;
+
+  switch (coupon.type) {
+    case 'percentage': {
+      let amount = (eligibleValue * coupon.value) / 100;
+      if (coupon.maxDiscount) amount = Math.min(amount, coupon.maxDiscount);
+      lineDiscounts = prorate(round2(amount), lines, eligible);
+      break;
+    }
+    case 'flat':
+      lineDiscounts = prorate(round2(Math.min(coupon.value, eligibleValue)), lines, eligible);
+      break;
+    case 'free_shipping':
+      shippingDiscount = Number(shippingPrice || 0);
+      break;
+    case 'buy_x_get_y':
+      lineDiscounts = buyXGetYDiscounts(coupon, lines, eligible);
+      if (lineDiscounts.every((d) => d === 0)) {
+        throw couponError(`Add ${coupon.buyQuantity + coupon.getQuantity} eligible items to use this coupon`);
+      }
+      break;
+    default:
+      throw couponError('Unsupported coupon type');
+  }
+
+  return {
+    coupon,
+    discount: round2(lineDiscounts.reduce((sum, d) => sum + d, 0)),
+    shippingDiscount,
+    lineDiscounts
+  };
+}
+
+// Create the redemption row, taking a free per-user slot when the coupon has a
+// per-user limit. Two concurrent checkouts can't take the same slot.
+async function createRedemption(fields, perUserLimit) {
+  if (perUserLimit == null) return CouponRedemption.create(fields);
+
+  for (let slot = 1; slot <= perUserLimit; slot++) {
+    try {
+      return await CouponRedemption.create({ ...fields, slot });
+    } catch (err) {
+      if (err.code !== 11000 || !err.keyPattern?.slot) throw err;
+    }
+  }
+  throw couponError('You have already used this coupon');
+}
+
+/**
+ * Record that an order used a coupon, enforcing the per-user and global usage
+ * limits atomically.
+ * @throws {Error} status 400 when the user's last use or the last global use was taken concurrently
+ */
+async function redeemCoupon({ coupon, userId, orderId, discount }) {
+  const redemption = await createRedemption(
+    { coupon: coupon._id, user: userId, order: orderId, code: coupon.code, discount },
+    coupon.perUserLimit
+  );
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw couponError('Coupon usage limit reached');
+  }
+  return redemption;
+}
+
+// Give the coupon use back when an order is cancelled or its payment fails
+async function releaseRedemption(orderId) {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: orderId, status: 'applied' },
+    { status: 'released', releasedAt: new Date() },
+    { new: true }
+  );
+  if (!redemption) return null;
+
+  await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  console.log(`🎟️ Released coupon ${redemption.code} for order ${orderId}`);
+  return redemption;
+}
+
+module.exports = { evaluateCoupon, redeemCoupon, releaseRedemption };
@@ -34,4 +34,55 @@ async function sendPasswordResetOtpEmail(to, otp) {
   }
 }
 
-module.exports = { sendOtpEmail, sendPasswordResetOtpEmail };
+async function sendEmailChangeOtpEmail(to, otp) {
+  const mailOptions = {
+    from: process.env.SMTP_USER, // sender address
+    to,
+    subject: 'Confirm Your New Email',
+    html: `<p>Your OTP to confirm this email address is: <b>${otp}</b></p><p>This code will expire in 10 minutes.</p><p>If you didn't request this change, please ignore this email.</p>`,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Email change OTP email sent to', to);
+  } catch (error) {
+    console.error('Failed to send email change OTP email:', error);
+    throw error;
+  }
+}
+
+async function sendLoginOtpEmail(to, otp) {
+  const mailOptions = {
+    from: process.env.SMTP_USER, // sender address
+    to,
+    subject: 'Your Sign-in Code',
+    html: `<p>Your sign-in code is: <b>${otp}</b></p><p>This code will expire in 10 minutes.</p><p>If you didn't try to sign in, please ignore this email.</p>`,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Login OTP email sent to', to);
+  } catch (error) {
+    console.error('Failed to send login OTP email:', error);
+    throw error;
+  }
+}
+
+async function sendSetPasswordOtpEmail(to, otp) {
+  const mailOptions = {
+    from: process.env.SMTP_USER, // sender address
+    to,
+    subject: 'Set Your Password',
+    html: `<p>Your OTP to add a password to your account is: <b>${otp}</b></p><p>This code will expire in 10 minutes.</p><p>If you didn't request this, please ignore this email.</p>`,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('Set password OTP email sent to', to);
+  } catch (error) {
+    console.error('Failed to send set password OTP email:', error);
+    throw error;
+  }
+}
+
+module.exports = { sendOtpEmail, sendPasswordResetOtpEmail, sendEmailChangeOtpEmail, sendLoginOtpEmail, sendSetPasswordOtpEmail };
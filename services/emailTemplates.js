@@ -0,0 +1,302 @@
+// Order lifecycle email templates. Each returns { subject, html, text } for an
+// Order document; services/notificationService renders them into the outbox.
+
+const BRAND_NAME = process.env.BRAND_NAME || 'Our store';
+// Storefront base URL for "view order" links; links are left out when unset
+const STORE_URL = (process.env.STORE_URL || '').replace(/\/+$/, '');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const money = (n) => `₹${round2(Number(n) || 0).toFixed(2)}`;
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const firstName = (order) => (order.customerDetails?.name || 'there').split(' ')[0];
+const orderLink = (order) => (STORE_URL ? `${STORE_URL}/orders/${order._id}` : null);
+
+/**
+ * GST on the order: CGST + SGST when the seller and the delivery address are in
+ * the same state, IGST otherwise.
+ * @param {number} [amount=order.taxPrice] - part of the tax to split
+ * @returns {Array<{label: string, amount: number}>}
+ */
+function gstBreakup(order, amount = order.taxPrice) {
+  const tax = round2(amount || 0);
+  if (tax <= 0) return [];
+  const sellerState = String(order.sellerDetails?.address?.state || '').trim().toLowerCase();
+  const deliveryState = String(order.shippingAddress?.state || '').trim().toLowerCase();
+  if (sellerState && sellerState === deliveryState) {
+    const half = round2(tax / 2);
+    return [
+      { label: 'CGST', amount: half },
+      { label: 'SGST', amount: round2(tax - half) }
+    ];
+  }
+  return [{ label: 'IGST', amount: tax }];
+}
+
+// Shared HTML frame: greeting, body blocks, optional order link
+function layout(order, blocks) {
+  const link = orderLink(order);
+  return `<div style="font-family:Arial,sans-serif;max-width:600px;color:#222">
+<p>Hi ${escapeHtml(firstName(order))},</p>
+${blocks.join('\n')}
+${link ? `<p><a href="${escapeHtml(link)}">View your order</a></p>` : ''}
+<p>Thanks for shopping with ${escapeHtml(BRAND_NAME)}.</p>
+</div>`;
+}
+
+const textFooter = (order) => [orderLink(order) ? `View your order: ${orderLink(order)}` : null, `Thanks for shopping with ${BRAND_NAME}.`]
+  .filter(Boolean)
+  .join('\n');
+
+// GST added on top of the prices vs. already inside tax-inclusive prices
+const addedTax = (order) => round2((order.taxPrice || 0) - (order.includedTaxPrice || 0));
+const includedTax = (order) => gstBreakup(order, order.includedTaxPrice).map((g) => ({ ...g, label: `Includes ${g.label}` }));
+
+function itemsTable(order) {
+  const rows = order.items
+    .map(
+      (i) => `<tr><td>${escapeHtml(i.title)}</td><td align="center">${i.quantity}</td><td align="right">${money(i.price * i.quantity)}</td></tr>`
+    )
+    .join('');
+  const totals = [
+    ['Items', order.itemsPrice],
+    ...(order.discountPrice ? [[`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, -order.discountPrice]] : []),
+    ['Shipping', order.shippingPrice],
+    ...gstBreakup(order, addedTax(order)).map((g) => [g.label, g.amount]),
+    ...(order.codDetails?.fee ? [['Cash on delivery fee', order.codDetails.fee]] : [])
+  ]
+    .map(([label, amount]) => `<tr><td colspan="2">${escapeHtml(label)}</td><td align="right">${amount < 0 ? `-${money(-amount)}` : money(amount)}</td></tr>`)
+    .join('');
+  return `<table width="100%" cellpadding="4" style="border-collapse:collapse">
+<tr><th align="left">Item</th><th>Qty</th><th align="right">Amount</th></tr>
+${rows}
+${totals}
+<tr><td colspan="2"><b>Total</b></td><td align="right"><b>${money(order.totalPrice)}</b></td></tr>
+${includedTax(order).map((g) => `<tr><td colspan="2"><small>${escapeHtml(g.label)}</small></td><td align="right"><small>${money(g.amount)}</small></td></tr>`).join('')}
+</table>`;
+}
+
+function itemsText(order) {
+  return [
+    ...order.items.map((i) => `- ${i.title} x ${i.quantity}: ${money(i.price * i.quantity)}`),
+    `Items: ${money(order.itemsPrice)}`,
+    ...(order.discountPrice ? [`Discount: -${money(order.discountPrice)}`] : []),
+    `Shipping: ${money(order.shippingPrice)}`,
+    ...gstBreakup(order, addedTax(order)).map((g) => `${g.label}: ${money(g.amount)}`),
+    ...(order.codDetails?.fee ? [`Cash on delivery fee: ${money(order.codDetails.fee)}`] : []),
+    `Total: ${money(order.totalPrice)}`,
+    ...includedTax(order).map((g) => `${g.label}: ${money(g.amount)}`)
+  ].join('\n');
+}
+
+function orderConfirmation(order) {
+  const cod = order.paymentMethod === 'cod';
+  const paymentLine = cod
+    ? `Please keep ${money(order.codDetails?.collectableAmount ?? order.totalPrice)} ready to pay on delivery.`
+    : `We have received your payment of ${money(order.totalPrice)}.`;
+  return {
+    subject: `Order ${order.orderNumber} confirmed`,
+    html: layout(order, [
+      `<p>Your order <b>${escapeHtml(order.orderNumber)}</b> is confirmed. ${escapeHtml(paymentLine)}</p>`,
+      itemsTable(order)
+    ]),
+    text: `Hi ${firstName(order)},\n\nYour order ${order.orderNumber} is confirmed. ${paymentLine}\n\n${itemsText(order)}\n\n${textFooter(order)}`
+  };
+}
+
+// Courier, AWB and ETA lines for one shipment
+function shipmentLines(shipment) {
+  const eta = shipment.estimatedDeliveryDate ? new Date(shipment.estimatedDeliveryDate).toDateString() : null;
+  return [
+    shipment.courierPartner && `Courier: ${shipment.courierPartner}`,
+    shipment.awbNumber && `AWB: ${shipment.awbNumber}`,
+    eta && `Expected delivery: ${eta}`
+  ].filter(Boolean);
+}
+
+function orderShipped(order) {
+  // Split orders travel as several parcels, one per seller
+  const shipments = order.subOrders?.length
+    ? order.subOrders.filter((s) => s.shipmentDetails?.awbNumber).map((s) => s.shipmentDetails)
+    : [order.shipmentDetails || {}];
+  const parcels = shipments.map((shipment, i) => ({
+    heading: shipments.length > 1 ? `Parcel ${i + 1} of ${shipments.length}` : null,
+    lines: shipmentLines(shipment),
+    trackingUrl: shipment.trackingUrl
+  }));
+  const inParcels = shipments.length > 1 ? ` in ${shipments.length} parcels` : '';
+  return {
+    subject: `Order ${order.orderNumber} has shipped`,
+    html: layout(order, [
+      `<p>Good news, your order <b>${escapeHtml(order.orderNumber)}</b> is on its way${inParcels}.</p>`,
+      ...parcels.map((p) => {
+        const lines = [...(p.heading ? [`<b>${escapeHtml(p.heading)}</b>`] : []), ...p.lines.map(escapeHtml)];
+        return [
+          lines.length ? `<p>${lines.join('<br>')}</p>` : '',
+          p.trackingUrl ? `<p><a href="${escapeHtml(p.trackingUrl)}">Track your shipment</a></p>` : ''
+        ].join('\n');
+      })
+    ]),
+    text: [
+      `Hi ${firstName(order)},`,
+      '',
+      `Good news, your order ${order.orderNumber} is on its way${inParcels}.`,
+      ...parcels.flatMap((p) => [
+        ...(p.heading ? ['', p.heading] : []),
+        ...p.lines,
+        ...(p.trackingUrl ? [`Track your shipment: ${p.trackingUrl}`] : [])
+      ]),
+      '',
+      textFooter(order)
+    ].join('\n')
+  };
+}
+
+function orderDelivered(order) {
+  return {
+    subject: `Order ${order.orderNumber} delivered`,
+    html: layout(order, [
+      `<p>Your order <b>${escapeHtml(order.orderNumber)}</b> has been delivered. We hope you love it!</p>`,
+      '<p>Something not right? You can request a return from your order page.</p>'
+    ]),
+    text: `Hi ${firstName(order)},\n\nYour order ${order.orderNumber} has been delivered. We hope you love it!\nSomething not right? You can request a return from your order page.\n\n${textFooter(order)}`
+  };
+}
+
+/**
+ * @param {object} [data]
+ * @param {object} [data.refund] - Refund issued with the cancellation
+ */
+function orderCancelled(order, { refund } = {}) {
+  let refundLine = '';
+  if (refund && refund.status !== 'failed') {
+    refundLine = `A refund of ${money(refund.amount)} has been initiated to your original payment method and usually reaches you in 5-7 working days.`;
+  } else if (refund) {
+    refundLine = 'Your refund is being processed, we will email you once it has gone through.';
+  }
+  const reason = order.cancellationReason ? ` Reason: ${order.cancellationReason}.` : '';
+  return {
+    subject: `Order ${order.orderNumber} cancelled`,
+    html: layout(order, [
+      `<p>Your order <b>${escapeHtml(order.orderNumber)}</b> has been cancelled.${escapeHtml(reason)}</p>`,
+      refundLine ? `<p>${escapeHtml(refundLine)}</p>` : ''
+    ]),
+    text: `Hi ${firstName(order)},\n\nYour order ${order.orderNumber} has been cancelled.${reason}\n${refundLine}\n\n${textFooter(order)}`
+  };
+}
+
+function paymentFailed(order) {
+  return {
+    subject: `Payment failed for order ${order.orderNumber}`,
+    html: layout(order, [
+      `<p>We couldn't complete the payment of ${money(order.totalPrice)} for order <b>${escapeHtml(order.orderNumber)}</b>, so the order has been cancelled.</p>`,
+      '<p>No money was taken. If your account was debited, it will be reversed automatically by your bank. You can place the order again at any time.</p>'
+    ]),
+    text: `Hi ${firstName(order)},\n\nWe couldn't complete the payment of ${money(order.totalPrice)} for order ${order.orderNumber}, so the order has been cancelled.\nNo money was taken. If your account was debited, it will be reversed automatically by your bank.\n\n${textFooter(order)}`
+  };
+}
+
+/**
+ * @param {object} data
+ * @param {object} data.refund - the processed Refund
+ */
+function refundProcessed(order, { refund }) {
+  return {
+    subject: `Refund of ${money(refund.amount)} processed for order ${order.orderNumber}`,
+    html: layout(order, [
+      `<p>Your refund of <b>${money(refund.amount)}</b> for order <b>${escapeHtml(order.orderNumber)}</b> has been processed.</p>`,
+      `<p>It should reflect in your account within 5-7 working days${refund.razorpayRefundId ? ` (refund reference ${escapeHtml(refund.razorpayRefundId)})` : ''}.</p>`
+    ]),
+    text: `Hi ${firstName(order)},\n\nYour refund of ${money(refund.amount)} for order ${order.orderNumber} has been processed. It should reflect in your account within 5-7 working days${refund.razorpayRefundId ? ` (refund reference ${refund.razorpayRefundId})` : ''}.\n\n${textFooter(order)}`
+  };
+}
+
+// Vendor onboarding emails take the Vendor document instead of an order
+function vendorLayout(vendor, blocks) {
+  return `<div style="font-family:Arial,sans-serif;max-width:600px;color:#222">
+<p>Hi ${escapeHtml(vendor.displayName)},</p>
+${blocks.join('\n')}
+<p>The ${escapeHtml(BRAND_NAME)} seller team</p>
+</div>`;
+}
+
+function kycApproved(vendor) {
+  return {
+    subject: `Your ${BRAND_NAME} seller account is approved`,
+    html: vendorLayout(vendor, [
+      '<p>Your KYC documents have been verified and your seller account is now live. You can start listing products.</p>'
+    ]),
+    text: `Hi ${vendor.displayName},\n\nYour KYC documents have been verified and your seller account is now live. You can start listing products.\n\nThe ${BRAND_NAME} seller team`
+  };
+}
+
+/**
+ * @param {object} data
+ * @param {object} data.review - Vendor.kyc.lastReview
+ */
+function kycRejected(vendor, { review }) {
+  const reasons = review.reasons || [];
+  return {
+    subject: `Action needed on your ${BRAND_NAME} seller application`,
+    html: vendorLayout(vendor, [
+      '<p>We couldn\'t verify your KYC yet. Please fix the following and submit it again:</p>',
+      `<ul>${reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>`
+    ]),
+    text: [
+      `Hi ${vendor.displayName},`,
+      '',
+      "We couldn't verify your KYC yet. Please fix the following and submit it again:",
+      ...reasons.map((r) => `- ${r}`),
+      '',
+      `The ${BRAND_NAME} seller team`
+    ].join('\n')
+  };
+}
+
+const VENDOR_TEMPLATES = {
+  kyc_approved: kycApproved,
+  kyc_rejected: kycRejected
+};
+
+const TEMPLATES = {
+  order_confirmation: orderConfirmation,
+  order_shipped: orderShipped,
+  order_delivered: orderDelivered,
+  order_cancelled: orderCancelled,
+  payment_failed: paymentFailed,
+  refund_processed: refundProcessed
+};
+
+/**
+ * @param {string} template - key of TEMPLATES
+ * @param {import('mongoose').Document} order
+ * @param {object} [data] - template specific extras
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function render(template, order, data = {}) {
+  const fn = TEMPLATES[template];
+  if (!fn) throw new Error(`Unknown email template: ${template}`);
+  return fn(order, data);
+}
+
+/**
+ * @param {string} template - key of VENDOR_TEMPLATES
+ * @param {import('mongoose').Document} vendor
+ * @param {object} [data] - template specific extras
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function renderVendor(template, vendor, data = {}) {
+  const fn = VENDOR_TEMPLATES[template];
+  if (!fn) throw new Error(`Unknown vendor email template: ${template}`);
+  return fn(vendor, data);
+}
+
+module.exports = {
+  TEMPLATES,
+  VENDOR_TEMPLATES,
+  gstBreakup,
+  render,
+  renderVendor
+};
@@ -0,0 +1,37 @@
+const { OAuth2Client } = require('google-auth-library');
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+const googleError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Verify an ID token from Google Sign-In against our client id.
+ * @param {string} idToken
+ * @returns {Promise<{ googleId: string, email: string, emailVerified: boolean, name?: string, picture?: string }>}
+ * @throws {Error} with `status` 401 for a bad or foreign token
+ */
+async function verifyIdToken(idToken) {
+  let payload;
+  try {
+    const ticket = await googleClient.verifyIdToken({ idToken, audience: process.env.GOOGLE_CLIENT_ID });
+    payload = ticket.getPayload();
+  } catch (err) {
+    throw googleError(`Invalid Google token: ${err.message}`, 401);
+  }
+  if (!payload || !payload.sub || !payload.email) throw googleError('Invalid Google token - missing required fields', 401);
+  return {
+    googleId: payload.sub,
+    email: payload.email.toLowerCase(),
+    emailVerified: payload.email_verified === true,
+    name: payload.name,
+    picture: payload.picture
+  };
+}
+
+module.exports = {
+  verifyIdToken
+};
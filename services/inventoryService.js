@@ -0,0 +1,317 @@
+const { Types } = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const couponService = require('./couponService');
+
+// How long units stay held for an unpaid order
+const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+const SWEEP_INTERVAL_MS = Number(process.env.STOCK_RESERVATION_SWEEP_MS) || 60 * 1000;
+
+// Collapse order items into { product+variant -> { quantity, title } } so a
+// product (variant) listed twice is reserved/deducted once with the combined quantity
+function groupItemsByProduct(items) {
+  const grouped = new Map();
+  for (const item of items) {
+    const key = `${item.product}:${item.variant || ''}`;
+    const entry = grouped.get(key) || { product: item.product, variant: item.variant, title: item.title, quantity: 0 };
+    entry.quantity += Number(item.quantity || 0);
+    grouped.set(key, entry);
+  }
+  return [...grouped.values()];
+}
+
+// reservedStock (and stock when `sold`) of a product or variant after the update
+const decrementFields = (prefix, quantity, sold) => {
+  const fields = {
+    reservedStock: { $max: [0, { $subtract: [{ $ifNull: [`${prefix}reservedStock`, 0] }, quantity] }] }
+  };
+  if (sold) fields.stock = { $subtract: [`${prefix}stock`, sold] };
+  return fields;
+};
+
+// Decrement reservedStock without letting it drop below zero; when `sold` is
+// given the same units are also taken out of stock and counted as sales.
+// With a variant id, the variant and the product level totals are updated together.
+function decrementReserved(productId, quantity, sold = 0, variantId = null) {
+  const set = decrementFields('$', quantity, sold);
+  if (sold) {
+    set.totalSales = { $add: [{ $ifNull: ['$totalSales', 0] }, sold] };
+    set.lastStockUpdate = '$$NOW';
+  }
+  if (variantId) {
+    set.variants = {
+      $map: {
+        input: '$variants',
+        as: 'v',
+        in: {
+          $cond: [
+            { $eq: ['$$v._id', new Types.ObjectId(String(variantId))] },
+            { $mergeObjects: ['$$v', decrementFields('$$v.', quantity, sold)] },
+            '$$v'
+          ]
+        }
+      }
+    };
+  }
+  return Product.findOneAndUpdate({ _id: productId }, [{ $set: set }], { new: true });
+}
+
+// Reserve units of one variant. A positional conditional update can't compare two
+// fields of the matched element, so increment first and undo if that oversold it.
+async function reserveVariant(entry) {
+  const updated = await Product.findOneAndUpdate(
+    { _id: entry.product, isActive: true, variants: { $elemMatch: { _id: entry.variant, isActive: true } } },
+    { $inc: { 'variants.$.reservedStock': entry.quantity, reservedStock: entry.quantity } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const variant = updated.variants.id(entry.variant);
+  if (variant.stock - variant.reservedStock < 0) {
+    await decrementReserved(entry.product, entry.quantity, 0, entry.variant);
+    return null;
+  }
+  return updated;
+}
+
+async function markOutOfStock(product) {
+  if (product && product.stock <= 0 && product.status === 'active') {
+    await Product.findByIdAndUpdate(product._id, { status: 'out_of_stock', lastStockUpdate: new Date() });
+    console.log(`⚠️ Product ${product.title} is now OUT OF STOCK`);
+  }
+}
+
+/**
+ * Hold stock for every item of an (unsaved or saved) order.
+ * Either all items are reserved or none are: on the first shortfall the
+ * reservations made so far are rolled back and a 409 error is thrown.
+ * @param {import('mongoose').Document} order - order with _id, user and items
+ * @returns {Promise<Date>} reservation expiry
+ */
+async function reserveStock(order) {
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+  const reserved = [];
+
+  try {
+    for (const entry of groupItemsByProduct(order.items)) {
+      const updated = entry.variant
+        ? await reserveVariant(entry)
+        : await Product.findOneAndUpdate(
+            {
+              _id: entry.product,
+              isActive: true,
+              $expr: { $gte: [{ $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }, entry.quantity] }
+            },
+            { $inc: { reservedStock: entry.quantity } },
+            { new: true }
+          );
+
+      if (!updated) {
+        const err = new Error(`Insufficient stock for ${entry.title || entry.product}`);
+        err.status = 409;
+        throw err;
+      }
+      reserved.push(entry);
+    }
+
+    await StockReservation.insertMany(
+      reserved.map((entry) => ({
+        product: entry.product,
+        variant: entry.variant,
+        order: order._id,
+        user: order.user,
+        quantity: entry.quantity,
+        expiresAt
+      }))
+    );
+  } catch (err) {
+    for (const entry of reserved) {
+      await decrementReserved(entry.product, entry.quantity, 0, entry.variant);
+    }
+    throw err;
+  }
+
+  return expiresAt;
+}
+
+/**
+ * Release every active reservation of an order back to available stock.
+ * Safe to call repeatedly; only reservations still active are touched.
+ * @param {string|import('mongoose').Types.ObjectId} orderId
+ * @param {string} reason - stored on the reservation (e.g. 'payment_failed')
+ * @param {'released'|'expired'} [status='released']
+ * @returns {Promise<number>} number of reservations released
+ */
+async function releaseReservations(orderId, reason, status = 'released') {
+  const active = await StockReservation.find({ order: orderId, status: 'active' });
+  let released = 0;
+
+  for (const reservation of active) {
+    // Claim the reservation first so concurrent releases/commits can't double count
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { status, releasedAt: new Date(), releaseReason: reason },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    await decrementReserved(claimed.product, claimed.quantity, 0, claimed.variant);
+    released += 1;
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} stock reservation(s) for order ${orderId} (${reason})`);
+  }
+  return released;
+}
+
+/**
+ * Turn an order's reservations into a permanent stock deduction after capture.
+ * Items whose reservation already expired fall back to a direct conditional
+ * deduction. Guarded by Order.stockCommittedAt so retried webhooks and the
+ * client-side confirmation can't deduct twice.
+ * @param {import('mongoose').Document} order
+ * @returns {Promise<boolean>} false when stock was already committed
+ */
+async function commitReservations(order) {
+  const claimedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, stockCommittedAt: { $exists: false } },
+    { stockCommittedAt: new Date() }
+  );
+  if (!claimedOrder) {
+    console.log(`ℹ️ Stock already committed for order: ${order.orderId}`);
+    return false;
+  }
+
+  console.log('📦 Deducting stock for purchased items...');
+  for (const entry of groupItemsByProduct(order.items)) {
+    try {
+      const reservation = await StockReservation.findOneAndUpdate(
+        { order: order._id, product: entry.product, variant: entry.variant || null, status: 'active' },
+        { status: 'committed', committedAt: new Date() },
+        { new: true }
+      );
+
+      let updated;
+      if (reservation) {
+        updated = await decrementReserved(entry.product, reservation.quantity, entry.quantity, entry.variant);
+      } else if (entry.variant) {
+        updated = await Product.findOneAndUpdate(
+          { _id: entry.product, variants: { $elemMatch: { _id: entry.variant, stock: { $gte: entry.quantity } } } },
+          {
+            $inc: { 'variants.$.stock': -entry.quantity, stock: -entry.quantity, totalSales: entry.quantity },
+            $set: { lastStockUpdate: new Date() }
+          },
+          { new: true }
+        );
+      } else {
+        // Reservation expired or never existed: prevent stock from going negative
+        updated = await Product.findOneAndUpdate(
+          { _id: entry.product, stock: { $gte: entry.quantity } },
+          { $inc: { stock: -entry.quantity, totalSales: entry.quantity }, $set: { lastStockUpdate: new Date() } },
+          { new: true }
+        );
+      }
+
+      if (!updated) {
+        console.error(`❌ Failed to update stock for product: ${entry.product} (insufficient stock?)`);
+        continue;
+      }
+
+      console.log(`✅ Stock updated: ${entry.title} - Reduced by ${entry.quantity}, Remaining: ${updated.stock}`);
+      await markOutOfStock(updated);
+    } catch (e) {
+      console.error(`❌ Error updating stock for product ${entry.product}:`, e.message);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Put returned units back on sale (and take them out of totalSales).
+ * @param {string|import('mongoose').Types.ObjectId} productId
+ * @param {string|import('mongoose').Types.ObjectId|null} variantId
+ * @param {number} quantity
+ */
+async function restockItem(productId, variantId, quantity) {
+  const inc = { stock: quantity, totalSales: -quantity };
+  if (variantId) inc['variants.$.stock'] = quantity;
+
+  const updated = await Product.findOneAndUpdate(
+    variantId ? { _id: productId, 'variants._id': variantId } : { _id: productId },
+    { $inc: inc, $set: { lastStockUpdate: new Date() } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  if (updated.status === 'out_of_stock' && updated.stock > 0) {
+    await Product.updateOne({ _id: productId, status: 'out_of_stock' }, { status: 'active' });
+  }
+  console.log(`📥 Restocked ${quantity} x ${updated.title}, stock now ${updated.stock}`);
+  return updated;
+}
+
+/**
+ * Put the units of a cancelled order back on sale. Orders that were never paid
+ * only hold reservations, which are released instead. Guarded by
+ * stockRestoredAt so a retried cancellation can't restock twice.
+ * @param {import('mongoose').Document} order
+ * @param {string} reason - release reason for reservations
+ */
+async function restoreOrderStock(order, reason) {
+  if (!order.stockCommittedAt) {
+    await releaseReservations(order._id, reason);
+    return false;
+  }
+
+  const claimedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, stockRestoredAt: { $exists: false } },
+    { stockRestoredAt: new Date() }
+  );
+  if (!claimedOrder) {
+    console.log(`ℹ️ Stock already restored for order: ${order.orderId}`);
+    return false;
+  }
+
+  for (const entry of groupItemsByProduct(order.items)) {
+    try {
+      await restockItem(entry.product, entry.variant, entry.quantity);
+    } catch (e) {
+      console.error(`❌ Error restocking product ${entry.product}:`, e.message);
+    }
+  }
+  return true;
+}
+
+// Release reservations whose TTL has passed, and the coupon use of orders still awaiting payment
+async function expireReservations() {
+  const orderIds = await StockReservation.distinct('order', { status: 'active', expiresAt: { $lte: new Date() } });
+  for (const orderId of orderIds) {
+    await releaseReservations(orderId, 'reservation_expired', 'expired');
+    if (await Order.exists({ _id: orderId, status: 'pending' })) {
+      await couponService.releaseRedemption(orderId);
+    }
+  }
+  return orderIds.length;
+}
+
+function startReservationSweeper() {
+  const timer = setInterval(() => {
+    expireReservations().catch((err) => console.error('❌ Stock reservation sweep error:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  reserveStock,
+  releaseReservations,
+  commitReservations,
+  restockItem,
+  restoreOrderStock,
+  expireReservations,
+  startReservationSweeper
+};
@@ -0,0 +1,426 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Vendor = require('../models/Vendor');
+const Counter = require('../models/Counter');
+const orderEvents = require('./orderEvents');
+const { itemsOf } = require('./subOrderService');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+// Orders that can't be invoiced yet (or at all, when cancelled before any invoice)
+const NOT_INVOICEABLE = ['pending', 'cancelled'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const invoiceError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase();
+
+// Indian financial year (April-March) of a date, e.g. 2026-10-19 -> '2026-27'
+function financialYear(date = new Date()) {
+  const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+// Next number in the financial year's series: INV/26-27/000001 (16 characters, the GST limit)
+async function nextInvoiceNumber(fy) {
+  const counter = await Counter.findOneAndUpdate(
+    { key: `invoice:${fy}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return `${INVOICE_PREFIX}/${fy.slice(2)}/${String(counter.seq).padStart(6, '0')}`;
+}
+
+const invoiceUrl = (order, subOrder) =>
+  `${process.env.API_BASE_URL || ''}/api/orders/${order._id}/invoice` +
+  (subOrder ? `?subOrderId=${encodeURIComponent(subOrder.subOrderId)}` : '');
+
+// Where an invoice lives: on the sub-order of a split order, on the order otherwise
+const invoiceOf = (order, subOrderId) =>
+  (subOrderId ? order.subOrders.find((s) => s.subOrderId === subOrderId) : order)?.invoice;
+
+// Who supplies the lines: the sub-order's vendor (or the order's only vendor)
+// from its pickup state under its GSTIN, else us
+async function sellerOf(order, subOrder) {
+  const details = subOrder ? subOrder.sellerDetails : order.sellerDetails;
+  const vendorId = subOrder ? subOrder.vendor : order.items[0]?.vendor;
+  if (!vendorId) {
+    return {
+      name: process.env.BRAND_NAME || details?.contact?.name,
+      state: process.env.SELLER_STATE || details?.address?.state,
+      gstin: process.env.BUSINESS_GST_NUMBER
+    };
+  }
+  const vendor = await Vendor.findById(vendorId).select('displayName businessName gstNumber pickupAddress.state');
+  return {
+    name: vendor?.businessName || vendor?.displayName || details?.contact?.name,
+    state: details?.address?.state || vendor?.pickupAddress?.state,
+    gstin: vendor?.gstNumber
+  };
+}
+
+/**
+ * Compute the invoice lines and totals for an order, or for one seller's
+ * sub-order of a split order (its lines; shipping and the COD fee on the first).
+ * Lines take the taxable value and GST pricingService stored on them
+ * (tax-inclusive prices already split). Older orders are recomputed at the
+ * line rate; if that doesn't add up to the order's taxPrice (e.g. client
+ * supplied tax), it is spread over the lines pro rata so the invoice always
+ * matches what was charged.
+ * @param {import('mongoose').Document} order
+ * @param {object} [subOrder] - entry of order.subOrders to invoice
+ * @returns {Promise<object>} Order.invoice without number / financialYear / issuedAt
+ */
+async function buildInvoice(order, subOrder) {
+  const seller = await sellerOf(order, subOrder);
+  const shippingState = order.shippingAddress?.state;
+  const intraState = normalizeState(seller.state) !== '' && normalizeState(seller.state) === normalizeState(shippingState);
+
+  // Lines from before OrderItem carried gstRate fall back to the product's rate
+  const items = subOrder ? itemsOf(order, subOrder) : order.items;
+  const products = await Product.find({ _id: { $in: items.map((i) => i.product) } }).select('gstRate hsnCode');
+  const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = items.map((item) => {
+    const product = productMap.get(item.product.toString());
+    const line = {
+      description: item.title,
+      hsnCode: item.hsnCode || product?.hsnCode,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      discount: round2(item.discount || 0)
+    };
+    if (typeof item.taxAmount === 'number') {
+      return { ...line, taxableValue: item.taxableValue, gstRate: item.gstRate, tax: item.taxAmount };
+    }
+    const gstRate = item.gstRate ?? product?.gstRate ?? 0;
+    const taxableValue = round2(item.price * item.quantity - (item.discount || 0));
+    return { ...line, taxableValue, gstRate, tax: round2((taxableValue * gstRate) / 100) };
+  });
+
+  // Split orders are newer than per-line tax, so only whole orders get reconciled
+  const orderTax = round2(order.taxPrice || 0);
+  const computedTax = lines.reduce((sum, l) => sum + l.tax, 0);
+  if (!subOrder && Math.abs(computedTax - orderTax) > 0.01) {
+    const weights = lines.map((l) => l.taxableValue * l.gstRate);
+    const totalWeight = weights.reduce((a, b) => a + b, 0) || lines.reduce((a, l) => a + l.taxableValue, 0) || 1;
+    let assigned = 0;
+    lines.forEach((line, i) => {
+      const weight = weights[i] || (weights.some(Boolean) ? 0 : line.taxableValue);
+      line.tax = i === lines.length - 1 ? round2(orderTax - assigned) : round2((orderTax * weight) / totalWeight);
+      assigned = round2(assigned + line.tax);
+    });
+  }
+
+  const invoiceLines = lines.map(({ tax, ...line }) => {
+    // Products without a rate: show the effective rate of the tax spread onto the line
+    if (!line.gstRate && tax > 0 && line.taxableValue > 0) line.gstRate = round2((tax / line.taxableValue) * 100);
+    const cgst = intraState ? round2(tax / 2) : 0;
+    return {
+      ...line,
+      cgst,
+      sgst: intraState ? round2(tax - cgst) : 0,
+      igst: intraState ? 0 : tax,
+      total: round2(line.taxableValue + tax)
+    };
+  });
+
+  const sum = (field) => round2(invoiceLines.reduce((s, l) => s + l[field], 0));
+  const carriesCharges = !subOrder || order.subOrders[0]?.subOrderId === subOrder.subOrderId;
+  const codFee = carriesCharges ? round2(order.codDetails?.fee || 0) : 0;
+  return {
+    supplyType: intraState ? 'intra_state' : 'inter_state',
+    placeOfSupply: shippingState,
+    sellerName: seller.name,
+    sellerGstin: seller.gstin,
+    lines: invoiceLines,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    totalTax: round2(sum('cgst') + sum('sgst') + sum('igst')),
+    shippingCharges: carriesCharges ? round2(order.shippingPrice || 0) : 0,
+    codFee,
+    grandTotal: round2(subOrder ? subOrder.amount : order.totalPrice)
+  };
+}
+
+// A claim older than this belongs to a request that died before finishing
+const INVOICE_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Issue the order's tax invoice: freeze the computed invoice under the next
+ * number of the current financial year and point
+ * shipmentDetails.shippingLabel.invoiceUrl at the download route. Idempotent.
+ * Split orders are invoiced per sub-order, each by its own seller.
+ * The order (or sub-order) is claimed before a number is taken, so concurrent
+ * requests can't burn numbers and leave gaps in the series.
+ * @param {import('mongoose').Document} order
+ * @param {string} [subOrderId] - required for split orders
+ * @returns {Promise<import('mongoose').Document>} order with the invoice (see invoiceOf)
+ * @throws {Error} with `status` 400/404 for a missing or unknown subOrderId, 409
+ * while the order is unpaid, cancelled before invoicing, or another request is
+ * still issuing the invoice
+ */
+async function issueInvoice(order, subOrderId) {
+  const subOrder = subOrderId ? order.subOrders.find((s) => s.subOrderId === subOrderId) : null;
+  if (subOrderId && !subOrder) throw invoiceError('Sub-order not found', 404);
+  if (!subOrder && order.subOrders?.length) {
+    throw invoiceError('Each seller invoices its own part of this order, pass a subOrderId', 400);
+  }
+  if (invoiceOf(order, subOrderId)?.number) return order;
+  if (NOT_INVOICEABLE.includes(order.status)) {
+    throw invoiceError(`No invoice can be issued for a ${order.status} order`, 409);
+  }
+  if (subOrder?.status === 'cancelled') throw invoiceError('No invoice can be issued for a cancelled sub-order', 409);
+
+  // Same claim on the order or, through the positional operator, on the sub-order
+  const prefix = subOrder ? 'subOrders.$.' : '';
+  const match = (conditions) =>
+    subOrder ? { _id: order._id, subOrders: { $elemMatch: { subOrderId, ...conditions } } } : { _id: order._id, ...conditions };
+
+  const invoice = await buildInvoice(order, subOrder);
+  const issuedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    match({
+      'invoice.number': { $exists: false },
+      $or: [
+        { invoiceClaimedAt: { $exists: false } },
+        { invoiceClaimedAt: { $lt: new Date(issuedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }
+      ]
+    }),
+    { $set: { [`${prefix}invoiceClaimedAt`]: issuedAt } }
+  );
+  if (!claimed) {
+    const current = await Order.findById(order._id);
+    if (current && invoiceOf(current, subOrderId)?.number) return current;
+    throw invoiceError('Invoice is being issued, try again shortly', 409);
+  }
+
+  const fy = financialYear(issuedAt);
+  const number = await nextInvoiceNumber(fy);
+  const updated = await Order.findOneAndUpdate(
+    match({ invoiceClaimedAt: issuedAt }),
+    {
+      $set: {
+        [`${prefix}invoice`]: { ...invoice, number, financialYear: fy, issuedAt },
+        [`${prefix}shipmentDetails.shippingLabel.invoiceUrl`]: invoiceUrl(order, subOrder)
+      },
+      $unset: { [`${prefix}invoiceClaimedAt`]: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    // Only when this request outlived its claim and another took over
+    console.warn(`⚠️ Invoice number ${number} skipped, claim on order ${order.orderId} expired`);
+    return Order.findById(order._id);
+  }
+
+  console.log(`🧾 Invoice ${number} issued for order ${subOrderId || order.orderId}`);
+  return updated;
+}
+
+// Taxable value and tax per HSN code and rate, for the invoice's HSN summary
+function hsnSummary(invoice) {
+  const rows = new Map();
+  for (const line of invoice.lines) {
+    const key = `${line.hsnCode || '-'}|${line.gstRate}`;
+    const row = rows.get(key) || { hsnCode: line.hsnCode || '-', gstRate: line.gstRate, quantity: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    row.quantity += line.quantity;
+    row.taxableValue = round2(row.taxableValue + line.taxableValue);
+    row.cgst = round2(row.cgst + line.cgst);
+    row.sgst = round2(row.sgst + line.sgst);
+    row.igst = round2(row.igst + line.igst);
+    rows.set(key, row);
+  }
+  return [...rows.values()].map((r) => ({ ...r, totalTax: round2(r.cgst + r.sgst + r.igst) }));
+}
+
+// The built-in PDF fonts have no rupee sign
+const rs = (n) => `Rs. ${round2(Number(n) || 0).toFixed(2)}`;
+
+const addressLines = (a) =>
+  a
+    ? [a.fullName, a.addressLine1, a.addressLine2, `${a.city}, ${a.state} ${a.postalCode}`, a.phone && `Phone: ${a.phone}`].filter(Boolean)
+    : [];
+
+// Draw one table row; columns are [{ text, width, align }]
+function tableRow(doc, y, columns, { bold = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  let x = doc.page.margins.left;
+  let height = 0;
+  for (const col of columns) {
+    height = Math.max(height, doc.heightOfString(String(col.text ?? ''), { width: col.width - 4 }));
+  }
+  if (y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  for (const col of columns) {
+    doc.text(String(col.text ?? ''), x + 2, y, { width: col.width - 4, align: col.align || 'left' });
+    x += col.width;
+  }
+  return y + height + 4;
+}
+
+/**
+ * Render an issued invoice as a PDF and pipe it into `stream` (e.g. the response).
+ * @param {import('mongoose').Document} order - order with the invoice
+ * @param {import('stream').Writable} stream
+ * @param {string} [subOrderId] - the sub-order invoiced, on split orders
+ */
+function writeInvoicePdf(order, stream, subOrderId) {
+  const subOrder = subOrderId ? order.subOrders.find((s) => s.subOrderId === subOrderId) : null;
+  const { invoice } = subOrder || order;
+  const sellerDetails = (subOrder || order).sellerDetails;
+  const intra = invoice.supplyType === 'intra_state';
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+  doc.moveDown(0.5);
+
+  const top = doc.y;
+  const seller = sellerDetails?.address || {};
+  // Invoices from before sellerName were all ours
+  const sellerName = invoice.sellerName || process.env.BRAND_NAME || sellerDetails?.contact?.name || 'Seller';
+  doc.font('Helvetica-Bold').fontSize(10).text(sellerName, 40, top);
+  doc.font('Helvetica').fontSize(9);
+  [seller.fullAddress, [seller.city, seller.state, seller.pincode].filter(Boolean).join(', '), invoice.sellerGstin && `GSTIN: ${invoice.sellerGstin}`]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: 260 }));
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica').fontSize(9);
+  [
+    `Invoice No: ${invoice.number}`,
+    `Invoice Date: ${invoice.issuedAt.toLocaleDateString('en-IN')}`,
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${order.createdAt ? order.createdAt.toLocaleDateString('en-IN') : '-'}`,
+    `Place of Supply: ${invoice.placeOfSupply || '-'}`,
+    `Payment: ${order.paymentMethod === 'cod' ? 'Cash on delivery' : 'Prepaid'}`
+  ].forEach((line, i) => doc.text(line, 330, top + i * 12, { width: 225 }));
+
+  let y = Math.max(leftBottom, top + 6 * 12) + 12;
+  doc.font('Helvetica-Bold').fontSize(9).text('Bill To', 40, y).text('Ship To', 300, y);
+  doc.font('Helvetica').fontSize(9);
+  const billTo = addressLines(order.billingAddress || order.shippingAddress);
+  const shipTo = addressLines(order.shippingAddress);
+  billTo.forEach((line, i) => doc.text(line, 40, y + 12 + i * 11, { width: 250 }));
+  shipTo.forEach((line, i) => doc.text(line, 300, y + 12 + i * 11, { width: 250 }));
+  y += 12 + Math.max(billTo.length, shipTo.length) * 11 + 12;
+
+  const taxColumns = intra
+    ? [{ text: 'CGST', width: 50, align: 'right' }, { text: 'SGST', width: 50, align: 'right' }]
+    : [{ text: 'IGST', width: 100, align: 'right' }];
+  y = tableRow(
+    doc,
+    y,
+    [
+      { text: '#', width: 18 },
+      { text: 'Description', width: 110 },
+      { text: 'HSN', width: 42 },
+      { text: 'Qty', width: 25, align: 'right' },
+      { text: 'Rate', width: 45, align: 'right' },
+      { text: 'Discount', width: 42, align: 'right' },
+      { text: 'Taxable', width: 50, align: 'right' },
+      { text: 'GST%', width: 28, align: 'right' },
+      ...taxColumns,
+      { text: 'Total', width: 55, align: 'right' }
+    ],
+    { bold: true }
+  );
+  invoice.lines.forEach((line, i) => {
+    y = tableRow(doc, y, [
+      { text: i + 1, width: 18 },
+      { text: line.description, width: 110 },
+      { text: line.hsnCode || '-', width: 42 },
+      { text: line.quantity, width: 25, align: 'right' },
+      { text: line.unitPrice.toFixed(2), width: 45, align: 'right' },
+      { text: line.discount.toFixed(2), width: 42, align: 'right' },
+      { text: line.taxableValue.toFixed(2), width: 50, align: 'right' },
+      { text: line.gstRate, width: 28, align: 'right' },
+      ...(intra
+        ? [{ text: line.cgst.toFixed(2), width: 50, align: 'right' }, { text: line.sgst.toFixed(2), width: 50, align: 'right' }]
+        : [{ text: line.igst.toFixed(2), width: 100, align: 'right' }]),
+      { text: line.total.toFixed(2), width: 55, align: 'right' }
+    ]);
+  });
+
+  y += 8;
+  const totals = [
+    ['Taxable value', invoice.taxableValue],
+    ...(intra ? [['CGST', invoice.cgst], ['SGST', invoice.sgst]] : [['IGST', invoice.igst]]),
+    ...(invoice.shippingCharges ? [['Shipping charges', invoice.shippingCharges]] : []),
+    ...(invoice.codFee ? [['Cash on delivery fee', invoice.codFee]] : []),
+    ['Grand total', invoice.grandTotal]
+  ];
+  totals.forEach(([label, amount], i) => {
+    const last = i === totals.length - 1;
+    doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, 330, y, { width: 120 }).text(rs(amount), 450, y, { width: 105, align: 'right' });
+    y += 13;
+  });
+
+  y += 12;
+  doc.font('Helvetica-Bold').fontSize(10).text('HSN Summary', 40, y);
+  y += 14;
+  const summaryTax = intra
+    ? [{ text: 'CGST', width: 70, align: 'right' }, { text: 'SGST', width: 70, align: 'right' }]
+    : [{ text: 'IGST', width: 140, align: 'right' }];
+  y = tableRow(
+    doc,
+    y,
+    [
+      { text: 'HSN', width: 80 },
+      { text: 'GST %', width: 50, align: 'right' },
+      { text: 'Qty', width: 40, align: 'right' },
+      { text: 'Taxable value', width: 90, align: 'right' },
+      ...summaryTax,
+      { text: 'Total tax', width: 80, align: 'right' }
+    ],
+    { bold: true }
+  );
+  for (const row of hsnSummary(invoice)) {
+    y = tableRow(doc, y, [
+      { text: row.hsnCode, width: 80 },
+      { text: row.gstRate, width: 50, align: 'right' },
+      { text: row.quantity, width: 40, align: 'right' },
+      { text: row.taxableValue.toFixed(2), width: 90, align: 'right' },
+      ...(intra
+        ? [{ text: row.cgst.toFixed(2), width: 70, align: 'right' }, { text: row.sgst.toFixed(2), width: 70, align: 'right' }]
+        : [{ text: row.igst.toFixed(2), width: 140, align: 'right' }]),
+      { text: row.totalTax.toFixed(2), width: 80, align: 'right' }
+    ]);
+  }
+
+  doc.font('Helvetica').fontSize(8).text('This is a computer generated invoice and does not require a signature.', 40, y + 20);
+  doc.end();
+}
+
+// Invoice goes out with the parcel: issue it (one per live sub-order) as soon as the order ships
+orderEvents.on('transition', async ({ order, to }) => {
+  if (to !== 'shipped') return;
+  const subOrderIds = order.subOrders?.length
+    ? order.subOrders.filter((s) => s.status !== 'cancelled').map((s) => s.subOrderId)
+    : [undefined];
+  for (const subOrderId of subOrderIds) {
+    await issueInvoice(order, subOrderId).catch((err) =>
+      console.error(`❌ Invoice for order ${subOrderId || order.orderId} failed:`, err.message)
+    );
+  }
+});
+
+module.exports = {
+  financialYear,
+  buildInvoice,
+  invoiceOf,
+  issueInvoice,
+  hsnSummary,
+  writeInvoicePdf
+};
@@ -0,0 +1,212 @@
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+
+// GSTIN: 2 digit state code, the holder's PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// PAN: 4th letter is the holder type (P person, C company, F firm, ...)
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHLJPT][A-Z][0-9]{4}[A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[0-9]{9,18}$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Documents a vendor must upload before submitting
+const REQUIRED_DOCUMENTS = ['gst_certificate', 'pan_card', 'cancelled_cheque'];
+const BANK_FIELDS = ['accountHolderName', 'accountNumber', 'ifsc', 'bankName'];
+const PICKUP_FIELDS = ['fullAddress', 'pincode', 'city', 'state', 'country', 'contactName', 'mobile'];
+// KYC can only change while the vendor is filling it in
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+const kycError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * GSTIN check character: base 36 weighted sum of the first 14 characters,
+ * weights alternating 1 and 2, each product folded as quotient + remainder.
+ * @param {string} body - first 14 characters of the GSTIN
+ */
+function gstinCheckChar(body) {
+  let sum = 0;
+  for (let i = 0; i < 14; i += 1) {
+    const product = GSTIN_CHARSET.indexOf(body[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+const isValidGstin = (value) => {
+  const gstin = normalize(value);
+  return GSTIN_PATTERN.test(gstin) && gstinCheckChar(gstin) === gstin[14];
+};
+
+const isValidPan = (value) => PAN_PATTERN.test(normalize(value));
+const isValidIfsc = (value) => IFSC_PATTERN.test(normalize(value));
+const isValidAccountNumber = (value) => ACCOUNT_NUMBER_PATTERN.test(String(value || '').trim());
+
+// PAN embedded in a GSTIN (characters 3-12)
+const panOfGstin = (gstin) => normalize(gstin).slice(2, 12);
+
+function assertEditable(vendor) {
+  if (!EDITABLE_STATUSES.includes(vendor.kyc.status)) {
+    throw kycError(`KYC is ${vendor.kyc.status} and can't be changed`, 409);
+  }
+}
+
+/**
+ * What still stops a vendor from submitting KYC.
+ * @returns {string[]} human readable gaps, empty when complete
+ */
+function missingItems(vendor) {
+  const missing = [];
+  if (!isValidGstin(vendor.gstNumber)) missing.push('A valid GSTIN');
+  if (!isValidPan(vendor.pan)) missing.push('A valid PAN');
+  if (vendor.gstNumber && vendor.pan && panOfGstin(vendor.gstNumber) !== normalize(vendor.pan)) {
+    missing.push('PAN matching the GSTIN');
+  }
+  const bank = vendor.bankAccount || {};
+  if (!bank.accountHolderName || !isValidAccountNumber(bank.accountNumber) || !isValidIfsc(bank.ifsc)) {
+    missing.push('Bank account holder, number and IFSC');
+  }
+  const pickup = vendor.pickupAddress || {};
+  if (!pickup.fullAddress || !pickup.pincode || !pickup.city || !pickup.state || !(pickup.mobile || vendor.phone)) {
+    missing.push('Pickup address with pincode, city, state and mobile');
+  }
+  const uploaded = new Set(vendor.documents.map((d) => d.type));
+  for (const type of REQUIRED_DOCUMENTS) {
+    if (!uploaded.has(type)) missing.push(`Document: ${type}`);
+  }
+  return missing;
+}
+
+/**
+ * Apply a vendor's KYC details (not saved). Fields were format checked by the route.
+ * The addresses are reviewed with the rest, so they only change here too.
+ * @param {object} body - gstNumber, pan, bankAccount, address, pickupAddress
+ * @throws {Error} with `status` 400 or 409
+ */
+function applyKycUpdate(vendor, body) {
+  assertEditable(vendor);
+  if ('gstNumber' in body) vendor.gstNumber = normalize(body.gstNumber);
+  if ('pan' in body) vendor.pan = normalize(body.pan);
+  for (const key of BANK_FIELDS) {
+    if (body.bankAccount && key in body.bankAccount) vendor.set(`bankAccount.${key}`, body.bankAccount[key]);
+  }
+  if ('address' in body) vendor.address = body.address;
+  for (const key of PICKUP_FIELDS) {
+    if (body.pickupAddress && key in body.pickupAddress) vendor.set(`pickupAddress.${key}`, body.pickupAddress[key]);
+  }
+  if (vendor.gstNumber && vendor.pan && panOfGstin(vendor.gstNumber) !== vendor.pan) {
+    throw kycError('PAN does not match the GSTIN');
+  }
+}
+
+/**
+ * Attach an uploaded document (not saved). A new file of a required type
+ * replaces the old one.
+ * @returns {Array<object>} replaced documents, whose files the caller deletes
+ */
+function addDocument(vendor, { type, url, publicId, fileName }) {
+  assertEditable(vendor);
+  const replaced = type === 'other' ? [] : vendor.documents.filter((d) => d.type === type);
+  for (const doc of replaced) vendor.documents.pull(doc._id);
+  vendor.documents.push({ type, url, publicId, fileName });
+  return replaced;
+}
+
+/**
+ * Detach a document (not saved).
+ * @returns {object} the removed document
+ * @throws {Error} with `status` 404 or 409
+ */
+function removeDocument(vendor, documentId) {
+  assertEditable(vendor);
+  const doc = vendor.documents.id(documentId);
+  if (!doc) throw kycError('Document not found', 404);
+  vendor.documents.pull(doc._id);
+  return doc;
+}
+
+/**
+ * Send complete KYC to the review queue (not saved).
+ * @throws {Error} with `status` 400 listing what is missing, or 409
+ */
+function submitKyc(vendor) {
+  assertEditable(vendor);
+  const missing = missingItems(vendor);
+  if (missing.length) {
+    const err = kycError(`KYC is incomplete: ${missing.join(', ')}`);
+    err.missing = missing;
+    throw err;
+  }
+  vendor.kyc.status = 'submitted';
+  vendor.kyc.submittedAt = new Date();
+}
+
+/**
+ * Review submitted KYC (not saved). Approving needs every checklist item
+ * ticked and makes the vendor live; rejecting needs at least one reason and
+ * hands the KYC back to the vendor to fix.
+ * @param {import('mongoose').Document} vendor
+ * @param {object} review
+ * @param {boolean} review.approve
+ * @param {object} [review.checklist] - { gstin, pan, bankAccount, pickupAddress, documents } booleans
+ * @param {string[]} [review.reasons] - required when rejecting
+ * @param {string} [review.notes] - internal notes
+ * @param {string} review.reviewedBy - admin user id
+ * @throws {Error} with `status` 400 or 409
+ */
+function reviewKyc(vendor, { approve, checklist = {}, reasons = [], notes, reviewedBy }) {
+  if (vendor.kyc.status !== 'submitted') throw kycError('KYC is not awaiting review', 409);
+  const unchecked = Vendor.KYC_CHECKLIST.filter((key) => checklist[key] !== true);
+  if (approve && unchecked.length) throw kycError(`Checklist incomplete: ${unchecked.join(', ')}`);
+  const cleanReasons = reasons.map((r) => String(r).trim()).filter(Boolean);
+  if (!approve && !cleanReasons.length) throw kycError('At least one rejection reason is required');
+
+  const review = {
+    decision: approve ? 'approved' : 'rejected',
+    checklist: Object.fromEntries(Vendor.KYC_CHECKLIST.map((key) => [key, checklist[key] === true])),
+    reasons: approve ? [] : cleanReasons,
+    notes,
+    reviewedBy,
+    reviewedAt: new Date()
+  };
+  vendor.kyc.status = review.decision;
+  vendor.kyc.lastReview = review;
+  vendor.kyc.reviews.push(review);
+  if (approve) vendor.status = 'approved';
+}
+
+/**
+ * Email the vendor the outcome of their latest review.
+ * @returns {Promise<import('mongoose').Document|null>} outbox row
+ */
+async function notifyKycReview(vendor) {
+  const review = vendor.kyc.lastReview;
+  if (!review) return null;
+  const user = await User.findById(vendor.userId).select('email');
+  return notificationService.enqueueVendorEmail(`kyc_${review.decision}`, vendor, {
+    to: user?.email,
+    data: { review },
+    dedupeKey: `kyc_${review.decision}:${vendor._id}:${new Date(review.reviewedAt).getTime()}`
+  });
+}
+
+module.exports = {
+  REQUIRED_DOCUMENTS,
+  isValidGstin,
+  isValidPan,
+  isValidIfsc,
+  isValidAccountNumber,
+  missingItems,
+  applyKycUpdate,
+  addDocument,
+  removeDocument,
+  submitKyc,
+  reviewKyc,
+  notifyKycReview
+};
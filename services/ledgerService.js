@@ -0,0 +1,245 @@
+const { Types } = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const CommissionRule = require('../models/CommissionRule');
+const PayoutCycle = require('../models/PayoutCycle');
+const Product = require('../models/Product');
+const taxService = require('./taxService');
+const orderEvents = require('./orderEvents');
+const { RETURN_WINDOW_DAYS } = require('./returnService');
+
+// Commission when no rule matches at all
+const DEFAULT_COMMISSION_RATE = Number(process.env.DEFAULT_COMMISSION_RATE) || 0;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Commission rule for a vendor's product: vendor rule, then category rule,
+ * then the global rule. Falls back to DEFAULT_COMMISSION_RATE.
+ * @returns {Promise<{_id?: object, rate: number, fixedFee: number, shippingFee: number}>}
+ */
+async function resolveCommissionRule(vendorId, categoryId) {
+  const rules = await CommissionRule.find({
+    isActive: true,
+    $or: [
+      { scope: 'vendor', vendorId },
+      ...(categoryId ? [{ scope: 'category', categoryId }] : []),
+      { scope: 'global' }
+    ]
+  });
+  const byScope = (scope) => rules.find((r) => r.scope === scope);
+  return byScope('vendor') || byScope('category') || byScope('global') || { rate: DEFAULT_COMMISSION_RATE, fixedFee: 0, shippingFee: 0 };
+}
+
+// Insert entries, skipping keys already recorded (delivery and refund events can repeat)
+async function recordEntries(entries) {
+  if (!entries.length) return [];
+  const existing = new Set(await LedgerEntry.distinct('key', { key: { $in: entries.map((e) => e.key) } }));
+  const fresh = entries.filter((e) => !existing.has(e.key));
+  if (!fresh.length) return [];
+  try {
+    return await LedgerEntry.insertMany(fresh, { ordered: false });
+  } catch (err) {
+    // A concurrent run recorded some of them first
+    if (err.code === 11000 || err.writeErrors) return err.insertedDocs || [];
+    throw err;
+  }
+}
+
+/**
+ * Record sale, commission and shipping deduction entries for the vendor lines
+ * of a delivered order (or one delivered sub-order). Idempotent per line.
+ * Entries become payable once the return window has passed.
+ * @param {import('mongoose').Document} order
+ * @param {object} [subOrder] - only this sub-order's lines
+ * @returns {Promise<Array>} entries written
+ */
+async function recordDelivery(order, subOrder = null) {
+  const subOrderFor = (item) => (order.subOrders || []).find((s) => String(s.vendor || '') === String(item.vendor || ''));
+  const lines = order.items
+    .map((item, index) => ({ item, index, subOrder: subOrderFor(item) }))
+    .filter(({ item, subOrder: s }) =>
+      item.vendor &&
+      (!subOrder || String(item.vendor) === String(subOrder.vendor)) &&
+      (!s || s.status === 'delivered')
+    );
+  if (!lines.length) return [];
+
+  const products = await Product.find({ _id: { $in: lines.map((l) => l.item.product) } }).select('categoryId');
+  const categoryOf = new Map(products.map((p) => [String(p._id), p.categoryId]));
+
+  const entries = [];
+  for (const { item, index, subOrder: s } of lines) {
+    const deliveredAt = s?.deliveredAt || order.deliveredAt || new Date();
+    const base = {
+      vendor: item.vendor,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      subOrderId: s?.subOrderId,
+      item: { product: item.product, variant: item.variant, title: item.title, quantity: item.quantity },
+      availableAt: new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * DAY_MS)
+    };
+    const key = `${order._id}:${index}`;
+    const tax = taxService.orderItemTax(item);
+    const rule = await resolveCommissionRule(item.vendor, categoryOf.get(String(item.product)));
+
+    const commission = round2((tax.taxableValue * rule.rate) / 100 + (rule.fixedFee || 0) * item.quantity);
+    const shipping = round2((rule.shippingFee || 0) * item.quantity);
+
+    entries.push({ ...base, key: `${key}:sale`, type: 'sale', amount: tax.total, description: `Sale of ${item.quantity} x ${item.title}` });
+    if (commission > 0) {
+      entries.push({
+        ...base,
+        key: `${key}:commission`,
+        type: 'commission',
+        amount: -commission,
+        commissionRule: rule._id,
+        rate: rule.rate,
+        description: `Commission ${rule.rate}%${rule.fixedFee ? ` + ₹${rule.fixedFee}/unit` : ''}`
+      });
+    }
+    if (shipping > 0) {
+      entries.push({ ...base, key: `${key}:shipping`, type: 'shipping_deduction', amount: -shipping, description: `Shipping ₹${rule.shippingFee}/unit` });
+    }
+  }
+
+  const written = await recordEntries(entries);
+  if (written.length) console.log(`📒 Ledger: ${written.length} entries for order ${order.orderId}${subOrder ? ` (${subOrder.subOrderId})` : ''}`);
+  return written;
+}
+
+/**
+ * Reverse a refunded return's share of the vendor's sale, net of the
+ * commission charged on it. Shipping deductions stay.
+ * @param {import('mongoose').Document} order
+ * @param {import('mongoose').Document} returnRequest
+ */
+async function recordReturnReversal(order, returnRequest) {
+  const { product, variant, quantity } = returnRequest.item;
+  const index = order.items.findIndex(
+    (i) => String(i.product) === String(product) && String(i.variant || '') === String(variant || '')
+  );
+  const item = order.items[index];
+  if (!item?.vendor) return [];
+
+  const recorded = await LedgerEntry.find({ key: { $in: [`${order._id}:${index}:sale`, `${order._id}:${index}:commission`] } });
+  const sale = recorded.find((e) => e.type === 'sale');
+  if (!sale) return [];
+  const commission = recorded.find((e) => e.type === 'commission');
+
+  const share = quantity / item.quantity;
+  const amount = round2((sale.amount + (commission ? commission.amount : 0)) * share);
+  return recordEntries([
+    {
+      vendor: item.vendor,
+      type: 'refund_reversal',
+      amount: -amount,
+      description: `Return ${returnRequest.rmaNumber}: ${quantity} x ${item.title}`,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      subOrderId: sale.subOrderId,
+      item: { product: item.product, variant: item.variant, title: item.title, quantity },
+      returnRequest: returnRequest._id,
+      availableAt: new Date(),
+      key: `${order._id}:${index}:refund:${returnRequest._id}`
+    }
+  ]);
+}
+
+/**
+ * Reverse a manual (non-return) refund's share of the vendor lines already
+ * recorded as delivered. The refund is spread over the order pro rata, so each
+ * line gives back refund.amount / order.totalPrice of its sale net of commission.
+ * Return refunds are reversed per item by recordReturnReversal instead.
+ * @param {import('mongoose').Document} order
+ * @param {import('mongoose').Document} refund - processed Refund
+ */
+async function recordRefundReversal(order, refund) {
+  if (refund.returnRequest || !(order.totalPrice > 0)) return [];
+
+  const recorded = await LedgerEntry.find({ order: order._id, type: { $in: ['sale', 'commission'] } });
+  if (!recorded.length) return [];
+  const share = Math.min(1, refund.amount / order.totalPrice);
+
+  const entries = [];
+  order.items.forEach((item, index) => {
+    const sale = recorded.find((e) => e.key === `${order._id}:${index}:sale`);
+    if (!item.vendor || !sale) return;
+    const commission = recorded.find((e) => e.key === `${order._id}:${index}:commission`);
+    const amount = round2((sale.amount + (commission ? commission.amount : 0)) * share);
+    if (amount <= 0) return;
+    entries.push({
+      vendor: item.vendor,
+      type: 'refund_reversal',
+      amount: -amount,
+      description: `Refund of ₹${refund.amount} on order ${order.orderNumber || order.orderId}: ${item.title}`,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      subOrderId: sale.subOrderId,
+      item: { product: item.product, variant: item.variant, title: item.title, quantity: item.quantity },
+      availableAt: new Date(),
+      key: `${order._id}:${index}:refund:${refund._id}`
+    });
+  });
+  return recordEntries(entries);
+}
+
+/**
+ * A vendor's money position.
+ * - available: open entries past the return window, picked up by the next payout cycle
+ * - onHold: open entries still inside the return window
+ * - inPayout: entries in pending payout cycles
+ * - paidOut: total of paid payout cycles
+ * @returns {Promise<{available: number, onHold: number, inPayout: number, paidOut: number, balance: number}>}
+ */
+async function vendorBalance(vendorId) {
+  const vendor = new Types.ObjectId(String(vendorId));
+  const now = new Date();
+  const pendingCycles = await PayoutCycle.distinct('_id', { vendor, status: 'pending' });
+
+  const [rows] = await LedgerEntry.aggregate([
+    { $match: { vendor } },
+    {
+      $group: {
+        _id: null,
+        available: { $sum: { $cond: [{ $and: [{ $not: ['$payoutCycle'] }, { $lte: ['$availableAt', now] }] }, '$amount', 0] } },
+        onHold: { $sum: { $cond: [{ $and: [{ $not: ['$payoutCycle'] }, { $gt: ['$availableAt', now] }] }, '$amount', 0] } },
+        inPayout: { $sum: { $cond: [{ $in: ['$payoutCycle', pendingCycles] }, '$amount', 0] } },
+        paidOut: { $sum: { $cond: [{ $eq: ['$type', 'payout'] }, { $multiply: ['$amount', -1] }, 0] } },
+        balance: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  return {
+    available: round2(rows?.available || 0),
+    onHold: round2(rows?.onHold || 0),
+    inPayout: round2(rows?.inPayout || 0),
+    paidOut: round2(rows?.paidOut || 0),
+    balance: round2(rows?.balance || 0)
+  };
+}
+
+const logError = (what) => (err) => console.error(`❌ Ledger ${what} failed:`, err.message);
+
+orderEvents.on('transition', ({ order, to }) => {
+  if (to !== 'delivered') return;
+  recordDelivery(order).catch(logError(`delivery for order ${order.orderId}`));
+});
+orderEvents.on('sub_order_delivered', ({ order, subOrder }) => {
+  recordDelivery(order, subOrder).catch(logError(`delivery for ${subOrder.subOrderId}`));
+});
+orderEvents.on('return_refunded', ({ order, returnRequest }) => {
+  recordReturnReversal(order, returnRequest).catch(logError(`reversal for return ${returnRequest.rmaNumber}`));
+});
+orderEvents.on('refund_processed', ({ order, refund }) => {
+  recordRefundReversal(order, refund).catch(logError(`reversal for refund ${refund._id}`));
+});
+
+module.exports = {
+  resolveCommissionRule,
+  recordDelivery,
+  recordReturnReversal,
+  recordRefundReversal,
+  vendorBalance
+};
@@ -0,0 +1,223 @@
+const transporter = require('../config/mailer');
+const EmailOutbox = require('../models/EmailOutbox');
+const emailTemplates = require('./emailTemplates');
+const orderEvents = require('./orderEvents');
+
+const OUTBOX_INTERVAL_MS = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000;
+const OUTBOX_BATCH_SIZE = Number(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20;
+// A row stuck in 'sending' this long (worker crashed mid-send) is retried
+const STALE_LOCK_MS = 10 * 60 * 1000;
+// Retry delays by attempt: 1 min, 5 min, 30 min, 2 h; the last one repeats
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+/**
+ * Render an order email and put it in the outbox. Never sends inline, so the
+ * calling request doesn't wait on SMTP; the worker is nudged right away.
+ * @param {string} template - see emailTemplates.TEMPLATES
+ * @param {import('mongoose').Document} order
+ * @param {object} [options]
+ * @param {object} [options.data] - template extras, e.g. { refund }
+ * @param {string} [options.dedupeKey] - defaults to `<template>:<order id>`
+ * @param {string} [options.to] - defaults to the order's customer email
+ * @returns {Promise<import('mongoose').Document|null>} outbox row, null when skipped or already queued
+ */
+async function enqueueOrderEmail(template, order, { data, dedupeKey, to } = {}) {
+  const recipient = to || order.customerDetails?.email;
+  if (!recipient) {
+    console.log(`ℹ️ No email address for order ${order.orderId}, skipping ${template}`);
+    return null;
+  }
+
+  const message = emailTemplates.render(template, order, data);
+  try {
+    const row = await EmailOutbox.create({
+      template,
+      to: recipient,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      order: order._id,
+      user: order.user,
+      dedupeKey: dedupeKey || `${template}:${order._id}`
+    });
+    setImmediate(kickOutbox);
+    return row;
+  } catch (error) {
+    if (isDuplicateKey(error)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Render a vendor email (KYC review outcome, ...) and put it in the outbox.
+ * @param {string} template - see emailTemplates.VENDOR_TEMPLATES
+ * @param {import('mongoose').Document} vendor
+ * @param {object} options
+ * @param {string} options.to - the vendor user's email
+ * @param {string} options.dedupeKey
+ * @param {object} [options.data]
+ * @returns {Promise<import('mongoose').Document|null>} outbox row, null when skipped or already queued
+ */
+async function enqueueVendorEmail(template, vendor, { to, dedupeKey, data } = {}) {
+  if (!to) {
+    console.log(`ℹ️ No email address for vendor ${vendor._id}, skipping ${template}`);
+    return null;
+  }
+
+  const message = emailTemplates.renderVendor(template, vendor, data);
+  try {
+    const row = await EmailOutbox.create({
+      template,
+      to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      user: vendor.userId,
+      dedupeKey
+    });
+    setImmediate(kickOutbox);
+    return row;
+  } catch (error) {
+    if (isDuplicateKey(error)) return null;
+    throw error;
+  }
+}
+
+// Claim the next due row, so two workers (or a kick during a tick) never send it twice
+function claimNext() {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliver(row) {
+  try {
+    const info = await transporter.sendMail({
+      from: process.env.SMTP_USER,
+      to: row.to,
+      subject: row.subject,
+      html: row.html,
+      text: row.text
+    });
+    await EmailOutbox.updateOne(
+      { _id: row._id },
+      { $set: { status: 'sent', sentAt: new Date(), messageId: info?.messageId }, $unset: { lockedAt: 1, lastError: 1 } }
+    );
+    console.log(`📧 ${row.template} sent to ${row.to}`);
+    return true;
+  } catch (error) {
+    const giveUp = row.attempts >= row.maxAttempts;
+    const delay = RETRY_DELAYS_MS[Math.min(row.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+    await EmailOutbox.updateOne(
+      { _id: row._id },
+      {
+        $set: {
+          status: giveUp ? 'failed' : 'pending',
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + delay)
+        },
+        $unset: { lockedAt: 1 }
+      }
+    );
+    console.error(`❌ ${row.template} to ${row.to} failed (attempt ${row.attempts}/${row.maxAttempts}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Send due outbox rows, oldest first.
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function processOutbox() {
+  const result = { sent: 0, failed: 0 };
+  for (let i = 0; i < OUTBOX_BATCH_SIZE; i += 1) {
+    const row = await claimNext();
+    if (!row) break;
+    if (await deliver(row)) result.sent += 1;
+    else result.failed += 1;
+  }
+  return result;
+}
+
+// Single-flight runner shared by the interval and enqueue nudges
+let running = false;
+function kickOutbox() {
+  if (running) return;
+  running = true;
+  processOutbox()
+    .catch((err) => console.error('❌ Email outbox error:', err.message))
+    .finally(() => {
+      running = false;
+    });
+}
+
+/**
+ * Put a failed (or stuck) row back in the queue with a fresh set of attempts.
+ * @returns {Promise<import('mongoose').Document|null>} the row, null when not found or already sent
+ */
+async function retryEmail(id) {
+  const row = await EmailOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: ['failed', 'pending'] } },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } },
+    { new: true }
+  );
+  if (row) setImmediate(kickOutbox);
+  return row;
+}
+
+// Order state machine moves -> customer emails
+const TRANSITION_TEMPLATES = {
+  paid: 'order_confirmation',
+  confirmed: 'order_confirmation',
+  shipped: 'order_shipped',
+  // Shipped outside our booking flow (no 'shipped' step); deduped with the above
+  in_transit: 'order_shipped',
+  delivered: 'order_delivered'
+};
+
+async function notifyTransition({ order, to, refund }) {
+  if (to === 'cancelled') {
+    // An order cancelled by its failed payment gets the payment failed email instead
+    const template = order.razorpayDetails?.paymentStatus === 'failed' ? 'payment_failed' : 'order_cancelled';
+    await enqueueOrderEmail(template, order, { data: { refund }, dedupeKey: `order_cancelled:${order._id}` });
+    return;
+  }
+  const template = TRANSITION_TEMPLATES[to];
+  if (template) await enqueueOrderEmail(template, order);
+}
+
+orderEvents.on('transition', (event) => {
+  notifyTransition(event).catch((err) =>
+    console.error(`❌ Could not queue email for order ${event.order.orderId}:`, err.message)
+  );
+});
+
+orderEvents.on('refund_processed', ({ order, refund }) => {
+  enqueueOrderEmail('refund_processed', order, { data: { refund }, dedupeKey: `refund_processed:${refund._id}` }).catch((err) =>
+    console.error(`❌ Could not queue refund email for order ${order.orderId}:`, err.message)
+  );
+});
+
+function startOutboxWorker() {
+  const timer = setInterval(kickOutbox, OUTBOX_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  enqueueOrderEmail,
+  enqueueVendorEmail,
+  processOutbox,
+  retryEmail,
+  startOutboxWorker
+};
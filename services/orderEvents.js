@@ -0,0 +1,11 @@
+const { EventEmitter } = require('events');
+
+// In-process order lifecycle events, for side effects that mustn't hold up the
+// request (e.g. notifications). Listeners should catch their own errors.
+//   'transition' { order, from, to, actor, refund } - after an orderStateMachine move and its side effects
+//   'refund_processed' { order, refund } - a Refund settled at Razorpay
+//   'sub_order_delivered' { order, subOrder } - one parcel of a split order arrived
+//   'return_refunded' { order, returnRequest } - a return's refund was issued (or marked manual)
+const orderEvents = new EventEmitter();
+
+module.exports = orderEvents;
@@ -0,0 +1,223 @@
+const Order = require('../models/Order');
+const shipyaariService = require('./shipyariServices');
+const inventoryService = require('./inventoryService');
+const couponService = require('./couponService');
+const cartService = require('./cartService');
+const refundService = require('./refundService');
+const orderEvents = require('./orderEvents');
+
+const ACTORS = ['customer', 'admin', 'system'];
+const ANYONE = ACTORS;
+const STAFF = ['admin', 'system'];
+
+// Orders paid online or confirmed as COD move the same way towards delivery
+const FULFILMENT = {
+  processing: STAFF,
+  shipped: STAFF,
+  in_transit: STAFF,
+  delivered: STAFF,
+  cancelled: ANYONE
+};
+
+// from -> to -> actors allowed to make the move. Anything not listed is illegal.
+// 'shipped' means the AWB is booked; customers can still cancel while Shipyaari
+// accepts the shipment cancellation (before pickup). Once in transit only staff
+// can cancel, e.g. for an RTO.
+const TRANSITIONS = {
+  pending: { confirmed: STAFF, paid: STAFF, cancelled: ANYONE },
+  confirmed: FULFILMENT,
+  paid: FULFILMENT,
+  processing: { shipped: STAFF, in_transit: STAFF, delivered: STAFF, cancelled: ANYONE },
+  shipped: { in_transit: STAFF, delivered: STAFF, cancelled: ANYONE },
+  in_transit: { delivered: STAFF, cancelled: STAFF },
+  delivered: { return_requested: ANYONE },
+  // Driven by services/returnService as return requests are raised, cancelled and refunded
+  return_requested: { delivered: ANYONE, partially_returned: ANYONE, returned: STAFF },
+  partially_returned: { return_requested: ANYONE, returned: STAFF },
+  returned: {},
+  cancelled: {}
+};
+
+const transitionError = (message, status = 409) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const canTransition = (from, to, actor = 'system') => Boolean(TRANSITIONS[from]?.[to]?.includes(actor));
+
+/**
+ * @throws {Error} with `status` 409 for an illegal move, 403 when the actor may not make it
+ */
+function assertTransition(from, to, actor) {
+  const allowed = TRANSITIONS[from]?.[to];
+  if (!allowed) throw transitionError(`Cannot move order from ${from} to ${to}`);
+  if (!allowed.includes(actor)) throw transitionError(`A ${actor} cannot move an order from ${from} to ${to}`, 403);
+}
+
+// Cancel one booked forward shipment and return the fields to record under
+// `path`. Throws when Shipyaari refuses.
+async function cancelBookedShipment(shipment, path, reason, actor) {
+  if (!shipment?.awbNumber || ['cancelled', 'rto', 'rto_delivered'].includes(shipment.shipmentStatus)) return {};
+
+  let result;
+  try {
+    result = await shipyaariService.cancelShipment(shipment.awbNumber, reason);
+  } catch (error) {
+    throw transitionError(`Shipment ${shipment.awbNumber} could not be cancelled: ${error.message}`);
+  }
+  if (!result?.cancelled) throw transitionError(`Shipment ${shipment.awbNumber} could not be cancelled`);
+
+  return {
+    [`${path}.shipmentStatus`]: 'cancelled',
+    [`${path}.cancellation`]: {
+      isCancelled: true,
+      cancelledAt: result.cancelledAt || new Date(),
+      cancelReason: reason,
+      cancelledBy: actor === 'customer' ? 'customer' : 'admin'
+    }
+  };
+}
+
+// Cancel the forward shipment(s), if booked, and return the fields to record on
+// the order. Split orders cancel every sub-order's shipment.
+async function cancelShipment(order, reason, actor) {
+  if (!order.subOrders?.length) return cancelBookedShipment(order.shipmentDetails, 'shipmentDetails', reason, actor);
+
+  const fields = {};
+  for (const [i, subOrder] of order.subOrders.entries()) {
+    if (['cancelled', 'delivered'].includes(subOrder.status)) continue;
+    Object.assign(fields, await cancelBookedShipment(subOrder.shipmentDetails, `subOrders.${i}.shipmentDetails`, reason, actor), {
+      [`subOrders.${i}.status`]: 'cancelled',
+      [`subOrders.${i}.cancelledAt`]: new Date()
+    });
+  }
+  return fields;
+}
+
+// Fields set on entering a status, before the move is claimed
+async function enterFields(order, to, { actor, reason, at }) {
+  const now = at || new Date();
+  switch (to) {
+    case 'paid':
+      return { paidAt: now };
+    case 'shipped':
+    case 'in_transit':
+      return order.shippedAt ? {} : { shippedAt: now };
+    case 'delivered':
+      // Back from return_requested: keep the original delivery date
+      if (order.deliveredAt) return {};
+      return { deliveredAt: now, ...(!order.shippedAt && { shippedAt: now }) };
+    case 'cancelled': {
+      const shipmentFields = await cancelShipment(order, reason, actor);
+      return { cancelledAt: now, cancellationReason: reason, ...shipmentFields };
+    }
+    default:
+      return {};
+  }
+}
+
+// Side effects once the move is claimed. Returns the refund issued on cancellation, if any.
+async function afterEnter(order, to, { actor, reason, stockReason }) {
+  switch (to) {
+    case 'paid':
+    case 'confirmed':
+      // Paid online, or COD needing no payment: the checkout reservation becomes a real deduction
+      await inventoryService.commitReservations(order);
+      await cartService.clearCheckedOutItems(order);
+      return null;
+    case 'delivered':
+      // Delivered COD order: the courier now holds the cash
+      if (order.paymentMethod === 'cod' && order.codDetails) {
+        await Order.updateOne(
+          { _id: order._id, 'codDetails.remittanceStatus': 'pending' },
+          {
+            'codDetails.remittanceStatus': 'collected',
+            'codDetails.collectedAt': new Date(),
+            $push: { events: { type: 'cod_collected', timestamp: new Date(), updatedBy: actor } }
+          }
+        );
+      }
+      return null;
+    case 'cancelled': {
+      await inventoryService.restoreOrderStock(order, stockReason || 'order_cancelled');
+      await couponService.releaseRedemption(order._id);
+
+      // A failed refund doesn't undo the cancellation; it is kept as a failed Refund to retry
+      if (!['captured', 'partially_refunded'].includes(order.razorpayDetails?.paymentStatus)) return null;
+      try {
+        return await refundService.issueRefund(order, { reason: `Order cancelled: ${reason}`, initiatedBy: actor });
+      } catch (error) {
+        // e.g. everything was already refunded
+        console.error(`❌ Refund on cancellation skipped for order ${order.orderId}:`, error.message);
+        return null;
+      }
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Move an order to a new status. The only place Order.status changes after
+ * creation: checks the move is legal for the actor, claims it atomically
+ * against the current status (so concurrent requests can't both apply it),
+ * stamps the matching timestamp and statusHistory entry, then runs the side
+ * effects:
+ * - paid / confirmed: commit reserved stock, clear the checked out cart lines
+ * - delivered: mark COD cash collected
+ * - cancelled: cancel the shipment (before the move; a refusal aborts it),
+ *   restore or release stock, release the coupon, refund a captured payment
+ * and finally emits 'transition' on services/orderEvents (notifications).
+ * @param {import('mongoose').Document|string} orderOrId - re-read, so a stale document is fine
+ * @param {string} to - target Order.status
+ * @param {object} [options]
+ * @param {'customer'|'admin'|'system'} [options.actor='system']
+ * @param {string} [options.updatedBy] - statusHistory actor label, defaults to `actor`
+ * @param {string} [options.notes]
+ * @param {string} [options.reason] - cancellation reason
+ * @param {string} [options.stockReason] - reservation release reason on cancellation
+ * @param {Date} [options.at] - when it happened, e.g. the courier's delivery scan
+ * @param {object} [options.set] - extra fields to $set with the move
+ * @returns {Promise<{order: import('mongoose').Document, refund: import('mongoose').Document|null}>}
+ * @throws {Error} with `status` 404, 403 or 409
+ */
+async function transition(orderOrId, to, { actor = 'system', updatedBy, notes, reason, stockReason, at, set = {} } = {}) {
+  if (!ACTORS.includes(actor)) throw transitionError(`Unknown actor: ${actor}`, 400);
+
+  const current = await Order.findById(orderOrId?._id || orderOrId);
+  if (!current) throw transitionError('Order not found', 404);
+  const from = current.status;
+  assertTransition(from, to, actor);
+
+  if (to === 'cancelled') {
+    reason = reason || (actor === 'customer' ? 'Cancelled by customer' : actor === 'admin' ? 'Cancelled by admin' : 'Cancelled');
+  }
+  const fields = await enterFields(current, to, { actor, reason, at });
+
+  const order = await Order.findOneAndUpdate(
+    { _id: current._id, status: from },
+    {
+      $set: { ...set, ...fields, status: to },
+      $push: {
+        statusHistory: { status: to, timestamp: new Date(), updatedBy: updatedBy || actor, notes: notes || reason }
+      }
+    },
+    { new: true }
+  );
+  if (!order) throw transitionError('Order was updated by another request, please retry');
+
+  const refund = await afterEnter(order, to, { actor, reason, stockReason });
+
+  console.log(`🔀 Order ${order.orderId}: ${from} -> ${to} by ${updatedBy || actor}${refund ? ` - refund ${refund.status}` : ''}`);
+  orderEvents.emit('transition', { order, from, to, actor, refund });
+  return { order, refund };
+}
+
+module.exports = {
+  ACTORS,
+  TRANSITIONS,
+  canTransition,
+  assertTransition,
+  transition
+};
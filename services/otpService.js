@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const Otp = require('../models/Otp');
+const {
+  sendOtpEmail,
+  sendPasswordResetOtpEmail,
+  sendEmailChangeOtpEmail,
+  sendLoginOtpEmail,
+  sendSetPasswordOtpEmail
+} = require('./emailService');
+const smsService = require('./smsService');
+const rateLimitService = require('./rateLimitService');
+
+// The emails promise 10 minutes
+const OTP_TTL_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = (Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+const MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = (Number(process.env.OTP_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_DESTINATION = Number(process.env.OTP_MAX_SENDS_PER_HOUR) || 5;
+const MAX_SENDS_PER_IP = Number(process.env.OTP_MAX_SENDS_PER_IP_PER_HOUR) || 20;
+
+// Email text for each purpose; SMS texts live in smsService
+const EMAIL_SENDERS = {
+  register: sendOtpEmail,
+  reset_password: sendPasswordResetOtpEmail,
+  email_change: sendEmailChangeOtpEmail,
+  login: sendLoginOtpEmail,
+  set_password: sendSetPasswordOtpEmail
+};
+
+/**
+ * @param {string} message
+ * @param {number} [status=400]
+ * @param {number} [retryAfter] - seconds, sent back as Retry-After on 429s
+ */
+const otpError = (message, status = 400, retryAfter) => {
+  const err = new Error(message);
+  err.status = status;
+  if (retryAfter) err.retryAfter = retryAfter;
+  return err;
+};
+
+// Codes are keyed by the canonical address so 'A@x.com' and 'a@x.com' share one
+const normalize = (channel, destination) =>
+  channel === 'sms' ? smsService.normalizePhone(destination) : String(destination || '').trim().toLowerCase();
+
+const otpKey = (purpose, channel, destination) => {
+  const key = { purpose, channel, destination: normalize(channel, destination) };
+  if (!key.destination) throw otpError(channel === 'sms' ? 'Valid phone required' : 'Email required');
+  return key;
+};
+
+const deliver = ({ purpose, channel, destination }, code) =>
+  channel === 'sms' ? smsService.sendOtpSms(destination, code, purpose) : EMAIL_SENDERS[purpose](destination, code);
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// Count one send against a quota
+async function consumeQuota(key, limit, windowMs, message) {
+  const { allowed, retryAfter } = await rateLimitService.hit(key, limit, windowMs);
+  if (!allowed) throw otpError(message, 429, retryAfter);
+}
+
+/**
+ * Generate, store and send a code. A new code replaces the previous one.
+ * @param {object} params
+ * @param {string} params.purpose - Otp.PURPOSES entry
+ * @param {string} [params.channel='email'] - 'email' or 'sms'
+ * @param {string} params.destination - email address, or phone number for sms
+ * @param {string} [params.ip] - requester IP for the per-IP throttle
+ * @returns {Promise<{expiresIn: number, resendAfter: number}>} seconds
+ * @throws {Error} with `status` 429 (cooldown, throttle or lockout; `retryAfter` set)
+ */
+async function sendOtp({ purpose, channel = 'email', destination, ip }) {
+  if (channel === 'email' && !EMAIL_SENDERS[purpose]) throw new Error(`No email for OTP purpose: ${purpose}`);
+  const key = otpKey(purpose, channel, destination);
+
+  const existing = await Otp.findOne(key);
+  if (existing?.lockedUntil > new Date()) {
+    throw otpError('Too many wrong codes, try again later', 429, secondsUntil(existing.lockedUntil));
+  }
+  if (existing?.lastSentAt && Date.now() - existing.lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+    throw otpError('Please wait before requesting another code', 429, secondsUntil(existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS));
+  }
+  await consumeQuota(`otp:dest:${key.destination}`, MAX_SENDS_PER_DESTINATION, SEND_WINDOW_MS, 'Too many codes sent to this address, try again later');
+  if (ip) await consumeQuota(`otp:ip:${ip}`, MAX_SENDS_PER_IP, SEND_WINDOW_MS, 'Too many codes requested, try again later');
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const codeExpiresAt = new Date(Date.now() + OTP_TTL_MS);
+  await Otp.findOneAndUpdate(
+    key,
+    {
+      $set: { codeHash: await bcrypt.hash(code, 10), codeExpiresAt, attempts: 0, lastSentAt: new Date(), ip, expiresAt: codeExpiresAt },
+      $unset: { lockedUntil: 1 }
+    },
+    { upsert: true }
+  );
+
+  try {
+    await deliver(key, code);
+  } catch (err) {
+    // Not delivered: let the user ask again straight away
+    await Otp.deleteOne(key);
+    throw err;
+  }
+  return { expiresIn: OTP_TTL_MS / 1000, resendAfter: RESEND_COOLDOWN_MS / 1000 };
+}
+
+/**
+ * Check a code and use it up. Each wrong guess counts; the last allowed one
+ * burns the code and locks the destination for this purpose.
+ * @param {object} params
+ * @param {string} params.purpose
+ * @param {string} [params.channel='email']
+ * @param {string} params.destination
+ * @param {string} params.code
+ * @throws {Error} with `status` 400 (missing, expired or wrong code) or 429 (locked)
+ */
+async function verifyOtp({ purpose, channel = 'email', destination, code }) {
+  const key = otpKey(purpose, channel, destination);
+  const otp = await Otp.findOne(key);
+  if (otp?.lockedUntil > new Date()) {
+    throw otpError('Too many wrong codes, try again later', 429, secondsUntil(otp.lockedUntil));
+  }
+  if (!otp || !otp.codeHash) throw otpError('OTP not requested or expired');
+  if (otp.codeExpiresAt < new Date()) {
+    await Otp.deleteOne({ _id: otp._id });
+    throw otpError('OTP expired');
+  }
+
+  const ok = await bcrypt.compare(String(code || ''), otp.codeHash);
+  if (!ok) {
+    const updated = await Otp.findOneAndUpdate({ _id: otp._id }, { $inc: { attempts: 1 } }, { new: true });
+    if (updated && updated.attempts >= MAX_ATTEMPTS) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+      await Otp.updateOne({ _id: otp._id }, { $set: { lockedUntil, expiresAt: lockedUntil }, $unset: { codeHash: 1, codeExpiresAt: 1 } });
+      throw otpError('Too many wrong codes, try again later', 429, secondsUntil(lockedUntil));
+    }
+    const left = MAX_ATTEMPTS - (updated?.attempts || MAX_ATTEMPTS);
+    throw otpError(`Invalid OTP, ${left} attempt${left === 1 ? '' : 's'} left`);
+  }
+
+  // Single use, even if two requests verify the same code at once
+  const { deletedCount } = await Otp.deleteOne({ _id: otp._id, codeHash: otp.codeHash });
+  if (!deletedCount) throw otpError('OTP not requested or expired');
+}
+
+module.exports = {
+  sendOtp,
+  verifyOtp
+};
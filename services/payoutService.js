@@ -0,0 +1,200 @@
+const XLSX = require('xlsx');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutCycle = require('../models/PayoutCycle');
+const Vendor = require('../models/Vendor');
+const Counter = require('../models/Counter');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const payoutError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// PO-000001, one series for all vendors
+async function nextPayoutNumber() {
+  const counter = await Counter.findOneAndUpdate({ key: 'payout' }, { $inc: { seq: 1 } }, { upsert: true, new: true });
+  return `PO-${String(counter.seq).padStart(6, '0')}`;
+}
+
+// Statement totals by entry type
+function totalsOf(entries) {
+  const sum = (type) => round2(entries.filter((e) => e.type === type).reduce((s, e) => s + e.amount, 0));
+  return {
+    sales: sum('sale'),
+    commission: sum('commission'),
+    shippingDeductions: sum('shipping_deduction'),
+    refundReversals: sum('refund_reversal'),
+    net: round2(entries.filter((e) => e.type !== 'payout').reduce((s, e) => s + e.amount, 0))
+  };
+}
+
+/**
+ * Open a payout cycle for every vendor (or one) with a positive balance of
+ * entries payable by periodEnd. Vendors whose open entries net to zero or less
+ * (e.g. refunds after a payout) carry them into a later cycle.
+ * @param {object} [options]
+ * @param {Date} [options.periodEnd=now]
+ * @param {string} [options.vendorId]
+ * @returns {Promise<Array<import('mongoose').Document>>} cycles created
+ */
+async function generateCycles({ periodEnd = new Date(), vendorId } = {}) {
+  const vendorIds = vendorId
+    ? [vendorId]
+    : await LedgerEntry.distinct('vendor', { payoutCycle: null, availableAt: { $lte: periodEnd } });
+
+  const cycles = [];
+  for (const id of vendorIds) {
+    const vendor = await Vendor.findById(id);
+    if (!vendor) continue;
+    // Suspended vendors keep accruing but are paid out once reinstated
+    if (vendor.status === 'suspended') continue;
+    if (await PayoutCycle.exists({ vendor: id, status: 'pending' })) continue;
+
+    const open = await LedgerEntry.find({ vendor: id, payoutCycle: null, availableAt: { $lte: periodEnd } });
+    if (!open.length || totalsOf(open).net <= 0) continue;
+
+    const previous = await PayoutCycle.findOne({ vendor: id, status: 'paid' }).sort({ periodEnd: -1 });
+    const cycle = new PayoutCycle({
+      number: await nextPayoutNumber(),
+      vendor: id,
+      periodStart: previous?.periodEnd || open.reduce((min, e) => (e.availableAt < min ? e.availableAt : min), open[0].availableAt),
+      periodEnd
+    });
+
+    // Claim the entries; a concurrent run only gets what is still unclaimed
+    await LedgerEntry.updateMany({ _id: { $in: open.map((e) => e._id) }, payoutCycle: null }, { $set: { payoutCycle: cycle._id } });
+    const claimed = await LedgerEntry.find({ payoutCycle: cycle._id });
+    if (!claimed.length) continue;
+    cycle.totals = totalsOf(claimed);
+    cycle.entryCount = claimed.length;
+    await cycle.save();
+    cycles.push(cycle);
+    console.log(`💸 Payout ${cycle.number}: ₹${cycle.totals.net} for vendor ${vendor.displayName}`);
+  }
+  return cycles;
+}
+
+// Move a pending cycle on, atomically: of a concurrent pay and cancel only one wins
+async function claimPending(cycle, set) {
+  const claimed = await PayoutCycle.findOneAndUpdate({ _id: cycle._id, status: 'pending' }, { $set: set }, { new: true });
+  if (claimed) return claimed;
+  const current = await PayoutCycle.findById(cycle._id).select('status');
+  throw payoutError(`Payout ${cycle.number} is ${current?.status || cycle.status}`, 409);
+}
+
+/**
+ * Record that a pending cycle was paid to the vendor; writes the payout entry.
+ * @param {import('mongoose').Document} cycle
+ * @param {object} payment
+ * @param {string} payment.reference - bank UTR or other reference
+ * @param {string} [payment.paidBy] - admin user id
+ * @param {string} [payment.notes]
+ * @returns {Promise<import('mongoose').Document>} the updated cycle
+ * @throws {Error} with `status` 409 unless pending
+ */
+async function markPaid(cycle, { reference, paidBy, notes }) {
+  if (cycle.status !== 'pending') throw payoutError(`Payout ${cycle.number} is ${cycle.status}`, 409);
+  if (!reference) throw payoutError('A payment reference is required');
+
+  const paidAt = new Date();
+  const paid = await claimPending(cycle, { status: 'paid', paidAt, paidBy, paymentReference: reference, ...(notes && { notes }) });
+  await LedgerEntry.updateOne(
+    { key: `payout:${paid._id}` },
+    {
+      $setOnInsert: {
+        vendor: paid.vendor,
+        type: 'payout',
+        amount: -paid.totals.net,
+        description: `Payout ${paid.number} (${reference})`,
+        availableAt: paidAt,
+        payoutCycle: paid._id,
+        key: `payout:${paid._id}`
+      }
+    },
+    { upsert: true }
+  );
+  return paid;
+}
+
+/**
+ * Drop a pending cycle; its entries return to the vendor's open balance.
+ * @returns {Promise<import('mongoose').Document>} the updated cycle
+ * @throws {Error} with `status` 409 unless pending
+ */
+async function cancelCycle(cycle, { notes } = {}) {
+  if (cycle.status !== 'pending') throw payoutError(`Payout ${cycle.number} is ${cycle.status}`, 409);
+  const cancelled = await claimPending(cycle, { status: 'cancelled', cancelledAt: new Date(), ...(notes && { notes }) });
+  // Only after the claim, so the entries of a cycle that was paid meanwhile stay in it
+  await LedgerEntry.updateMany({ payoutCycle: cancelled._id }, { $unset: { payoutCycle: 1 } });
+  return cancelled;
+}
+
+const formatDate = (d) => (d ? new Date(d).toISOString().slice(0, 10) : '');
+
+// One statement row per ledger entry in the cycle, oldest first, then the totals
+async function statementRows(cycle) {
+  const entries = await LedgerEntry.find({ payoutCycle: cycle._id }).sort({ createdAt: 1 });
+  const rows = entries.map((e) => ({
+    Date: formatDate(e.createdAt),
+    Type: e.type,
+    Order: e.orderNumber || '',
+    'Sub-order': e.subOrderId || '',
+    Item: e.item?.title || '',
+    Quantity: e.item?.quantity ?? '',
+    Description: e.description || '',
+    Amount: e.amount
+  }));
+  const totals = [
+    ['Sales', cycle.totals.sales],
+    ['Commission', cycle.totals.commission],
+    ['Shipping deductions', cycle.totals.shippingDeductions],
+    ['Refund reversals', cycle.totals.refundReversals],
+    ['Net payable', cycle.totals.net]
+  ];
+  return [...rows, ...totals.map(([label, amount]) => ({ Date: '', Type: '', Order: '', 'Sub-order': '', Item: '', Quantity: '', Description: label, Amount: amount }))];
+}
+
+// Item titles and descriptions come from vendors: text that a spreadsheet would
+// read as a formula (=, +, -, @, tab, CR) is prefixed with ' so it stays text
+const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Payout statement as a downloadable file.
+ * @param {import('mongoose').Document} cycle
+ * @param {'csv'|'xlsx'} [format='csv']
+ * @returns {Promise<{filename: string, contentType: string, body: Buffer|string}>}
+ */
+async function statementFile(cycle, format = 'csv') {
+  if (!['csv', 'xlsx'].includes(format)) throw payoutError('format must be csv or xlsx');
+  const rows = await statementRows(cycle);
+  const filename = `${cycle.number}.${format}`;
+
+  if (format === 'xlsx') {
+    // json_to_sheet stores strings as text cells (type 's'), never as formulas
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), cycle.number);
+    return {
+      filename,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })
+    };
+  }
+
+  const headers = Object.keys(rows[0] || { Date: '', Type: '', Order: '', 'Sub-order': '', Item: '', Quantity: '', Description: '', Amount: '' });
+  const lines = [headers.map(csvCell).join(','), ...rows.map((r) => headers.map((h) => csvCell(r[h])).join(','))];
+  return { filename, contentType: 'text/csv; charset=utf-8', body: lines.join('\n') };
+}
+
+module.exports = {
+  generateCycles,
+  markPaid,
+  cancelCycle,
+  statementRows,
+  statementFile
+};
@@ -0,0 +1,81 @@
+const { evaluateCoupon } = require('./couponService');
+const taxService = require('./taxService');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Price normalized order items: applies an optional coupon (pro-rating its
+ * discount onto item.discount), computes GST on the discounted line value and
+ * the order totals. GST of tax-inclusive lines is carved out of their price and
+ * reported as includedTaxPrice; it is only added to the total for the others.
+ * @param {object} params
+ * @param {Array<object>} params.items - normalized order items ({ product, price, quantity, hsnCode, gstRate, pricesIncludeTax })
+ * @param {Map<string, import('mongoose').Document>} params.productMap - products keyed by id
+ * @param {string} params.userId
+ * @param {string} [params.couponCode]
+ * @param {number} [params.shippingPrice=0]
+ * @returns {Promise<object>} totals plus `coupon` (order snapshot) and `couponResult` (for redemption)
+ */
+async function priceOrder({ items, productMap, userId, couponCode, shippingPrice = 0 }) {
+  const lines = items.map((item) => {
+    const product = productMap.get(item.product.toString());
+    return {
+      product: item.product,
+      brandId: product?.brandId,
+      categoryId: product?.categoryId,
+      price: item.price,
+      quantity: item.quantity
+    };
+  });
+
+  const couponResult = couponCode
+    ? await evaluateCoupon({ code: couponCode, userId, lines, shippingPrice })
+    : null;
+
+  items.forEach((item, i) => {
+    item.discount = couponResult ? couponResult.lineDiscounts[i] : 0;
+  });
+
+  const itemsPrice = items.reduce((sum, it) => sum + it.price * it.quantity, 0);
+  const discountPrice = couponResult ? couponResult.discount : 0;
+  const finalShipping = Math.max(0, Number(shippingPrice || 0) - (couponResult ? couponResult.shippingDiscount : 0));
+
+  // GST is charged on the transaction value, i.e. after the discount; the slab
+  // of slabbed HSN codes is decided on it too
+  let taxPrice = 0;
+  let includedTaxPrice = 0;
+  for (const item of items) {
+    // The catalog HSN code decides the rate, not a client supplied Shipyaari override
+    const product = productMap.get(item.product.toString());
+    const tax = taxService.lineTax({ ...item, hsnCode: product?.hsnCode || item.hsnCode });
+    item.gstRate = tax.gstRate;
+    item.taxableValue = tax.taxableValue;
+    item.taxAmount = tax.taxAmount;
+    taxPrice += tax.taxAmount;
+    if (item.pricesIncludeTax) includedTaxPrice += tax.taxAmount;
+  }
+  taxPrice = round2(taxPrice);
+  includedTaxPrice = round2(includedTaxPrice);
+
+  return {
+    items,
+    itemsPrice,
+    discountPrice,
+    shippingPrice: finalShipping,
+    taxPrice,
+    includedTaxPrice,
+    totalPrice: round2(itemsPrice - discountPrice + finalShipping + taxPrice - includedTaxPrice),
+    coupon: couponResult
+      ? {
+          couponId: couponResult.coupon._id,
+          code: couponResult.coupon.code,
+          type: couponResult.coupon.type,
+          discount: couponResult.discount,
+          shippingDiscount: couponResult.shippingDiscount
+        }
+      : undefined,
+    couponResult
+  };
+}
+
+module.exports = { priceOrder };
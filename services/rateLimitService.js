@@ -0,0 +1,35 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Count one hit against a fixed-window quota shared by every instance.
+ * @param {string} key - what is limited, e.g. `otp:ip:1.2.3.4`
+ * @param {number} limit - hits allowed per window
+ * @param {number} windowMs
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>} retryAfter: seconds until the window resets
+ */
+async function hit(key, limit, windowMs) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const windowEnd = new Date(windowStart + windowMs);
+  const bump = () =>
+    RateLimit.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: windowEnd } },
+      { upsert: true, new: true }
+    );
+  // Two first hits can race on the unique key; the loser just retries
+  const row = await bump().catch((err) => (err.code === 11000 ? bump() : Promise.reject(err)));
+  return { allowed: row.count <= limit, retryAfter: Math.max(1, Math.ceil((windowEnd.getTime() - Date.now()) / 1000)) };
+}
+
+/**
+ * Forget the hits in the current window, e.g. after a successful sign-in.
+ */
+async function reset(key, windowMs) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  await RateLimit.deleteOne({ key: `${key}:${windowStart}` });
+}
+
+module.exports = {
+  hit,
+  reset
+};
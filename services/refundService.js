@@ -0,0 +1,246 @@
+const razorpay = require('../config/razorpay');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const orderEvents = require('./orderEvents');
+
+// Refunds that count against what can still be refunded
+const COUNTED_STATUSES = ['pending', 'processed'];
+const REFUND_SPEEDS = ['normal', 'optimum'];
+const REFUNDABLE_PAYMENT_STATUSES = ['captured', 'partially_refunded'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const refundError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// What is left of the captured payment after pending and processed refunds
+async function refundableAmount(order) {
+  const [row] = await Refund.aggregate([
+    { $match: { order: order._id, status: { $in: COUNTED_STATUSES } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return Math.max(0, round2(order.totalPrice - (row ? row.total : 0)));
+}
+
+/**
+ * Refund (part of) an order's captured Razorpay payment. API errors don't throw:
+ * the refund is stored as 'failed' with the reason so it can be retried.
+ * @param {import('mongoose').Document} order
+ * @param {object} [options]
+ * @param {number} [options.amount] - defaults to everything still refundable
+ * @param {'normal'|'optimum'} [options.speed='normal']
+ * @param {string} [options.reason]
+ * @param {string} [options.initiatedBy='system']
+ * @param {string} [options.returnRequest] - ReturnRequest id when refunding a return
+ * @returns {Promise<import('mongoose').Document>} Refund
+ * @throws {Error} with `status` 400 when the order has no refundable payment or the amount is too high
+ */
+async function issueRefund(order, { amount, speed = 'normal', reason, initiatedBy = 'system', returnRequest } = {}) {
+  const paymentId = order.razorpayDetails?.razorpayPaymentId;
+  if (!paymentId || !REFUNDABLE_PAYMENT_STATUSES.includes(order.razorpayDetails.paymentStatus)) {
+    throw refundError('Order has no captured online payment to refund');
+  }
+
+  const refundable = await refundableAmount(order);
+  const refundAmount = amount != null ? round2(Number(amount)) : refundable;
+  if (refundAmount <= 0 || refundable <= 0) throw refundError('Nothing left to refund for this order');
+  if (refundAmount > refundable) throw refundError(`Only ₹${refundable} can still be refunded for this order`);
+
+  const refund = await Refund.create({
+    order: order._id,
+    user: order.user,
+    returnRequest,
+    amount: refundAmount,
+    currency: order.currency || 'INR',
+    speed,
+    razorpayPaymentId: paymentId,
+    reason,
+    initiatedBy
+  });
+
+  let rzpRefund;
+  try {
+    rzpRefund = await razorpay.payments.refund(paymentId, {
+      amount: Math.round(refundAmount * 100), // in paise
+      speed,
+      receipt: refund._id.toString(),
+      notes: { refundId: refund._id.toString(), orderId: order._id.toString(), reason: reason || '' }
+    });
+  } catch (error) {
+    const message = error.error?.description || error.message;
+    console.error(`❌ Razorpay refund failed for order ${order.orderId}:`, message);
+    refund.status = 'failed';
+    refund.failedAt = new Date();
+    refund.failureReason = message;
+    await refund.save();
+    return refund;
+  }
+
+  // The webhook may already have settled this refund, so only fill in the ids here
+  await Refund.updateOne(
+    { _id: refund._id },
+    { $set: { razorpayRefundId: rzpRefund.id, speedProcessed: rzpRefund.speed_processed } }
+  );
+  console.log(`💸 Refund ${rzpRefund.id} of ₹${refundAmount} initiated for order ${order.orderId} (${rzpRefund.status})`);
+
+  if (rzpRefund.status === 'processed') await markRefundProcessed(refund._id);
+  return Refund.findById(refund._id);
+}
+
+// Keep razorpayDetails.paymentStatus in line with how much has been refunded
+async function syncPaymentStatus(orderId) {
+  const order = await Order.findById(orderId);
+  if (!order || !order.razorpayDetails) return;
+  const fullyRefunded = (order.refundedAmount || 0) >= order.totalPrice - 0.01;
+  const paymentStatus = order.refundedAmount > 0 ? (fullyRefunded ? 'refunded' : 'partially_refunded') : 'captured';
+  if (order.razorpayDetails.paymentStatus !== paymentStatus) {
+    await Order.updateOne({ _id: order._id }, { 'razorpayDetails.paymentStatus': paymentStatus });
+  }
+}
+
+/**
+ * Settle a refund as processed. Idempotent: the API response and the webhook
+ * can both report it, only the first one moves the order's refundedAmount.
+ * @param {string|import('mongoose').Types.ObjectId} refundId
+ * @param {object} [entity] - Razorpay refund entity from the webhook
+ */
+async function markRefundProcessed(refundId, entity = {}) {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $ne: 'processed' } },
+    {
+      $set: {
+        status: 'processed',
+        processedAt: new Date(),
+        ...(entity.id && { razorpayRefundId: entity.id }),
+        ...(entity.speed_processed && { speedProcessed: entity.speed_processed })
+      }
+    },
+    { new: true }
+  );
+  if (!refund) return null;
+
+  await Order.updateOne(
+    { _id: refund.order },
+    {
+      $inc: { refundedAmount: refund.amount },
+      $push: {
+        events: {
+          type: 'refunded',
+          timestamp: new Date(),
+          updatedBy: entity.id ? 'razorpay_webhook' : 'system',
+          notes: `Refund ${refund.razorpayRefundId || refund._id} of ₹${refund.amount} processed`
+        }
+      }
+    }
+  );
+  await syncPaymentStatus(refund.order);
+
+  if (refund.returnRequest) {
+    await ReturnRequest.updateOne(
+      { _id: refund.returnRequest, 'refund.refundRecord': refund._id },
+      { $set: { 'refund.status': 'processed', 'refund.processedAt': refund.processedAt } }
+    );
+  }
+
+  console.log(`✅ Refund processed: ${refund.razorpayRefundId || refund._id} - ₹${refund.amount}`);
+  const order = await Order.findById(refund.order);
+  if (order) orderEvents.emit('refund_processed', { order, refund });
+  return refund;
+}
+
+/**
+ * Settle a refund as failed. A return refunded by it goes back to 'received'
+ * so the admin can retry from POST /api/returns/:id/refund.
+ */
+async function markRefundFailed(refundId, entity = {}) {
+  const previous = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $ne: 'failed' } },
+    {
+      $set: {
+        status: 'failed',
+        failedAt: new Date(),
+        failureReason: entity.error_description || entity.notes?.failure_reason || 'Refund failed at Razorpay',
+        ...(entity.id && { razorpayRefundId: entity.id })
+      }
+    }
+  );
+  if (!previous) return null;
+  const refund = await Refund.findById(refundId);
+
+  if (previous.status === 'processed') {
+    await Order.updateOne({ _id: refund.order }, { $inc: { refundedAmount: -refund.amount } });
+    await syncPaymentStatus(refund.order);
+  }
+
+  if (refund.returnRequest) {
+    const returnRequest = await ReturnRequest.findOne({ _id: refund.returnRequest, 'refund.refundRecord': refund._id });
+    if (returnRequest) {
+      returnRequest.refund.status = 'failed';
+      returnRequest.refund.error = refund.failureReason;
+      returnRequest.addHistory('received', 'razorpay_webhook', `Refund failed: ${refund.failureReason}`);
+      await returnRequest.save();
+    }
+  }
+
+  console.error(`❌ Refund failed: ${refund.razorpayRefundId || refund._id} - ${refund.failureReason}`);
+  return refund;
+}
+
+// Refund entity from a webhook -> our Refund row. Refunds issued from the
+// Razorpay dashboard have no row yet, so one is created for them.
+async function findRefundForEntity(entity) {
+  const byId = await Refund.findOne({ razorpayRefundId: entity.id });
+  if (byId) return byId;
+
+  // Webhook can arrive before issueRefund stored the Razorpay id
+  const localId = entity.notes?.refundId;
+  if (localId && /^[a-f0-9]{24}$/i.test(localId)) {
+    const byNotes = await Refund.findById(localId);
+    if (byNotes) return byNotes;
+  }
+
+  const order = await Order.findOne({ 'razorpayDetails.razorpayPaymentId': entity.payment_id });
+  if (!order) return null;
+  return Refund.create({
+    order: order._id,
+    user: order.user,
+    amount: entity.amount / 100,
+    currency: entity.currency || 'INR',
+    speed: REFUND_SPEEDS.includes(entity.speed_requested) ? entity.speed_requested : 'normal',
+    razorpayPaymentId: entity.payment_id,
+    razorpayRefundId: entity.id,
+    initiatedBy: 'razorpay_dashboard'
+  });
+}
+
+async function handleRefundProcessed(entity) {
+  const refund = await findRefundForEntity(entity);
+  if (!refund) {
+    console.log(`ℹ️ No order found for refund: ${entity.id}`);
+    return;
+  }
+  await markRefundProcessed(refund._id, entity);
+}
+
+async function handleRefundFailed(entity) {
+  const refund = await findRefundForEntity(entity);
+  if (!refund) {
+    console.log(`ℹ️ No order found for refund: ${entity.id}`);
+    return;
+  }
+  await markRefundFailed(refund._id, entity);
+}
+
+module.exports = {
+  REFUND_SPEEDS,
+  refundableAmount,
+  issueRefund,
+  markRefundProcessed,
+  markRefundFailed,
+  handleRefundProcessed,
+  handleRefundFailed
+};
@@ -0,0 +1,347 @@
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const shipyaariService = require('./shipyariServices');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+const orderStateMachine = require('./orderStateMachine');
+const orderEvents = require('./orderEvents');
+
+// Days after delivery during which a return can be raised
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Returns that still block the order from being considered settled
+const OPEN_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'received'];
+// Returns whose units count against what can still be returned
+const COUNTED_STATUSES = [...OPEN_STATUSES, 'refunded'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const returnError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const sameLine = (item, product, variant) =>
+  String(item.product) === String(product) && String(item.variant || '') === String(variant || '');
+
+const lineFilter = (product, variant, extra = {}) => ({ 'line.product': product, 'line.variant': variant || null, ...extra });
+
+// Units of a line held by counted return requests, for orders from before returnRequestedQuantity
+async function countedReturnQuantity(orderId, line) {
+  const existing = await ReturnRequest.find({
+    order: orderId,
+    'item.product': line.product,
+    'item.variant': line.variant || null,
+    status: { $in: COUNTED_STATUSES }
+  });
+  return existing.reduce((sum, r) => sum + r.item.quantity, 0);
+}
+
+// Hold `quantity` units of the line for a new return. The counter is compared
+// and set, so of two concurrent requests only one can take the last units.
+async function reserveReturnQuantity(order, line, quantity) {
+  let current = line;
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const held = current.returnRequestedQuantity ?? (await countedReturnQuantity(order._id, current));
+    if (quantity > current.quantity - held) {
+      throw returnError(`Only ${current.quantity - held} unit(s) of this item can still be returned`, 409);
+    }
+    const { modifiedCount } = await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'items.$[line].returnRequestedQuantity': held + quantity } },
+      { arrayFilters: [lineFilter(line.product, line.variant, { 'line.returnRequestedQuantity': current.returnRequestedQuantity ?? null })] }
+    );
+    if (modifiedCount) return;
+    const fresh = await Order.findById(order._id).select('items');
+    current = fresh.items.find((i) => sameLine(i, line.product, line.variant));
+  }
+  throw returnError('This item is being returned in another request, try again', 409);
+}
+
+// Give back the units of a return that no longer counts (rejected or cancelled)
+async function releaseReturnQuantity(returnRequest) {
+  const { product, variant, quantity } = returnRequest.item;
+  await Order.updateOne(
+    { _id: returnRequest.order },
+    { $inc: { 'items.$[line].returnRequestedQuantity': -quantity } },
+    { arrayFilters: [lineFilter(product, variant, { 'line.returnRequestedQuantity': { $gte: quantity } })] }
+  );
+}
+
+/**
+ * Move a return to `to` if it is still in one of `from`, atomically, recording
+ * the history entry. Of two concurrent requests only one gets the move.
+ * @returns {Promise<import('mongoose').Document>} the updated return
+ * @throws {Error} with `status` 409 when the return is in another status
+ */
+async function claimStatus(returnRequest, from, to, { actor, notes, set = {}, message }) {
+  const timestamp = new Date();
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: { $in: from } },
+    { $set: { ...set, status: to }, $push: { statusHistory: { status: to, timestamp, updatedBy: actor, notes } } },
+    { new: true }
+  );
+  if (claimed) return claimed;
+  const current = await ReturnRequest.findById(returnRequest._id).select('status');
+  throw returnError(message || `Cannot move a ${current?.status || returnRequest.status} return to ${to}`, 409);
+}
+
+/**
+ * Default refund for a return: the line's share of what the customer paid for
+ * goods (after coupon discount, including tax), excluding shipping.
+ */
+function defaultRefundAmount(order, returnRequest) {
+  const line = order.items.find((i) => sameLine(i, returnRequest.item.product, returnRequest.item.variant));
+  if (!line) return 0;
+
+  const qty = returnRequest.item.quantity;
+  const lineNet = line.price * qty - ((line.discount || 0) * qty) / line.quantity;
+  const orderNet = order.itemsPrice - (order.discountPrice || 0);
+  if (orderNet <= 0) return 0;
+
+  return round2(((order.totalPrice - (order.shippingPrice || 0)) * lineNet) / orderNet);
+}
+
+// Recompute the order's return related status from its return requests.
+// Saves pending changes on `order` first; the status move goes through the state machine.
+async function syncOrderReturnStatus(order, updatedBy, notes) {
+  const open = await ReturnRequest.countDocuments({ order: order._id, status: { $in: OPEN_STATUSES } });
+  const allReturned = order.items.every((i) => (i.returnedQuantity || 0) >= i.quantity);
+  const anyReturned = order.items.some((i) => (i.returnedQuantity || 0) > 0);
+
+  let status = 'delivered';
+  if (open > 0) status = 'return_requested';
+  else if (allReturned) status = 'returned';
+  else if (anyReturned) status = 'partially_returned';
+
+  await order.save();
+  if (order.status !== status) {
+    const actor = orderStateMachine.ACTORS.includes(updatedBy) ? updatedBy : 'system';
+    await orderStateMachine.transition(order, status, { actor, updatedBy, notes });
+  }
+}
+
+/**
+ * Raise a return for one order line.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.orderId
+ * @param {string} params.product
+ * @param {string} [params.variant]
+ * @param {number} params.quantity
+ * @param {string} params.reason - one of ReturnRequest.REASONS
+ * @param {string} [params.comment]
+ * @param {string[]} [params.photos] - uploaded photo URLs
+ * @throws {Error} with `status` 404/400/409 when the line can't be returned
+ */
+async function createReturnRequest({ userId, orderId, product, variant, quantity, reason, comment, photos = [] }) {
+  const order = await Order.findOne({ _id: orderId, user: userId });
+  if (!order) throw returnError('Order not found', 404);
+
+  if (!['delivered', 'return_requested', 'partially_returned'].includes(order.status)) {
+    throw returnError('Only delivered orders can be returned');
+  }
+  // The window can't be checked without a delivery date, so wait for one
+  const deliveredAt = order.deliveredAt || order.shipmentDetails?.actualDeliveryDate;
+  if (!deliveredAt) throw returnError('Delivery date not recorded yet; try again once the delivery is confirmed', 409);
+  if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw returnError(`Return window of ${RETURN_WINDOW_DAYS} days has passed`);
+  }
+
+  const line = order.items.find((i) => sameLine(i, product, variant));
+  if (!line) throw returnError('Item not found in this order', 404);
+
+  await reserveReturnQuantity(order, line, quantity);
+
+  const returnRequest = new ReturnRequest({
+    order: order._id,
+    user: userId,
+    item: {
+      product: line.product,
+      variant: line.variant,
+      title: line.title,
+      sku: line.sku,
+      image: line.image,
+      price: line.price,
+      quantity
+    },
+    reason,
+    comment,
+    photos
+  });
+  returnRequest.addHistory('requested', 'customer', comment);
+  try {
+    await returnRequest.save();
+  } catch (err) {
+    await releaseReturnQuantity(returnRequest);
+    throw err;
+  }
+
+  await syncOrderReturnStatus(order, 'customer', `Return ${returnRequest.rmaNumber} requested for ${quantity} x ${line.title}`);
+  return returnRequest;
+}
+
+/**
+ * Book the Shipyaari reverse pickup for an approved return. A booking failure is
+ * stored on the return (it stays 'approved') so the admin can retry.
+ */
+async function bookReversePickup(returnRequest) {
+  const order = await Order.findById(returnRequest.order);
+  try {
+    const shipment = await shipyaariService.createReverseShipment(order, returnRequest);
+    returnRequest.reverseShipment = {
+      shipyaariOrderId: shipment.shipyaariOrderId,
+      awbNumber: shipment.awbNumber,
+      courierPartner: shipment.courierPartner,
+      trackingUrl: shipment.trackingUrl,
+      bookedAt: new Date()
+    };
+    returnRequest.addHistory('pickup_scheduled', 'system', `Reverse pickup booked, AWB: ${shipment.awbNumber || 'pending'}`);
+  } catch (error) {
+    console.error(`❌ Reverse pickup failed for ${returnRequest.rmaNumber}:`, error.message);
+    returnRequest.reverseShipment = { ...(returnRequest.reverseShipment?.toObject?.() || {}), error: error.message };
+  }
+  await returnRequest.save();
+  return returnRequest;
+}
+
+async function approveReturn(returnRequest, actor, notes) {
+  if (returnRequest.status !== 'requested') throw returnError(`Cannot approve a ${returnRequest.status} return`, 409);
+  if (notes) returnRequest.adminNotes = notes;
+  returnRequest.addHistory('approved', actor, notes);
+  await returnRequest.save();
+  return bookReversePickup(returnRequest);
+}
+
+async function rejectReturn(returnRequest, actor, reason) {
+  const rejected = await claimStatus(returnRequest, ['requested'], 'rejected', {
+    actor,
+    notes: reason,
+    set: { rejectionReason: reason },
+    message: `Cannot reject a ${returnRequest.status} return`
+  });
+  await releaseReturnQuantity(rejected);
+
+  const order = await Order.findById(rejected.order);
+  await syncOrderReturnStatus(order, actor, `Return ${rejected.rmaNumber} rejected`);
+  return rejected;
+}
+
+async function cancelReturn(returnRequest) {
+  const cancelled = await claimStatus(returnRequest, ['requested'], 'cancelled', {
+    actor: 'customer',
+    message: 'Only pending return requests can be cancelled'
+  });
+  await releaseReturnQuantity(cancelled);
+
+  const order = await Order.findById(cancelled.order);
+  await syncOrderReturnStatus(order, 'customer', `Return ${cancelled.rmaNumber} cancelled by customer`);
+  return cancelled;
+}
+
+/**
+ * Refund a received return through Razorpay (see refundService). Orders without
+ * an online payment are marked 'manual'. The amount is capped at what is still
+ * refundable. A failed refund leaves the return 'received' so it can be retried.
+ * @param {import('mongoose').Document} returnRequest
+ * @param {object} [options]
+ * @param {number} [options.amount] - partial refund; defaults to the line's share
+ * @param {string} [options.actor='admin']
+ */
+async function refundReturn(returnRequest, { amount, actor = 'admin' } = {}) {
+  if (returnRequest.status !== 'received') throw returnError('Only received returns can be refunded', 409);
+
+  const order = await Order.findById(returnRequest.order);
+  const paymentId = order.razorpayDetails?.razorpayPaymentId;
+  const refundable = paymentId
+    ? await refundService.refundableAmount(order)
+    : round2(order.totalPrice - (order.refundedAmount || 0));
+  const requested = amount != null ? round2(Number(amount)) : defaultRefundAmount(order, returnRequest);
+  const refundAmount = Math.min(requested, refundable);
+  if (refundAmount <= 0) throw returnError('Nothing left to refund for this order');
+
+  if (!paymentId) {
+    returnRequest.refund = { amount: refundAmount, status: 'manual', processedAt: new Date() };
+    returnRequest.addHistory('refunded', actor, `₹${refundAmount} to be refunded outside Razorpay (no online payment)`);
+    await returnRequest.save();
+    order.refundedAmount = round2((order.refundedAmount || 0) + refundAmount);
+    await syncOrderReturnStatus(order, actor, `Refund of ₹${refundAmount} for return ${returnRequest.rmaNumber}`);
+    orderEvents.emit('return_refunded', { order, returnRequest });
+    return returnRequest;
+  }
+
+  const refund = await refundService.issueRefund(order, {
+    amount: refundAmount,
+    reason: `Return ${returnRequest.rmaNumber}`,
+    initiatedBy: actor,
+    returnRequest: returnRequest._id
+  });
+  returnRequest.refund = {
+    amount: refundAmount,
+    razorpayRefundId: refund.razorpayRefundId,
+    refundRecord: refund._id,
+    status: refund.status,
+    processedAt: refund.processedAt,
+    error: refund.failureReason
+  };
+  if (refund.status === 'failed') {
+    await returnRequest.save();
+    return returnRequest;
+  }
+
+  returnRequest.addHistory('refunded', actor, `Refund of ₹${refundAmount} initiated (Razorpay ${refund.razorpayRefundId || 'pending'})`);
+  await returnRequest.save();
+  // refundService keeps order.refundedAmount up to date once Razorpay processes the refund
+  await syncOrderReturnStatus(order, actor, `Refund of ₹${refundAmount} for return ${returnRequest.rmaNumber}`);
+  orderEvents.emit('return_refunded', { order, returnRequest });
+
+  return returnRequest;
+}
+
+/**
+ * Mark the returned units as received at the warehouse, optionally restock
+ * them, then refund.
+ * @param {import('mongoose').Document} returnRequest
+ * @param {object} [options]
+ * @param {boolean} [options.restock=true] - false for damaged/unsellable units
+ * @param {number} [options.refundAmount] - partial refund
+ * @param {string} [options.notes]
+ * @param {string} [options.actor='admin']
+ */
+async function receiveReturn(returnRequest, { restock = true, refundAmount, notes, actor = 'admin' } = {}) {
+  // Claim the move first so a repeated request can't restock or count the units twice
+  const received = await claimStatus(returnRequest, ['approved', 'pickup_scheduled'], 'received', {
+    actor,
+    notes: notes || (restock ? 'Received and restocked' : 'Received, not restocked'),
+    set: { receivedAt: new Date() },
+    message: `Cannot receive a ${returnRequest.status} return`
+  });
+
+  const { product, variant, quantity } = received.item;
+  if (restock) {
+    await inventoryService.restockItem(product, variant, quantity);
+    await ReturnRequest.updateOne({ _id: received._id }, { $set: { restocked: true } });
+    received.restocked = true;
+  }
+
+  await Order.updateOne(
+    { _id: received.order },
+    { $inc: { 'items.$[line].returnedQuantity': quantity } },
+    { arrayFilters: [lineFilter(product, variant)] }
+  );
+
+  return refundReturn(received, { amount: refundAmount, actor });
+}
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  defaultRefundAmount,
+  createReturnRequest,
+  approveReturn,
+  rejectReturn,
+  cancelReturn,
+  bookReversePickup,
+  receiveReturn,
+  refundReturn
+};
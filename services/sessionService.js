@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short lived; the refresh token keeps a device signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionError = (message, status = 401) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => {
+  const payload = { sub: user._id.toString(), sid: session._id.toString(), role: user.role, email: user.email, name: user.name };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const clientInfo = (req) => ({ userAgent: req?.get?.('user-agent'), ip: req?.ip });
+
+/**
+ * Sign a user in on a new device.
+ * @param {import('mongoose').Document} user
+ * @param {import('express').Request} [req] - for the session's user agent and IP
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function startSession(user, req) {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+  return { token: signAccessToken(user, session), refreshToken: `${session._id}.${secret}` };
+}
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token. An
+ * already rotated token revokes the whole session, signing out both the
+ * legitimate device and whoever copied the token.
+ * @throws {Error} with `status` 401
+ */
+async function refreshSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) throw sessionError('Invalid refresh token');
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive) throw sessionError('Session expired, please sign in again');
+
+  const presented = hashSecret(secret);
+  const secretNow = newSecret();
+  // Rotate only if the presented secret is still the current one, so two
+  // concurrent refreshes can't both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    {
+      $set: { tokenHash: hashSecret(secretNow), lastUsedAt: new Date(), expiresAt: refreshExpiry(), ...clientInfo(req) },
+      $inc: { rotations: 1 }
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session._id, 'reuse_detected');
+    console.warn(`⚠️ Refresh token reuse on session ${session._id} (user ${session.user}), session revoked`);
+    throw sessionError('Refresh token reuse detected, please sign in again');
+  }
+
+  const user = await User.findById(rotated.user);
+  if (!user || !user.isActive) {
+    await revokeSession(rotated._id, 'deactivated');
+    throw sessionError('Account is deactivated');
+  }
+  return { token: signAccessToken(user, rotated), refreshToken: `${rotated._id}.${secretNow}` };
+}
+
+/**
+ * @param {string} sessionId
+ * @param {string} reason - Session revokedReason
+ * @param {string} [userId] - only revoke when the session belongs to this user
+ * @returns {Promise<boolean>} whether a live session was revoked
+ */
+async function revokeSession(sessionId, reason, userId) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+  const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Sign a user out everywhere (optionally except the current device).
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+// Signed-in devices of a user, most recently used first
+const activeSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .select('userAgent ip lastUsedAt createdAt expiresAt rotations');
+
+/**
+ * Check the session and user behind a verified access token payload.
+ * @throws {Error} with `status` 401
+ */
+async function assertAccessAllowed(payload) {
+  if (!payload.sid) throw sessionError('Session expired, please sign in again');
+  const [session, user] = await Promise.all([
+    Session.findById(payload.sid).select('user revokedAt expiresAt'),
+    User.findById(payload.sub).select('isActive')
+  ]);
+  if (!session || !session.isActive || String(session.user) !== payload.sub) {
+    throw sessionError('Session expired, please sign in again');
+  }
+  if (!user || !user.isActive) throw sessionError('Account is deactivated');
+}
+
+module.exports = {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  activeSessions,
+  assertAccessAllowed
+};
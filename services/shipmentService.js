@@ -0,0 +1,175 @@
+const Order = require('../models/Order');
+const shipyaariService = require('./shipyariServices');
+const orderStateMachine = require('./orderStateMachine');
+const subOrderService = require('./subOrderService');
+
+// Booking needs Shipyaari credentials and somewhere to deliver to
+function assertCanShip(order) {
+  if (!order.shippingAddress) {
+    throw new Error('Shipping address is missing. Cannot create shipment without delivery address.');
+  }
+
+  // Check environment variables
+  const requiredEnvVars = ['SHIPYAARI_EMAIL', 'SHIPYAARI_PASSWORD'];
+  const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
+
+  if (missingEnvVars.length > 0) {
+    throw new Error(`Missing Shipyaari environment variables: ${missingEnvVars.join(', ')}`);
+  }
+}
+
+/**
+ * Book the forward Shipyaari shipment for a confirmed order (paid online or COD)
+ * and move it to 'shipped'. Skips orders that already have a shipment. Failures
+ * are recorded on the order (shipmentStatus 'failed') and re-thrown.
+ * @param {import('mongoose').Document} order
+ * @param {string} updatedBy - statusHistory actor, e.g. 'payment_confirmation'
+ */
+async function createForwardShipment(order, updatedBy) {
+  if (order.subOrders?.length) return createSubOrderShipments(order, updatedBy);
+  try {
+    console.log(`🚚 Processing shipment for order: ${order.orderId}`);
+
+    // Validate required data before proceeding
+    if (!order.sellerDetails || !order.sellerDetails.address || !order.sellerDetails.contact) {
+      throw new Error('Seller details are missing. Cannot create shipment without seller information.');
+    }
+
+    assertCanShip(order);
+
+    // Check if shipment already exists
+    if (order.shipmentDetails && order.shipmentDetails.shipyaariOrderId) {
+      console.log(`ℹ️ Shipment already exists for order: ${order.orderId}`);
+      return;
+    }
+
+    // A retry after a failed booking finds the order already processing
+    if (order.status !== 'processing') {
+      ({ order } = await orderStateMachine.transition(order, 'processing', {
+        updatedBy,
+        notes: 'Order processing for shipment creation'
+      }));
+    }
+
+    console.log(`📦 Creating Shipyaari shipment for order: ${order.orderId}`);
+    const shipmentResult = await shipyaariService.createShipment(order);
+
+    await orderStateMachine.transition(order, 'shipped', {
+      updatedBy,
+      notes: `Shipment created - AWB: ${shipmentResult.awbNumber}, Courier: ${shipmentResult.courierPartner}`,
+      set: {
+        'shipmentDetails.shipmentStatus': 'processing',
+        'shipmentDetails.shipyaariOrderId': shipmentResult.shipyaariOrderId,
+        'shipmentDetails.awbNumber': shipmentResult.awbNumber,
+        'shipmentDetails.courierPartner': shipmentResult.courierPartner,
+        'shipmentDetails.trackingUrl': shipmentResult.trackingUrl,
+        'shipmentDetails.estimatedDeliveryDate': shipmentResult.estimatedDeliveryDate
+      }
+    });
+
+    console.log('🎉 Automated shipment created successfully:', {
+      orderId: order.orderId,
+      awbNumber: shipmentResult.awbNumber,
+      courierPartner: shipmentResult.courierPartner,
+      trackingUrl: shipmentResult.trackingUrl
+    });
+  } catch (error) {
+    console.error('❌ Process shipment error:', error);
+
+    await Order.findByIdAndUpdate(order._id, {
+      'shipmentDetails.shipmentStatus': 'failed',
+      'shipmentDetails.shipmentError': error.message,
+      $push: {
+        events: {
+          type: 'shipment_failed',
+          timestamp: new Date(),
+          updatedBy,
+          notes: `Shipment creation failed: ${error.message}`
+        }
+      }
+    });
+
+    // Optionally: Send notification to admin about shipment failure
+    console.error(`🚨 ALERT: Shipment failed for order ${order.orderId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Split orders: book one shipment per sub-order from its seller's pickup
+ * address. Each sub-order moves to 'shipped' as its AWB comes back; a failed
+ * booking is recorded on that sub-order and the others still go out. The
+ * parent is 'processing' until every live sub-order has shipped. Throws if
+ * any booking failed, after trying them all.
+ * @param {import('mongoose').Document} order
+ * @param {string} updatedBy
+ */
+async function createSubOrderShipments(order, updatedBy) {
+  console.log(`🚚 Processing ${order.subOrders.length} sub-order shipments for order: ${order.orderId}`);
+  try {
+    assertCanShip(order);
+    if (order.status !== 'processing') {
+      ({ order } = await orderStateMachine.transition(order, 'processing', {
+        updatedBy,
+        notes: 'Order processing for shipment creation'
+      }));
+    }
+  } catch (error) {
+    console.error(`🚨 ALERT: Shipment failed for order ${order.orderId}:`, error.message);
+    await Order.findByIdAndUpdate(order._id, {
+      $push: { events: { type: 'shipment_failed', timestamp: new Date(), updatedBy, notes: `Shipment creation failed: ${error.message}` } }
+    });
+    throw error;
+  }
+
+  const failures = [];
+  for (const subOrder of order.subOrders) {
+    if (subOrder.status !== 'pending' || subOrder.shipmentDetails?.shipyaariOrderId) continue;
+    const match = { _id: order._id, 'subOrders.subOrderId': subOrder.subOrderId };
+    try {
+      const shipmentResult = await shipyaariService.createShipment(order, subOrder);
+      const notes = `Shipment created - AWB: ${shipmentResult.awbNumber}, Courier: ${shipmentResult.courierPartner}`;
+      await Order.updateOne(match, {
+        $set: {
+          'subOrders.$.status': 'shipped',
+          'subOrders.$.shippedAt': new Date(),
+          'subOrders.$.shipmentDetails': {
+            shipmentStatus: 'processing',
+            shipyaariOrderId: shipmentResult.shipyaariOrderId,
+            awbNumber: shipmentResult.awbNumber,
+            courierPartner: shipmentResult.courierPartner,
+            trackingUrl: shipmentResult.trackingUrl,
+            estimatedDeliveryDate: shipmentResult.estimatedDeliveryDate
+          }
+        },
+        $push: { 'subOrders.$.statusHistory': { status: 'shipped', timestamp: new Date(), updatedBy, notes } }
+      });
+      console.log(`🎉 Sub-order ${subOrder.subOrderId} shipped - AWB: ${shipmentResult.awbNumber}`);
+    } catch (error) {
+      console.error(`🚨 ALERT: Shipment failed for sub-order ${subOrder.subOrderId}:`, error.message);
+      failures.push(`${subOrder.subOrderId}: ${error.message}`);
+      await Order.updateOne(match, {
+        $set: {
+          'subOrders.$.shipmentDetails.shipmentStatus': 'failed',
+          'subOrders.$.shipmentDetails.shipmentError': error.message
+        },
+        $push: {
+          events: {
+            type: 'shipment_failed',
+            timestamp: new Date(),
+            updatedBy,
+            notes: `Shipment creation failed for ${subOrder.subOrderId}: ${error.message}`
+          }
+        }
+      });
+    }
+  }
+
+  await subOrderService.syncParentStatus(await Order.findById(order._id), {
+    updatedBy,
+    notes: 'All sub-order shipments created'
+  });
+  if (failures.length) throw new Error(`Shipment creation failed for ${failures.join('; ')}`);
+}
+
+module.exports = { createForwardShipment };
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const taxService = require('./taxService');
 
 class ShipyaariService {
   constructor() {
@@ -43,12 +44,22 @@ class ShipyaariService {
   }
 
   // 2. CREATE SHIPMENT (Existing - Enhanced with environment variables)
-  async createShipment(order) {
+  // Split orders book one shipment per sub-order
+  async createShipment(order, subOrder = null) {
+    console.log(`📦 Creating Shipyaari shipment for order: ${subOrder ? subOrder.subOrderId : order.orderId}`);
+    return this.placeOrder(this.buildShipyaariPayload(order, subOrder));
+  }
+
+  // 2b. CREATE REVERSE SHIPMENT - pickup from the customer back to our warehouse (returns)
+  async createReverseShipment(order, returnRequest) {
+    console.log(`↩️ Creating Shipyaari reverse pickup for ${returnRequest.rmaNumber} (order ${order.orderId})`);
+    return this.placeOrder(this.buildReversePayload(order, returnRequest));
+  }
+
+  // Helper: POST an order payload (forward or reverse) and normalize the response
+  async placeOrder(shipyaariPayload) {
     try {
-      console.log(`📦 Creating Shipyaari shipment for order: ${order.orderId}`);
-      
       const token = await this.authenticate();
-      const shipyaariPayload = this.buildShipyaariPayload(order);
       
       const response = await axios.post(
         `${this.baseURL}/order/placeOrderApiV3`,
@@ -237,23 +248,52 @@ class ShipyaariService {
     }
   }
 
+  // 5b. SERVICEABILITY - can a courier deliver to this pincode (optionally as COD)
+  async checkServiceability(deliveryPincode, { paymentMode = 'PREPAID', invoiceValue = 0, weight = 1 } = {}) {
+    try {
+      const token = await this.authenticate();
+
+      const response = await axios.post(
+        `${this.baseURL}/order/checkServiceability`,
+        {
+          pickupPincode: parseInt(process.env.SELLER_PINCODE) || 400062,
+          deliveryPincode: parseInt(deliveryPincode),
+          paymentMode,
+          invoiceValue,
+          weight,
+          orderType: "B2C",
+          transit: "FORWARD"
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': token
+          },
+          timeout: 15000
+        }
+      );
+
+      const partners = Array.isArray(response.data.data) ? response.data.data : [];
+      return {
+        pincode: String(deliveryPincode),
+        serviceable: Boolean(response.data.success) && partners.length > 0,
+        courierPartners: partners.map(p => p.partnerName || p.courierPartner || p.name).filter(Boolean)
+      };
+    } catch (error) {
+      console.error('❌ Serviceability check error:', error.response?.data || error.message);
+      throw new Error(`Failed to check serviceability: ${error.message}`);
+    }
+  }
+
   // 6. BUILD SHIPYAARI PAYLOAD (Enhanced with environment variables)
-  buildShipyaariPayload(order) {
+  // With a sub-order: only its items, picked up from its seller, collecting its amount
+  buildShipyaariPayload(order, subOrder = null) {
+    const items = subOrder
+      ? order.items.filter((i) => String(i.vendor || '') === String(subOrder.vendor || ''))
+      : order.items;
+    const amount = subOrder ? subOrder.amount : order.totalPrice;
     return {
-      pickupDetails: {
-        addressType: "warehouse",
-        fullAddress: process.env.SELLER_ADDRESS || "201 Goregaon West, Mumbai, Maharashtra 400062",
-        pincode: parseInt(process.env.SELLER_PINCODE) || 400062,
-        startTime: process.env.PICKUP_START_TIME || "09",
-        endTime: process.env.PICKUP_END_TIME || "18",
-        latitude: process.env.SELLER_LATITUDE || "19.0697",
-        longitude: process.env.SELLER_LONGITUDE || "72.8856",
-        contact: {
-          name: process.env.SELLER_CONTACT_NAME || "Store Manager",
-          mobileNo: parseInt(process.env.SELLER_MOBILE) || 9876543210,
-          alternateMobileNo: parseInt(process.env.SELLER_ALTERNATE_MOBILE || process.env.SELLER_MOBILE) || 9876543210
-        }
-      },
+      pickupDetails: this.buildPickupDetails(subOrder ? subOrder.sellerDetails : order.sellerDetails),
       deliveryDetails: {
         addressType: "home",
         fullAddress: this.buildFullAddress(order.shippingAddress),
@@ -273,47 +313,7 @@ class ShipyaariService {
         },
         gstNumber: process.env.BUSINESS_GST_NUMBER || "09HRTPS8794G1ZD" // Your business GST number
       },
-      boxInfo: order.items.map((item, index) => ({
-        name: `box_${index + 1}`,
-        type: "parcel",
-        weightUnit: "Kg",
-        deadWeight: item.weight || 1,
-        length: item.dimensions?.length ,
-        breadth: item.dimensions?.breadth ,
-        height: item.dimensions?.height,
-        qty: item.quantity,
-        discount: 0,
-        measureUnit: "cm",
-        products: [{
-          name: item.title,
-          category: item.category ,
-          sku: item.sku,
-          hsnCode: item.hsnCode,
-          qty: item.quantity,
-          unitPrice: item.price,
-          discount: 0,
-          unitTax: Math.round((item.price * (item.gstRate || 12)) / 100),
-          sellingPrice: item.price,
-          totalDiscount: 0,
-          totalPrice: item.price * item.quantity,
-          weightUnit: "kg",
-          deadWeight: item.weight || 1,
-          length: item.dimensions?.length ,
-          breadth: item.dimensions?.breadth,  
-          height: item.dimensions?.height ,
-          measureUnit: "cm",
-          images: item.image ? [item.image] : []
-        }],
-        codInfo: {
-          isCod: order.paymentMethod === 'cod',
-          collectableAmount: order.paymentMethod === 'cod' ? order.totalPrice : 0,
-          invoiceValue: order.totalPrice
-        },
-        podInfo: {
-          isPod: false
-        },
-        insurance: order.insurance || false
-      })),
+      boxInfo: items.map((item, index) => this.buildBoxInfo(order, item, index, amount)),
       orderType: "B2C",
       transit: "FORWARD",
       courierPartner: "",
@@ -333,13 +333,118 @@ class ShipyaariService {
       childGstNumber: process.env.BUSINESS_GST_NUMBER || "09HRTPS8794G1ZD",
       parentId: 1,
       childId: 2,
-      orderId: order.orderId,
+      orderId: subOrder ? subOrder.subOrderId : order.orderId,
       eWayBillNo: "",
       brandName: process.env.BRAND_NAME || "HOE",
       brandLogo: process.env.BRAND_LOGO 
     };
   }
 
+  // REVERSE PAYLOAD: same order data with pickup and delivery swapped, a single box
+  // for the returned units and no COD collection
+  buildReversePayload(order, returnRequest) {
+    const item = returnRequest.toObject ? returnRequest.toObject().item : returnRequest.item;
+
+    // Weight/dimensions/HSN come from the original order line, quantity from the return
+    const orderItem = order.items.find((i) =>
+      String(i.product) === String(item.product) && String(i.variant || '') === String(item.variant || '')
+    );
+    // Goes back to whoever shipped it: the item's sub-order seller on split orders
+    const subOrder = orderItem && (order.subOrders || []).find((s) => String(s.vendor || '') === String(orderItem.vendor || ''));
+    const forward = this.buildShipyaariPayload(order, subOrder || null);
+    const { gstNumber, ...customer } = forward.deliveryDetails;
+    const line = orderItem && orderItem.toObject ? orderItem.toObject() : { ...orderItem };
+    const box = this.buildBoxInfo(order, { ...line, ...item, discount: 0 }, 0);
+    box.codInfo = { isCod: false, collectableAmount: 0, invoiceValue: item.price * item.quantity };
+
+    return {
+      ...forward,
+      pickupDetails: {
+        ...customer,
+        startTime: process.env.PICKUP_START_TIME || "09",
+        endTime: process.env.PICKUP_END_TIME || "18"
+      },
+      deliveryDetails: { ...forward.pickupDetails, gstNumber },
+      boxInfo: [box],
+      transit: "REVERSE",
+      returnReason: returnRequest.reason,
+      orderId: returnRequest.rmaNumber
+    };
+  }
+
+  // Helper: Shipyaari pickup from an Order / sub-order sellerDetails, SELLER_* env for anything missing
+  buildPickupDetails(seller) {
+    const address = seller?.address || {};
+    const contact = seller?.contact || {};
+    return {
+      addressType: "warehouse",
+      fullAddress: address.fullAddress || process.env.SELLER_ADDRESS || "201 Goregaon West, Mumbai, Maharashtra 400062",
+      pincode: parseInt(address.pincode || process.env.SELLER_PINCODE) || 400062,
+      startTime: process.env.PICKUP_START_TIME || "09",
+      endTime: process.env.PICKUP_END_TIME || "18",
+      latitude: address.latitude || process.env.SELLER_LATITUDE || "19.0697",
+      longitude: address.longitude || process.env.SELLER_LONGITUDE || "72.8856",
+      contact: {
+        name: contact.name || process.env.SELLER_CONTACT_NAME || "Store Manager",
+        mobileNo: parseInt(contact.mobile || process.env.SELLER_MOBILE) || 9876543210,
+        alternateMobileNo: parseInt(contact.alternateMobile || contact.mobile || process.env.SELLER_ALTERNATE_MOBILE || process.env.SELLER_MOBILE) || 9876543210
+      }
+    };
+  }
+
+  // Helper: one Shipyaari box per order item, carrying its pro-rated coupon discount.
+  // `amount` is what the shipment collects: the order total, or a sub-order's amount.
+  buildBoxInfo(order, item, index, amount = order.totalPrice) {
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const lineDiscount = round2(item.discount || 0);
+    const unitDiscount = round2(lineDiscount / item.quantity);
+    const sellingPrice = round2(item.price - unitDiscount);
+
+    return {
+      name: `box_${index + 1}`,
+      type: "parcel",
+      weightUnit: "Kg",
+      deadWeight: item.weight || 1,
+      length: item.dimensions?.length ,
+      breadth: item.dimensions?.breadth ,
+      height: item.dimensions?.height,
+      qty: item.quantity,
+      discount: lineDiscount,
+      measureUnit: "cm",
+      products: [{
+        name: item.title,
+        category: item.category ,
+        sku: item.sku,
+        hsnCode: item.hsnCode,
+        qty: item.quantity,
+        unitPrice: item.price,
+        discount: unitDiscount,
+        // Per unit GST from the order line; inside sellingPrice for tax-inclusive lines
+        unitTax: round2(taxService.orderItemTax(item).taxAmount / item.quantity),
+        sellingPrice,
+        totalDiscount: lineDiscount,
+        totalPrice: round2(item.price * item.quantity - lineDiscount),
+        weightUnit: "kg",
+        deadWeight: item.weight || 1,
+        length: item.dimensions?.length ,
+        breadth: item.dimensions?.breadth,  
+        height: item.dimensions?.height ,
+        measureUnit: "cm",
+        images: item.image ? [item.image] : []
+      }],
+      codInfo: {
+        isCod: order.paymentMethod === 'cod',
+        // The whole amount (incl. COD fee) is collected once, against the first box
+        collectableAmount: order.paymentMethod === 'cod' && index === 0 ? amount : 0,
+        invoiceValue: amount
+      },
+      podInfo: {
+        isPod: false
+      },
+      insurance: order.insurance || false
+    };
+  }
+
   // Helper: Build full address string
   buildFullAddress(address) {
     const parts = [
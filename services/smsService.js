@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+const BRAND_NAME = process.env.BRAND_NAME || 'Our store';
+
+// A provider is { send({ to, body }) -> Promise }. `to` is E.164 (+919876543210).
+// console and file are stand-ins for development; real gateways plug in with
+// registerProvider() and are picked with SMS_PROVIDER.
+const providers = {
+  console: {
+    async send({ to, body }) {
+      console.log(`📱 SMS to ${to}: ${body}`);
+    }
+  },
+  file: {
+    async send({ to, body }) {
+      const file = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'tmp_sms', 'outbox.log');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ to, body, sentAt: new Date().toISOString() }) + '\n');
+    }
+  }
+};
+
+const OTP_MESSAGES = {
+  register: (code) => `${code} is your ${BRAND_NAME} registration code. It expires in 10 minutes.`,
+  reset_password: (code) => `${code} is your ${BRAND_NAME} password reset code. It expires in 10 minutes. Do not share it.`,
+  login: (code) => `${code} is your ${BRAND_NAME} sign-in code. It expires in 10 minutes. Do not share it.`,
+  phone_verify: (code) => `${code} is your ${BRAND_NAME} phone verification code. It expires in 10 minutes.`
+};
+
+const smsError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Make a provider available to SMS_PROVIDER.
+ * @param {string} name
+ * @param {{ send: (msg: { to: string, body: string }) => Promise<any> }} provider
+ */
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.send !== 'function') throw new Error(`SMS provider ${name} must implement send()`);
+  providers[name] = provider;
+}
+
+// Production must choose a provider; anywhere else texts go to the console
+function activeProvider() {
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) throw smsError('SMS is not configured', 503);
+  const provider = providers[name];
+  if (!provider) throw smsError(`Unknown SMS provider: ${name}`, 503);
+  return provider;
+}
+
+/**
+ * Bring an Indian mobile number to E.164. Accepts 10 digits, 0/91/+91
+ * prefixes, spaces and dashes; other + numbers are kept as they are.
+ * @returns {string|null} null when it is not a phone number
+ */
+function normalizePhone(phone) {
+  if (typeof phone !== 'string' && typeof phone !== 'number') return null;
+  const raw = String(phone).trim().replace(/[\s\-().]/g, '');
+  let digits = raw.replace(/^\+/, '');
+  if (!/^\d+$/.test(digits)) return null;
+  if (!raw.startsWith('+')) {
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    if (digits.length === 10) digits = `91${digits}`;
+  }
+  if (digits.startsWith('91')) return /^91[6-9]\d{9}$/.test(digits) ? `+${digits}` : null;
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Send a text through the configured provider.
+ * @throws {Error} with `status` 503 when no provider is configured
+ */
+async function sendSms(to, body) {
+  const provider = activeProvider();
+  try {
+    await provider.send({ to, body });
+    console.log('SMS sent to', to);
+  } catch (error) {
+    console.error('Failed to send SMS:', error);
+    throw error;
+  }
+}
+
+async function sendOtpSms(to, code, purpose) {
+  const message = OTP_MESSAGES[purpose];
+  if (!message) throw new Error(`No SMS text for OTP purpose: ${purpose}`);
+  return sendSms(to, message(code));
+}
+
+module.exports = {
+  registerProvider,
+  normalizePhone,
+  sendSms,
+  sendOtpSms
+};
@@ -0,0 +1,147 @@
+const Order = require('../models/Order');
+const Vendor = require('../models/Vendor');
+const orderStateMachine = require('./orderStateMachine');
+
+// Marketplace orders: one sub-order per seller, each shipped on its own from
+// the seller's pickup address while the customer pays for and follows the parent.
+
+// Sub-order statuses in delivery order; cancelled is outside the line
+const SUB_ORDER_PROGRESS = ['pending', 'processing', 'shipped', 'in_transit', 'delivered'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const subOrderError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const sellerKey = (vendor) => String(vendor || '');
+
+// Order lines shipped by a sub-order's seller
+const itemsOf = (order, subOrder) => order.items.filter((i) => sellerKey(i.vendor) === sellerKey(subOrder.vendor));
+
+// What the customer pays for a line: tax-inclusive lines already carry their GST
+const lineAmount = (item) =>
+  round2(item.price * item.quantity - (item.discount || 0) + (item.pricesIncludeTax ? 0 : item.taxAmount || 0));
+
+/**
+ * Order sellerDetails from a vendor's pickup address.
+ * @throws {Error} with `status` 409 when the vendor can't ship
+ */
+function sellerDetailsFromVendor(vendor) {
+  if (vendor.status !== 'approved') throw subOrderError(`${vendor.displayName} is not accepting orders right now`, 409);
+  const pickup = vendor.pickupAddress || {};
+  if (!pickup.fullAddress || !pickup.pincode || !pickup.city || !pickup.state || !(pickup.mobile || vendor.phone)) {
+    throw subOrderError(`${vendor.displayName} can't ship orders yet (no pickup address)`, 409);
+  }
+  return {
+    address: {
+      fullAddress: pickup.fullAddress,
+      pincode: pickup.pincode,
+      city: pickup.city,
+      state: pickup.state,
+      country: pickup.country || 'India',
+      // Reuse the vendor's geocoded pickup point instead of geocoding every order
+      ...(pickup.latitude && pickup.longitude
+        ? { latitude: pickup.latitude, longitude: pickup.longitude, geocodingAttempted: true, geocodingStatus: 'success' }
+        : {})
+    },
+    contact: {
+      name: pickup.contactName || vendor.businessName || vendor.displayName,
+      mobile: pickup.mobile || parseInt(String(vendor.phone).replace(/\D/g, '').slice(-10))
+    }
+  };
+}
+
+/**
+ * Decide who ships a new (unsaved) order. Items of a single vendor ship from
+ * that vendor's pickup address; items from several sellers become sub-orders,
+ * one per seller, with the order's shipping and COD fee carried by the first.
+ * Call once totals and codDetails are set.
+ * @param {import('mongoose').Document} order - Order with items.vendor set by checkoutService.buildOrderItem
+ * @throws {Error} with `status` 409 when a vendor can't ship
+ */
+async function assignSellers(order) {
+  const keys = [...new Set(order.items.map((i) => sellerKey(i.vendor)))];
+  const vendorIds = keys.filter(Boolean);
+  const vendors = vendorIds.length ? await Vendor.find({ _id: { $in: vendorIds } }) : [];
+  const vendorMap = new Map(vendors.map((v) => [String(v._id), v]));
+
+  const sellerFor = (key) => {
+    if (!key) return order.sellerDetails;
+    const vendor = vendorMap.get(key);
+    if (!vendor) throw subOrderError('Some items in this order are no longer sold', 409);
+    return sellerDetailsFromVendor(vendor);
+  };
+
+  if (keys.length === 1) {
+    if (keys[0]) order.sellerDetails = sellerFor(keys[0]);
+    return order;
+  }
+
+  const subOrders = keys.map((key) => ({
+    vendor: key || undefined,
+    sellerDetails: sellerFor(key),
+    amount: round2(order.items.filter((i) => sellerKey(i.vendor) === key).reduce((sum, i) => sum + lineAmount(i), 0)),
+    status: 'pending'
+  }));
+  // Shipping, COD fee and rounding ride on the first parcel so the parts add up to the total
+  const linesTotal = subOrders.reduce((sum, s) => sum + s.amount, 0);
+  subOrders[0].amount = round2(Math.max(0, subOrders[0].amount + order.totalPrice - linesTotal));
+  order.subOrders = subOrders;
+  return order;
+}
+
+/**
+ * Move the parent order up to the least advanced status of its live
+ * sub-orders, e.g. to 'shipped' once every parcel has an AWB and to
+ * 'delivered' once the last one arrives. Never moves backwards.
+ * @param {import('mongoose').Document} order - fresh Order document
+ * @param {object} [opts] - statusHistory updatedBy / notes, and when it happened
+ * @returns {Promise<import('mongoose').Document>} the order, re-read if it moved
+ */
+async function syncParentStatus(order, { updatedBy = 'system', notes, at } = {}) {
+  const active = order.subOrders.filter((s) => s.status !== 'cancelled');
+  if (!active.length) return order;
+
+  const target = SUB_ORDER_PROGRESS[Math.min(...active.map((s) => SUB_ORDER_PROGRESS.indexOf(s.status)))];
+  if (SUB_ORDER_PROGRESS.indexOf(target) <= SUB_ORDER_PROGRESS.indexOf(order.status)) return order;
+  if (!orderStateMachine.canTransition(order.status, target, 'system')) return order;
+
+  const result = await orderStateMachine.transition(order, target, {
+    updatedBy,
+    notes: notes || `All ${active.length} shipments ${target.replace('_', ' ')}`,
+    at
+  });
+  return result.order;
+}
+
+/**
+ * Find the order a forward AWB belongs to, on the parent or a sub-order.
+ * @returns {Promise<{order: import('mongoose').Document, subOrder: object|null}|null>}
+ */
+async function findByAwb(awbNumber) {
+  const order = await Order.findOne({
+    $or: [{ 'shipmentDetails.awbNumber': awbNumber }, { 'subOrders.shipmentDetails.awbNumber': awbNumber }]
+  });
+  if (!order) return null;
+  const subOrder = order.subOrders.find((s) => s.shipmentDetails?.awbNumber === awbNumber) || null;
+  return { order, subOrder };
+}
+
+// Forward shipments of an order: its sub-orders', or the parent's own
+const shipmentsOf = (order) =>
+  order.subOrders?.length
+    ? order.subOrders.map((s) => ({ subOrderId: s.subOrderId, status: s.status, shipment: s.shipmentDetails }))
+    : [{ subOrderId: null, status: order.status, shipment: order.shipmentDetails }];
+
+module.exports = {
+  SUB_ORDER_PROGRESS,
+  itemsOf,
+  sellerDetailsFromVendor,
+  assignSellers,
+  syncParentStatus,
+  findByAwb,
+  shipmentsOf
+};
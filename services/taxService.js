@@ -0,0 +1,94 @@
+// GST arithmetic shared by the catalog (Product virtuals), order pricing,
+// Shipyaari payloads and invoices. Kept free of model imports so models can use it.
+
+// Apparel and made-up textiles: 5% up to ₹1000 a piece, 12% above
+const SLAB_HSN_CODES = ['61', '62', '63'];
+const SLAB_LIMIT = 1000;
+const SLAB_LOW_RATE = 5;
+const SLAB_HIGH_RATE = 12;
+const DEFAULT_GST_RATE = 12;
+
+// Whether prices are tax-inclusive (MRP style) when neither the product nor its brand says
+const DEFAULT_PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === 'true';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isSlabbed = (hsnCode) => SLAB_HSN_CODES.includes(String(hsnCode || ''));
+
+/**
+ * Product setting wins, then the brand's, then PRICES_INCLUDE_TAX.
+ * @param {boolean|null} [productSetting]
+ * @param {boolean|null} [brandSetting]
+ */
+function resolvePricesIncludeTax(productSetting, brandSetting) {
+  if (typeof productSetting === 'boolean') return productSetting;
+  if (typeof brandSetting === 'boolean') return brandSetting;
+  return DEFAULT_PRICES_INCLUDE_TAX;
+}
+
+/**
+ * GST rate for one unit sold at `unitValue`. Slabbed HSN codes are decided on
+ * the transaction value per piece excluding GST, i.e. after discounts; other
+ * codes use the product's fixed rate.
+ * @param {object} params
+ * @param {string} [params.hsnCode]
+ * @param {number} [params.gstRate] - fixed rate for non-slabbed codes
+ * @param {number} params.unitValue - per-unit price actually charged
+ * @param {boolean} [params.pricesIncludeTax=false]
+ */
+function rateFor({ hsnCode, gstRate, unitValue, pricesIncludeTax = false }) {
+  if (!isSlabbed(hsnCode)) return typeof gstRate === 'number' ? gstRate : DEFAULT_GST_RATE;
+  const taxable = pricesIncludeTax ? unitValue / (1 + SLAB_LOW_RATE / 100) : unitValue;
+  return taxable <= SLAB_LIMIT ? SLAB_LOW_RATE : SLAB_HIGH_RATE;
+}
+
+/**
+ * Tax on a line sold at `price` x `quantity` less `discount`. For tax-inclusive
+ * prices the GST is carved out of the amount charged; otherwise it is added on top.
+ * @param {object} line
+ * @param {number} line.price - unit price as listed
+ * @param {number} [line.quantity=1]
+ * @param {number} [line.discount=0] - discount on the whole line
+ * @param {string} [line.hsnCode]
+ * @param {number} [line.gstRate]
+ * @param {boolean} [line.pricesIncludeTax=false]
+ * @returns {{gstRate: number, taxableValue: number, taxAmount: number, total: number}}
+ */
+function lineTax({ price, quantity = 1, discount = 0, hsnCode, gstRate, pricesIncludeTax = false }) {
+  const value = round2(Math.max(0, price * quantity - discount));
+  const rate = rateFor({ hsnCode, gstRate, unitValue: value / quantity, pricesIncludeTax });
+  const taxableValue = pricesIncludeTax ? round2((value * 100) / (100 + rate)) : value;
+  const taxAmount = pricesIncludeTax ? round2(value - taxableValue) : round2((value * rate) / 100);
+  return { gstRate: rate, taxableValue, taxAmount, total: round2(taxableValue + taxAmount) };
+}
+
+/**
+ * Tax of a saved order line. Lines priced by pricingService carry it; older
+ * lines are recomputed as tax-exclusive at their stored rate.
+ * @param {object} item - Order.items entry
+ */
+function orderItemTax(item) {
+  if (typeof item.taxAmount === 'number' && typeof item.taxableValue === 'number') {
+    return {
+      gstRate: item.gstRate,
+      taxableValue: item.taxableValue,
+      taxAmount: item.taxAmount,
+      total: round2(item.taxableValue + item.taxAmount)
+    };
+  }
+  return lineTax({
+    price: item.price,
+    quantity: item.quantity,
+    discount: item.discount || 0,
+    gstRate: item.gstRate || DEFAULT_GST_RATE
+  });
+}
+
+module.exports = {
+  DEFAULT_GST_RATE,
+  isSlabbed,
+  resolvePricesIncludeTax,
+  rateFor,
+  lineTax,
+  orderItemTax
+};
@@ -0,0 +1,277 @@
+const Order = require('../models/Order');
+const shipyaariService = require('./shipyariServices');
+const codService = require('./codService');
+const orderStateMachine = require('./orderStateMachine');
+const subOrderService = require('./subOrderService');
+const orderEvents = require('./orderEvents');
+
+const SYNC_INTERVAL_MS = Number(process.env.TRACKING_SYNC_INTERVAL_MS) || 30 * 60 * 1000;
+const SYNC_BATCH_SIZE = Number(process.env.TRACKING_SYNC_BATCH_SIZE) || 50;
+
+// Shipments the poller still has to follow
+const IN_FLIGHT_SHIPMENT_STATUSES = ['processing', 'shipped', 'in_transit', 'out_for_delivery', 'rto'];
+
+// Forward-only progressions; anything outside them (cancelled, returns) is never touched.
+// Order moves are also checked against the order state machine.
+const ORDER_PROGRESS = ['pending', 'confirmed', 'paid', 'processing', 'shipped', 'in_transit', 'delivered'];
+const SHIPMENT_PROGRESS = ['pending', 'processing', 'shipped', 'in_transit', 'out_for_delivery', 'delivered'];
+const SHIPMENT_TERMINAL = ['delivered', 'failed', 'cancelled', 'rto_delivered'];
+
+// Courier status text -> { shipmentStatus, orderStatus }. First match wins, so
+// the more specific phrases ("rto delivered", "undelivered") come first.
+const STATUS_RULES = [
+  { pattern: /(\brto\b|return(ed)? to origin).*deliver|deliver(ed)? (back )?to (origin|seller)/, shipmentStatus: 'rto_delivered' },
+  { pattern: /\brto\b|return(ed)? to origin/, shipmentStatus: 'rto' },
+  { pattern: /undelivered|not delivered|delivery (failed|attempted)|\bndr\b/, shipmentStatus: 'out_for_delivery' },
+  { pattern: /out for delivery/, shipmentStatus: 'out_for_delivery', orderStatus: 'in_transit' },
+  { pattern: /delivered/, shipmentStatus: 'delivered', orderStatus: 'delivered' },
+  { pattern: /cancel/, shipmentStatus: 'cancelled' },
+  { pattern: /lost|damaged|destroyed/, shipmentStatus: 'failed' },
+  { pattern: /picked|in[ _-]?transit|dispatched|shipped|reached|arrived|departed|hub/, shipmentStatus: 'in_transit', orderStatus: 'in_transit' },
+  { pattern: /booked|manifest|pickup|ready to ship|created/, shipmentStatus: 'processing' }
+];
+
+/**
+ * Map a courier/Shipyaari status string onto our statuses.
+ * @param {string} rawStatus
+ * @returns {{shipmentStatus?: string, orderStatus?: string}} empty when unknown
+ */
+function mapCourierStatus(rawStatus) {
+  const text = String(rawStatus || '').toLowerCase().replace(/_/g, ' ');
+  const rule = STATUS_RULES.find((r) => r.pattern.test(text));
+  return rule ? { shipmentStatus: rule.shipmentStatus, orderStatus: rule.orderStatus } : {};
+}
+
+const advances = (progress, from, to) => {
+  const fromIdx = progress.indexOf(from);
+  const toIdx = progress.indexOf(to);
+  return fromIdx !== -1 && toIdx > fromIdx;
+};
+
+function shouldMoveShipment(current, next) {
+  if (!next || current === next) return false;
+  if (SHIPMENT_TERMINAL.includes(current)) return false;
+  // Once returning to origin only the arrival back at the warehouse counts
+  if (current === 'rto') return next === 'rto_delivered';
+  if (SHIPMENT_TERMINAL.includes(next) || next === 'rto') return true;
+  return advances(SHIPMENT_PROGRESS, current || 'pending', next);
+}
+
+const eventKey = (e) => `${e.status}|${e.timestamp ? new Date(e.timestamp).getTime() : ''}`;
+
+/**
+ * Apply a tracking update (from the webhook, the poller or the tracking route)
+ * to an order: merges tracking history and moves shipmentStatus forward only.
+ * Order.status moves go through the order state machine (which stamps
+ * shippedAt / deliveredAt and marks delivered COD orders collected). COD
+ * parcels back at the warehouse are marked RTO (and restocked).
+ * For a sub-order shipment the sub-order moves instead, and the parent follows
+ * once all its parcels have (services/subOrderService.syncParentStatus).
+ * @param {import('mongoose').Document} order
+ * @param {object} update
+ * @param {string} update.status - courier status text
+ * @param {string} [update.location]
+ * @param {Date|string} [update.timestamp]
+ * @param {string} [update.description]
+ * @param {Array<object>} [update.trackingHistory] - full history, when the source has it
+ * @param {string} source - statusHistory / events actor, e.g. 'shipyaari_webhook'
+ * @param {object} [subOrder] - entry of order.subOrders the AWB belongs to
+ * @returns {Promise<{shipmentStatus: string, orderStatus: string, subOrderStatus?: string, changed: boolean}>}
+ */
+async function applyTrackingUpdate(order, update, source, subOrder = null) {
+  const shipment = subOrder ? subOrder.shipmentDetails : order.shipmentDetails;
+  const timestamp = update.timestamp ? new Date(update.timestamp) : new Date();
+  const event = {
+    status: update.status,
+    location: update.location,
+    timestamp,
+    description: update.description || ''
+  };
+
+  // History: take the full list when given, otherwise append the event; skip duplicates
+  const history = shipment.trackingHistory.map((e) => e.toObject());
+  const seen = new Set(history.map(eventKey));
+  const incoming = update.trackingHistory && update.trackingHistory.length ? update.trackingHistory : [event];
+  for (const e of incoming) {
+    if (!seen.has(eventKey(e))) {
+      history.push(e);
+      seen.add(eventKey(e));
+    }
+  }
+  history.sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+  shipment.trackingHistory = history;
+  shipment.lastTrackingUpdate = event;
+
+  const mapped = mapCourierStatus(update.status);
+  const previousShipmentStatus = shipment.shipmentStatus;
+  const previousOrderStatus = order.status;
+  const previousSubOrderStatus = subOrder?.status;
+  const notes = `${subOrder ? `${subOrder.subOrderId}: ` : ''}${update.status}${update.location ? ` at ${update.location}` : ''}`;
+
+  if (shouldMoveShipment(shipment.shipmentStatus, mapped.shipmentStatus)) {
+    shipment.shipmentStatus = mapped.shipmentStatus;
+    if (mapped.shipmentStatus === 'delivered') shipment.actualDeliveryDate = timestamp;
+  }
+
+  const moveSubOrder =
+    subOrder && mapped.orderStatus && advances(subOrderService.SUB_ORDER_PROGRESS, subOrder.status, mapped.orderStatus);
+  const moveOrder =
+    !subOrder &&
+    mapped.orderStatus &&
+    advances(ORDER_PROGRESS, order.status, mapped.orderStatus) &&
+    orderStateMachine.canTransition(order.status, mapped.orderStatus, 'system');
+
+  if (moveSubOrder) {
+    subOrder.status = mapped.orderStatus;
+    if (mapped.orderStatus === 'delivered') subOrder.deliveredAt = timestamp;
+    subOrder.statusHistory.push({ status: mapped.orderStatus, timestamp: new Date(), updatedBy: source, notes });
+  } else if (shipment.shipmentStatus !== previousShipmentStatus && !moveOrder) {
+    // Shipment-only moves (RTO, lost, cancelled at the courier) still show up in the timeline
+    order.events.push({ type: `shipment_${shipment.shipmentStatus}`, timestamp: new Date(), updatedBy: source, notes });
+  }
+  await order.save();
+
+  if (moveOrder) {
+    ({ order } = await orderStateMachine.transition(order, mapped.orderStatus, { updatedBy: source, notes, at: timestamp }));
+  }
+  if (moveSubOrder) {
+    if (subOrder.status === 'delivered') orderEvents.emit('sub_order_delivered', { order, subOrder });
+    order = await subOrderService.syncParentStatus(order, { updatedBy: source, notes, at: timestamp });
+  }
+
+  const changed =
+    shipment.shipmentStatus !== previousShipmentStatus ||
+    order.status !== previousOrderStatus ||
+    subOrder?.status !== previousSubOrderStatus;
+  if (changed) {
+    console.log(`📍 ${subOrder ? subOrder.subOrderId : order.orderId}: shipment ${previousShipmentStatus} -> ${shipment.shipmentStatus}, order ${previousOrderStatus} -> ${order.status}`);
+  }
+
+  // A split COD order is only RTO once every parcel is back; until then each one needs a look
+  const allBack =
+    !subOrder ||
+    order.subOrders
+      .filter((s) => s.status !== 'cancelled')
+      .every((s) => s.shipmentDetails?.shipmentStatus === 'rto_delivered');
+  if (shipment.shipmentStatus === 'rto_delivered' && previousShipmentStatus !== 'rto_delivered') {
+    if (!allBack) {
+      console.error(`🚨 ALERT: Sub-order ${subOrder.subOrderId} of order ${order.orderId} returned to origin`);
+    } else if (order.paymentMethod === 'cod' && order.codDetails) {
+      await codService.markRto(order, { notes: update.status, updatedBy: source });
+    } else {
+      // Prepaid parcel came back: needs a decision on refund/reshipment
+      console.error(`🚨 ALERT: Prepaid order ${order.orderId} returned to origin`);
+    }
+  }
+
+  return {
+    shipmentStatus: shipment.shipmentStatus,
+    orderStatus: order.status,
+    ...(subOrder && { subOrderStatus: subOrder.status }),
+    changed
+  };
+}
+
+// In-flight sub-order shipments of an order
+const inFlight = (shipment) =>
+  Boolean(shipment?.awbNumber) && IN_FLIGHT_SHIPMENT_STATUSES.includes(shipment.shipmentStatus);
+
+/**
+ * Poll Shipyaari for in-flight shipments, least recently synced first. Split
+ * orders are followed per sub-order AWB.
+ * @returns {Promise<{checked: number, updated: number, failed: number}>}
+ */
+async function syncInFlightShipments() {
+  const orders = await Order.find({
+    $or: [
+      {
+        'shipmentDetails.awbNumber': { $exists: true, $ne: null },
+        'shipmentDetails.shipmentStatus': { $in: IN_FLIGHT_SHIPMENT_STATUSES }
+      },
+      {
+        subOrders: {
+          $elemMatch: {
+            'shipmentDetails.awbNumber': { $exists: true, $ne: null },
+            'shipmentDetails.shipmentStatus': { $in: IN_FLIGHT_SHIPMENT_STATUSES }
+          }
+        }
+      }
+    ],
+    status: { $in: ORDER_PROGRESS }
+  })
+    // Every sync saves the order, so least recently updated ~ least recently synced
+    // (sub-order sync times live inside the subOrders array)
+    .sort({ updatedAt: 1 })
+    .limit(SYNC_BATCH_SIZE);
+
+  // One target per AWB: the order itself, or one of its sub-orders
+  const targets = orders.flatMap((order) =>
+    order.subOrders.length
+      ? order.subOrders
+          .filter((s) => inFlight(s.shipmentDetails))
+          .map((s) => ({ orderId: order._id, subOrderId: s.subOrderId, awbNumber: s.shipmentDetails.awbNumber }))
+      : [{ orderId: order._id, subOrderId: null, awbNumber: order.shipmentDetails.awbNumber }]
+  );
+
+  const result = { checked: targets.length, updated: 0, failed: 0 };
+  if (targets.length === 0) return result;
+
+  const tracking = await shipyaariService.trackMultipleShipments(targets.map((t) => t.awbNumber));
+  const byAwb = new Map(tracking.map((t) => [String(t.awbNumber), t]));
+
+  for (const target of targets) {
+    const data = byAwb.get(String(target.awbNumber));
+    try {
+      // Re-read: an earlier sub-order of the same order may have just moved it
+      const order = await Order.findById(target.orderId);
+      const subOrder = target.subOrderId ? order.subOrders.find((s) => s.subOrderId === target.subOrderId) : null;
+      (subOrder || order).shipmentDetails.lastTrackingSyncAt = new Date();
+      if (!data || data.error || data.status === 'not_found') {
+        if (data?.error) result.failed += 1;
+        await order.save();
+        continue;
+      }
+      const outcome = await applyTrackingUpdate(
+        order,
+        {
+          status: data.status !== 'unknown' ? data.status : data.deliveryStatus,
+          location: data.location,
+          timestamp: data.lastUpdate,
+          trackingHistory: data.trackingHistory
+        },
+        'tracking_sync',
+        subOrder
+      );
+      if (outcome.changed) result.updated += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`❌ Tracking sync failed for ${target.subOrderId || target.orderId}:`, error.message);
+    }
+  }
+
+  console.log(`📍 Tracking sync: ${result.checked} checked, ${result.updated} updated, ${result.failed} failed`);
+  return result;
+}
+
+function startTrackingSync() {
+  let running = false;
+  const timer = setInterval(() => {
+    // A slow Shipyaari run must not overlap with the next tick
+    if (running) return;
+    running = true;
+    syncInFlightShipments()
+      .catch((err) => console.error('❌ Tracking sync error:', err.message))
+      .finally(() => {
+        running = false;
+      });
+  }, SYNC_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  mapCourierStatus,
+  applyTrackingUpdate,
+  syncInFlightShipments,
+  startTrackingSync
+};
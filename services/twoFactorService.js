@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const rateLimitService = require('./rateLimitService');
+
+// RFC 6238 defaults, which is what authenticator apps assume
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from the neighbouring steps still count, for clock drift
+const DRIFT_STEPS = 1;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.BRAND_NAME || 'Store Admin';
+const BACKUP_CODE_COUNT = 10;
+const PRE_AUTH_TTL_SECONDS = 5 * 60;
+const MAX_CODE_ATTEMPTS = 5;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const ROLES = ['admin', 'vendor'];
+const REQUIRED_FOR_ADMINS_KEY = 'admin_two_factor_required';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.backupCodes';
+
+const twoFactorError = (message, status = 400, retryAfter) => {
+  const err = new Error(message);
+  err.status = status;
+  if (retryAfter) err.retryAfter = retryAfter;
+  return err;
+};
+
+// RFC 4648 base32, the secret format of otpauth:// URIs
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const idx = BASE32.indexOf(ch);
+    if (idx < 0) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(out);
+}
+
+// RFC 4226 HOTP; TOTP is HOTP over the current time step
+function hotp(key, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Time step the code belongs to, or null; steps up to lastUsedStep were already spent
+function matchTotp(secret, code, lastUsedStep) {
+  const key = base32Decode(secret);
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(code))) return step;
+  }
+  return null;
+}
+
+// Secrets are stored AES-256-GCM encrypted: iv.tag.ciphertext
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((b) => b.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+// Backup codes are random (40 bits), so a plain hash is enough
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+function newBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, stored: codes.map((code) => ({ codeHash: hashBackupCode(code) })) };
+}
+
+const unusedBackupCodes = (user) => (user.twoFactor.backupCodes || []).filter((c) => !c.usedAt).length;
+
+const provisioningUri = (email, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${email}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw twoFactorError('User not found', 404);
+  return user;
+};
+
+// Every code check counts towards the per-account limit
+async function countAttempt(user) {
+  const { allowed, retryAfter } = await rateLimitService.hit(`2fa:${user._id}`, MAX_CODE_ATTEMPTS, ATTEMPT_WINDOW_MS);
+  if (!allowed) throw twoFactorError('Too many attempts, try again later', 429, retryAfter);
+}
+
+const clearAttempts = (user) => rateLimitService.reset(`2fa:${user._id}`, ATTEMPT_WINDOW_MS);
+
+/**
+ * Whether admins must have 2FA (set by a super admin).
+ * @returns {Promise<boolean>}
+ */
+const isRequiredForAdmins = async () => (await Setting.getValue(REQUIRED_FOR_ADMINS_KEY, false)) === true;
+
+/**
+ * Turn admin 2FA enforcement on or off. Whoever turns it on must have 2FA
+ * themselves, so they are not locked out of the admin API.
+ * @param {boolean} required
+ * @param {string} adminUserId
+ * @returns {Promise<import('mongoose').Document>} the Setting row
+ * @throws {Error} with `status` 409
+ */
+async function setRequiredForAdmins(required, adminUserId) {
+  if (required) {
+    const admin = await User.findById(adminUserId).select('twoFactor.enabled');
+    if (!admin?.twoFactor?.enabled) throw twoFactorError('Enable two-factor authentication on your own account first', 409);
+  }
+  return Setting.setValue(REQUIRED_FOR_ADMINS_KEY, !!required, adminUserId);
+}
+
+/**
+ * Whether this admin is blocked by enforcement until they enable 2FA.
+ * @returns {Promise<boolean>}
+ */
+async function missingForAdmin(userId) {
+  if (!(await isRequiredForAdmins())) return false;
+  const user = await User.findById(userId).select('twoFactor.enabled').lean();
+  return !user?.twoFactor?.enabled;
+}
+
+/**
+ * @returns {Promise<{ enabled: boolean, enabledAt: Date|null, backupCodesLeft: number, requiredForAdmins: boolean }>}
+ */
+async function status(userId) {
+  const user = await loadUser(userId);
+  return {
+    enabled: !!user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt || null,
+    backupCodesLeft: user.twoFactor.enabled ? unusedBackupCodes(user) : 0,
+    requiredForAdmins: await isRequiredForAdmins()
+  };
+}
+
+/**
+ * Start enrollment: a new secret to scan (as a QR code of otpauthUrl) or type in.
+ * Calling again replaces a secret that was not confirmed yet.
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ * @throws {Error} with `status` 403 or 409
+ */
+async function startSetup(userId) {
+  const user = await loadUser(userId);
+  if (!ROLES.includes(user.role)) throw twoFactorError('Two-factor authentication is for admin and vendor accounts', 403);
+  if (user.twoFactor.enabled) throw twoFactorError('Two-factor authentication is already enabled', 409);
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+  return { secret, otpauthUrl: provisioningUri(user.email, secret) };
+}
+
+/**
+ * Finish enrollment with the first code from the app.
+ * @returns {Promise<string[]>} backup codes, shown only this once
+ * @throws {Error} with `status` 400, 409 or 429
+ */
+async function confirmSetup(userId, code) {
+  const user = await loadUser(userId);
+  if (user.twoFactor.enabled) throw twoFactorError('Two-factor authentication is already enabled', 409);
+  if (!user.twoFactor.pendingSecret) throw twoFactorError('Start two-factor setup first');
+
+  await countAttempt(user);
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = /^\d{6}$/.test(normalizeCode(code)) ? matchTotp(secret, normalizeCode(code), null) : null;
+  if (step === null) throw twoFactorError('Invalid two-factor code');
+
+  const { codes, stored } = newBackupCodes();
+  user.twoFactor = { enabled: true, enabledAt: new Date(), secret: user.twoFactor.pendingSecret, lastUsedStep: step, backupCodes: stored };
+  await user.save();
+  await clearAttempts(user);
+  return codes;
+}
+
+/**
+ * Check an authenticator code, or use up a backup code.
+ * @param {import('mongoose').Document} user - loaded with the twoFactor secrets
+ * @param {string} code
+ * @returns {Promise<{ method: 'totp'|'backup_code', backupCodesLeft: number }>}
+ * @throws {Error} with `status` 400 or 429
+ */
+async function verifyCode(user, code) {
+  if (!user.twoFactor?.enabled) throw twoFactorError('Two-factor authentication is not enabled', 409);
+  await countAttempt(user);
+  const input = normalizeCode(code);
+  const unused = unusedBackupCodes(user);
+  let method = null;
+
+  if (/^\d{6}$/.test(input)) {
+    const step = matchTotp(decryptSecret(user.twoFactor.secret), input, user.twoFactor.lastUsedStep);
+    // Claim the step atomically so one code can't sign in twice
+    if (step !== null) {
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (modifiedCount) method = 'totp';
+    }
+  } else if (/^[0-9a-f]{10}$/.test(input)) {
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': { $elemMatch: { codeHash: hashBackupCode(input), usedAt: null } } },
+      { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+    );
+    if (modifiedCount) method = 'backup_code';
+  }
+
+  if (!method) throw twoFactorError('Invalid two-factor code');
+  await clearAttempts(user);
+  return { method, backupCodesLeft: method === 'backup_code' ? unused - 1 : unused };
+}
+
+/**
+ * Replace all backup codes; needs a current code.
+ * @returns {Promise<string[]>}
+ */
+async function regenerateBackupCodes(userId, code) {
+  const user = await loadUser(userId);
+  await verifyCode(user, code);
+  const { codes, stored } = newBackupCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': stored } });
+  return codes;
+}
+
+/**
+ * Turn 2FA off; needs a current code. Admins can't while it is enforced.
+ * @throws {Error} with `status` 400, 409 or 429
+ */
+async function disable(userId, code) {
+  const user = await loadUser(userId);
+  if (user.role === 'admin' && (await isRequiredForAdmins())) {
+    throw twoFactorError('Two-factor authentication is required for admins', 409);
+  }
+  await verifyCode(user, code);
+  await reset(user._id);
+}
+
+/**
+ * Remove a user's 2FA without a code (admin recovery for a lost device).
+ * @returns {Promise<boolean>} whether it was enabled
+ */
+async function reset(userId) {
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, 'twoFactor.enabled': true },
+    { $set: { 'twoFactor.enabled': false }, $unset: { 'twoFactor.enabledAt': 1, 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.lastUsedStep': 1, 'twoFactor.backupCodes': 1 } }
+  );
+  return modifiedCount > 0;
+}
+
+/**
+ * First step of a 2FA login: proof the password was right, traded at
+ * /api/auth/2fa/verify. It has no session, so authRequired rejects it.
+ */
+function challenge(user) {
+  const preAuthToken = jwt.sign({ sub: user._id.toString(), role: user.role, typ: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: PRE_AUTH_TTL_SECONDS
+  });
+  return { twoFactorRequired: true, preAuthToken, expiresIn: PRE_AUTH_TTL_SECONDS };
+}
+
+/**
+ * Second step: the account behind a pre-auth token, with its secrets loaded.
+ * @throws {Error} with `status` 401
+ */
+async function userForPreAuthToken(preAuthToken) {
+  let payload;
+  try {
+    payload = jwt.verify(String(preAuthToken || ''), process.env.JWT_SECRET);
+  } catch (err) {
+    throw twoFactorError('Sign-in expired, please log in again', 401);
+  }
+  if (payload.typ !== '2fa') throw twoFactorError('Invalid pre-auth token', 401);
+
+  const user = await User.findOne({ _id: payload.sub, isActive: true }).select(SECRET_FIELDS);
+  if (!user || !user.twoFactor.enabled) throw twoFactorError('Sign-in expired, please log in again', 401);
+  return user;
+}
+
+module.exports = {
+  isRequiredForAdmins,
+  setRequiredForAdmins,
+  missingForAdmin,
+  status,
+  startSetup,
+  confirmSetup,
+  verifyCode,
+  regenerateBackupCodes,
+  disable,
+  reset,
+  challenge,
+  userForPreAuthToken
+};
@@ -0,0 +1,173 @@
+const Vendor = require('../models/Vendor');
+const Brand = require('../models/Brand');
+const Category = require('../models/Category');
+const Subcategory = require('../models/Subcategory');
+
+// Product fields a vendor may set. Status, merchandising flags (featured,
+// bestseller, ...) and analytics stay with admins.
+const VENDOR_PRODUCT_FIELDS = [
+  'title',
+  'description',
+  'images',
+  'price',
+  'compareAtPrice',
+  'sku',
+  'shippingCategory',
+  'weightKg',
+  'dimensionsCm',
+  'hsnCode',
+  'gstRate',
+  'pricesIncludeTax',
+  'productType',
+  'attributes',
+  'variantOptions',
+  'variants',
+  'stock',
+  'lowStockThreshold',
+  'isActive',
+  'tags',
+  'metaTitle',
+  'metaDescription',
+  'metaKeywords',
+  'categoryId',
+  'subcategoryId'
+];
+
+// Editing these on a live product sends it back to the approval queue, prices
+// included so an approved listing can't be repriced unseen. Stock and isActive
+// go live directly: they only change how much of the approved listing sells.
+const REVIEWED_FIELDS = [
+  'title',
+  'description',
+  'images',
+  'price',
+  'compareAtPrice',
+  'hsnCode',
+  'gstRate',
+  'pricesIncludeTax',
+  'productType',
+  'attributes',
+  'variantOptions',
+  'categoryId',
+  'subcategoryId'
+];
+
+const LIVE_STATUSES = ['active', 'out_of_stock'];
+
+const vendorError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Products of suspended vendors are hidden from the storefront
+const hiddenVendorIds = () => Vendor.distinct('_id', { status: 'suspended' });
+
+/**
+ * Add the storefront visibility rule to a product filter.
+ * @param {object} filter - Product query filter
+ * @returns {Promise<object>}
+ */
+async function catalogFilter(filter = {}) {
+  const hidden = await hiddenVendorIds();
+  return hidden.length ? { ...filter, vendorId: { $nin: hidden } } : filter;
+}
+
+/**
+ * Check a brand / category / subcategory triple exists and hangs together.
+ * @throws {Error} with `status` 400
+ */
+async function assertHierarchy({ brandId, categoryId, subcategoryId }) {
+  const [brand, category, subcategory] = await Promise.all([
+    Brand.findOne({ _id: brandId, active: true }),
+    Category.findOne({ _id: categoryId, brandId }),
+    Subcategory.findOne({ _id: subcategoryId, brandId, categoryId })
+  ]);
+  if (!brand) throw vendorError('Brand not found');
+  if (!category) throw vendorError('Category not found for this brand');
+  if (!subcategory) throw vendorError('Subcategory not found for this category');
+}
+
+// Vendor editable fields present in a request body
+function pickVendorFields(body) {
+  const data = {};
+  for (const key of VENDOR_PRODUCT_FIELDS) {
+    if (key in body) data[key] = body[key];
+  }
+  return data;
+}
+
+/**
+ * Apply a vendor's edit to their product document (not saved). A reviewed
+ * field changing on a live product moves it back to pending_approval.
+ * @returns {boolean} whether the product went back to review
+ */
+function applyVendorUpdate(product, body) {
+  const data = pickVendorFields(body);
+  // Replacing the matrix would orphan variant ids held by carts and reservations;
+  // existing products change variants one by one
+  delete data.variants;
+  product.set(data);
+  return sendBackForReview(product, REVIEWED_FIELDS.some((key) => product.isModified(key)));
+}
+
+// Prices of a variant are reviewed like the product's own
+const REVIEWED_VARIANT_FIELDS = ['price', 'compareAtPrice'];
+
+/**
+ * After a vendor added or edited a variant (not saved): a new variant or a
+ * price change on a live product moves it back to pending_approval.
+ * @returns {boolean} whether the product went back to review
+ */
+function reviewVariantChange(product, variant) {
+  return sendBackForReview(product, variant.isNew || REVIEWED_VARIANT_FIELDS.some((key) => variant.isModified(key)));
+}
+
+function sendBackForReview(product, changed) {
+  const needsReview = changed && LIVE_STATUSES.includes(product.status);
+  if (needsReview) {
+    product.status = 'pending_approval';
+    product.approval = { submittedAt: new Date() };
+  }
+  return needsReview;
+}
+
+/**
+ * Put a draft (new or rejected) product in the approval queue.
+ * @throws {Error} with `status` 409 for any other status
+ */
+function submitForApproval(product) {
+  if (product.status !== 'draft') throw vendorError(`A ${product.status} product cannot be submitted for approval`, 409);
+  product.status = 'pending_approval';
+  product.approval = { submittedAt: new Date() };
+}
+
+/**
+ * Review a queued product: approve puts it live (the Product save hook turns
+ * it out_of_stock without stock), reject sends it back to the vendor as a draft.
+ * @param {import('mongoose').Document} product
+ * @param {object} review
+ * @param {boolean} review.approve
+ * @param {string} review.reviewedBy - admin user id
+ * @param {string} [review.reason] - required when rejecting
+ * @throws {Error} with `status` 400 or 409
+ */
+function reviewProduct(product, { approve, reviewedBy, reason }) {
+  if (product.status !== 'pending_approval') throw vendorError('Product is not awaiting approval', 409);
+  if (!approve && !reason) throw vendorError('A rejection reason is required');
+
+  product.status = approve ? 'active' : 'draft';
+  product.approval.reviewedAt = new Date();
+  product.approval.reviewedBy = reviewedBy;
+  product.approval.rejectionReason = approve ? undefined : reason;
+}
+
+module.exports = {
+  catalogFilter,
+  pickVendorFields,
+  assertHierarchy,
+  applyVendorUpdate,
+  reviewVariantChange,
+  submitForApproval,
+  reviewProduct
+};